@@ -0,0 +1,210 @@
+import 'dotenv/config';
+import { ACCOUNTS, getVenueRole, loadAccount, resolveSession, uidVariants } from './identity.js';
+
+/**
+ * Access Control
+ *
+ * Roles, lowest to highest:
+ *   viewer   - read-only: bots, logs, status, market data
+ *   operator - manages and trades with their own accounts and bots
+ *   owner    - everything, including server-owned accounts (server MEXC key,
+ *              installment wallet, GCBEX .env key), global bot start/stop,
+ *              the kill switch and role management
+ *
+ * Roles are stored on the caller's account (`accounts.role`, see identity.js),
+ * falling back to the venue user record (`users.role` / `mexc_users.role`) for
+ * logins not yet linked to an account. Users without a role get
+ * DEFAULT_USER_ROLE (operator); account or venue ids listed in OWNER_USER_IDS
+ * are always owners.
+ *
+ * createAccessGuard() runs before every route and applies ROUTE_POLICIES;
+ * requireRole() is the same check for a single route.
+ *
+ * Monitor logs and status are scoped to the caller's own bots; owners can
+ * pass ?scope=all for the server-wide view.
+ */
+
+export const ROLES = ['viewer', 'operator', 'owner'];
+const ROLE_RANK = Object.fromEntries(ROLES.map((role, index) => [role, index]));
+const PUBLIC = 'public';
+
+const DEFAULT_ROLE = ROLES.includes(process.env.DEFAULT_USER_ROLE) ? process.env.DEFAULT_USER_ROLE : 'operator';
+const OWNER_IDS = new Set((process.env.OWNER_USER_IDS || '').split(',').map(id => id.trim()).filter(Boolean));
+
+// First matching rule wins: [methods ('*' = any), path pattern, required role]
+const ROUTE_POLICIES = [
+  // Sign-in flows and public market data
+  ['GET', /^\/$/, PUBLIC],
+  ['GET', /^\/api\/health$/, PUBLIC],
+  ['*', /^\/api\/auth\/qrcode(\/status)?$/, PUBLIC],
+  ['POST', /^\/api\/auth\/refresh$/, PUBLIC],
+  ['POST', /^\/api\/mexc-user\/login$/, PUBLIC],
+  ['*', /^\/api\/market\/(rates|public-info|ticker|otc-public-info|depth)$/, PUBLIC],
+  ['GET', /^\/api\/xt\//, PUBLIC],
+  ['GET', /^\/api\/mexc\/(ping|time|ticker|ticker\/24hr|depth|trades|exchangeInfo)$/, PUBLIC],
+
+  // Server-owned accounts and global controls
+  ['*', /^\/api\/mexc\//, 'owner'],
+  ['*', /^\/api\/installment\/queue\//, 'owner'],
+  ['*', /^\/api\/test\/openapi\//, 'owner'],
+  ['*', /^\/api\/telegram\//, 'owner'],
+  ['POST', /^\/api\/bot\/(start|stop)$/, 'owner'],
+  ['GET', /^\/api\/bot\/admin-logs$/, 'owner'],
+  ['*', /^\/api\/admin\//, 'owner'],
+  ['PUT', /^\/api\/approvals\/policy$/, 'owner'],
+
+  // Read-only requests sent as POST
+  ['POST', /^\/api\/users\/(info|balance)$/, 'viewer'],
+  ['POST', /^\/api\/mexc-user\/logout$/, 'viewer'],
+  ['POST', /^\/api\/account\/(session|link)$/, 'viewer'],
+  ['POST', /^\/api\/auth\/logout(-all)?$/, 'viewer'],
+  ['DELETE', /^\/api\/auth\/sessions\/[^/]+$/, 'viewer'],
+  ['POST', /^\/api\/backtest$/, 'viewer'],
+  ['POST', /^\/api\/bot\/conditions\/evaluate$/, 'viewer'],
+
+  // Everything else under /api: reads for viewers, changes for operators
+  ['GET', /^\/api\//, 'viewer'],
+  ['*', /^\/api\//, 'operator']
+];
+
+export function hasRole(role, required) {
+  return (ROLE_RANK[role] ?? -1) >= ROLE_RANK[required];
+}
+
+function effectiveRole(ids, storedRole) {
+  if (ids.some(id => OWNER_IDS.has(String(id)))) return 'owner';
+  return ROLES.includes(storedRole) ? storedRole : DEFAULT_ROLE;
+}
+
+// Resolve the caller from a GCBEX QR token or an account session access token.
+// id is the venue user id the token was issued for; userIds lists every linked one.
+export async function authenticateRequest(db, req) {
+  const authHeader = req.headers.authorization;
+  if (!authHeader || !authHeader.startsWith('Bearer ')) return null;
+  const token = authHeader.split(' ')[1];
+
+  const session = await resolveSession(db, token);
+  if (!session) return null;
+
+  const id = session.source === 'gcbex' ? session.gcbexUid : session.mexcUserId;
+  const userIds = [session.gcbexUid, session.mexcUserId].filter(userId => userId !== null && userId !== undefined);
+  const accountId = session.account ? session.account._id.toString() : null;
+  const storedRole = session.account?.role ?? await getVenueRole(db, session.source, id);
+
+  return {
+    id,
+    source: session.source,
+    role: effectiveRole(accountId ? [...userIds, accountId] : userIds, storedRole),
+    accountId,
+    userIds
+  };
+}
+
+export function getRequiredRole(method, path) {
+  for (const [methods, pattern, role] of ROUTE_POLICIES) {
+    if ((methods === '*' || methods === method) && pattern.test(path)) {
+      return role;
+    }
+  }
+  return PUBLIC;
+}
+
+async function authorize(db, req, res, next, required) {
+  if (!db) {
+    return res.status(503).json({ code: '-1', msg: 'Server is starting, try again shortly', data: null });
+  }
+
+  let caller;
+  try {
+    caller = await authenticateRequest(db, req);
+  } catch (error) {
+    console.error('Error authenticating request:', error.message);
+    return res.status(500).json({ code: '-1', msg: 'Authentication failed', data: null });
+  }
+
+  if (!caller) {
+    return res.status(401).json({ code: '-1', msg: 'Unauthorized', data: null });
+  }
+  if (!hasRole(caller.role, required)) {
+    return res.status(403).json({ code: '-1', msg: `Forbidden: requires ${required} role`, data: null });
+  }
+
+  req.authUser = caller;
+  next();
+}
+
+// App-wide middleware; getDb is called per request since routes register before Mongo connects
+export function createAccessGuard(getDb) {
+  return (req, res, next) => {
+    if (req.method === 'OPTIONS') return next();
+    const required = getRequiredRole(req.method, req.path);
+    if (required === PUBLIC) return next();
+    return authorize(getDb(), req, res, next, required);
+  };
+}
+
+export function requireRole(db, role) {
+  return (req, res, next) => authorize(db, req, res, next, role);
+}
+
+// Owners asking for ?scope=all see every user's bots; everyone else only their own
+export function isGlobalScope(req) {
+  return req.query.scope === 'all' && hasRole(req.authUser?.role, 'owner');
+}
+
+// True when userId is any of the venue logins linked to the caller's account
+export function isCallerOwned(req, userId) {
+  if (userId === null || userId === undefined) return false;
+  const callerIds = req.authUser?.userIds || [req.authUser?.id];
+  return callerIds.some(id => String(id) === String(userId));
+}
+
+// Newest `limit` monitor log entries (stamped with getLogOwner()) visible to the caller
+export function scopeLogs(req, logs, limit) {
+  const visible = isGlobalScope(req) ? logs : logs.filter(entry => isCallerOwned(req, entry.userId));
+  return visible.slice(0, limit);
+}
+
+// Set a user's stored role; source is 'gcbex' (users.uid), 'mexc' (mexc_users._id) or
+// 'account' (accounts._id). Venue roles are mirrored onto the linked account.
+export async function setUserRole(db, source, id, role) {
+  if (!ROLES.includes(role)) {
+    throw new Error(`Invalid role: ${role} (use ${ROLES.join(', ')})`);
+  }
+
+  const $set = { role, updatedAt: new Date() };
+
+  if (source === 'account') {
+    const account = await loadAccount(db, id);
+    if (!account) return false;
+    await db.collection(ACCOUNTS).updateOne({ _id: account._id }, { $set });
+    return true;
+  }
+  if (source === 'gcbex') {
+    const uids = uidVariants(id);
+    const result = await db.collection('users').updateOne({ uid: { $in: uids } }, { $set });
+    await db.collection(ACCOUNTS).updateOne({ gcbexUid: { $in: uids } }, { $set });
+    return result.matchedCount > 0;
+  }
+  if (source === 'mexc') {
+    const { ObjectId } = await import('mongodb');
+    if (!ObjectId.isValid(id)) return false;
+    const result = await db.collection('mexc_users').updateOne({ _id: new ObjectId(id) }, { $set });
+    await db.collection(ACCOUNTS).updateOne({ mexcUserId: String(id) }, { $set });
+    return result.matchedCount > 0;
+  }
+  throw new Error(`Invalid source: ${source} (use gcbex, mexc or account)`);
+}
+
+export default {
+  ROLES,
+  hasRole,
+  authenticateRequest,
+  getRequiredRole,
+  createAccessGuard,
+  requireRole,
+  isGlobalScope,
+  isCallerOwned,
+  scopeLogs,
+  setUserRole
+};
@@ -0,0 +1,53 @@
+import { ROLES, setUserRole } from './access-control.js';
+
+// Setup role routes (access is enforced by the app-wide access guard)
+export function setupAccessRoutes(app, db) {
+
+  // ============================================
+  // Role Endpoints
+  // ============================================
+
+  // GET /api/access/me - Caller's id, account source and role
+  app.get('/api/access/me', (req, res) => {
+    res.json({ code: '0', msg: 'Success', data: { ...req.authUser, roles: ROLES } });
+  });
+
+  // PUT /api/admin/users/:source/:id/role - Set a user's role (source: gcbex | mexc | account, body: { role })
+  app.put('/api/admin/users/:source/:id/role', async (req, res) => {
+    try {
+      const { source, id } = req.params;
+      const { role } = req.body || {};
+
+      let updated;
+      try {
+        updated = await setUserRole(db, source, id, role);
+      } catch (error) {
+        if (error.message.startsWith('Invalid')) {
+          return res.status(400).json({ code: '-1', msg: error.message, data: null });
+        }
+        throw error;
+      }
+
+      if (!updated) {
+        return res.status(404).json({ code: '-1', msg: 'User not found', data: null });
+      }
+
+      await db.collection('bot_admin_logs').insertOne({
+        userId: req.authUser.id,
+        action: 'USER_ROLE_CHANGED',
+        timestamp: new Date(),
+        details: { source, targetUserId: id, role }
+      });
+
+      console.log(`🔑 Role of ${source} user ${id} set to ${role} by ${req.authUser.id}`);
+      res.json({ code: '0', msg: 'Role updated', data: { source, id, role } });
+    } catch (error) {
+      console.error('Error updating user role:', error);
+      res.status(500).json({ code: '-1', msg: 'Failed to update role', data: null });
+    }
+  });
+
+  console.log('✅ Access routes initialized');
+}
+
+export default setupAccessRoutes;
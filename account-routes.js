@@ -0,0 +1,137 @@
+import { getSessionAccount, listAccountBots, mergeAccounts, resolveSession, uidVariants } from './identity.js';
+import { createSession } from './sessions.js';
+
+// Summarize an account and the venue logins linked to it
+async function toAccountView(db, account, role) {
+  const { ObjectId } = await import('mongodb');
+  const gcbexUser = (account.gcbexUid ?? null) !== null
+    ? await db.collection('users').findOne({ uid: { $in: uidVariants(account.gcbexUid) } }, { projection: { uid: 1, last_login: 1 } })
+    : null;
+  const mexcUser = account.mexcUserId && ObjectId.isValid(account.mexcUserId)
+    ? await db.collection('mexc_users').findOne({ _id: new ObjectId(account.mexcUserId) }, { projection: { apiKey: 1, lastLoginAt: 1 } })
+    : null;
+  const xtUser = account.mexcUserId
+    ? await db.collection('xt_users').findOne({ mexcUserId: account.mexcUserId }, { projection: { apiKey: 1, lastUpdatedAt: 1 } })
+    : null;
+
+  return {
+    id: account._id.toString(),
+    role,
+    linked: {
+      gcbex: gcbexUser ? { uid: gcbexUser.uid, lastLoginAt: gcbexUser.last_login } : null,
+      mexc: mexcUser ? { userId: account.mexcUserId, apiKey: mexcUser.apiKey.substring(0, 8) + '...', lastLoginAt: mexcUser.lastLoginAt } : null,
+      xt: xtUser ? { apiKey: xtUser.apiKey.substring(0, 8) + '...', lastUpdatedAt: xtUser.lastUpdatedAt } : null
+    },
+    createdAt: account.createdAt,
+    updatedAt: account.updatedAt
+  };
+}
+
+// Setup unified account routes (one account across GCBEX, MEXC and XT logins)
+export function setupAccountRoutes(app, db) {
+
+  // Caller's account; sessions from before accounts existed get one on first use
+  const getCallerAccount = async (req) => {
+    const session = await resolveSession(db, req.headers.authorization.split(' ')[1]);
+    return getSessionAccount(db, session);
+  };
+
+  // ============================================
+  // Account Endpoints
+  // ============================================
+
+  // GET /api/account - Caller's account with linked GCBEX, MEXC and XT logins
+  app.get('/api/account', async (req, res) => {
+    try {
+      const account = await getCallerAccount(req);
+      if (!account) {
+        return res.status(404).json({ code: '-1', msg: 'Account not found', data: null });
+      }
+
+      res.json({ code: '0', msg: 'Success', data: await toAccountView(db, account, req.authUser.role) });
+    } catch (error) {
+      console.error('Error fetching account:', error);
+      res.status(500).json({ code: '-1', msg: 'Failed to fetch account', data: null });
+    }
+  });
+
+  // POST /api/account/session - Start an account session for the current login (e.g. in exchange for a GCBEX QR token)
+  app.post('/api/account/session', async (req, res) => {
+    try {
+      const account = await getCallerAccount(req);
+      if (!account) {
+        return res.status(404).json({ code: '-1', msg: 'Account not found', data: null });
+      }
+
+      const session = await createSession(account, req.authUser.source, req);
+      res.json({ code: '0', msg: 'Success', data: { accountId: account._id.toString(), ...session } });
+    } catch (error) {
+      console.error('Error issuing account session:', error);
+      res.status(500).json({ code: '-1', msg: 'Failed to issue session', data: null });
+    }
+  });
+
+  // POST /api/account/link - Merge the account behind another session into the caller's (body: { token })
+  app.post('/api/account/link', async (req, res) => {
+    try {
+      const { token } = req.body || {};
+      if (!token) {
+        return res.status(400).json({ code: '-1', msg: 'token of the login to link is required', data: null });
+      }
+
+      const account = await getCallerAccount(req);
+      const other = await getSessionAccount(db, await resolveSession(db, token));
+      if (!account || !other) {
+        return res.status(401).json({ code: '-1', msg: 'Invalid or expired token', data: null });
+      }
+
+      let merged;
+      try {
+        merged = await mergeAccounts(db, account, other);
+      } catch (error) {
+        if (error.message.startsWith('Cannot link')) {
+          return res.status(409).json({ code: '-1', msg: error.message, data: null });
+        }
+        throw error;
+      }
+
+      await db.collection('bot_admin_logs').insertOne({
+        userId: req.authUser.id,
+        action: 'ACCOUNTS_LINKED',
+        timestamp: new Date(),
+        details: { accountId: account._id.toString(), mergedAccountId: other._id.toString() }
+      });
+
+      // Fresh session so the caller's access token carries the newly linked venue ids
+      const session = await createSession(merged, req.authUser.source, req);
+      res.json({
+        code: '0',
+        msg: 'Accounts linked',
+        data: { ...(await toAccountView(db, merged, req.authUser.role)), ...session }
+      });
+    } catch (error) {
+      console.error('Error linking accounts:', error);
+      res.status(500).json({ code: '-1', msg: 'Failed to link accounts', data: null });
+    }
+  });
+
+  // GET /api/account/bots - Every bot of the caller's account across GCBEX, MEXC and XT
+  app.get('/api/account/bots', async (req, res) => {
+    try {
+      const account = await getCallerAccount(req);
+      if (!account) {
+        return res.status(404).json({ code: '-1', msg: 'Account not found', data: null });
+      }
+
+      const bots = await listAccountBots(db, account);
+      res.json({ code: '0', msg: 'Success', data: bots });
+    } catch (error) {
+      console.error('Error fetching account bots:', error);
+      res.status(500).json({ code: '-1', msg: 'Failed to fetch account bots', data: null });
+    }
+  });
+
+  console.log('✅ Account routes initialized');
+}
+
+export default setupAccountRoutes;
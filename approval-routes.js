@@ -0,0 +1,179 @@
+import {
+  approveRequest,
+  closeRequest,
+  getApprovalPolicy,
+  getApprovalRequest,
+  listApprovalRequests,
+  toApprovalView,
+  updateApprovalPolicy
+} from './approvals.js';
+import { hasRole, isCallerOwned } from './access-control.js';
+
+// Setup maker-checker approval routes
+export function setupApprovalRoutes(app, db) {
+
+  const isApprover = (req) => hasRole(req.authUser.role, getApprovalPolicy().approverRole);
+
+  // The requester is the same person when any of their linked logins or their account matches
+  const isRequester = (req, request) => isCallerOwned(req, request.requestedBy.id)
+    || (request.requestedBy.accountId !== null && request.requestedBy.accountId === req.authUser.accountId);
+
+  const sendDecisionError = (res, error) => {
+    if (error.message.startsWith('Cannot')) {
+      return res.status(409).json({ code: '-1', msg: error.message, data: null });
+    }
+    throw error;
+  };
+
+  // ============================================
+  // Approval Endpoints
+  // ============================================
+
+  // GET /api/approvals - Change requests (?status=pending&action=&limit=)
+  // Approvers see everyone's; other callers see the ones they requested
+  app.get('/api/approvals', async (req, res) => {
+    try {
+      const { status, action, limit } = req.query;
+      const requestedBy = isApprover(req) ? null : (req.authUser.userIds || [req.authUser.id]);
+      const requests = await listApprovalRequests({ status, action, limit, requestedBy });
+
+      res.json({ code: '0', msg: 'Success', data: { canApprove: isApprover(req), requests } });
+    } catch (error) {
+      console.error('Error listing approvals:', error);
+      res.status(500).json({ code: '-1', msg: 'Failed to list approvals', data: null });
+    }
+  });
+
+  // GET /api/approvals/policy - Which actions need approval, thresholds and who can approve
+  app.get('/api/approvals/policy', (req, res) => {
+    res.json({ code: '0', msg: 'Success', data: getApprovalPolicy() });
+  });
+
+  // PUT /api/approvals/policy - Change the approval policy (owner)
+  app.put('/api/approvals/policy', async (req, res) => {
+    try {
+      let policy;
+      try {
+        policy = await updateApprovalPolicy(req.body, req.authUser.id);
+      } catch (error) {
+        if (error.message.startsWith('Invalid')) {
+          return res.status(400).json({ code: '-1', msg: error.message, data: null });
+        }
+        throw error;
+      }
+
+      await db.collection('bot_admin_logs').insertOne({
+        userId: req.authUser.id,
+        action: 'APPROVAL_POLICY_UPDATED',
+        timestamp: new Date(),
+        details: req.body
+      });
+
+      res.json({ code: '0', msg: 'Approval policy updated', data: policy });
+    } catch (error) {
+      console.error('Error updating approval policy:', error);
+      res.status(500).json({ code: '-1', msg: 'Failed to update approval policy', data: null });
+    }
+  });
+
+  // GET /api/approvals/:id - One change request, including the held change
+  app.get('/api/approvals/:id', async (req, res) => {
+    try {
+      const request = await getApprovalRequest(req.params.id);
+      if (!request || (!isApprover(req) && !isRequester(req, request))) {
+        return res.status(404).json({ code: '-1', msg: 'Approval request not found', data: null });
+      }
+
+      res.json({ code: '0', msg: 'Success', data: { ...toApprovalView(request), payload: request.payload } });
+    } catch (error) {
+      console.error('Error fetching approval:', error);
+      res.status(500).json({ code: '-1', msg: 'Failed to fetch approval', data: null });
+    }
+  });
+
+  // POST /api/approvals/:id/approve - Approve and apply someone else's change (body: { note })
+  app.post('/api/approvals/:id/approve', async (req, res) => {
+    try {
+      if (!isApprover(req)) {
+        return res.status(403).json({ code: '-1', msg: `Forbidden: requires ${getApprovalPolicy().approverRole} role`, data: null });
+      }
+
+      const request = await getApprovalRequest(req.params.id);
+      if (!request) {
+        return res.status(404).json({ code: '-1', msg: 'Approval request not found', data: null });
+      }
+      if (isRequester(req, request)) {
+        return res.status(403).json({ code: '-1', msg: 'A change must be approved by someone other than its requester', data: null });
+      }
+
+      let updated;
+      try {
+        updated = await approveRequest(request, req.authUser, req.body?.note || null);
+      } catch (error) {
+        return sendDecisionError(res, error);
+      }
+
+      console.log(`✅ Approval ${request._id} approved by ${req.authUser.id}: ${updated.status}`);
+      res.json({
+        code: updated.status === 'applied' ? '0' : '-1',
+        msg: updated.status === 'applied' ? 'Change approved and applied' : `Change approved but failed to apply: ${updated.error}`,
+        data: toApprovalView(updated)
+      });
+    } catch (error) {
+      console.error('Error approving change:', error);
+      res.status(500).json({ code: '-1', msg: 'Failed to approve change', data: null });
+    }
+  });
+
+  // POST /api/approvals/:id/reject - Reject a pending change (body: { note })
+  app.post('/api/approvals/:id/reject', async (req, res) => {
+    try {
+      if (!isApprover(req)) {
+        return res.status(403).json({ code: '-1', msg: `Forbidden: requires ${getApprovalPolicy().approverRole} role`, data: null });
+      }
+
+      const request = await getApprovalRequest(req.params.id);
+      if (!request) {
+        return res.status(404).json({ code: '-1', msg: 'Approval request not found', data: null });
+      }
+
+      let updated;
+      try {
+        updated = await closeRequest(request, req.authUser, 'rejected', req.body?.note || null);
+      } catch (error) {
+        return sendDecisionError(res, error);
+      }
+
+      res.json({ code: '0', msg: 'Change rejected', data: toApprovalView(updated) });
+    } catch (error) {
+      console.error('Error rejecting change:', error);
+      res.status(500).json({ code: '-1', msg: 'Failed to reject change', data: null });
+    }
+  });
+
+  // POST /api/approvals/:id/cancel - Withdraw your own pending change
+  app.post('/api/approvals/:id/cancel', async (req, res) => {
+    try {
+      const request = await getApprovalRequest(req.params.id);
+      if (!request || !isRequester(req, request)) {
+        return res.status(404).json({ code: '-1', msg: 'Approval request not found', data: null });
+      }
+
+      let updated;
+      try {
+        updated = await closeRequest(request, req.authUser, 'cancelled');
+      } catch (error) {
+        return sendDecisionError(res, error);
+      }
+
+      res.json({ code: '0', msg: 'Change request cancelled', data: toApprovalView(updated) });
+    } catch (error) {
+      console.error('Error cancelling change request:', error);
+      res.status(500).json({ code: '-1', msg: 'Failed to cancel change request', data: null });
+    }
+  });
+
+  console.log('✅ Approval routes initialized');
+}
+
+export default setupApprovalRoutes;
@@ -0,0 +1,349 @@
+import 'dotenv/config';
+import telegramService from './telegram-service.js';
+
+/**
+ * Approvals (maker-checker)
+ *
+ * High-risk changes are not applied on one person's say-so. A route that
+ * detects one (see the rules below) calls requestApproval(), which stores a
+ * pending change instead of applying it:
+ *   approval_requests { action, summary, target { type, id }, payload,
+ *                       requestedBy { id, source, accountId, role }, status,
+ *                       createdAt, expiresAt, decidedBy, decidedAt, note,
+ *                       result, error }
+ * A second user holding the policy's approverRole approves or rejects it via
+ * /api/approvals; approving runs the action's registered apply(payload).
+ * status: pending -> applied | failed | rejected | cancelled | expired.
+ * Pending changes expire after ttlHours. Requests, decisions and expiries
+ * are announced on Telegram.
+ *
+ * Policy (system_state { _id: 'approval_policy' }, defaults from env):
+ *   enabled                  - APPROVALS_ENABLED (default true)
+ *   ttlHours                 - APPROVAL_TTL_HOURS (default 24)
+ *   approverRole             - APPROVER_ROLE (default owner)
+ *   stabilizerMaxBuyIncrease - raising a stabilizer bot's maxBuyAmount (default true); 0 or
+ *                              unset means no limit, so removing the cap is always a raise
+ *   maxBuyThreshold          - ...only when the new amount exceeds this (APPROVAL_MAX_BUY_THRESHOLD, default 0)
+ *   transferQueueThreshold   - transfer queues whose totalAmount exceeds this
+ *                              (APPROVAL_TRANSFER_QUEUE_THRESHOLD, default 10000; null = off)
+ *   liquidityAutoManage      - turning on autoManage on an XT liquidity bot (default true)
+ */
+
+const COLLECTION = 'approval_requests';
+const STATE_COLLECTION = 'system_state';
+const POLICY_ID = 'approval_policy';
+const SWEEP_INTERVAL_MS = 60 * 1000;
+const APPROVER_ROLES = ['operator', 'owner'];
+
+function envNumber(name, fallback) {
+  const value = parseFloat(process.env[name]);
+  return isNaN(value) ? fallback : value;
+}
+
+const DEFAULT_POLICY = {
+  enabled: process.env.APPROVALS_ENABLED !== 'false',
+  ttlHours: envNumber('APPROVAL_TTL_HOURS', 24),
+  approverRole: APPROVER_ROLES.includes(process.env.APPROVER_ROLE) ? process.env.APPROVER_ROLE : 'owner',
+  stabilizerMaxBuyIncrease: process.env.APPROVAL_MAX_BUY_INCREASE !== 'false',
+  maxBuyThreshold: envNumber('APPROVAL_MAX_BUY_THRESHOLD', 0),
+  transferQueueThreshold: process.env.APPROVAL_TRANSFER_QUEUE_THRESHOLD === 'off'
+    ? null
+    : envNumber('APPROVAL_TRANSFER_QUEUE_THRESHOLD', 10000),
+  liquidityAutoManage: process.env.APPROVAL_AUTO_MANAGE !== 'false'
+};
+
+const appliers = new Map();
+let approvalDb = null;
+let policy = { ...DEFAULT_POLICY };
+let sweepTimer = null;
+
+export async function initApprovals(db) {
+  approvalDb = db;
+  const collection = db.collection(COLLECTION);
+  await collection.createIndex({ status: 1, expiresAt: 1 });
+  await collection.createIndex({ 'requestedBy.id': 1, createdAt: -1 });
+
+  const saved = await db.collection(STATE_COLLECTION).findOne({ _id: POLICY_ID });
+  if (saved) {
+    const { _id, updatedAt, updatedBy, ...fields } = saved;
+    policy = { ...DEFAULT_POLICY, ...fields };
+  }
+
+  if (sweepTimer) clearInterval(sweepTimer);
+  sweepTimer = setInterval(() => {
+    expirePendingApprovals().catch(err => console.error('Failed to expire approvals:', err.message));
+  }, SWEEP_INTERVAL_MS);
+
+  console.log(`✅ Approvals initialized (${policy.enabled ? `approver: ${policy.approverRole}, ${policy.ttlHours}h expiry` : 'disabled'})`);
+}
+
+export function getApprovalPolicy() {
+  return { ...policy };
+}
+
+// Validate and store policy changes; unknown fields are rejected
+export async function updateApprovalPolicy(changes, updatedBy) {
+  const next = { ...policy };
+
+  for (const [field, value] of Object.entries(changes || {})) {
+    if (['enabled', 'stabilizerMaxBuyIncrease', 'liquidityAutoManage'].includes(field)) {
+      if (typeof value !== 'boolean') throw new Error(`Invalid ${field}: must be true or false`);
+      next[field] = value;
+    } else if (field === 'ttlHours') {
+      if (!(Number(value) > 0)) throw new Error('Invalid ttlHours: must be a positive number');
+      next.ttlHours = Number(value);
+    } else if (field === 'approverRole') {
+      if (!APPROVER_ROLES.includes(value)) throw new Error(`Invalid approverRole: use ${APPROVER_ROLES.join(' or ')}`);
+      next.approverRole = value;
+    } else if (field === 'maxBuyThreshold') {
+      if (!(Number(value) >= 0)) throw new Error('Invalid maxBuyThreshold: must be zero or more');
+      next.maxBuyThreshold = Number(value);
+    } else if (field === 'transferQueueThreshold') {
+      if (value !== null && !(Number(value) >= 0)) throw new Error('Invalid transferQueueThreshold: must be zero or more, or null to turn off');
+      next.transferQueueThreshold = value === null ? null : Number(value);
+    } else {
+      throw new Error(`Invalid policy field: ${field}`);
+    }
+  }
+
+  await approvalDb.collection(STATE_COLLECTION).updateOne(
+    { _id: POLICY_ID },
+    { $set: { ...next, updatedAt: new Date(), updatedBy } },
+    { upsert: true }
+  );
+  policy = next;
+  return getApprovalPolicy();
+}
+
+// ============================================
+// Rules
+// ============================================
+
+// The stabilizer monitor treats a maxBuyAmount of 0 (or none) as no limit
+function effectiveMaxBuy(amount) {
+  const parsed = parseFloat(amount) || 0;
+  return parsed > 0 ? parsed : Infinity;
+}
+
+export function needsMaxBuyApproval(currentAmount, newAmount) {
+  const next = effectiveMaxBuy(newAmount);
+  return policy.enabled && policy.stabilizerMaxBuyIncrease
+    && next > effectiveMaxBuy(currentAmount) && next > policy.maxBuyThreshold;
+}
+
+export function needsTransferQueueApproval(totalAmount) {
+  return policy.enabled && policy.transferQueueThreshold !== null && totalAmount > policy.transferQueueThreshold;
+}
+
+// Monitors treat any truthy autoManage as on, so the check does too
+export function needsAutoManageApproval(currentlyEnabled, requested) {
+  return policy.enabled && policy.liquidityAutoManage && Boolean(requested) && !currentlyEnabled;
+}
+
+// ============================================
+// Requests and decisions
+// ============================================
+
+// apply(payload) performs the held change and returns a result to store; throw to mark it failed
+export function registerApprovalAction(action, apply) {
+  appliers.set(action, apply);
+}
+
+function toActor(authUser) {
+  return {
+    id: authUser?.id === null || authUser?.id === undefined ? null : String(authUser.id),
+    source: authUser?.source ?? null,
+    accountId: authUser?.accountId ?? null,
+    role: authUser?.role ?? null
+  };
+}
+
+export function toApprovalView(request) {
+  const { _id, payload, ...fields } = request;
+  return { id: _id.toString(), ...fields };
+}
+
+function escapeHtml(text) {
+  return String(text ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function notify(message) {
+  telegramService.sendMessage(message).catch(err =>
+    console.error('Failed to send approval notification:', err.message)
+  );
+}
+
+/**
+ * Hold a change for approval. action must have been registered with
+ * registerApprovalAction(); summary is a one-line description for approvers.
+ */
+export async function requestApproval({ action, summary, target, payload, requestedBy }) {
+  if (!approvalDb) {
+    throw new Error('Approvals not initialized');
+  }
+  if (!appliers.has(action)) {
+    throw new Error(`Unknown approval action: ${action}`);
+  }
+
+  const now = new Date();
+  const request = {
+    action,
+    summary,
+    target,
+    payload,
+    requestedBy: toActor(requestedBy),
+    status: 'pending',
+    createdAt: now,
+    expiresAt: new Date(now.getTime() + policy.ttlHours * 60 * 60 * 1000),
+    decidedBy: null,
+    decidedAt: null,
+    note: null,
+    result: null,
+    error: null
+  };
+  const result = await approvalDb.collection(COLLECTION).insertOne(request);
+  const saved = { ...request, _id: result.insertedId };
+
+  console.log(`🖐️ Approval requested: ${summary} (${result.insertedId})`);
+  notify(`🖐️ <b>Approval required</b>\n${escapeHtml(summary)}\nRequested by: ${request.requestedBy.id} (${request.requestedBy.source})\nID: <code>${result.insertedId}</code>\nExpires: ${request.expiresAt.toISOString()}`);
+  return toApprovalView(saved);
+}
+
+// Mark every overdue pending change expired; returns how many expired
+export async function expirePendingApprovals() {
+  if (!approvalDb) return 0;
+
+  const now = new Date();
+  const overdue = await approvalDb.collection(COLLECTION)
+    .find({ status: 'pending', expiresAt: { $lte: now } }, { projection: { summary: 1 } })
+    .toArray();
+
+  let expired = 0;
+  for (const request of overdue) {
+    const result = await approvalDb.collection(COLLECTION).updateOne(
+      { _id: request._id, status: 'pending' },
+      { $set: { status: 'expired', decidedAt: now } }
+    );
+    if (result.modifiedCount > 0) {
+      expired++;
+      notify(`⌛ <b>Approval expired</b>\n${escapeHtml(request.summary)}\nID: <code>${request._id}</code>`);
+    }
+  }
+  return expired;
+}
+
+async function loadRequest(id) {
+  const { ObjectId } = await import('mongodb');
+  if (!ObjectId.isValid(String(id))) return null;
+  return approvalDb.collection(COLLECTION).findOne({ _id: new ObjectId(String(id)) });
+}
+
+export async function getApprovalRequest(id) {
+  if (!approvalDb) {
+    throw new Error('Approvals not initialized');
+  }
+  await expirePendingApprovals();
+  return loadRequest(id);
+}
+
+/**
+ * List change requests, newest first. Filters: status, action,
+ * requestedBy (venue user ids; omit for everyone), limit.
+ */
+export async function listApprovalRequests(filters = {}) {
+  if (!approvalDb) {
+    throw new Error('Approvals not initialized');
+  }
+  await expirePendingApprovals();
+
+  const query = {};
+  if (filters.status) query.status = String(filters.status);
+  if (filters.action) query.action = String(filters.action);
+  if (filters.requestedBy) query['requestedBy.id'] = { $in: filters.requestedBy.map(String) };
+
+  const limit = Math.min(parseInt(filters.limit) || 100, 500);
+  const requests = await approvalDb.collection(COLLECTION)
+    .find(query, { projection: { payload: 0 } })
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .toArray();
+  return requests.map(toApprovalView);
+}
+
+// Claim a still-pending, unexpired request so only one decision can win
+async function claimPending(request, $set) {
+  return approvalDb.collection(COLLECTION).findOneAndUpdate(
+    { _id: request._id, status: 'pending', expiresAt: { $gt: new Date() } },
+    { $set },
+    { returnDocument: 'after' }
+  );
+}
+
+/**
+ * Approve a pending change and apply it. Throws "Cannot approve: ..." when
+ * the request is no longer pending. Returns the updated request.
+ */
+export async function approveRequest(request, approver, note = null) {
+  const claimed = await claimPending(request, {
+    status: 'approved',
+    decidedBy: toActor(approver),
+    decidedAt: new Date(),
+    note
+  });
+  if (!claimed) {
+    throw new Error(`Cannot approve: request is ${request.status === 'pending' ? 'expired' : request.status}`);
+  }
+
+  const $set = {};
+  try {
+    $set.result = (await appliers.get(claimed.action)(claimed.payload)) ?? null;
+    $set.status = 'applied';
+  } catch (error) {
+    console.error(`Error applying approved change ${claimed._id}:`, error.message);
+    $set.status = 'failed';
+    $set.error = error.message;
+  }
+  $set.appliedAt = new Date();
+
+  const updated = await approvalDb.collection(COLLECTION).findOneAndUpdate(
+    { _id: claimed._id },
+    { $set },
+    { returnDocument: 'after' }
+  );
+
+  notify(`${$set.status === 'applied' ? '✅' : '❌'} <b>Change ${$set.status === 'applied' ? 'approved and applied' : 'approved but failed'}</b>\n${escapeHtml(claimed.summary)}\nApproved by: ${claimed.decidedBy.id}${$set.error ? `\nError: ${escapeHtml($set.error)}` : ''}`);
+  return updated;
+}
+
+// Reject (by an approver) or cancel (by the requester) a pending change
+export async function closeRequest(request, actor, status, note = null) {
+  const closed = await claimPending(request, {
+    status,
+    decidedBy: toActor(actor),
+    decidedAt: new Date(),
+    note
+  });
+  if (!closed) {
+    throw new Error(`Cannot ${status === 'rejected' ? 'reject' : 'cancel'}: request is ${request.status === 'pending' ? 'expired' : request.status}`);
+  }
+
+  notify(`🚫 <b>Change ${status}</b>\n${escapeHtml(closed.summary)}\nBy: ${closed.decidedBy.id}${note ? `\nNote: ${escapeHtml(note)}` : ''}`);
+  return closed;
+}
+
+export default {
+  initApprovals,
+  getApprovalPolicy,
+  updateApprovalPolicy,
+  needsMaxBuyApproval,
+  needsTransferQueueApproval,
+  needsAutoManageApproval,
+  registerApprovalAction,
+  requestApproval,
+  expirePendingApprovals,
+  getApprovalRequest,
+  listApprovalRequests,
+  approveRequest,
+  closeRequest,
+  toApprovalView
+};
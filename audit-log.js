@@ -0,0 +1,346 @@
+import { uidVariants } from './identity.js';
+
+/**
+ * Audit Log
+ *
+ * Append-only record of every configuration and control action:
+ *   audit_log { timestamp, actor { id, source, accountId, role }, action, method, path,
+ *               target { type, id }, request, before, after, changes,
+ *               status, outcome, ip, userAgent }
+ *
+ * createAuditTrail() runs after the access guard on every mutating /api
+ * request. For requests on a known target (AUDIT_TARGETS) it snapshots the
+ * document before the handler runs and again once the response is sent, and
+ * stores the field-level changes. Secrets are redacted from request bodies
+ * and snapshots. Entries are only ever inserted: there is no TTL and no
+ * route updates or deletes them.
+ */
+
+const COLLECTION = 'audit_log';
+const DEFAULT_QUERY_LIMIT = 100;
+const MAX_QUERY_LIMIT = 500;
+const MAX_EXPORT_ROWS = parseInt(process.env.AUDIT_EXPORT_MAX_ROWS) || 10000;
+
+const MUTATING_METHODS = new Set(['POST', 'PUT', 'PATCH', 'DELETE']);
+
+// Reads sent as POST and sign-in polling; nothing changes, so nothing to audit
+const NOT_AUDITED = [
+  /^\/api\/market\//,
+  /^\/api\/users\/(info|balance)$/,
+  /^\/api\/backtest$/,
+  /^\/api\/bot\/conditions\/evaluate$/,
+  /^\/api\/installment\/queue\/gas-estimate$/,
+  /^\/api\/auth\/(qrcode(\/status)?|refresh)$/
+];
+
+const OBJECT_ID = '([0-9a-f]{24})';
+const underPath = (prefix) => new RegExp(`^${prefix}(?:\\/${OBJECT_ID})?(\\/|$)`);
+
+// First match wins: [path pattern (group 1 = target id, if any), target type, collection, query(req, id)]
+// Without a query the target is looked up by _id; create routes take the id from the response.
+const AUDIT_TARGETS = [
+  [underPath('\\/api\\/bot\\/conditions'), 'condition', 'bot_conditions'],
+  [underPath('\\/api\\/bot\\/scheduled'), 'scheduled_bot', 'scheduled_bots'],
+  [underPath('\\/api\\/bot\\/stabilizer'), 'stabilizer_bot', 'stabilizer_bots'],
+  [underPath('\\/api\\/bot\\/market-maker'), 'market_maker_bot', 'market_maker_bots'],
+  [underPath('\\/api\\/bot\\/buywall'), 'buywall_bot', 'buywall_bots'],
+  [underPath('\\/api\\/bot\\/price-keeper'), 'price_keeper_bot', 'price_keeper_bots'],
+  [underPath('\\/api\\/bots\\/[^/]+'), 'strategy_bot', 'strategy_bots'],
+  [underPath('\\/api\\/mexc\\/bot'), 'mexc_mm_bot', 'mexc_mm_bots'],
+  [underPath('\\/api\\/mexc-user\\/bot'), 'mexc_user_bot', 'mexc_user_bots'],
+  [underPath('\\/api\\/xt-user\\/bot'), 'xt_user_bot', 'xt_user_bots'],
+  [underPath('\\/api\\/xt-user\\/liquidity-bot'), 'xt_liquidity_bot', 'xt_liquidity_bots'],
+  [underPath('\\/api\\/xt-user\\/sell-liquidity-bot'), 'xt_sell_liquidity_bot', 'xt_sell_liquidity_bots'],
+  [/^\/api\/installment\/queue\/(?:create$|([^/]+)\/)/, 'transfer_queue', 'transfer_queues',
+    (req, id) => (id ? { queueId: id } : null)],
+  [/^\/api\/users\/api-credentials$|^\/api\/bot\/user\//, 'gcbex_user', 'users',
+    req => ({ uid: { $in: callerIds(req).flatMap(uidVariants) } })],
+  [/^\/api\/xt-user\/(add-credentials|credentials)$/, 'xt_credentials', 'xt_users',
+    req => ({ mexcUserId: { $in: callerIds(req).map(String) } })],
+  [underPath('\\/api\\/approvals'), 'approval', 'approval_requests'],
+  [/^\/api\/admin\/users\/[^/]+\/([^/]+)\/role$/, 'user', null],
+  [/^\/api\/auth\/sessions\/([^/]+)$/, 'session', null],
+  [/^\/api\/paper\/accounts\/([^/]+)\//, 'paper_account', null],
+  [/^\/api\/admin\/kill-switch/, 'kill_switch', null]
+];
+
+const SECRET_FIELD = /secret|password|token|privatekey|mnemonic|signature/i;
+
+let auditDb = null;
+
+export async function initAuditLog(db) {
+  auditDb = db;
+  const collection = db.collection(COLLECTION);
+  await collection.createIndex({ timestamp: -1 });
+  await collection.createIndex({ 'actor.id': 1, timestamp: -1 });
+  await collection.createIndex({ 'target.type': 1, 'target.id': 1, timestamp: -1 });
+  await collection.createIndex({ action: 1, timestamp: -1 });
+  console.log(`✅ Audit log initialized (${COLLECTION})`);
+}
+
+function callerIds(req) {
+  return req.authUser?.userIds || (req.authUser?.id !== undefined ? [req.authUser.id] : []);
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !(value instanceof Date) && !value._bsontype;
+}
+
+// Copy of a request body or document with secrets masked; API keys keep their usual 8-char prefix
+export function redact(value) {
+  if (Array.isArray(value)) return value.map(redact);
+  if (!isPlainObject(value)) return value;
+
+  return Object.fromEntries(Object.entries(value).map(([key, field]) => {
+    if (field === null || field === undefined || field === '') return [key, field];
+    if (SECRET_FIELD.test(key)) return [key, '[REDACTED]'];
+    if (/^apikey$/i.test(key) && typeof field === 'string') return [key, field.substring(0, 8) + '...'];
+    return [key, redact(field)];
+  }));
+}
+
+// Top-level fields that differ between two snapshots: [{ field, before, after }]
+export function diffSnapshots(before, after) {
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  fields.delete('_id');
+
+  const changes = [];
+  for (const field of fields) {
+    const from = before ? before[field] : undefined;
+    const to = after ? after[field] : undefined;
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes.push({ field, before: from ?? null, after: to ?? null });
+    }
+  }
+  return changes;
+}
+
+function findTarget(path) {
+  for (const [pattern, type, collection, query] of AUDIT_TARGETS) {
+    const match = pattern.exec(path);
+    if (match) {
+      return { type, collection, query, id: match[1] || null };
+    }
+  }
+  return null;
+}
+
+async function loadSnapshot(req, target, id) {
+  if (!target.collection) return null;
+
+  const { ObjectId } = await import('mongodb');
+  let query;
+  if (target.query) {
+    query = target.query(req, id);
+  } else if (id && ObjectId.isValid(String(id))) {
+    query = { _id: new ObjectId(String(id)) };
+  } else {
+    return null;
+  }
+  if (!query) return null;
+
+  const doc = await auditDb.collection(target.collection).findOne(query);
+  return doc ? redact(doc) : null;
+}
+
+// Id of a document a create route returned ({ data: { _id | id | queueId } })
+function createdId(body) {
+  const data = body?.data;
+  if (!isPlainObject(data)) return null;
+  const id = data._id ?? data.id ?? data.queueId ?? null;
+  return id === null ? null : String(id);
+}
+
+function toActor(authUser) {
+  if (!authUser) return null;
+  return {
+    id: authUser.id === null || authUser.id === undefined ? null : String(authUser.id),
+    source: authUser.source,
+    accountId: authUser.accountId,
+    role: authUser.role
+  };
+}
+
+async function recordEntry(req, res, target, before, responseBody) {
+  const id = target ? target.id || createdId(responseBody) : null;
+  const after = target ? await loadSnapshot(req, target, id) : null;
+
+  const entry = {
+    timestamp: new Date(),
+    actor: toActor(req.authUser),
+    action: `${req.method} ${req.route?.path ?? req.path}`,
+    method: req.method,
+    path: req.originalUrl,
+    target: target ? { type: target.type, id } : null,
+    request: isPlainObject(req.body) && Object.keys(req.body).length > 0 ? redact(req.body) : null,
+    before,
+    after,
+    changes: target?.collection ? diffSnapshots(before, after) : [],
+    status: res.statusCode,
+    outcome: res.statusCode < 400 ? 'success' : 'failed',
+    ip: req.ip || null,
+    userAgent: req.headers['user-agent'] || null
+  };
+
+  await auditDb.collection(COLLECTION).insertOne(entry);
+}
+
+// App-wide middleware; register after the access guard so req.authUser is set.
+// A failing audit write is reported but never fails the request itself.
+export function createAuditTrail() {
+  return async (req, res, next) => {
+    if (!auditDb || !MUTATING_METHODS.has(req.method) || !req.path.startsWith('/api/')) return next();
+    if (NOT_AUDITED.some(pattern => pattern.test(req.path))) return next();
+
+    const target = findTarget(req.path);
+    let before = null;
+    try {
+      before = target ? await loadSnapshot(req, target, target.id) : null;
+    } catch (error) {
+      console.error('Failed to snapshot audit target:', error.message);
+    }
+
+    let responseBody = null;
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      responseBody = body;
+      return json(body);
+    };
+
+    res.on('finish', () => {
+      recordEntry(req, res, target, before, responseBody).catch(err =>
+        console.error('Failed to write audit log:', err.message)
+      );
+    });
+
+    next();
+  };
+}
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function buildQuery(filters, ObjectId) {
+  const query = {};
+
+  if (filters.actorIds) {
+    query['actor.id'] = { $in: filters.actorIds.map(String) };
+  } else if (filters.actorId) {
+    query['actor.id'] = String(filters.actorId);
+  }
+  if (filters.accountId) query['actor.accountId'] = String(filters.accountId);
+  if (filters.targetType) query['target.type'] = String(filters.targetType);
+  if (filters.targetId) query['target.id'] = String(filters.targetId);
+  if (filters.method) query.method = String(filters.method).toUpperCase();
+  if (filters.outcome) {
+    if (!['success', 'failed'].includes(filters.outcome)) {
+      throw new Error('Invalid outcome (use success or failed)');
+    }
+    query.outcome = filters.outcome;
+  }
+
+  if (filters.action) {
+    query.action = { $regex: escapeRegex(String(filters.action)), $options: 'i' };
+  }
+
+  if (filters.from || filters.to) {
+    query.timestamp = {};
+    if (filters.from) query.timestamp.$gte = new Date(filters.from);
+    if (filters.to) query.timestamp.$lte = new Date(filters.to);
+    if (Object.values(query.timestamp).some(d => isNaN(d.getTime()))) {
+      throw new Error('Invalid from/to date');
+    }
+  }
+
+  if (filters.cursor) {
+    if (!ObjectId.isValid(filters.cursor)) {
+      throw new Error('Invalid cursor');
+    }
+    query._id = { $lt: new ObjectId(filters.cursor) };
+  }
+
+  return query;
+}
+
+/**
+ * Query audit entries, newest first.
+ * Filters: actorId (or actorIds), accountId, action (case-insensitive text),
+ * method, targetType, targetId, outcome (success|failed), from/to (dates).
+ * Pass the returned nextCursor as `cursor` to fetch the next page.
+ */
+export async function queryAudit(filters = {}) {
+  if (!auditDb) {
+    throw new Error('Audit log not initialized');
+  }
+
+  const { ObjectId } = await import('mongodb');
+  const query = buildQuery(filters, ObjectId);
+
+  const limit = Math.min(parseInt(filters.limit) || DEFAULT_QUERY_LIMIT, MAX_QUERY_LIMIT);
+  const entries = await auditDb.collection(COLLECTION)
+    .find(query)
+    .sort({ _id: -1 })
+    .limit(limit + 1)
+    .toArray();
+
+  const hasMore = entries.length > limit;
+  if (hasMore) entries.pop();
+
+  return {
+    entries,
+    nextCursor: hasMore ? entries[entries.length - 1]._id.toString() : null
+  };
+}
+
+const CSV_COLUMNS = [
+  ['timestamp', entry => entry.timestamp?.toISOString()],
+  ['actorId', entry => entry.actor?.id],
+  ['actorSource', entry => entry.actor?.source],
+  ['accountId', entry => entry.actor?.accountId],
+  ['role', entry => entry.actor?.role],
+  ['action', entry => entry.action],
+  ['path', entry => entry.path],
+  ['targetType', entry => entry.target?.type],
+  ['targetId', entry => entry.target?.id],
+  ['changes', entry => (entry.changes?.length ? JSON.stringify(entry.changes) : '')],
+  ['status', entry => entry.status],
+  ['outcome', entry => entry.outcome],
+  ['ip', entry => entry.ip]
+];
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Same filters as queryAudit (no paging), newest first, capped at AUDIT_EXPORT_MAX_ROWS
+export async function exportAuditCsv(filters = {}) {
+  if (!auditDb) {
+    throw new Error('Audit log not initialized');
+  }
+
+  const { ObjectId } = await import('mongodb');
+  const query = buildQuery({ ...filters, cursor: null }, ObjectId);
+  const entries = await auditDb.collection(COLLECTION)
+    .find(query)
+    .sort({ _id: -1 })
+    .limit(MAX_EXPORT_ROWS)
+    .toArray();
+
+  const lines = [CSV_COLUMNS.map(([name]) => name).join(',')];
+  for (const entry of entries) {
+    lines.push(CSV_COLUMNS.map(([, read]) => csvCell(read(entry))).join(','));
+  }
+  return { csv: lines.join('\n') + '\n', rows: entries.length, truncated: entries.length === MAX_EXPORT_ROWS };
+}
+
+export default {
+  initAuditLog,
+  createAuditTrail,
+  queryAudit,
+  exportAuditCsv,
+  redact,
+  diffSnapshots
+};
@@ -0,0 +1,71 @@
+import { queryAudit, exportAuditCsv } from './audit-log.js';
+import { isGlobalScope } from './access-control.js';
+
+// Setup audit trail query and export routes
+export function setupAuditRoutes(app) {
+
+  // Callers only see their own actions; owners can pass ?scope=all to query (and filter by) anyone
+  const auditFilters = (req) => {
+    const { actorId, accountId, action, method, targetType, targetId, outcome, from, to, cursor, limit } = req.query;
+    const filters = { action, method, targetType, targetId, outcome, from, to, cursor, limit };
+    if (isGlobalScope(req)) {
+      return { ...filters, actorId, accountId };
+    }
+    return { ...filters, actorIds: req.authUser.userIds || [req.authUser.id] };
+  };
+
+  // ============================================
+  // Audit Trail Endpoints
+  // ============================================
+
+  // GET /api/audit - Query configuration and control actions, newest first
+  // ?actorId=&accountId=&action=&method=&targetType=&targetId=&outcome=success|failed&from=&to=&cursor=&limit=
+  app.get('/api/audit', async (req, res) => {
+    try {
+      let result;
+      try {
+        result = await queryAudit(auditFilters(req));
+      } catch (error) {
+        if (error.message.startsWith('Invalid')) {
+          return res.status(400).json({ code: '-1', msg: error.message, data: null });
+        }
+        throw error;
+      }
+
+      res.json({ code: '0', msg: 'Success', data: result });
+    } catch (error) {
+      console.error('Error querying audit log:', error);
+      res.status(500).json({ code: '-1', msg: 'Failed to query audit log', data: null });
+    }
+  });
+
+  // GET /api/audit/export.csv - Same filters as /api/audit, as a CSV download
+  app.get('/api/audit/export.csv', async (req, res) => {
+    try {
+      let result;
+      try {
+        result = await exportAuditCsv(auditFilters(req));
+      } catch (error) {
+        if (error.message.startsWith('Invalid')) {
+          return res.status(400).json({ code: '-1', msg: error.message, data: null });
+        }
+        throw error;
+      }
+
+      const stamp = new Date().toISOString().slice(0, 10);
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="audit-${stamp}.csv"`);
+      if (result.truncated) {
+        res.setHeader('X-Audit-Truncated', 'true');
+      }
+      res.send(result.csv);
+    } catch (error) {
+      console.error('Error exporting audit log:', error);
+      res.status(500).json({ code: '-1', msg: 'Failed to export audit log', data: null });
+    }
+  });
+
+  console.log('✅ Audit routes initialized');
+}
+
+export default setupAuditRoutes;
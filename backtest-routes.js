@@ -0,0 +1,67 @@
+import { verifyBotUser } from './bot-routes.js';
+import { BACKTEST_STRATEGIES, loadSnapshots, runBacktest } from './backtester.js';
+
+const MAX_API_SNAPSHOTS = 5000;
+
+// Setup backtest routes
+export function setupBacktestRoutes(app, db) {
+  const requireUser = verifyBotUser(db);
+
+  // ============================================
+  // Backtest Endpoints
+  // ============================================
+
+  // POST /api/backtest - Replay recorded snapshots through a bot strategy
+  // Body: { strategy, exchange, symbol, from, to, bot, initialBalances, fees, liquidity, includeFills }
+  app.post('/api/backtest', requireUser, async (req, res) => {
+    try {
+      const {
+        strategy,
+        exchange = 'gcbex',
+        symbol,
+        from,
+        to,
+        bot = {},
+        initialBalances = {},
+        fees = {},
+        liquidity = null,
+        includeFills = false
+      } = req.body || {};
+
+      if (!BACKTEST_STRATEGIES.includes(strategy)) {
+        return res.status(400).json({ code: '-1', msg: `strategy must be one of: ${BACKTEST_STRATEGIES.join(', ')}`, data: null });
+      }
+      if (!symbol) {
+        return res.status(400).json({ code: '-1', msg: 'symbol is required', data: null });
+      }
+      if ((from && isNaN(new Date(from))) || (to && isNaN(new Date(to)))) {
+        return res.status(400).json({ code: '-1', msg: 'Invalid from/to date', data: null });
+      }
+
+      const snapshots = await loadSnapshots(db, { exchange, symbol, from, to, limit: MAX_API_SNAPSHOTS });
+      if (snapshots.length === 0) {
+        return res.status(404).json({ code: '-1', msg: 'No recorded snapshots for this market and range', data: null });
+      }
+
+      const report = await runBacktest({ strategy, exchange, symbol, bot, snapshots, initialBalances, fees, liquidity });
+      if (!includeFills) {
+        delete report.fills;
+      }
+
+      res.json({
+        code: '0',
+        msg: snapshots.length === MAX_API_SNAPSHOTS
+          ? `Success (capped at ${MAX_API_SNAPSHOTS} snapshots, narrow the range for the rest)`
+          : 'Success',
+        data: report
+      });
+    } catch (error) {
+      console.error('Error running backtest:', error);
+      res.status(500).json({ code: '-1', msg: 'Failed to run backtest', data: null });
+    }
+  });
+
+  console.log('✅ Backtest routes initialized');
+}
+
+export default setupBacktestRoutes;
@@ -0,0 +1,337 @@
+import { splitSymbol } from './exchange-clients.js';
+import { SimulatedExchange, SimulatedClient } from './simulated-exchange.js';
+import StabilizerBotMonitor from './stabilizer-bot-monitor.js';
+import BuyWallBotMonitor from './buywall-bot-monitor.js';
+import XtLiquidityBotMonitor from './xt-liquidity-bot-monitor.js';
+
+/**
+ * Backtester
+ *
+ * Replays recorded market snapshots through the bots' own strategy code
+ * against a simulated matching engine:
+ *   stabilizer   - StabilizerBotMonitor.calculateRequiredUSDT + market buys
+ *   buywall      - BuyWallBotMonitor.monitorAndManageBuyWall / monitorAndRefillOrders
+ *   xt-liquidity - XtLiquidityBotMonitor.analyzeLiquidity + generateNeededOrders
+ *
+ * Snapshots (collection `market_snapshots` written by market-data-recorder.js,
+ * or a JSON array for the CLI):
+ *   { exchange, symbol, timestamp, ticker: { price, bid, ask },
+ *     depth: { bids: [[price, qty]], asks: [[price, qty]] },
+ *     trades: [{ price, qty, side, timestamp }] }
+ *
+ * Matching rules are those of SimulatedExchange (simulated-exchange.js).
+ */
+
+export const SNAPSHOT_COLLECTION = 'market_snapshots';
+export const BACKTEST_STRATEGIES = ['stabilizer', 'buywall', 'xt-liquidity'];
+
+const MAX_TIMELINE_POINTS = 500;
+
+// ============================================
+// In-memory collections for monitors that persist bot state
+// ============================================
+
+function matches(doc, filter = {}) {
+  return Object.entries(filter).every(([key, value]) => {
+    if (value && typeof value === 'object' && !Array.isArray(value) && !value.toHexString) {
+      if ('$exists' in value) return (doc[key] !== undefined) === value.$exists;
+      return true;
+    }
+    return String(doc[key]) === String(value);
+  });
+}
+
+class MemoryCollection {
+  constructor() {
+    this.docs = [];
+  }
+
+  async findOne(filter) {
+    return this.docs.find(doc => matches(doc, filter)) || null;
+  }
+
+  find(filter) {
+    const docs = this.docs.filter(doc => matches(doc, filter));
+    const cursor = {
+      sort: () => cursor,
+      limit: n => { docs.splice(n); return cursor; },
+      toArray: async () => docs
+    };
+    return cursor;
+  }
+
+  async insertOne(doc) {
+    const _id = doc._id || `mem_${this.docs.length + 1}`;
+    this.docs.push({ ...doc, _id });
+    return { insertedId: _id };
+  }
+
+  async updateOne(filter, update) {
+    const doc = this.docs.find(d => matches(d, filter));
+    if (!doc) return { matchedCount: 0, modifiedCount: 0 };
+    Object.assign(doc, update.$set || {});
+    for (const [key, amount] of Object.entries(update.$inc || {})) {
+      doc[key] = (doc[key] || 0) + amount;
+    }
+    return { matchedCount: 1, modifiedCount: 1 };
+  }
+
+  async countDocuments(filter) {
+    return this.docs.filter(doc => matches(doc, filter)).length;
+  }
+}
+
+class MemoryDb {
+  constructor() {
+    this.collections = new Map();
+  }
+
+  collection(name) {
+    if (!this.collections.has(name)) {
+      this.collections.set(name, new MemoryCollection());
+    }
+    return this.collections.get(name);
+  }
+}
+
+// Keep a backtest from writing monitor logs, DB rows or Telegram messages
+function isolateMonitor(monitor, client) {
+  monitor.log = () => {};
+  monitor.getClient = () => client;
+  monitor.sleep = async () => {};
+  monitor.notifyOrdersPlaced = async () => {};
+  monitor.notifyOrdersRefilled = async () => {};
+  return monitor;
+}
+
+// ============================================
+// Strategy adapters: one step per snapshot
+// ============================================
+
+const BACKTEST_USER = { uid: 'backtest', apiKey: 'backtest', apiSecret: 'backtest' };
+
+function createStabilizerRunner(bot, client) {
+  const monitor = isolateMonitor(new StabilizerBotMonitor(new MemoryDb()), client);
+  const events = { checks: 0, triggers: 0, thresholdSkips: 0, gaps: 0 };
+
+  return {
+    events,
+    // Mirrors monitorAndStabilize without the gap-fill sequence (needs our own sells)
+    async step() {
+      events.checks++;
+      const marketPrice = await monitor.getMarketPrice(bot.symbol);
+      if (!marketPrice || marketPrice >= bot.targetPrice) return;
+
+      const orderBook = await monitor.getOrderBookDepth(bot.symbol);
+      if (!orderBook) return;
+
+      const calculation = monitor.calculateRequiredUSDT(orderBook, marketPrice, bot.targetPrice);
+      if (calculation.hasGap) {
+        events.gaps++;
+        return;
+      }
+
+      const maxBuyAmount = bot.maxBuyAmount || 0;
+      if (maxBuyAmount > 0 && calculation.requiredUSDT > maxBuyAmount) {
+        events.thresholdSkips++;
+        return;
+      }
+
+      if (calculation.requiredUSDT > 0) {
+        const symbolInfo = await monitor.getSymbolInfo(bot.symbol);
+        const result = await monitor.executeMarketBuy(BACKTEST_USER, bot.symbol, calculation.requiredUSDT, symbolInfo);
+        if (result.success) events.triggers++;
+      }
+    }
+  };
+}
+
+function createBuyWallRunner(bot, client) {
+  const db = new MemoryDb();
+  const monitor = isolateMonitor(new BuyWallBotMonitor(db), client);
+  const events = { checks: 0 };
+  const botId = 'backtest-buywall';
+  const ready = db.collection('buywall_bots').insertOne({ ...bot, _id: botId, ordersPlaced: false, placedOrders: [] });
+
+  return {
+    events,
+    async step() {
+      await ready;
+      events.checks++;
+      const current = await db.collection('buywall_bots').findOne({ _id: botId });
+      await monitor.monitorAndManageBuyWall(current, BACKTEST_USER);
+    }
+  };
+}
+
+function createXtLiquidityRunner(bot, client) {
+  const monitor = isolateMonitor(new XtLiquidityBotMonitor(new MemoryDb()), client);
+  const events = { checks: 0, ordersPlaced: 0, ordersFailed: 0 };
+  const config = { ...bot, ...(bot.config || {}) };
+
+  return {
+    events,
+    // Mirrors checkLiquidityBot's top-up path: analyze, generate what is missing, place it
+    async step() {
+      events.checks++;
+      const depth = await client.getDepth(bot.symbol, 100);
+      const midPrice = client.simulator.getMid();
+      if (!midPrice) return;
+
+      const analysis = monitor.analyzeLiquidity(depth, midPrice, config);
+      const openOrders = await client.getOpenOrders(bot.symbol);
+      const myBuys = openOrders.filter(o => o.side === 'BUY');
+      const mySells = openOrders.filter(o => o.side === 'SELL');
+      const needed = monitor.generateNeededOrders(analysis, config, await client.getSymbolInfo(), myBuys, mySells);
+
+      const orders = [
+        ...needed.buys.map(o => ({ symbol: bot.symbol, side: 'BUY', price: o.price, quantity: o.quantity })),
+        ...needed.sells.map(o => ({ symbol: bot.symbol, side: 'SELL', price: o.price, quantity: o.quantity }))
+      ];
+      for (const order of orders) {
+        const result = await client.placeOrder(order);
+        result.success ? events.ordersPlaced++ : events.ordersFailed++;
+      }
+    }
+  };
+}
+
+const RUNNERS = {
+  'stabilizer': createStabilizerRunner,
+  'buywall': createBuyWallRunner,
+  'xt-liquidity': createXtLiquidityRunner
+};
+
+// ============================================
+// Running a backtest
+// ============================================
+
+// Snapshots as stored by the market data recorder (symbols kept as BASEQUOTE)
+export async function loadSnapshots(db, { exchange, symbol, from, to, limit = 10000 }) {
+  const query = { exchange, symbol: splitSymbol(symbol).join('') };
+  if (from || to) {
+    query.timestamp = {};
+    if (from) query.timestamp.$gte = new Date(from);
+    if (to) query.timestamp.$lte = new Date(to);
+  }
+  return db.collection(SNAPSHOT_COLLECTION)
+    .find(query)
+    .sort({ timestamp: 1 })
+    .limit(limit)
+    .toArray();
+}
+
+/**
+ * Run a strategy over snapshots.
+ * @param {object} options
+ *   strategy         - 'stabilizer' | 'buywall' | 'xt-liquidity'
+ *   exchange, symbol - venue and market the snapshots belong to
+ *   bot              - bot document/config as stored for that strategy
+ *   snapshots        - ordered snapshot array
+ *   initialBalances  - { USDT: 1000, GCB: 0 }
+ *   fees             - { maker, taker } fractions
+ *   liquidity        - liquidity requirement config for compliance (defaults to the bot's)
+ */
+export async function runBacktest({ strategy, exchange = 'gcbex', symbol, bot = {}, snapshots, initialBalances = {}, fees = {}, liquidity = null }) {
+  const createRunner = RUNNERS[strategy];
+  if (!createRunner) {
+    throw new Error(`Unknown backtest strategy: ${strategy}`);
+  }
+  if (!Array.isArray(snapshots) || snapshots.length === 0) {
+    throw new Error('No snapshots to replay');
+  }
+
+  const botSymbol = symbol || bot.symbol || snapshots[0].symbol;
+  const simulator = new SimulatedExchange({ symbol: botSymbol, balances: initialBalances, fees });
+  const client = new SimulatedClient(exchange, simulator);
+  const runner = createRunner({ ...bot, symbol: botSymbol }, client);
+
+  const complianceConfig = liquidity || bot.config || bot;
+  const analyzer = new XtLiquidityBotMonitor(null);
+  analyzer.log = () => {};
+  const compliance = { checks: 0, spreadOk: 0, depth2PctOk: 0, depthTop20Ok: 0, orderCountOk: 0, gapsOk: 0, allOk: 0 };
+
+  const startBalances = simulator.getBalances();
+  const timeline = [];
+  const sampleEvery = Math.max(1, Math.ceil(snapshots.length / MAX_TIMELINE_POINTS));
+  let firstMid = null;
+
+  for (let i = 0; i < snapshots.length; i++) {
+    simulator.applySnapshot(snapshots[i]);
+    await runner.step();
+
+    const mid = simulator.getMid();
+    firstMid = firstMid ?? mid;
+
+    let compliant = null;
+    if (mid) {
+      const metrics = analyzer.analyzeLiquidity(simulator.getVisibleDepth(100), mid, complianceConfig).metrics;
+      const gapsOk = metrics.buyGapsOk && metrics.sellGapsOk;
+      compliant = metrics.spreadOk && metrics.depth2PctOk && metrics.depthTop20Ok && metrics.orderCountOk && gapsOk;
+      compliance.checks++;
+      compliance.spreadOk += metrics.spreadOk ? 1 : 0;
+      compliance.depth2PctOk += metrics.depth2PctOk ? 1 : 0;
+      compliance.depthTop20Ok += metrics.depthTop20Ok ? 1 : 0;
+      compliance.orderCountOk += metrics.orderCountOk ? 1 : 0;
+      compliance.gapsOk += gapsOk ? 1 : 0;
+      compliance.allOk += compliant ? 1 : 0;
+    }
+
+    if (i % sampleEvery === 0 || i === snapshots.length - 1) {
+      const balances = simulator.getBalances();
+      timeline.push({
+        timestamp: simulator.time,
+        mid,
+        base: balances[simulator.baseAsset].total,
+        quote: balances[simulator.quoteAsset].total,
+        openOrders: simulator.orders.size,
+        fills: simulator.fills.length,
+        compliant
+      });
+    }
+  }
+
+  const endBalances = simulator.getBalances();
+  const fills = simulator.fills;
+  const sum = (side, field) => fills.filter(f => f.side === side).reduce((total, f) => total + f[field], 0);
+  const lastMid = simulator.getMid();
+  const value = (balances, mid) => balances[simulator.quoteAsset].total + balances[simulator.baseAsset].total * (mid || 0);
+  const percent = count => compliance.checks > 0 ? Math.round(count / compliance.checks * 10000) / 100 : null;
+
+  return {
+    strategy,
+    exchange,
+    symbol: botSymbol,
+    from: snapshots[0].timestamp,
+    to: snapshots[snapshots.length - 1].timestamp,
+    snapshots: snapshots.length,
+    summary: {
+      fills: fills.length,
+      buyQuantity: sum('BUY', 'quantity'),
+      sellQuantity: sum('SELL', 'quantity'),
+      usdtSpent: sum('BUY', 'notional'),
+      usdtReceived: sum('SELL', 'notional'),
+      fees: fills.reduce((total, f) => total + f.fee, 0),
+      inventoryChange: endBalances[simulator.baseAsset].total - startBalances[simulator.baseAsset].total,
+      openOrders: simulator.orders.size,
+      startBalances,
+      endBalances,
+      startValue: value(startBalances, firstMid),
+      endValue: value(endBalances, lastMid),
+      events: runner.events
+    },
+    compliance: {
+      checks: compliance.checks,
+      spreadOkPct: percent(compliance.spreadOk),
+      depth2PctOkPct: percent(compliance.depth2PctOk),
+      depthTop20OkPct: percent(compliance.depthTop20Ok),
+      orderCountOkPct: percent(compliance.orderCountOk),
+      gapsOkPct: percent(compliance.gapsOk),
+      allOkPct: percent(compliance.allOk)
+    },
+    fills,
+    timeline
+  };
+}
+
+export default runBacktest;
@@ -0,0 +1,36 @@
+import { getBalanceServiceConfig, listBalanceEntries } from './balance-service.js';
+import { isGlobalScope } from './access-control.js';
+
+// Setup shared balance cache routes
+export function setupBalanceRoutes(app, balanceService) {
+
+  // ============================================
+  // Balance Cache Endpoints
+  // ============================================
+
+  // GET /api/balances - Cached balances of the caller's accounts with their age (?scope=all for every account)
+  app.get('/api/balances', (req, res) => {
+    try {
+      const userIds = isGlobalScope(req) ? null : (req.authUser.userIds || [req.authUser.id]);
+      const { balancePollInterval, staleAfterMs } = getBalanceServiceConfig();
+
+      res.json({
+        code: '0',
+        msg: 'Success',
+        data: {
+          balancePollInterval,
+          staleAfterMs,
+          lastRefresh: balanceService?.lastRefresh || null,
+          accounts: listBalanceEntries({ userIds })
+        }
+      });
+    } catch (error) {
+      console.error('Error listing cached balances:', error);
+      res.status(500).json({ code: '-1', msg: 'Failed to list cached balances', data: null });
+    }
+  });
+
+  console.log('✅ Balance routes initialized');
+}
+
+export default setupBalanceRoutes;
@@ -0,0 +1,216 @@
+import { createExchangeClient } from './exchange-clients.js';
+import { writeLog } from './log-store.js';
+import { openCredentials } from './credential-vault.js';
+
+/**
+ * Balance Service
+ *
+ * One shared balance cache for every monitor. A supervisor loop polls each
+ * credentialed account every balancePollInterval:
+ *   gcbex -> users with apiKey/apiSecret        (userId = users.uid)
+ *   mexc  -> mexc_users                         (userId = mexc_users._id)
+ *   xt    -> xt_users                           (userId = MEXC user id)
+ * and monitors read through getCachedBalances(client) instead of calling the
+ * venue's account endpoint on every tick.
+ *
+ * Entries are keyed by exchange + API key, so a reader only needs the client
+ * it already holds. Balances keep the normalized client shape
+ * { ASSET: { free, locked, total } }. Each entry also carries
+ * { fetchedAt, ageMs, stale, lastError, lastErrorAt }; an entry is stale once
+ * it is older than staleAfterMs. A failed refresh keeps the last good
+ * balances and records the error. Placing an order invalidates the account's
+ * entry so the next read fetches fresh balances.
+ *
+ * Paper clients and clients without an API key bypass the cache.
+ *
+ * Environment:
+ *   BALANCE_POLL_INTERVAL_MS - poll interval (default 30000)
+ *   BALANCE_STALE_AFTER_MS   - age after which an entry is stale (default 2 x poll interval)
+ */
+
+const config = {
+  balancePollInterval: parseInt(process.env.BALANCE_POLL_INTERVAL_MS) || 30000
+};
+config.staleAfterMs = parseInt(process.env.BALANCE_STALE_AFTER_MS) || config.balancePollInterval * 2;
+
+// Entries nobody polls or reads for this many stale periods are dropped (e.g. rotated keys)
+const PRUNE_AFTER_STALE_PERIODS = 5;
+
+const cache = new Map();
+const inFlight = new Map();
+
+function cacheKey(exchange, apiKey) {
+  return `${exchange}:${apiKey}`;
+}
+
+function toEntryView(entry) {
+  const ageMs = entry.fetchedAt ? Date.now() - entry.fetchedAt.getTime() : null;
+  return {
+    exchange: entry.exchange,
+    userId: entry.userId,
+    balances: entry.balances,
+    fetchedAt: entry.fetchedAt,
+    ageMs,
+    stale: ageMs === null || entry.invalidated || ageMs > config.staleAfterMs,
+    lastError: entry.lastError,
+    lastErrorAt: entry.lastErrorAt
+  };
+}
+
+function log(type, message, data = null) {
+  const emoji = type === 'success' ? '✅' : type === 'error' ? '❌' : type === 'warning' ? '⚠️' : 'ℹ️';
+  console.log(`${emoji} [Balances] ${message}`, data ? JSON.stringify(data).substring(0, 200) : '');
+  writeLog('balances', type, message, data);
+}
+
+// Fetch one account's balances into the cache; concurrent callers share the request
+async function refreshEntry(client, userId = null) {
+  const key = cacheKey(client.exchange, client.apiKey);
+  if (inFlight.has(key)) return inFlight.get(key);
+
+  const refresh = (async () => {
+    const entry = cache.get(key) || {
+      exchange: client.exchange,
+      userId: null,
+      balances: null,
+      fetchedAt: null,
+      invalidated: false,
+      lastError: null,
+      lastErrorAt: null
+    };
+    if (userId !== null) entry.userId = String(userId);
+
+    try {
+      const balances = await client.getBalances();
+      if (!balances) throw new Error('No balance data returned');
+      entry.balances = balances;
+      entry.fetchedAt = new Date();
+      entry.invalidated = false;
+      entry.lastError = null;
+      entry.lastErrorAt = null;
+    } catch (error) {
+      entry.lastError = error.message;
+      entry.lastErrorAt = new Date();
+    }
+
+    cache.set(key, entry);
+    return entry;
+  })();
+
+  inFlight.set(key, refresh);
+  try {
+    return await refresh;
+  } finally {
+    inFlight.delete(key);
+  }
+}
+
+/**
+ * Balances for the account behind `client`, from the cache when the entry is
+ * younger than maxAgeMs (default: not stale). Falls back to the last good
+ * balances when a refresh fails; null only when the account has never been
+ * fetched successfully.
+ */
+export async function getCachedBalances(client, { maxAgeMs = config.staleAfterMs } = {}) {
+  if (client.paper || !client.apiKey) {
+    return client.getBalances();
+  }
+
+  const cached = cache.get(cacheKey(client.exchange, client.apiKey));
+  if (cached?.fetchedAt && !cached.invalidated && Date.now() - cached.fetchedAt.getTime() <= maxAgeMs) {
+    return cached.balances;
+  }
+
+  const entry = await refreshEntry(client);
+  if (entry.lastError && entry.balances) {
+    log('warning', `Using ${toEntryView(entry).ageMs}ms old ${entry.exchange} balances: ${entry.lastError}`);
+  }
+  return entry.balances;
+}
+
+// Mark an account's entry stale after it trades, so the next read is fresh
+export function invalidateBalances(client) {
+  if (client?.paper || !client?.apiKey) return;
+  const entry = cache.get(cacheKey(client.exchange, client.apiKey));
+  if (entry) entry.invalidated = true;
+}
+
+// Cached entries (without API keys), optionally only for the given venue user ids
+export function listBalanceEntries({ userIds = null } = {}) {
+  const ids = userIds ? userIds.map(String) : null;
+  return [...cache.values()]
+    .filter(entry => entry.balances || entry.lastError)
+    .filter(entry => !ids || (entry.userId !== null && ids.includes(entry.userId)))
+    .map(toEntryView);
+}
+
+export function getBalanceServiceConfig() {
+  return { ...config };
+}
+
+class BalanceService {
+  constructor(db) {
+    this.db = db;
+    this.isRunning = false;
+    this.config = config;
+    this.lastRefresh = null;
+  }
+
+  log(type, message, data = null) {
+    log(type, message, data);
+  }
+
+  async initialize() {
+    this.log('success', `Balance service initialized (every ${config.balancePollInterval}ms, stale after ${config.staleAfterMs}ms)`);
+  }
+
+  // Every account with stored API credentials, across venues
+  async loadAccounts() {
+    const withKeys = { apiKey: { $exists: true, $ne: null }, apiSecret: { $exists: true, $ne: null } };
+    const [gcbexUsers, mexcUsers, xtUsers] = await Promise.all([
+      this.db.collection('users').find(withKeys).toArray(),
+      this.db.collection('mexc_users').find(withKeys).toArray(),
+      this.db.collection('xt_users').find(withKeys).toArray()
+    ]);
+
+    const accounts = [];
+    const add = (exchange, userId, doc) => {
+      try {
+        const credentials = openCredentials(doc);
+        if (credentials) accounts.push({ exchange, userId, credentials });
+      } catch (error) {
+        this.log('error', `Cannot open ${exchange} credentials for user ${userId}`, error.message);
+      }
+    };
+    gcbexUsers.forEach(user => add('gcbex', user.uid, user));
+    mexcUsers.forEach(user => add('mexc', user._id.toString(), user));
+    xtUsers.forEach(user => add('xt', user.mexcUserId, user));
+    return accounts;
+  }
+
+  // One tick: refresh every credentialed account, then drop abandoned entries
+  async refreshAll() {
+    const accounts = await this.loadAccounts();
+    let failed = 0;
+
+    for (const account of accounts) {
+      const client = createExchangeClient(account.exchange, account.credentials);
+      const entry = await refreshEntry(client, account.userId);
+      if (entry.lastError) {
+        failed++;
+        this.log('warning', `Balance refresh failed for ${account.exchange} user ${account.userId}`, entry.lastError);
+      }
+    }
+
+    const cutoff = Date.now() - config.staleAfterMs * PRUNE_AFTER_STALE_PERIODS;
+    for (const [key, entry] of cache) {
+      const lastSeen = Math.max(entry.fetchedAt?.getTime() || 0, entry.lastErrorAt?.getTime() || 0);
+      if (lastSeen < cutoff) cache.delete(key);
+    }
+
+    this.lastRefresh = { at: new Date(), accounts: accounts.length, failed };
+    return this.lastRefresh;
+  }
+}
+
+export default BalanceService;
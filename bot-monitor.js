@@ -1,12 +1,152 @@
-import crypto from 'crypto';
 import telegramService from './telegram-service.js';
+import { createExchangeClient, splitSymbol } from './exchange-clients.js';
+import { writeLog, withBotLogContext, getLogOwner } from './log-store.js';
+import { getCachedBalances } from './balance-service.js';
+import { getLinkedCredentials } from './exchange-credentials.js';
+import { trackConditionOrder } from './condition-orders.js';
+import {
+  claimTrigger,
+  completeCondition,
+  expireCondition,
+  getCooldownRemaining,
+  isConditionExpired,
+  isTriggerLimitReached,
+  rearmIfCrossed,
+  settleTrigger
+} from './condition-triggers.js';
+import {
+  DEFAULT_CONDITION_MARKET,
+  buildMarketSnapshot,
+  describeExpression,
+  evaluateExpression,
+  expressionUsesBalances,
+  getConditionExpression,
+  getConditionMarket
+} from './condition-expressions.js';
+
+// Used until a market's symbol info has been fetched (the old fixed 8 decimals)
+const DEFAULT_PRECISION = { pricePrecision: 8, quantityPrecision: 8, quotePrecision: 8 };
+
+// actionField names: the GCB/USDT ones predate multi-symbol rules and mean base/quote
+const BASE_QUANTITY_FIELDS = ['BASE_QUANTITY', 'GCB_QUANTITY'];
+const QUOTE_VALUE_FIELDS = ['QUOTE_VALUE', 'USDT_VALUE'];
+
+const symbolPrecision = new Map();
+
+// Key of a market in BotMonitor.marketData
+export function marketKey(exchange, symbol) {
+  return `${exchange}:${symbol}`;
+}
+
+// Price/quantity/quote decimals of a market, fetched once per process
+export async function loadSymbolPrecision(client, symbol) {
+  const key = marketKey(client.exchange, symbol);
+  if (symbolPrecision.has(key)) return symbolPrecision.get(key);
+  try {
+    const info = await client.getSymbolInfo(symbol);
+    if (!info) return DEFAULT_PRECISION;
+    const precision = {
+      pricePrecision: info.pricePrecision ?? DEFAULT_PRECISION.pricePrecision,
+      quantityPrecision: info.quantityPrecision ?? DEFAULT_PRECISION.quantityPrecision,
+      quotePrecision: info.quotePrecision ?? info.pricePrecision ?? DEFAULT_PRECISION.quotePrecision
+    };
+    symbolPrecision.set(key, precision);
+    return precision;
+  } catch (error) {
+    return DEFAULT_PRECISION;
+  }
+}
+
+/**
+ * Order a condition's action would send at the given market data and symbol
+ * precision: { orderBody, volume, sizing } or { error }. Shared by
+ * executeAction and the dry-run preview so both build exactly the same payload.
+ */
+export function buildConditionOrder(condition, marketData, precision = DEFAULT_PRECISION) {
+  const { actionType, actionField, actionValue, limitPrice } = condition;
+  const { symbol } = getConditionMarket(condition);
+  const [base, quote] = splitSymbol(symbol);
+  if (!marketData || !marketData.price) {
+    return { error: `No market data available for ${symbol}` };
+  }
+  if (!actionType) {
+    return { error: 'Condition has no actionType' };
+  }
+
+  // Calculate volume based on actionField and order side
+  // API Doc: "For MARKET BUY orders, vol=amount (quote value)"
+  // For MARKET SELL orders, vol=quantity (base quantity)
+  const side = actionType.includes('BUY') ? 'BUY' : 'SELL';
+  const type = actionType.includes('LIMIT') ? 'LIMIT' : 'MARKET';
+  let volume = 0;
+  let sizing = null;
+
+  if (side === 'BUY' && type === 'MARKET') {
+    // MARKET BUY: volume = quote amount
+    if (BASE_QUANTITY_FIELDS.includes(actionField)) {
+      // Convert base quantity to quote amount
+      volume = actionValue * marketData.price;
+      sizing = `BUY ${actionValue} ${base} = ${volume.toFixed(6)} ${quote} (price: ${marketData.price})`;
+    } else if (QUOTE_VALUE_FIELDS.includes(actionField)) {
+      volume = actionValue;
+      sizing = `BUY with ${volume.toFixed(6)} ${quote}`;
+    }
+  } else {
+    // MARKET SELL or LIMIT orders: volume = base quantity
+    if (BASE_QUANTITY_FIELDS.includes(actionField)) {
+      volume = actionValue;
+    } else if (QUOTE_VALUE_FIELDS.includes(actionField)) {
+      // Convert quote value to base quantity
+      volume = actionValue / marketData.price;
+    }
+  }
+
+  const orderBody = {
+    symbol,
+    side,
+    type,
+    quantity: volume.toFixed(precision.quantityPrecision)
+  };
+
+  // For MARKET BUY the exchange treats volume as the quote amount
+  if (type === 'MARKET' && side === 'BUY') {
+    orderBody.quantity = volume.toFixed(precision.quotePrecision);
+    orderBody.quoteQty = orderBody.quantity;
+  }
+
+  // Add price for limit orders
+  if (type === 'LIMIT') {
+    if (!limitPrice) {
+      return { error: 'Limit price required for limit order' };
+    }
+    orderBody.price = Number(limitPrice).toFixed(precision.pricePrecision);
+    orderBody.timeInForce = 'GTC';
+  }
+
+  return { orderBody, volume, sizing };
+}
+
+// Funds an order needs from the account: quote asset for buys, base asset for sells
+export function checkOrderFunds(orderBody, balances, marketData) {
+  const [base, quote] = splitSymbol(orderBody.symbol);
+  const quantity = parseFloat(orderBody.quantity) || 0;
+  let asset = base;
+  let required = quantity;
+  if (orderBody.side === 'BUY') {
+    asset = quote;
+    required = orderBody.type === 'MARKET'
+      ? quantity
+      : quantity * (parseFloat(orderBody.price) || marketData?.price || 0);
+  }
+  const available = balances?.[asset]?.free || 0;
+  return { asset, required, available, sufficient: available >= required };
+}
 
 class BotMonitor {
   constructor(db, config = {}) {
     this.db = db;
     this.isRunning = false;
     this.marketData = {};
-    this.userBalances = {};
     this.config = {
       marketPollInterval: config.marketPollInterval || 100000, // 100 seconds
       balancePollInterval: config.balancePollInterval || 30000, // 30 seconds
@@ -17,7 +157,7 @@ class BotMonitor {
     this.openApiBase = config.openApiBase || 'https://openapi.gcbex.com';
     this.logs = [];
     this.maxLogs = 1000;
-    this.lastTriggers = new Map(); // Track last trigger time for each condition
+    this.lastTriggers = new Map(); // Last trigger per condition since start (status only; cooldown is persisted)
     this.marketPollTimer = null;
     this.conditionCheckTimer = null;
   }
@@ -27,7 +167,8 @@ class BotMonitor {
       timestamp: new Date().toISOString(),
       level,
       message,
-      data
+      data,
+      ...getLogOwner()
     };
     this.logs.unshift(logEntry);
     if (this.logs.length > this.maxLogs) {
@@ -42,6 +183,7 @@ class BotMonitor {
       trade: '💱'
     };
     console.log(`${emoji[level] || '📝'} [BOT] ${message}`, data ? data : '');
+    writeLog('conditional', level, message, data);
   }
 
   async start() {
@@ -74,71 +216,103 @@ class BotMonitor {
     this.log('info', 'Bot monitoring service stopped');
   }
 
+  getClient() {
+    return createExchangeClient('gcbex', {}, { baseUrl: this.openApiBase });
+  }
+
+  // Public market data client for a venue
+  getMarketClient(exchange) {
+    return exchange === 'gcbex' ? this.getClient() : createExchangeClient(exchange);
+  }
+
+  // Client a condition trades with: the owner's key on the condition's exchange
+  // (MEXC/XT through the MEXC login linked to their account). Call inside the
+  // condition's log context so paper-mode rules get a paper client.
+  async getTradingClient(condition, user) {
+    const { exchange } = getConditionMarket(condition);
+    const credentials = await getLinkedCredentials(this.db, user, exchange);
+    if (!credentials) return null;
+    return createExchangeClient(exchange, credentials, exchange === 'gcbex' ? { baseUrl: this.openApiBase } : {});
+  }
+
+  getMarket(condition) {
+    const { exchange, symbol } = getConditionMarket(condition);
+    return this.marketData[marketKey(exchange, symbol)] || null;
+  }
+
+  // Markets of the active conditions (GCBUSDT on GCBEX is always watched)
+  async getWatchedMarkets() {
+    const conditions = await this.db.collection('bot_conditions')
+      .find({ isActive: true }, { projection: { exchange: 1, symbol: 1 } })
+      .toArray();
+
+    const markets = new Map();
+    [DEFAULT_CONDITION_MARKET, ...conditions.map(getConditionMarket)].forEach(market => {
+      markets.set(marketKey(market.exchange, market.symbol), market);
+    });
+    return markets;
+  }
+
   async pollMarketData() {
     try {
-      const symbols = ['gcbusdt']; // Add more symbols as needed
-      
-      for (const symbol of symbols) {
-        const url = `${this.openApiBase}/sapi/v2/ticker?symbol=${symbol}`;
-        const response = await fetch(url);
-        const data = await response.json();
-
-        if (data && data.last) {
-          this.marketData[symbol.toUpperCase()] = {
-            symbol: symbol.toUpperCase(),
-            price: parseFloat(data.last),
-            high24h: parseFloat(data.high || 0),
-            low24h: parseFloat(data.low || 0),
-            volume24h: parseFloat(data.vol || 0),
-            change24h: parseFloat(data.rose || 0),
+      const markets = await this.getWatchedMarkets();
+
+      for (const [key, { exchange, symbol }] of markets) {
+        try {
+          const client = this.getMarketClient(exchange);
+          const ticker = await client.getTicker(symbol);
+
+          if (!ticker) {
+            this.log('warning', `No price data received for ${key}`);
+            continue;
+          }
+
+          // Order book feeds the bid/ask, spread and depth fields of condition expressions
+          let depth = null;
+          try {
+            depth = await client.getDepth(symbol, 100);
+          } catch (error) {
+            this.log('warning', `Order book unavailable for ${key}`, error.message);
+          }
+
+          this.marketData[key] = {
+            exchange,
+            symbol,
+            ...buildMarketSnapshot(ticker, depth),
+            high24h: ticker.high24h,
+            low24h: ticker.low24h,
             timestamp: new Date()
           };
-          this.log('info', `📊 Market data updated: ${symbol.toUpperCase()} = $${data.last}`);
-        } else {
-          this.log('warning', `No price data received for ${symbol}`, data);
+          this.log('info', `📊 Market data updated: ${key} = ${ticker.price}`);
+        } catch (error) {
+          this.log('error', `Error polling market data for ${key}`, error.message);
         }
       }
+
+      // Forget markets no active condition watches any more
+      Object.keys(this.marketData)
+        .filter(key => !markets.has(key))
+        .forEach(key => delete this.marketData[key]);
     } catch (error) {
       this.log('error', 'Error polling market data', error.message);
     }
   }
 
-  async fetchUserBalance(user) {
+  async fetchUserBalance(user, client) {
     try {
-      if (!user || !user.apiKey || !user.apiSecret) {
+      if (!client) {
         this.log('error', 'User API credentials missing');
         return null;
       }
 
-      // Use server time for accurate timestamp
-      const timestamp = (await this.getServerTime()).toString();
-      const method = 'GET';
-      const requestPath = '/sapi/v1/account';
-      const message = `${timestamp}${method.toUpperCase()}${requestPath}`;
-      const signature = crypto
-        .createHmac('sha256', user.apiSecret)
-        .update(message)
-        .digest('hex');
-
-      this.log('info', `Fetching balance for user ${user.uid} with timestamp: ${timestamp}`);
-
-      const response = await fetch(`${this.openApiBase}${requestPath}`, {
-        method: 'GET',
-        headers: {
-          'X-CH-APIKEY': user.apiKey,
-          'X-CH-TS': timestamp,
-          'X-CH-SIGN': signature,
-        },
-      });
+      // Returns { ASSET: { free, locked, total } } from the shared cache, at most balancePollInterval old
+      const balances = await getCachedBalances(client, { maxAgeMs: this.config.balancePollInterval });
 
-      const data = await response.json();
-
-      if (data.balances) {
-        this.log('info', `✅ Balance fetched successfully for user ${user.uid}: ${data.balances.length} assets`);
-        return data.balances;
+      if (balances) {
+        return balances;
       }
 
-      this.log('error', `Balance fetch failed for user ${user.uid}`, JSON.stringify(data));
+      this.log('error', `Balance fetch failed for user ${user.uid}`);
       return null;
     } catch (error) {
       this.log('error', `Error fetching balance for user ${user.uid}`, error.message);
@@ -170,15 +344,13 @@ class BotMonitor {
       // Get unique user IDs
       const userIds = [...new Set(conditions.map(c => c.userId))];
 
-      // Fetch users with API credentials AND botEnabled: true
+      // Fetch users with botEnabled: true; credentials are resolved per condition exchange
       const users = await this.db.collection('users').find({
         uid: { $in: userIds },
-        apiKey: { $exists: true },
-        apiSecret: { $exists: true },
         botEnabled: true
       }).toArray();
 
-      this.log('info', `👥 Found ${users.length} user(s) with bot enabled and API credentials out of ${userIds.length} user(s)`);
+      this.log('info', `👥 Found ${users.length} user(s) with bot enabled out of ${userIds.length} user(s)`);
 
       const userMap = {};
       users.forEach(u => userMap[u.uid] = u);
@@ -187,115 +359,92 @@ class BotMonitor {
       for (const condition of conditions) {
         const user = userMap[condition.userId];
         if (!user) {
-          this.log('warning', `Skipping condition "${condition.name}" - User ${condition.userId} has no API credentials`);
-          continue; // Skip if user not found or no API credentials
+          this.log('warning', `Skipping condition "${condition.name}" - User ${condition.userId} does not have the bot enabled`);
+          continue; // Skip if user not found or bot disabled
         }
 
-        // Check cooldown
-        const lastTrigger = this.lastTriggers.get(condition._id.toString());
-        if (lastTrigger && (Date.now() - lastTrigger) < this.config.conditionCooldown) {
-          const remainingCooldown = Math.ceil((this.config.conditionCooldown - (Date.now() - lastTrigger)) / 1000);
-          this.log('info', `⏳ Condition "${condition.name}" in cooldown (${remainingCooldown}s remaining)`);
+        // Lifecycle: expiry and used-up triggers deactivate the rule (see condition-triggers.js)
+        if (isConditionExpired(condition)) {
+          await expireCondition(condition);
+          this.log('info', `⌛ Condition "${condition.name}" expired and was deactivated`);
+          continue;
+        }
+        if (isTriggerLimitReached(condition)) {
+          await completeCondition(condition);
+          this.log('info', `🏁 Condition "${condition.name}" reached its trigger limit and was deactivated`);
+          continue;
+        }
+
+        // Check cooldown (persisted, so it survives restarts)
+        const remainingCooldownMs = getCooldownRemaining(condition, this.config.conditionCooldown);
+        if (remainingCooldownMs > 0) {
+          this.log('info', `⏳ Condition "${condition.name}" in cooldown (${Math.ceil(remainingCooldownMs / 1000)}s remaining)`);
           continue; // Still in cooldown period
         }
 
-        this.log('info', `🎯 Evaluating condition: "${condition.name}" (${condition.conditionField} ${condition.conditionOperator} ${condition.conditionValue})`);
+        // Hysteresis: after firing, wait for the price to cross back past rearmThreshold
+        const { exchange, symbol } = getConditionMarket(condition);
+        const price = this.getMarket(condition)?.price ?? null;
+        if (!(await rearmIfCrossed(condition, price))) {
+          this.log('info', `🔒 Condition "${condition.name}" waiting to re-arm (price ${price ?? 'n/a'}, re-arm at ${condition.rearmThreshold})`);
+          continue;
+        }
+
+        this.log('info', `🎯 Evaluating condition: "${condition.name}" on ${exchange}:${symbol}`);
 
         // Evaluate condition
-        const shouldTrigger = await this.evaluateCondition(condition, user);
-        
-        if (shouldTrigger) {
-          await this.executeAction(condition, user);
-        }
+        await withBotLogContext(condition, exchange, async () => {
+          const client = await this.getTradingClient(condition, user);
+          if (!client) {
+            this.log('warning', `Skipping condition "${condition.name}" - User ${condition.userId} has no ${exchange} API credentials`);
+            return;
+          }
+
+          const shouldTrigger = await this.evaluateCondition(condition, user, client);
+          if (!shouldTrigger) return;
+
+          const claimed = await claimTrigger(condition, price);
+          if (!claimed) {
+            this.log('info', `Condition "${condition.name}" was already triggered elsewhere, skipping`);
+            return;
+          }
+
+          const outcome = await this.executeAction(claimed, user, client);
+          await settleTrigger(claimed, outcome, price);
+        });
       }
     } catch (error) {
       this.log('error', 'Error checking conditions', error.message);
     }
   }
 
-  async evaluateCondition(condition, user) {
+  async evaluateCondition(condition, user, client) {
     try {
-      const { conditionField, conditionOperator, conditionValue } = condition;
-      let currentValue = null;
-
-      // Get current value based on condition field
-      if (conditionField === 'GCB_PRICE') {
-        const marketData = this.marketData['GCBUSDT'];
-        if (!marketData) return false;
-        currentValue = marketData.price;
-        
-        this.log('info', `Evaluating GCB_PRICE: current=${currentValue}, target=${conditionValue}, operator=${conditionOperator}`);
-      } 
-      // DISABLED: Balance-based conditions (GCB_QUANTITY, USDT_QUANTITY)
-      // Uncomment below when ready to enable balance monitoring
-      /*
-      else if (conditionField === 'GCB_QUANTITY') {
-        // Fetch user balance if not cached
-        if (!this.userBalances[user.uid] || (Date.now() - this.userBalances[user.uid].timestamp) > this.config.balancePollInterval) {
-          const balance = await this.fetchUserBalance(user);
-          if (balance) {
-            this.userBalances[user.uid] = {
-              balances: balance,
-              timestamp: Date.now()
-            };
-          }
-        }
-        
-        const userBalance = this.userBalances[user.uid];
-        if (!userBalance || !userBalance.balances.GCB) return false;
-        currentValue = userBalance.balances.GCB.available;
-      }
-      else if (conditionField === 'USDT_QUANTITY') {
-        // Fetch user balance if not cached
-        if (!this.userBalances[user.uid] || (Date.now() - this.userBalances[user.uid].timestamp) > this.config.balancePollInterval) {
-          const balance = await this.fetchUserBalance(user);
-          if (balance) {
-            this.userBalances[user.uid] = {
-              balances: balance,
-              timestamp: Date.now()
-            };
-          }
-        }
-        
-        const userBalance = this.userBalances[user.uid];
-        if (!userBalance || !userBalance.balances.USDT) return false;
-        currentValue = userBalance.balances.USDT.available;
-      }
-      */
-      else {
-        this.log('warning', `Unsupported condition field: ${conditionField} (only GCB_PRICE is enabled)`);
+      const expression = getConditionExpression(condition);
+      if (!expression) {
+        this.log('warning', `Unsupported condition field: ${condition.conditionField} (use conditionExpression, GCB_PRICE, GCB_QUANTITY or USDT_QUANTITY)`);
         return false;
       }
 
-      if (currentValue === null) return false;
-
-      // Evaluate operator
-      let conditionMet = false;
-      switch (conditionOperator) {
-        case 'ABOVE':
-          conditionMet = currentValue > conditionValue;
-          break;
-        case 'BELOW':
-          conditionMet = currentValue < conditionValue;
-          break;
-        case 'EQUAL':
-          // More lenient float comparison for EQUAL - within 0.1% tolerance
-          const tolerance = conditionValue * 0.001;
-          conditionMet = Math.abs(currentValue - conditionValue) <= tolerance;
-          this.log('info', `EQUAL check: diff=${Math.abs(currentValue - conditionValue)}, tolerance=${tolerance}, met=${conditionMet}`);
-          break;
-        case 'NOT_EQUAL':
-          conditionMet = Math.abs(currentValue - conditionValue) > 0.0001;
-          break;
-        default:
-          return false;
+      const context = {
+        market: this.getMarket(condition),
+        balances: expressionUsesBalances(expression) ? await this.fetchUserBalance(user, client) : null,
+        now: new Date()
+      };
+      const description = describeExpression(expression);
+      const result = evaluateExpression(expression, context);
+
+      if (result === null) {
+        this.log('info', `Evaluating ${description}: market or balance data unavailable, skipping`);
+        return false;
       }
 
-      if (conditionMet) {
-        this.log('success', `Condition met! ${conditionField} ${conditionOperator} ${conditionValue}`, { currentValue, conditionValue });
+      this.log('info', `Evaluating ${description}: ${result ? 'met' : 'not met'}`);
+      if (result) {
+        this.log('success', `Condition met! ${description}`, { price: context.market?.price ?? null });
       }
 
-      return conditionMet;
+      return result;
     } catch (error) {
       this.log('error', `Error evaluating condition ${condition._id}`, error.message);
       return false;
@@ -303,19 +452,12 @@ class BotMonitor {
   }
 
   async getServerTime() {
-    try {
-      const response = await fetch(`${this.openApiBase}/sapi/v1/time`);
-      const data = await response.json();
-      return data.serverTime;
-    } catch (error) {
-      this.log('warning', 'Failed to fetch server time, using local time', error.message);
-      return Date.now();
-    }
+    return this.getClient().getServerTime();
   }
 
-  async executeAction(condition, user) {
+  async executeAction(condition, user, client) {
     try {
-      const { actionType, actionField, actionValue, limitPrice, _id, name } = condition;
+      const { actionType, limitPrice, _id, name } = condition;
 
       this.log('trade', `Condition triggered: ${name}`, {
         conditionId: _id.toString(),
@@ -323,149 +465,70 @@ class BotMonitor {
         actionType
       });
 
-      // Get market data for calculations
-      const marketData = this.marketData['GCBUSDT'];
+      // Get market data and symbol precision for calculations
+      const { exchange, symbol } = getConditionMarket(condition);
+      const marketData = this.getMarket(condition);
       if (!marketData) {
-        this.log('error', 'No market data available for trade execution');
-        return;
+        this.log('error', `No market data available for ${exchange}:${symbol}`);
+        return { success: false, error: 'No market data available' };
       }
 
-      // Calculate volume based on actionField and order side
-      // API Doc: "For MARKET BUY orders, vol=amount (USDT value)"
-      // For MARKET SELL orders, vol=quantity (GCB quantity)
-      const side = actionType.includes('BUY') ? 'BUY' : 'SELL';
-      let volume = 0;
-      
-      if (side === 'BUY' && actionType.includes('MARKET')) {
-        // MARKET BUY: volume = USDT amount
-        if (actionField === 'GCB_QUANTITY') {
-          // Convert GCB quantity to USDT amount
-          volume = actionValue * marketData.price;
-          this.log('info', `📐 BUY ${actionValue} GCB = ${volume.toFixed(6)} USDT (price: ${marketData.price})`);
-        } else if (actionField === 'USDT_VALUE') {
-          volume = actionValue;
-          this.log('info', `📐 BUY with ${volume.toFixed(6)} USDT`);
-        }
-      } else {
-        // MARKET SELL or LIMIT orders: volume = GCB quantity
-        if (actionField === 'GCB_QUANTITY') {
-          volume = actionValue;
-        } else if (actionField === 'USDT_VALUE') {
-          // Convert USDT value to GCB quantity
-          volume = actionValue / marketData.price;
-        }
+      const precision = await loadSymbolPrecision(client, symbol);
+      const { orderBody, volume, sizing, error: orderError } = buildConditionOrder(condition, marketData, precision);
+      if (orderError) {
+        this.log('error', orderError);
+        return { success: false, error: orderError };
+      }
+      if (sizing) {
+        this.log('info', `📐 ${sizing}`);
       }
 
       // Fetch user balance before trade
-      const balance = await this.fetchUserBalance(user);
+      const balance = await this.fetchUserBalance(user, client);
       
       if (balance) {
-        const gcbBalance = balance.find(b => b.asset === 'GCB');
-        const usdtBalance = balance.find(b => b.asset === 'USDT');
+        const [baseAsset, quoteAsset] = splitSymbol(symbol);
+        const baseBalance = balance[baseAsset];
+        const quoteBalance = balance[quoteAsset];
         
         this.log('info', '💰 Current Balance:', {
-          GCB: gcbBalance ? `${gcbBalance.free} (locked: ${gcbBalance.locked})` : '0',
-          USDT: usdtBalance ? `${usdtBalance.free} (locked: ${usdtBalance.locked})` : '0'
+          [baseAsset]: baseBalance ? `${baseBalance.free} (locked: ${baseBalance.locked})` : '0',
+          [quoteAsset]: quoteBalance ? `${quoteBalance.free} (locked: ${quoteBalance.locked})` : '0'
         });
 
-        // Calculate required amount
-        const side = actionType.includes('BUY') ? 'BUY' : 'SELL';
-        const marketData = this.marketData['GCBUSDT'];
-        
-        if (side === 'BUY' && marketData) {
-          const requiredUsdt = actionValue * marketData.price;
-          const availableUsdt = usdtBalance ? parseFloat(usdtBalance.free) : 0;
-          this.log('info', `💵 Required: ${requiredUsdt.toFixed(6)} USDT | Available: ${availableUsdt.toFixed(6)} USDT`);
-          
-          if (availableUsdt < requiredUsdt) {
-            this.log('warning', `⚠️ Insufficient USDT balance. Need ${requiredUsdt.toFixed(6)} but only have ${availableUsdt.toFixed(6)}`);
-          }
-        } else if (side === 'SELL') {
-          const requiredGcb = actionValue;
-          const availableGcb = gcbBalance ? parseFloat(gcbBalance.free) : 0;
-          this.log('info', `💎 Required: ${requiredGcb} GCB | Available: ${availableGcb} GCB`);
-          
-          if (availableGcb < requiredGcb) {
-            this.log('warning', `⚠️ Insufficient GCB balance. Need ${requiredGcb} but only have ${availableGcb}`);
-          }
+        const funds = checkOrderFunds(orderBody, balance, marketData);
+        const emoji = funds.asset === quoteAsset ? '💵' : '💎';
+        this.log('info', `${emoji} Required: ${funds.required.toFixed(6)} ${funds.asset} | Available: ${funds.available.toFixed(6)} ${funds.asset}`);
+        if (!funds.sufficient) {
+          this.log('warning', `⚠️ Insufficient ${funds.asset} balance. Need ${funds.required.toFixed(6)} but only have ${funds.available.toFixed(6)}`);
         }
       } else {
         this.log('warning', 'Could not fetch balance before trade');
       }
 
-      // Build order
-      const orderBody = {
-        symbol: 'GCBUSDT',
-        side: actionType.includes('BUY') ? 'BUY' : 'SELL',
-        type: actionType.includes('LIMIT') ? 'LIMIT' : 'MARKET',
-        volume: volume.toFixed(8)
-      };
-
-      // Add price for limit orders
-      if (actionType.includes('LIMIT')) {
-        if (!limitPrice) {
-          this.log('error', 'Limit price required for limit order');
-          return;
-        }
-        orderBody.price = limitPrice.toString();
-        orderBody.timeInForce = 'GTC';
-      }
-
-      // Get server time for accurate timestamp
-      const timestamp = (await this.getServerTime()).toString();
-      const method = 'POST';
-      const requestPath = '/sapi/v2/order';
-      const bodyJson = JSON.stringify(orderBody, null, 0).replace(/\s/g, '');
-      const message = `${timestamp}${method.toUpperCase()}${requestPath}${bodyJson}`;
-      const signature = crypto
-        .createHmac('sha256', user.apiSecret)
-        .update(message)
-        .digest('hex');
-
-      this.log('info', `Executing trade with server-synced timestamp: ${timestamp}`);
+      this.log('info', `Executing trade: ${orderBody.side} ${orderBody.type} ${orderBody.symbol} on ${exchange}`);
 
       // Execute trade
-      const response = await fetch(`${this.openApiBase}${requestPath}`, {
-        method: 'POST',
-        headers: {
-          'X-CH-APIKEY': user.apiKey,
-          'X-CH-TS': timestamp,
-          'X-CH-SIGN': signature,
-          'Content-Type': 'application/json'
-        },
-        body: bodyJson
-      });
-
-      const result = await response.json();
+      const orderResult = await client.placeOrder(orderBody);
+      const result = orderResult.data || { msg: orderResult.error };
 
       // Check if order was successful
-      if (result.orderId) {
+      if (orderResult.success) {
         this.log('success', `Trade executed successfully: ${actionType}`, {
-          orderId: result.orderId,
-          symbol: result.symbol,
+          orderId: orderResult.orderId ?? result.orderId,
+          symbol,
           volume: volume,
           price: result.price || 'MARKET'
         });
 
-        // Update condition in database
-        await this.db.collection('bot_conditions').updateOne(
-          { _id: condition._id },
-          {
-            $set: {
-              lastTriggered: new Date(),
-              updatedAt: new Date()
-            },
-            $inc: { triggerCount: 1 }
-          }
-        );
-
         // Save trade to history
         await this.db.collection('bot_trades').insertOne({
           conditionId: condition._id,
           conditionName: name,
           userId: user.uid,
-          orderId: result.orderId,
-          symbol: result.symbol,
+          exchange,
+          orderId: orderResult.orderId ?? result.orderId,
+          symbol,
           side: orderBody.side,
           type: orderBody.type,
           volume: volume,
@@ -475,6 +538,24 @@ class BotMonitor {
           apiResponse: result
         });
 
+        // Resting limit orders are watched for fills, expiry and repricing
+        if (orderBody.type === 'LIMIT') {
+          try {
+            await trackConditionOrder({
+              condition,
+              exchange,
+              symbol,
+              orderId: orderResult.orderId ?? result.orderId,
+              orderBody,
+              referencePrice: marketData.price,
+              pricePrecision: precision.pricePrecision,
+              quantityPrecision: precision.quantityPrecision
+            });
+          } catch (trackError) {
+            this.log('warning', 'Failed to track limit order', trackError.message);
+          }
+        }
+
         // Send Telegram notification
         try {
           await telegramService.notifyConditionalBotOrder({
@@ -482,12 +563,13 @@ class BotMonitor {
             conditionName: name,
             conditionOperator: condition.conditionOperator,
             conditionValue: condition.conditionValue,
+            conditionExpression: condition.conditionExpression ? describeExpression(condition.conditionExpression) : null,
             orderType: orderBody.type,
             side: orderBody.side,
-            symbol: result.symbol,
+            symbol,
             volume: volume.toFixed(8),
             price: result.price || limitPrice,
-            orderId: result.orderId,
+            orderId: orderResult.orderId ?? result.orderId,
             marketPrice: marketData.price,
             status: 'success',
             userId: user.uid
@@ -496,11 +578,9 @@ class BotMonitor {
           this.log('warning', 'Failed to send Telegram notification', tgError.message);
         }
 
-        // Set cooldown
+        // Cooldown itself is persisted on the condition; this feeds the status endpoint
         this.lastTriggers.set(_id.toString(), Date.now());
-
-        // Clear cached balance for this user
-        delete this.userBalances[user.uid];
+        return { success: true, orderId: orderResult.orderId ?? result.orderId, price: result.price || null };
       } else {
         this.log('error', `Trade execution failed: ${result.msg || 'Unknown error'}`, result);
 
@@ -509,7 +589,8 @@ class BotMonitor {
           conditionId: condition._id,
           conditionName: name,
           userId: user.uid,
-          symbol: 'GCBUSDT',
+          exchange,
+          symbol,
           side: orderBody.side,
           type: orderBody.type,
           volume: volume,
@@ -527,9 +608,10 @@ class BotMonitor {
             conditionName: name,
             conditionOperator: condition.conditionOperator,
             conditionValue: condition.conditionValue,
+            conditionExpression: condition.conditionExpression ? describeExpression(condition.conditionExpression) : null,
             orderType: orderBody.type,
             side: orderBody.side,
-            symbol: 'GCBUSDT',
+            symbol,
             volume: volume.toFixed(8),
             price: limitPrice,
             marketPrice: marketData.price,
@@ -540,6 +622,7 @@ class BotMonitor {
         } catch (tgError) {
           this.log('warning', 'Failed to send Telegram notification', tgError.message);
         }
+        return { success: false, error: result.msg || 'Unknown error' };
       }
     } catch (error) {
       this.log('error', `Error executing action for condition ${condition._id}`, error.message);
@@ -549,11 +632,12 @@ class BotMonitor {
         conditionId: condition._id,
         conditionName: condition.name,
         userId: user.uid,
-        symbol: 'GCBUSDT',
+        ...getConditionMarket(condition),
         status: 'error',
         error: error.message,
         executedAt: new Date()
       });
+      return { success: false, error: error.message };
     }
   }
 
@@ -0,0 +1,375 @@
+import { EXCHANGES } from './exchange-clients.js';
+import { getExchangeCredentials } from './exchange-credentials.js';
+import { STRATEGIES, getStrategy, isSupportedExchange } from './bot-strategies.js';
+import { parseBotMode } from './paper-trading.js';
+import { resolveSession } from './identity.js';
+import { needsAutoManageApproval, registerApprovalAction, requestApproval } from './approvals.js';
+
+const DEFAULT_SYMBOLS = {
+  gcbex: 'GCBUSDT',
+  mexc: 'GCBUSDT',
+  xt: 'gcb_usdt'
+};
+
+// Store reference to strategy bot monitor for logs access
+let strategyBotMonitorRef = null;
+
+export function setStrategyBotMonitor(monitor) {
+  strategyBotMonitorRef = monitor;
+}
+
+// Middleware: accept a GCBEX session token (users.token) or an account session / MEXC JWT.
+// req.botUser.id is users.uid for GCBEX logins and the MEXC user id otherwise,
+// which is what getExchangeCredentials expects for the matching venues.
+export function verifyBotUser(db) {
+  return async (req, res, next) => {
+    const authHeader = req.headers.authorization;
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return res.status(401).json({ code: '-1', msg: 'Unauthorized', data: null });
+    }
+
+    const token = authHeader.split(' ')[1];
+
+    try {
+      const session = await resolveSession(db, token);
+      if (!session) {
+        return res.status(401).json({ code: '-1', msg: 'Invalid or expired token', data: null });
+      }
+
+      req.botUser = {
+        id: session.source === 'gcbex' ? session.gcbexUid : session.mexcUserId,
+        source: session.source,
+        accountId: session.account ? session.account._id.toString() : null
+      };
+      return next();
+    } catch (error) {
+      return res.status(401).json({ code: '-1', msg: 'Invalid or expired token', data: null });
+    }
+  };
+}
+
+// Setup generic bot routes: /api/bots/:type works for every strategy on every exchange
+export function setupBotRoutes(app, db) {
+  const requireUser = verifyBotUser(db);
+
+  // Validate :type and load the strategy
+  const requireStrategy = (req, res, next) => {
+    const strategy = getStrategy(req.params.type);
+    if (!strategy) {
+      return res.status(404).json({ code: '-1', msg: `Unknown bot type: ${req.params.type}`, data: null });
+    }
+    req.strategy = strategy;
+    next();
+  };
+
+  // Load a bot owned by the current user
+  const findOwnedBot = async (req) => {
+    const { ObjectId } = await import('mongodb');
+    if (!ObjectId.isValid(req.params.id)) return null;
+    return db.collection('strategy_bots').findOne({
+      _id: new ObjectId(req.params.id),
+      type: req.params.type,
+      userId: req.botUser.id
+    });
+  };
+
+  // Enabling autoManage on a liquidity bot is held for a second user's approval (see approvals.js)
+  const requestAutoManageApproval = (req, bot) => requestApproval({
+    action: 'strategy.auto-manage',
+    summary: `Enable autoManage on ${bot.exchange.toUpperCase()} ${getStrategy(bot.type).label.toLowerCase()} bot "${bot.name}" (${bot.symbol})`,
+    target: { type: 'strategy_bot', id: bot._id.toString() },
+    payload: { botId: bot._id.toString(), userId: bot.userId },
+    requestedBy: req.authUser
+  });
+
+  registerApprovalAction('strategy.auto-manage', async ({ botId, userId }) => {
+    const { ObjectId } = await import('mongodb');
+    const result = await db.collection('strategy_bots').updateOne(
+      { _id: new ObjectId(botId), userId },
+      { $set: { 'config.autoManage': true, updatedAt: new Date() } }
+    );
+    if (result.matchedCount === 0) {
+      throw new Error('Bot no longer exists');
+    }
+    return { autoManage: true };
+  });
+
+  // ============================================
+  // Static routes - must be defined BEFORE :type routes
+  // ============================================
+
+  // GET /api/bots/types - List available bot types and exchanges
+  app.get('/api/bots/types', (req, res) => {
+    const types = Object.entries(STRATEGIES).map(([type, strategy]) => ({
+      type,
+      label: strategy.label,
+      defaults: strategy.defaults
+    }));
+    res.json({ code: '0', msg: 'Success', data: { types, exchanges: EXCHANGES } });
+  });
+
+  // GET /api/bots/monitor/status - Get strategy bot monitor status
+  app.get('/api/bots/monitor/status', requireUser, (req, res) => {
+    if (!strategyBotMonitorRef) {
+      return res.status(503).json({ code: '-1', msg: 'Strategy bot monitor not initialized', data: null });
+    }
+    res.json({ code: '0', msg: 'Success', data: strategyBotMonitorRef.getStatus() });
+  });
+
+  // ============================================
+  // Per-type routes
+  // ============================================
+
+  // POST /api/bots/:type - Create a bot of the given type on any exchange
+  app.post('/api/bots/:type', requireUser, requireStrategy, async (req, res) => {
+    try {
+      const { name, exchange = 'gcbex', symbol } = req.body;
+
+      if (!isSupportedExchange(exchange)) {
+        return res.status(400).json({ code: '-1', msg: `Unsupported exchange: ${exchange}`, data: null });
+      }
+
+      const credentials = await getExchangeCredentials(db, exchange, req.botUser.id);
+      if (!credentials) {
+        return res.status(400).json({
+          code: '-1',
+          msg: `${exchange.toUpperCase()} API credentials not found. Please add your API credentials first.`,
+          data: null,
+          needsCredentials: true
+        });
+      }
+
+      const { config, error } = req.strategy.buildConfig(req.body);
+      if (error) {
+        return res.status(400).json({ code: '-1', msg: error, data: null });
+      }
+
+      const { fields: modeFields, error: modeError } = parseBotMode(req.body);
+      if (modeError) {
+        return res.status(400).json({ code: '-1', msg: modeError, data: null });
+      }
+
+      const holdAutoManage = needsAutoManageApproval(false, config.autoManage);
+      if (holdAutoManage) {
+        config.autoManage = false;
+      }
+
+      const newBot = {
+        userId: req.botUser.id,
+        type: req.params.type,
+        exchange,
+        name: name || `${req.strategy.label} Bot - ${new Date().toISOString()}`,
+        symbol: symbol || DEFAULT_SYMBOLS[exchange],
+        config,
+        isActive: true,
+        isRunning: false,
+        status: 'created',
+        lastCheckedAt: null,
+        lastError: null,
+        ...modeFields,
+        createdAt: new Date(),
+        updatedAt: new Date()
+      };
+
+      const result = await db.collection('strategy_bots').insertOne(newBot);
+
+      console.log(`✅ ${req.strategy.label} bot created on ${exchange}: ${result.insertedId} for user ${req.botUser.id}`);
+      if (holdAutoManage) {
+        const approval = await requestAutoManageApproval(req, { ...newBot, _id: result.insertedId });
+        return res.status(202).json({
+          code: '0',
+          msg: 'Bot created; enabling autoManage awaits approval',
+          data: { ...newBot, _id: result.insertedId, approvalRequired: true, approval }
+        });
+      }
+      res.json({ code: '0', msg: 'Bot created successfully', data: { ...newBot, _id: result.insertedId } });
+    } catch (error) {
+      console.error('Error creating bot:', error);
+      res.status(500).json({ code: '-1', msg: 'Failed to create bot', data: null });
+    }
+  });
+
+  // GET /api/bots/:type - List the user's bots of the given type (optional ?exchange=)
+  app.get('/api/bots/:type', requireUser, requireStrategy, async (req, res) => {
+    try {
+      const query = { userId: req.botUser.id, type: req.params.type };
+      if (req.query.exchange) {
+        query.exchange = req.query.exchange;
+      }
+
+      const bots = await db.collection('strategy_bots')
+        .find(query)
+        .sort({ createdAt: -1 })
+        .toArray();
+
+      res.json({ code: '0', msg: 'Success', data: bots });
+    } catch (error) {
+      console.error('Error fetching bots:', error);
+      res.status(500).json({ code: '-1', msg: 'Failed to fetch bots', data: null });
+    }
+  });
+
+  // GET /api/bots/:type/:id - Get a single bot
+  app.get('/api/bots/:type/:id', requireUser, requireStrategy, async (req, res) => {
+    try {
+      const bot = await findOwnedBot(req);
+      if (!bot) {
+        return res.status(404).json({ code: '-1', msg: 'Bot not found', data: null });
+      }
+      res.json({ code: '0', msg: 'Success', data: bot });
+    } catch (error) {
+      console.error('Error fetching bot:', error);
+      res.status(500).json({ code: '-1', msg: 'Failed to fetch bot', data: null });
+    }
+  });
+
+  // PUT /api/bots/:type/:id - Update bot name/symbol/config
+  app.put('/api/bots/:type/:id', requireUser, requireStrategy, async (req, res) => {
+    try {
+      const bot = await findOwnedBot(req);
+      if (!bot) {
+        return res.status(404).json({ code: '-1', msg: 'Bot not found', data: null });
+      }
+
+      const { config, error } = req.strategy.buildConfig({ ...bot.config, ...req.body });
+      if (error) {
+        return res.status(400).json({ code: '-1', msg: error, data: null });
+      }
+
+      const holdAutoManage = needsAutoManageApproval(bot.config?.autoManage, config.autoManage);
+      if (holdAutoManage) {
+        config.autoManage = false;
+      }
+
+      const updates = { config, updatedAt: new Date() };
+      if (req.body.name) updates.name = req.body.name;
+      if (req.body.symbol) updates.symbol = req.body.symbol;
+
+      await db.collection('strategy_bots').updateOne({ _id: bot._id }, { $set: updates });
+      const updatedBot = await db.collection('strategy_bots').findOne({ _id: bot._id });
+
+      if (holdAutoManage) {
+        const approval = await requestAutoManageApproval(req, updatedBot);
+        return res.status(202).json({
+          code: '0',
+          msg: 'Bot updated; enabling autoManage awaits approval',
+          data: { ...updatedBot, approvalRequired: true, approval }
+        });
+      }
+
+      res.json({ code: '0', msg: 'Bot updated successfully', data: updatedBot });
+    } catch (error) {
+      console.error('Error updating bot:', error);
+      res.status(500).json({ code: '-1', msg: 'Failed to update bot', data: null });
+    }
+  });
+
+  // POST /api/bots/:type/:id/start - Start a bot
+  app.post('/api/bots/:type/:id/start', requireUser, requireStrategy, async (req, res) => {
+    try {
+      const bot = await findOwnedBot(req);
+      if (!bot) {
+        return res.status(404).json({ code: '-1', msg: 'Bot not found', data: null });
+      }
+
+      await db.collection('strategy_bots').updateOne(
+        { _id: bot._id },
+        { $set: { isActive: true, isRunning: true, status: 'running', updatedAt: new Date() } }
+      );
+
+      if (strategyBotMonitorRef && !strategyBotMonitorRef.isRunning) {
+        await strategyBotMonitorRef.start();
+      }
+
+      console.log(`▶️ ${bot.exchange}/${bot.type} bot started: ${bot._id}`);
+      res.json({ code: '0', msg: 'Bot started successfully', data: { isRunning: true } });
+    } catch (error) {
+      console.error('Error starting bot:', error);
+      res.status(500).json({ code: '-1', msg: 'Failed to start bot', data: null });
+    }
+  });
+
+  // POST /api/bots/:type/:id/stop - Stop a bot
+  app.post('/api/bots/:type/:id/stop', requireUser, requireStrategy, async (req, res) => {
+    try {
+      const bot = await findOwnedBot(req);
+      if (!bot) {
+        return res.status(404).json({ code: '-1', msg: 'Bot not found', data: null });
+      }
+
+      await db.collection('strategy_bots').updateOne(
+        { _id: bot._id },
+        { $set: { isRunning: false, status: 'stopped', updatedAt: new Date() } }
+      );
+
+      console.log(`⏹️ ${bot.exchange}/${bot.type} bot stopped: ${bot._id}`);
+      res.json({ code: '0', msg: 'Bot stopped successfully', data: { isRunning: false } });
+    } catch (error) {
+      console.error('Error stopping bot:', error);
+      res.status(500).json({ code: '-1', msg: 'Failed to stop bot', data: null });
+    }
+  });
+
+  // GET /api/bots/:type/:id/trades - Get bot trade history
+  app.get('/api/bots/:type/:id/trades', requireUser, requireStrategy, async (req, res) => {
+    try {
+      const bot = await findOwnedBot(req);
+      if (!bot) {
+        return res.status(404).json({ code: '-1', msg: 'Bot not found', data: null });
+      }
+
+      const limit = parseInt(req.query.limit) || 50;
+      const trades = await db.collection('strategy_bot_trades')
+        .find({ botId: bot._id })
+        .sort({ executedAt: -1 })
+        .limit(limit)
+        .toArray();
+
+      res.json({ code: '0', msg: 'Success', data: trades });
+    } catch (error) {
+      console.error('Error fetching bot trades:', error);
+      res.status(500).json({ code: '-1', msg: 'Failed to fetch bot trades', data: null });
+    }
+  });
+
+  // GET /api/bots/:type/:id/logs - Get recent in-memory monitor logs for a bot
+  app.get('/api/bots/:type/:id/logs', requireUser, requireStrategy, async (req, res) => {
+    try {
+      const bot = await findOwnedBot(req);
+      if (!bot) {
+        return res.status(404).json({ code: '-1', msg: 'Bot not found', data: null });
+      }
+
+      const limit = parseInt(req.query.limit) || 100;
+      const logs = strategyBotMonitorRef ? strategyBotMonitorRef.getLogs(limit, bot._id.toString()) : [];
+
+      res.json({ code: '0', msg: 'Success', data: logs });
+    } catch (error) {
+      console.error('Error fetching bot logs:', error);
+      res.status(500).json({ code: '-1', msg: 'Failed to fetch bot logs', data: null });
+    }
+  });
+
+  // DELETE /api/bots/:type/:id - Delete a bot and its trade history
+  app.delete('/api/bots/:type/:id', requireUser, requireStrategy, async (req, res) => {
+    try {
+      const bot = await findOwnedBot(req);
+      if (!bot) {
+        return res.status(404).json({ code: '-1', msg: 'Bot not found', data: null });
+      }
+
+      await db.collection('strategy_bots').deleteOne({ _id: bot._id });
+      await db.collection('strategy_bot_trades').deleteMany({ botId: bot._id });
+
+      console.log(`🗑️ ${bot.exchange}/${bot.type} bot deleted: ${bot._id}`);
+      res.json({ code: '0', msg: 'Bot deleted successfully', data: null });
+    } catch (error) {
+      console.error('Error deleting bot:', error);
+      res.status(500).json({ code: '-1', msg: 'Failed to delete bot', data: null });
+    }
+  });
+
+  console.log('✅ Generic bot routes initialized');
+}
+
+export default setupBotRoutes;
@@ -0,0 +1,400 @@
+import { EXCHANGES, splitSymbol } from './exchange-clients.js';
+import { getCachedBalances, invalidateBalances } from './balance-service.js';
+
+/**
+ * Bot Strategies
+ *
+ * Venue-independent strategy implementations. Each strategy talks only to the
+ * exchange client interface from exchange-clients.js, so the same bot type can
+ * run on GCBEX, MEXC or XT depending on the bot document's `exchange` field.
+ *
+ * A strategy exposes:
+ *   label           - human readable name
+ *   defaults        - default config values
+ *   buildConfig(b)  - validate a request body -> { config } or { error }
+ *   tick(ctx)       - run one cycle; ctx = { bot, client, log, updateBot, recordTrade }
+ */
+
+const DEFAULT_PRECISION = { pricePrecision: 6, quantityPrecision: 2 };
+
+async function getPrecision(client, symbol) {
+  try {
+    const info = await client.getSymbolInfo(symbol);
+    return {
+      pricePrecision: info?.pricePrecision ?? DEFAULT_PRECISION.pricePrecision,
+      quantityPrecision: info?.quantityPrecision ?? DEFAULT_PRECISION.quantityPrecision
+    };
+  } catch (error) {
+    return DEFAULT_PRECISION;
+  }
+}
+
+function positiveNumber(value, fallback) {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+// ============================================
+// Price Keeper - market buy when last price lags the best ask
+// ============================================
+const priceKeeper = {
+  label: 'Price Keeper',
+  defaults: {
+    gapThreshold: 3,       // % gap between best ask and last price that triggers a buy
+    orderAmount: 1,        // quote amount (USDT) per market buy
+    cooldownSeconds: 10,
+    checkIntervalSeconds: 5
+  },
+
+  buildConfig(body = {}) {
+    const config = {
+      gapThreshold: positiveNumber(body.gapThreshold, this.defaults.gapThreshold),
+      orderAmount: positiveNumber(body.orderAmount, this.defaults.orderAmount),
+      cooldownSeconds: positiveNumber(body.cooldownSeconds, this.defaults.cooldownSeconds),
+      checkIntervalSeconds: positiveNumber(body.checkIntervalSeconds, this.defaults.checkIntervalSeconds)
+    };
+    return { config };
+  },
+
+  async tick({ bot, client, log, updateBot, recordTrade }) {
+    const { config } = bot;
+    const [, quoteAsset] = splitSymbol(bot.symbol);
+
+    const lastExecuted = bot.lastExecutedAt ? new Date(bot.lastExecutedAt).getTime() : 0;
+    if (Date.now() - lastExecuted < config.cooldownSeconds * 1000) {
+      return;
+    }
+
+    const ticker = await client.getTicker(bot.symbol);
+    const depth = await client.getDepth(bot.symbol, 5);
+    if (!ticker || !depth || depth.asks.length === 0) {
+      log('warning', 'Could not fetch market price or order book');
+      return;
+    }
+
+    const marketPrice = ticker.price;
+    const bestAskPrice = depth.asks[0][0];
+    const priceGap = ((bestAskPrice - marketPrice) / marketPrice) * 100;
+
+    await updateBot({ lastMarketPrice: marketPrice, lastBestAskPrice: bestAskPrice, lastPriceGap: priceGap });
+
+    if (priceGap < config.gapThreshold) {
+      return;
+    }
+
+    log('info', `🚨 Price gap ${priceGap.toFixed(2)}% >= ${config.gapThreshold}% threshold`);
+
+    const balances = await getCachedBalances(client);
+    const available = balances?.[quoteAsset]?.free || 0;
+    if (available < config.orderAmount) {
+      log('warning', `⚠️ Insufficient ${quoteAsset} balance: ${available.toFixed(2)} < ${config.orderAmount} required`);
+      return;
+    }
+
+    const result = await client.placeOrder({
+      symbol: bot.symbol,
+      side: 'BUY',
+      type: 'MARKET',
+      quoteQty: config.orderAmount
+    });
+
+    await recordTrade({
+      action: 'BUY',
+      side: 'BUY',
+      type: 'MARKET',
+      quoteAmount: config.orderAmount,
+      marketPrice,
+      bestAskPrice,
+      priceGap,
+      orderId: result.orderId || null,
+      status: result.success ? 'success' : 'failed',
+      error: result.success ? null : result.error
+    });
+
+    if (result.success) {
+      await updateBot({ lastExecutedAt: new Date() }, { executionCount: 1, totalQuoteSpent: config.orderAmount });
+      log('success', `✅ Market buy ${config.orderAmount} ${quoteAsset} placed (gap ${priceGap.toFixed(2)}%)`, { orderId: result.orderId });
+    } else {
+      log('error', `Market buy failed: ${result.error}`);
+    }
+  }
+};
+
+// ============================================
+// Buy Wall - ladder of limit buys below market, refilled when filled
+// ============================================
+const buyWall = {
+  label: 'Buy Wall',
+  defaults: {
+    buyOrders: [],         // [{ price, usdtAmount }]
+    checkIntervalSeconds: 10
+  },
+
+  buildConfig(body = {}) {
+    const buyOrders = body.buyOrders;
+    if (!Array.isArray(buyOrders) || buyOrders.length === 0) {
+      return { error: 'buyOrders array is required' };
+    }
+    for (const order of buyOrders) {
+      if (!(parseFloat(order.price) > 0) || !(parseFloat(order.usdtAmount) > 0)) {
+        return { error: 'Each buy order must have valid price and usdtAmount (> 0)' };
+      }
+    }
+
+    // Sort buyOrders by price descending
+    const sortedOrders = buyOrders
+      .map(o => ({ price: parseFloat(o.price), usdtAmount: parseFloat(o.usdtAmount) }))
+      .sort((a, b) => b.price - a.price);
+
+    return {
+      config: {
+        buyOrders: sortedOrders,
+        checkIntervalSeconds: positiveNumber(body.checkIntervalSeconds, this.defaults.checkIntervalSeconds)
+      }
+    };
+  },
+
+  async tick({ bot, client, log, updateBot, recordTrade }) {
+    const ticker = await client.getTicker(bot.symbol);
+    if (!ticker) {
+      log('warning', 'Could not fetch market price');
+      return;
+    }
+    const marketPrice = ticker.price;
+    const precision = await getPrecision(client, bot.symbol);
+    const openOrders = await client.getOpenOrders(bot.symbol);
+    const openOrderIds = new Set(openOrders.map(o => o.orderId?.toString()));
+
+    const placedOrders = [];
+    let refills = 0;
+
+    for (const level of bot.config.buyOrders) {
+      const existing = (bot.placedOrders || []).find(o => Math.abs(o.price - level.price) < 1e-12);
+
+      if (existing && openOrderIds.has(existing.orderId?.toString())) {
+        placedOrders.push(existing);
+        continue;
+      }
+
+      // Buy wall should sit BELOW market
+      if (level.price >= marketPrice) {
+        log('warning', `Skipping level at ${level.price} - above market price ${marketPrice}`);
+        if (existing) placedOrders.push({ ...existing, status: 'SKIPPED' });
+        continue;
+      }
+
+      const quantity = level.usdtAmount / level.price;
+      const result = await client.placeOrder({
+        symbol: bot.symbol,
+        side: 'BUY',
+        type: 'LIMIT',
+        price: level.price.toFixed(precision.pricePrecision),
+        quantity: quantity.toFixed(precision.quantityPrecision)
+      });
+
+      const action = existing ? 'REFILL' : 'INITIAL_PLACE';
+      await recordTrade({
+        action,
+        side: 'BUY',
+        type: 'LIMIT',
+        price: level.price,
+        quantity,
+        quoteAmount: level.usdtAmount,
+        orderId: result.orderId || null,
+        status: result.success ? 'success' : 'failed',
+        error: result.success ? null : result.error
+      });
+
+      if (result.success) {
+        if (existing) refills++;
+        placedOrders.push({
+          price: level.price,
+          usdtAmount: level.usdtAmount,
+          quantity,
+          orderId: result.orderId,
+          placedAt: new Date().toISOString(),
+          status: 'OPEN'
+        });
+        log('success', `${action === 'REFILL' ? 'Refilled' : 'Placed'} buy order: ${level.usdtAmount} at ${level.price}`);
+      } else {
+        log('error', `Failed to place buy order at ${level.price}: ${result.error}`);
+      }
+    }
+
+    await updateBot(
+      { placedOrders, lastMarketPrice: marketPrice, ordersPlaced: placedOrders.length > 0 },
+      refills > 0 ? { totalRefills: refills } : null
+    );
+  }
+};
+
+// ============================================
+// Liquidity - keep minimum depth within ±band% of mid on each side
+// ============================================
+const liquidity = {
+  label: 'Liquidity',
+  defaults: {
+    bandPercent: 2,          // depth is measured within ±bandPercent of mid
+    minDepthPerSide: 500,    // quote value required inside the band on each side
+    ordersPerSide: 5,
+    sides: 'both',           // both | buy | sell
+    autoManage: false,
+    checkIntervalSeconds: 30
+  },
+
+  buildConfig(body = {}) {
+    const sides = body.sides || this.defaults.sides;
+    if (!['both', 'buy', 'sell'].includes(sides)) {
+      return { error: 'sides must be one of: both, buy, sell' };
+    }
+    return {
+      config: {
+        bandPercent: positiveNumber(body.bandPercent, this.defaults.bandPercent),
+        minDepthPerSide: positiveNumber(body.minDepthPerSide, this.defaults.minDepthPerSide),
+        ordersPerSide: Math.max(1, parseInt(body.ordersPerSide) || this.defaults.ordersPerSide),
+        sides,
+        autoManage: body.autoManage === true,
+        checkIntervalSeconds: positiveNumber(body.checkIntervalSeconds, this.defaults.checkIntervalSeconds)
+      }
+    };
+  },
+
+  async tick({ bot, client, log, updateBot, recordTrade }) {
+    const { config } = bot;
+    const [baseAsset, quoteAsset] = splitSymbol(bot.symbol);
+
+    const depth = await client.getDepth(bot.symbol, 100);
+    if (!depth || depth.bids.length === 0 || depth.asks.length === 0) {
+      log('warning', 'Order book is empty on one side');
+      return;
+    }
+
+    const midPrice = (depth.bids[0][0] + depth.asks[0][0]) / 2;
+    const band = config.bandPercent / 100;
+    const lowerBound = midPrice * (1 - band);
+    const upperBound = midPrice * (1 + band);
+    const spread = ((depth.asks[0][0] - depth.bids[0][0]) / midPrice) * 100;
+
+    const buyDepth = depth.bids
+      .filter(([price]) => price >= lowerBound)
+      .reduce((sum, [price, qty]) => sum + price * qty, 0);
+    const sellDepth = depth.asks
+      .filter(([price]) => price <= upperBound)
+      .reduce((sum, [price, qty]) => sum + price * qty, 0);
+
+    const manageBuy = config.sides !== 'sell';
+    const manageSell = config.sides !== 'buy';
+    const liquidityOk = (!manageBuy || buyDepth >= config.minDepthPerSide) &&
+      (!manageSell || sellDepth >= config.minDepthPerSide);
+
+    await updateBot({
+      lastMidPrice: midPrice,
+      lastSpread: spread,
+      lastBuyDepth: buyDepth,
+      lastSellDepth: sellDepth,
+      liquidityOk
+    });
+
+    if (liquidityOk || !config.autoManage) {
+      return;
+    }
+
+    const precision = await getPrecision(client, bot.symbol);
+
+    // Cancel our own orders that drifted out of the band
+    const openOrders = await client.getOpenOrders(bot.symbol);
+    let cancelled = 0;
+    for (const order of openOrders) {
+      if (order.price < lowerBound || order.price > upperBound) {
+        const result = await client.cancelOrder(bot.symbol, order.orderId);
+        if (result.success) {
+          cancelled++;
+          log('info', `Cancelled out-of-band ${order.side} order ${order.orderId} at ${order.price}`);
+        }
+      }
+    }
+
+    // Cancelled orders release locked funds, so don't size new orders from the cached balances
+    if (cancelled > 0) {
+      invalidateBalances(client);
+    }
+
+    const balances = await getCachedBalances(client) || {};
+    let placed = 0;
+
+    const fillSide = async (side, shortfall) => {
+      const perOrderQuote = shortfall / config.ordersPerSide;
+      for (let i = 1; i <= config.ordersPerSide; i++) {
+        // Spread orders evenly across the band, nearest to mid first
+        const offset = (band * i) / (config.ordersPerSide + 1);
+        const price = side === 'BUY' ? midPrice * (1 - offset) : midPrice * (1 + offset);
+        const quantity = perOrderQuote / price;
+
+        const available = side === 'BUY' ? balances[quoteAsset]?.free || 0 : balances[baseAsset]?.free || 0;
+        const required = side === 'BUY' ? perOrderQuote : quantity;
+        if (available < required) {
+          log('warning', `⚠️ Insufficient ${side === 'BUY' ? quoteAsset : baseAsset} for ${side} level ${i}/${config.ordersPerSide}`);
+          return;
+        }
+
+        const result = await client.placeOrder({
+          symbol: bot.symbol,
+          side,
+          type: 'LIMIT',
+          price: price.toFixed(precision.pricePrecision),
+          quantity: quantity.toFixed(precision.quantityPrecision)
+        });
+
+        await recordTrade({
+          action: 'LIQUIDITY',
+          side,
+          type: 'LIMIT',
+          price,
+          quantity,
+          quoteAmount: perOrderQuote,
+          orderId: result.orderId || null,
+          status: result.success ? 'success' : 'failed',
+          error: result.success ? null : result.error
+        });
+
+        if (result.success) {
+          placed++;
+          if (side === 'BUY') balances[quoteAsset].free -= perOrderQuote;
+          else balances[baseAsset].free -= quantity;
+        } else {
+          log('error', `Failed to place ${side} order at ${price}: ${result.error}`);
+        }
+      }
+    };
+
+    if (manageBuy && buyDepth < config.minDepthPerSide) {
+      await fillSide('BUY', config.minDepthPerSide - buyDepth);
+    }
+    if (manageSell && sellDepth < config.minDepthPerSide) {
+      await fillSide('SELL', config.minDepthPerSide - sellDepth);
+    }
+
+    if (placed > 0) {
+      log('success', `✅ Placed ${placed} liquidity order(s) around mid ${midPrice}`);
+      await updateBot({ lastMaintenanceAt: new Date() }, { totalOrdersPlaced: placed, totalMaintenance: 1 });
+    }
+  }
+};
+
+export const STRATEGIES = {
+  'price-keeper': priceKeeper,
+  'buywall': buyWall,
+  'liquidity': liquidity
+};
+
+export const BOT_TYPES = Object.keys(STRATEGIES);
+
+export function getStrategy(type) {
+  return STRATEGIES[type] || null;
+}
+
+export function isSupportedExchange(exchange) {
+  return EXCHANGES.includes(exchange);
+}
+
+export default STRATEGIES;
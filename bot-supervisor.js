@@ -0,0 +1,429 @@
+/**
+ * Bot Supervisor
+ *
+ * Owns the scheduling of every monitor loop instead of each monitor running
+ * its own setInterval:
+ *   - one timer chain per registered loop, never overlapping ticks
+ *   - shared per-bot locks (monitors' `processingBots` is backed by the supervisor)
+ *   - crashed or stalled loops are restarted with exponential backoff
+ *   - per-loop and per-bot health for /api/supervisor/status
+ *   - halt()/release() for the kill switch: no trading loop runs while halted
+ */
+
+const DEFAULT_OPTIONS = {
+  maxBackoffMs: 5 * 60 * 1000,     // cap for restart backoff
+  stallTimeoutMs: 10 * 60 * 1000,  // a tick running longer than this is considered hung
+  lockWarnMs: 5 * 60 * 1000        // a bot locked longer than this is reported as stuck
+};
+
+// Set-like view over a loop's locks, so monitors keep using
+// processingBots.has/add/delete unchanged while the supervisor tracks them
+class BotLockSet {
+  constructor(supervisor, entry) {
+    this.supervisor = supervisor;
+    this.entry = entry;
+  }
+
+  has(botId) {
+    return this.entry.locks.has(String(botId));
+  }
+
+  add(botId) {
+    this.supervisor.acquireLock(this.entry, String(botId));
+    return this;
+  }
+
+  delete(botId) {
+    return this.supervisor.releaseLock(this.entry, String(botId));
+  }
+
+  clear() {
+    for (const botId of [...this.entry.locks.keys()]) {
+      this.supervisor.releaseLock(this.entry, botId);
+    }
+  }
+
+  get size() {
+    return this.entry.locks.size;
+  }
+
+  [Symbol.iterator]() {
+    return this.entry.locks.keys();
+  }
+}
+
+class BotSupervisor {
+  constructor(db, options = {}) {
+    this.db = db;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.loops = new Map();
+    this.startedAt = new Date();
+    this.halted = null;
+  }
+
+  log(type, message, data = null) {
+    const emoji = type === 'success' ? '✅' : type === 'error' ? '❌' : type === 'warning' ? '⚠️' : 'ℹ️';
+    console.log(`${emoji} [Supervisor] ${message}`, data ? JSON.stringify(data) : '');
+  }
+
+  /**
+   * Register a monitor loop.
+   * @param {string} name - unique loop name
+   * @param {object} options
+   *   monitor      - the monitor instance
+   *   tick         - async function running one cycle
+   *   intervalMs   - delay between ticks
+   *   autoStart    - resume immediately (default false)
+   *   runningFlag  - toggle monitor.isRunning on resume/pause (default true)
+   *   bots         - { collection, filter } used to list the loop's bots in status
+   *   haltable     - paused by halt() (default true; false for loops that never trade)
+   */
+  register(name, { monitor, tick, intervalMs, autoStart = false, runningFlag = true, bots = null, haltable = true }) {
+    if (this.loops.has(name)) {
+      throw new Error(`Loop already registered: ${name}`);
+    }
+
+    const entry = {
+      name,
+      monitor,
+      tick,
+      intervalMs,
+      runningFlag,
+      bots,
+      haltable,
+      enabled: false,
+      generation: 0,
+      timer: null,
+      stallTimer: null,
+      ticking: false,
+      resumeOnRelease: false,
+      tickCount: 0,
+      errorCount: 0,
+      tickErrors: 0,
+      consecutiveFailures: 0,
+      restarts: 0,
+      health: 'paused',
+      lastError: null,
+      lastTickAt: null,
+      lastDurationMs: null,
+      nextTickAt: null,
+      locks: new Map(),
+      botStats: new Map()
+    };
+    this.loops.set(name, entry);
+
+    if (monitor) {
+      // Per-bot locks are owned by the supervisor
+      if (monitor.processingBots) {
+        monitor.processingBots = new BotLockSet(this, entry);
+      }
+
+      // Count error logs against the loop and the bot(s) it is processing
+      if (typeof monitor.log === 'function') {
+        const originalLog = monitor.log.bind(monitor);
+        monitor.log = (type, message, data = null, botId = null) => {
+          if (type === 'error') {
+            this.recordError(entry, message, botId);
+          }
+          return originalLog(type, message, data, botId);
+        };
+      }
+
+      // Route handlers still call monitor.start()/stop(); redirect them here so
+      // the monitor never arms its own interval alongside the supervisor's
+      monitor.start = async () => this.resume(name);
+      monitor.stop = async () => this.pause(name);
+    }
+
+    if (autoStart) {
+      this.resume(name);
+    }
+    return entry;
+  }
+
+  resume(name) {
+    const entry = this.loops.get(name);
+    if (!entry || entry.enabled) return;
+
+    if (this.halted && entry.haltable) {
+      entry.resumeOnRelease = true;
+      this.log('warning', `Kill switch active - ${name} will start when released`);
+      return;
+    }
+
+    entry.enabled = true;
+    entry.consecutiveFailures = 0;
+    entry.health = 'starting';
+    if (entry.monitor && entry.runningFlag) {
+      entry.monitor.isRunning = true;
+    }
+    this.log('success', `Loop started: ${name} (every ${entry.intervalMs}ms)`);
+    this.schedule(entry, 0);
+  }
+
+  pause(name) {
+    const entry = this.loops.get(name);
+    if (!entry) return;
+    entry.resumeOnRelease = false;
+    if (!entry.enabled) return;
+
+    entry.enabled = false;
+    entry.generation++;
+    entry.ticking = false;
+    clearTimeout(entry.timer);
+    clearTimeout(entry.stallTimer);
+    entry.timer = null;
+    entry.nextTickAt = null;
+    entry.health = 'paused';
+    if (entry.monitor && entry.runningFlag) {
+      entry.monitor.isRunning = false;
+    }
+    this.log('info', `Loop stopped: ${name}`);
+  }
+
+  async stopAll() {
+    for (const name of this.loops.keys()) {
+      this.pause(name);
+    }
+  }
+
+  // Pause every loop and keep them paused until release(); loops that were
+  // running (or are started meanwhile) come back on release
+  halt(reason = null) {
+    if (this.halted) return;
+    this.halted = { reason, at: new Date() };
+    for (const entry of this.loops.values()) {
+      if (!entry.haltable) continue;
+      const wasEnabled = entry.enabled;
+      this.pause(entry.name);
+      entry.resumeOnRelease = wasEnabled;
+    }
+    this.log('warning', `All loops halted${reason ? `: ${reason}` : ''}`);
+  }
+
+  release() {
+    if (!this.halted) return;
+    this.halted = null;
+    this.log('success', 'Halt released');
+    for (const entry of this.loops.values()) {
+      if (entry.resumeOnRelease) {
+        entry.resumeOnRelease = false;
+        this.resume(entry.name);
+      }
+    }
+  }
+
+  schedule(entry, delayMs) {
+    clearTimeout(entry.timer);
+    const generation = entry.generation;
+    entry.nextTickAt = new Date(Date.now() + delayMs);
+    entry.timer = setTimeout(() => this.runTick(entry, generation), delayMs);
+  }
+
+  async runTick(entry, generation) {
+    if (!entry.enabled || generation !== entry.generation || entry.ticking) return;
+
+    entry.ticking = true;
+    entry.tickErrors = 0;
+    entry.nextTickAt = null;
+    const startedAt = Date.now();
+
+    // A hung tick is abandoned: the loop is restarted under a new generation.
+    // Bots it still holds stay locked, so they are skipped until it settles.
+    const stallTimer = setTimeout(() => {
+      if (generation !== entry.generation) return;
+      entry.generation++;
+      entry.ticking = false;
+      entry.restarts++;
+      entry.health = 'stalled';
+      entry.lastError = `Tick exceeded ${this.options.stallTimeoutMs}ms`;
+      this.log('warning', `Loop ${entry.name} stalled, restarting`);
+      this.schedule(entry, entry.intervalMs);
+    }, this.options.stallTimeoutMs);
+    entry.stallTimer = stallTimer;
+
+    let failed = false;
+    try {
+      await entry.tick();
+    } catch (error) {
+      failed = true;
+      entry.errorCount++;
+      entry.consecutiveFailures++;
+      entry.lastError = error.message;
+      this.log('error', `Loop ${entry.name} crashed: ${error.message}`);
+    } finally {
+      clearTimeout(stallTimer);
+    }
+
+    // Loop was paused or restarted while this tick was running
+    if (generation !== entry.generation) return;
+
+    entry.ticking = false;
+    entry.tickCount++;
+    entry.lastTickAt = new Date();
+    entry.lastDurationMs = Date.now() - startedAt;
+
+    if (!entry.enabled) return;
+
+    if (failed) {
+      const backoffMs = Math.min(entry.intervalMs * 2 ** entry.consecutiveFailures, this.options.maxBackoffMs);
+      entry.restarts++;
+      entry.health = 'crashed';
+      this.log('warning', `Restarting ${entry.name} in ${Math.round(backoffMs / 1000)}s (attempt ${entry.consecutiveFailures})`);
+      this.schedule(entry, backoffMs);
+      return;
+    }
+
+    entry.consecutiveFailures = 0;
+    entry.health = entry.tickErrors > 0 ? 'degraded' : 'healthy';
+    this.schedule(entry, entry.intervalMs);
+  }
+
+  getBotStats(entry, botId) {
+    if (!entry.botStats.has(botId)) {
+      entry.botStats.set(botId, {
+        lastTickAt: null,
+        lastDurationMs: null,
+        lastOkAt: null,
+        errorCount: 0,
+        lastError: null,
+        lastErrorAt: null,
+        tickHadError: false
+      });
+    }
+    return entry.botStats.get(botId);
+  }
+
+  acquireLock(entry, botId) {
+    entry.locks.set(botId, Date.now());
+    this.getBotStats(entry, botId).tickHadError = false;
+  }
+
+  releaseLock(entry, botId) {
+    const lockedSince = entry.locks.get(botId);
+    if (lockedSince === undefined) return false;
+
+    entry.locks.delete(botId);
+    const stats = this.getBotStats(entry, botId);
+    stats.lastTickAt = new Date();
+    stats.lastDurationMs = Date.now() - lockedSince;
+    if (!stats.tickHadError) {
+      stats.lastOkAt = stats.lastTickAt;
+    }
+    return true;
+  }
+
+  recordError(entry, message, botId = null) {
+    entry.errorCount++;
+    entry.tickErrors++;
+    entry.lastError = message;
+
+    const botIds = botId ? [String(botId)] : [...entry.locks.keys()];
+    for (const id of botIds) {
+      const stats = this.getBotStats(entry, id);
+      stats.errorCount++;
+      stats.lastError = message;
+      stats.lastErrorAt = new Date();
+      stats.tickHadError = true;
+    }
+  }
+
+  botHealth(entry, stats, lockedSince) {
+    if (lockedSince && Date.now() - lockedSince > this.options.lockWarnMs) return 'stuck';
+    if (!entry.enabled) return 'paused';
+    if (entry.health === 'crashed' || entry.health === 'stalled') return entry.health;
+    if (!stats || !stats.lastTickAt) return lockedSince ? 'running' : 'pending';
+    if (stats.lastErrorAt && (!stats.lastOkAt || stats.lastErrorAt >= stats.lastOkAt)) return 'erroring';
+    return 'healthy';
+  }
+
+  async listLoopBots(entry) {
+    if (!entry.bots || !this.db) return [];
+    try {
+      return await this.db.collection(entry.bots.collection)
+        .find(entry.bots.filter || {}, { projection: { name: 1, userId: 1, mexcUserId: 1 } })
+        .toArray();
+    } catch (error) {
+      this.log('warning', `Failed to list bots for ${entry.name}`, error.message);
+      return [];
+    }
+  }
+
+  async getStatus() {
+    const loops = [];
+    const bots = [];
+
+    for (const entry of this.loops.values()) {
+      loops.push({
+        name: entry.name,
+        enabled: entry.enabled,
+        health: entry.health,
+        intervalMs: entry.intervalMs,
+        ticking: entry.ticking,
+        tickCount: entry.tickCount,
+        lastTickAt: entry.lastTickAt,
+        lastDurationMs: entry.lastDurationMs,
+        nextTickAt: entry.nextTickAt,
+        errorCount: entry.errorCount,
+        consecutiveFailures: entry.consecutiveFailures,
+        restarts: entry.restarts,
+        lastError: entry.lastError,
+        lockedBots: entry.locks.size,
+        resumeOnRelease: entry.resumeOnRelease
+      });
+
+      // Every registered bot, plus any bot the loop has locked or ticked
+      const known = new Map();
+      for (const bot of await this.listLoopBots(entry)) {
+        known.set(bot._id.toString(), { name: bot.name || null, userId: bot.userId ?? bot.mexcUserId ?? null });
+      }
+      for (const botId of entry.botStats.keys()) {
+        if (!known.has(botId)) known.set(botId, { name: null, userId: null });
+      }
+
+      for (const [botId, { name, userId }] of known) {
+        const stats = entry.botStats.get(botId);
+        const lockedSince = entry.locks.get(botId);
+        bots.push({
+          loop: entry.name,
+          botId,
+          name,
+          userId,
+          lastTickAt: stats?.lastTickAt || null,
+          lastDurationMs: stats?.lastDurationMs ?? null,
+          nextTickAt: entry.nextTickAt,
+          errorCount: stats?.errorCount || 0,
+          lastError: stats?.lastError || null,
+          lastErrorAt: stats?.lastErrorAt || null,
+          lockedSince: lockedSince ? new Date(lockedSince) : null,
+          health: this.botHealth(entry, stats, lockedSince)
+        });
+      }
+    }
+
+    const unhealthyLoops = loops.filter(l => l.enabled && l.health !== 'healthy' && l.health !== 'starting').length;
+    return {
+      startedAt: this.startedAt,
+      halted: this.halted,
+      health: this.halted ? 'halted' : unhealthyLoops === 0 ? 'healthy' : 'degraded',
+      loops,
+      bots
+    };
+  }
+}
+
+// Export singleton factory
+let supervisorInstance = null;
+
+export function createBotSupervisor(db, options = {}) {
+  if (!supervisorInstance) {
+    supervisorInstance = new BotSupervisor(db, options);
+  }
+  return supervisorInstance;
+}
+
+export function getBotSupervisor() {
+  return supervisorInstance;
+}
+
+export default BotSupervisor;
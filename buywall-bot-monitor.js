@@ -1,6 +1,8 @@
 import 'dotenv/config';
-import crypto from 'crypto';
 import telegramService from './telegram-service.js';
+import { createExchangeClient } from './exchange-clients.js';
+import { writeLog, withBotLogContext, getLogOwner } from './log-store.js';
+import { decryptSecret } from './credential-vault.js';
 
 const GCBEX_OPEN_API_BASE = process.env.GCBEX_OPEN_API_BASE || 'https://openapi.gcbex.com';
 
@@ -20,7 +22,8 @@ class BuyWallBotMonitor {
       timestamp: new Date().toISOString(),
       type,
       message,
-      data
+      data,
+      ...getLogOwner()
     };
     this.logs.unshift(logEntry);
     if (this.logs.length > this.maxLogs) {
@@ -28,6 +31,7 @@ class BuyWallBotMonitor {
     }
     const emoji = type === 'success' ? '✅' : type === 'error' ? '❌' : type === 'warning' ? '⚠️' : 'ℹ️';
     console.log(`${emoji} [BuyWallBot] ${message}`, data ? JSON.stringify(data) : '');
+    writeLog('buywall', type, message, data, { exchange: 'gcbex' });
   }
 
   async start() {
@@ -71,21 +75,18 @@ class BuyWallBotMonitor {
     return this.logs.slice(0, limit);
   }
 
-  generateSignature(timestamp, method, requestPath, body, apiSecret) {
-    const message = body 
-      ? `${timestamp}${method.toUpperCase()}${requestPath}${body}`
-      : `${timestamp}${method.toUpperCase()}${requestPath}`;
-    return crypto.createHmac('sha256', apiSecret).update(message).digest('hex');
+  getClient(user = null) {
+    return createExchangeClient('gcbex', user ? { apiKey: user.apiKey, apiSecret: decryptSecret(user.apiSecret) } : {}, {
+      baseUrl: GCBEX_OPEN_API_BASE
+    });
   }
 
   async getMarketPrice(symbol = 'GCBUSDT') {
     try {
-      const response = await fetch(`${GCBEX_OPEN_API_BASE}/sapi/v2/ticker?symbol=${symbol.toLowerCase()}`);
-      const data = await response.json();
-      if (data && data.last) {
-        const price = parseFloat(data.last);
-        this.marketData[symbol] = { price, updatedAt: new Date().toISOString() };
-        return price;
+      const ticker = await this.getClient().getTicker(symbol);
+      if (ticker) {
+        this.marketData[symbol] = { price: ticker.price, updatedAt: new Date().toISOString() };
+        return ticker.price;
       }
       return null;
     } catch (error) {
@@ -96,31 +97,7 @@ class BuyWallBotMonitor {
 
   async getOpenOrders(user, symbol = 'GCBUSDT') {
     try {
-      const timestamp = Date.now().toString();
-      const method = 'GET';
-      const requestPath = '/sapi/v2/openOrders';
-      const queryString = `symbol=${symbol}`;
-      const message = `${timestamp}${method}${requestPath}?${queryString}`;
-      const signature = crypto.createHmac('sha256', user.apiSecret).update(message).digest('hex');
-
-      const response = await fetch(`${GCBEX_OPEN_API_BASE}${requestPath}?${queryString}`, {
-        method: 'GET',
-        headers: {
-          'X-CH-APIKEY': user.apiKey,
-          'X-CH-TS': timestamp,
-          'X-CH-SIGN': signature,
-          'Content-Type': 'application/json'
-        }
-      });
-
-      const data = await response.json();
-      
-      if (Array.isArray(data)) {
-        return data;
-      } else if (data.list && Array.isArray(data.list)) {
-        return data.list;
-      }
-      return [];
+      return await this.getClient(user).getOpenOrders(symbol);
     } catch (error) {
       this.log('error', `Failed to fetch open orders: ${error.message}`);
       return [];
@@ -128,56 +105,32 @@ class BuyWallBotMonitor {
   }
 
   async placeLimitBuyOrder(user, symbol, price, usdtAmount, symbolInfo) {
-    try {
-      // Calculate GCB quantity from USDT amount
-      const gcbQuantity = usdtAmount / price;
-      
-      // Get precision from symbol info
-      const pricePrecision = symbolInfo?.quotePrecision || 6;
-      const quantityPrecision = symbolInfo?.basePrecision || 2;
-
-      const orderBody = {
-        symbol: symbol.toUpperCase(),
-        side: 'BUY',
-        type: 'LIMIT',
-        volume: gcbQuantity.toFixed(quantityPrecision),
-        price: price.toFixed(pricePrecision),
-        timeInForce: 'GTC'
-      };
-
-      const timestamp = Date.now().toString();
-      const method = 'POST';
-      const requestPath = '/sapi/v2/order';
-      const bodyJson = JSON.stringify(orderBody, null, 0).replace(/\s/g, '');
-      const signature = this.generateSignature(timestamp, method, requestPath, bodyJson, user.apiSecret);
-
-      const response = await fetch(`${GCBEX_OPEN_API_BASE}${requestPath}`, {
-        method: 'POST',
-        headers: {
-          'X-CH-APIKEY': user.apiKey,
-          'X-CH-TS': timestamp,
-          'X-CH-SIGN': signature,
-          'Content-Type': 'application/json'
-        },
-        body: bodyJson
-      });
-
-      const result = await response.json();
+    // Calculate GCB quantity from USDT amount
+    const gcbQuantity = usdtAmount / price;
+    
+    // Get precision from symbol info
+    const pricePrecision = symbolInfo?.quotePrecision || 6;
+    const quantityPrecision = symbolInfo?.basePrecision || 2;
+
+    const result = await this.getClient(user).placeOrder({
+      symbol,
+      side: 'BUY',
+      type: 'LIMIT',
+      quantity: gcbQuantity.toFixed(quantityPrecision),
+      price: price.toFixed(pricePrecision),
+      timeInForce: 'GTC'
+    });
 
-      if (result.orderId) {
-        return { success: true, orderId: result.orderId, price, usdtAmount, gcbQuantity };
-      } else {
-        return { success: false, error: result.msg || 'Order failed', price, usdtAmount };
-      }
-    } catch (error) {
-      return { success: false, error: error.message, price, usdtAmount };
+    if (result.success) {
+      return { success: true, orderId: result.orderId, price, usdtAmount, gcbQuantity };
+    } else {
+      return { success: false, error: result.error || 'Order failed', price, usdtAmount };
     }
   }
 
   async getSymbolInfo(symbol = 'GCBUSDT') {
     try {
-      const response = await fetch(`${GCBEX_OPEN_API_BASE}/sapi/v1/symbols`);
-      const data = await response.json();
+      const data = await this.getClient().publicRequest('/sapi/v1/symbols');
       if (data.symbols) {
         const symbolInfo = data.symbols.find(s => s.symbol.toUpperCase() === symbol.toUpperCase());
         return symbolInfo || { basePrecision: 2, quotePrecision: 6 };
@@ -219,7 +172,7 @@ class BuyWallBotMonitor {
         const user = enabledUsers.find(u => u.uid === bot.userId);
         if (!user) continue;
 
-        await this.monitorAndManageBuyWall(bot, user);
+        await withBotLogContext(bot, 'gcbex', () => this.monitorAndManageBuyWall(bot, user));
       }
     } catch (error) {
       this.log('error', `Error checking buy wall bots: ${error.message}`);
@@ -0,0 +1,415 @@
+import { EXCHANGES, splitSymbol } from './exchange-clients.js';
+
+/**
+ * Condition Expressions
+ *
+ * Conditional bot rules written as expression trees (bot_conditions.conditionExpression):
+ *   { operator: 'AND' | 'OR', conditions: [node, ...] }
+ *   { operator: 'NOT', condition: node }
+ *   { field, operator, value }                 comparison
+ *   { field: 'BALANCE', asset: 'USDT', operator, value }
+ *
+ * Comparison operators: ABOVE, BELOW, EQUAL (within 0.1%), NOT_EQUAL, BETWEEN
+ * (value: [min, max]). TIME_OF_DAY compares UTC "HH:MM" strings; a BETWEEN
+ * range may wrap midnight (["22:00", "02:00"]).
+ *
+ * Evaluation is three-valued: a comparison whose data is missing is unknown
+ * (null), which AND/OR/NOT propagate, and a rule only triggers on true. So
+ * "NOT price above x" never fires just because the price feed is down.
+ *
+ * Each rule watches one market: exchange (gcbex | mexc | xt, default gcbex)
+ * and symbol (stored as BASEQUOTE, default GCBUSDT). Market fields read that
+ * market's data.
+ *
+ * Legacy rules (conditionField / conditionOperator / conditionValue) are
+ * read as a single comparison over GCB_PRICE, GCB_QUANTITY or USDT_QUANTITY.
+ * Balances come from the shared balance cache (balance-service.js).
+ */
+
+export const CONDITION_FIELDS = {
+  PRICE: 'Last traded price',
+  BEST_BID: 'Highest bid',
+  BEST_ASK: 'Lowest ask',
+  SPREAD_PERCENT: 'Spread as % of mid-price',
+  BID_DEPTH_2PCT: 'Bid depth within 2% of mid (quote value)',
+  ASK_DEPTH_2PCT: 'Ask depth within 2% of mid (quote value)',
+  VOLUME_24H: '24h volume',
+  CHANGE_24H: '24h price change (%)',
+  TIME_OF_DAY: 'Time of day, UTC ("HH:MM")',
+  BALANCE: 'Free balance of an asset (needs asset)'
+};
+
+// Older rules and the conditional bot UI still send these names
+const FIELD_ALIASES = {
+  GCB_PRICE: { field: 'PRICE' },
+  GCB_QUANTITY: { field: 'BALANCE', asset: 'GCB' },
+  USDT_QUANTITY: { field: 'BALANCE', asset: 'USDT' }
+};
+
+export const COMPARISON_OPERATORS = ['ABOVE', 'BELOW', 'EQUAL', 'NOT_EQUAL', 'BETWEEN'];
+const LOGICAL_OPERATORS = ['AND', 'OR', 'NOT'];
+const MAX_DEPTH = 6;
+const MAX_NODES = 50;
+const DEPTH_BAND_PERCENT = 2;
+
+function parseTimeOfDay(text) {
+  const match = /^([01]?\d|2[0-3]):([0-5]\d)$/.exec(String(text));
+  return match ? parseInt(match[1]) * 60 + parseInt(match[2]) : null;
+}
+
+function parseNumber(value) {
+  if (typeof value === 'string' && value.trim() === '') return null;
+  if (typeof value !== 'number' && typeof value !== 'string') return null;
+  return isFinite(Number(value)) ? Number(value) : null;
+}
+
+function validateComparisonValue(node, path) {
+  const isTime = node.field === 'TIME_OF_DAY';
+  const parse = isTime ? parseTimeOfDay : parseNumber;
+  const expected = isTime ? 'an "HH:MM" time' : 'a number';
+
+  if (node.operator === 'BETWEEN') {
+    if (!Array.isArray(node.value) || node.value.length !== 2) {
+      throw new Error(`Invalid condition at ${path}: BETWEEN needs value [min, max]`);
+    }
+    const [min, max] = node.value.map(parse);
+    if (min === null || max === null) {
+      throw new Error(`Invalid condition at ${path}: BETWEEN bounds must each be ${expected}`);
+    }
+    if (!isTime && min > max) {
+      throw new Error(`Invalid condition at ${path}: BETWEEN min must not exceed max`);
+    }
+    return isTime ? node.value.map(String) : [min, max];
+  }
+
+  const value = parse(node.value);
+  if (value === null) {
+    throw new Error(`Invalid condition at ${path}: value must be ${expected}`);
+  }
+  return isTime ? String(node.value) : value;
+}
+
+function normalizeNode(node, path, depth, counter) {
+  if (!node || typeof node !== 'object' || Array.isArray(node)) {
+    throw new Error(`Invalid condition at ${path}: expected an object`);
+  }
+  if (depth > MAX_DEPTH) {
+    throw new Error(`Invalid condition: nested deeper than ${MAX_DEPTH} levels`);
+  }
+  if (++counter.nodes > MAX_NODES) {
+    throw new Error(`Invalid condition: more than ${MAX_NODES} nodes`);
+  }
+
+  const operator = String(node.operator || '').toUpperCase();
+
+  if (operator === 'AND' || operator === 'OR') {
+    if (!Array.isArray(node.conditions) || node.conditions.length === 0) {
+      throw new Error(`Invalid condition at ${path}: ${operator} needs a non-empty conditions array`);
+    }
+    return {
+      operator,
+      conditions: node.conditions.map((child, index) => normalizeNode(child, `${path}.conditions[${index}]`, depth + 1, counter))
+    };
+  }
+
+  if (operator === 'NOT') {
+    return { operator, condition: normalizeNode(node.condition, `${path}.condition`, depth + 1, counter) };
+  }
+
+  if (!COMPARISON_OPERATORS.includes(operator)) {
+    throw new Error(`Invalid condition at ${path}: operator must be one of ${[...LOGICAL_OPERATORS, ...COMPARISON_OPERATORS].join(', ')}`);
+  }
+
+  const rawField = String(node.field || '').toUpperCase();
+  const alias = FIELD_ALIASES[rawField] || { field: rawField };
+  if (!CONDITION_FIELDS[alias.field]) {
+    throw new Error(`Invalid condition at ${path}: unknown field "${node.field}" (use ${Object.keys(CONDITION_FIELDS).join(', ')})`);
+  }
+
+  const comparison = { field: alias.field, operator };
+  if (alias.field === 'BALANCE') {
+    const asset = String(node.asset || alias.asset || '').trim().toUpperCase();
+    if (!asset) {
+      throw new Error(`Invalid condition at ${path}: BALANCE needs an asset`);
+    }
+    comparison.asset = asset;
+  }
+  comparison.value = validateComparisonValue({ ...comparison, value: node.value }, path);
+  return comparison;
+}
+
+/**
+ * Validate an expression tree and return it normalized (upper-case operators
+ * and fields, aliases resolved, numbers parsed). Throws "Invalid condition ...".
+ */
+export function validateConditionExpression(expression) {
+  return normalizeNode(expression, 'conditionExpression', 1, { nodes: 0 });
+}
+
+// Expression tree of a stored rule; legacy single-field rules become one comparison
+// (null for a legacy field this module does not know)
+export function getConditionExpression(condition) {
+  if (condition.conditionExpression) return condition.conditionExpression;
+  if (!FIELD_ALIASES[condition.conditionField]) return null;
+  return validateConditionExpression({
+    field: condition.conditionField,
+    operator: condition.conditionOperator,
+    value: condition.conditionValue
+  });
+}
+
+export const DEFAULT_CONDITION_MARKET = { exchange: 'gcbex', symbol: 'GCBUSDT' };
+
+// Exchange and BASEQUOTE symbol a rule watches and trades (older rules: GCBUSDT on GCBEX)
+export function getConditionMarket(condition) {
+  return {
+    exchange: condition.exchange || DEFAULT_CONDITION_MARKET.exchange,
+    symbol: condition.symbol ? splitSymbol(condition.symbol).join('') : DEFAULT_CONDITION_MARKET.symbol
+  };
+}
+
+/**
+ * exchange / symbol of a create/update request body, validated: { fields } or { error }.
+ * On create missing values get the defaults; symbols are stored as BASEQUOTE.
+ */
+export function parseConditionMarket(body = {}, { partial = false } = {}) {
+  const fields = partial ? {} : { ...DEFAULT_CONDITION_MARKET };
+
+  if (body.exchange !== undefined) {
+    const exchange = String(body.exchange).toLowerCase();
+    if (!EXCHANGES.includes(exchange)) {
+      return { error: `Invalid condition: exchange must be one of ${EXCHANGES.join(', ')}` };
+    }
+    fields.exchange = exchange;
+  }
+
+  if (body.symbol !== undefined) {
+    const [base, quote] = typeof body.symbol === 'string' ? splitSymbol(body.symbol.trim()) : [];
+    if (!base || !quote || !/^[A-Z0-9]+$/.test(base + quote)) {
+      return { error: 'Invalid condition: symbol must be a pair such as GCBUSDT or gcb_usdt' };
+    }
+    fields.symbol = base + quote;
+  }
+  return { fields };
+}
+
+/**
+ * Rule fields of a create/update request body, validated: { fields } or { error }.
+ * On create (partial = false) a rule needs conditionExpression or the legacy
+ * conditionField; on update conditionExpression: null reverts to the legacy fields.
+ * Updates pass the stored condition merged with the body, so a lone
+ * conditionOperator or conditionValue is checked against the stored field.
+ */
+export function parseConditionRule(body = {}, { partial = false } = {}) {
+  try {
+    const fields = {};
+    if (body.conditionExpression !== undefined && body.conditionExpression !== null) {
+      fields.conditionExpression = validateConditionExpression(body.conditionExpression);
+    } else if (body.conditionExpression === null && partial) {
+      if (body.conditionField === undefined) {
+        return { error: 'Invalid condition: conditionField is required without conditionExpression' };
+      }
+      fields.conditionExpression = null;
+    } else if (!partial && body.conditionField === undefined) {
+      return { error: 'Invalid condition: conditionExpression or conditionField is required' };
+    }
+
+    if (body.conditionField !== undefined) {
+      if (!FIELD_ALIASES[body.conditionField]) {
+        const legacyFields = Object.keys(FIELD_ALIASES).join(', ');
+        return { error: `Invalid condition: conditionField ${body.conditionField} is not supported (use ${legacyFields} or conditionExpression)` };
+      }
+      validateConditionExpression({ field: body.conditionField, operator: body.conditionOperator, value: body.conditionValue });
+    }
+    return { fields };
+  } catch (error) {
+    return { error: error.message };
+  }
+}
+
+// True when any comparison in the tree reads a balance, so callers only fetch balances when needed
+export function expressionUsesBalances(node) {
+  if (!node) return false;
+  if (node.conditions) return node.conditions.some(expressionUsesBalances);
+  if (node.condition) return expressionUsesBalances(node.condition);
+  return node.field === 'BALANCE';
+}
+
+/**
+ * Market fields for a ticker + order book: { price, bestBid, bestAsk,
+ * spreadPercent, bidDepth2Pct, askDepth2Pct, volume24h, change24h }.
+ * depth is { bids: [[price, qty]], asks: [[price, qty]] } (optional).
+ */
+export function buildMarketSnapshot(ticker, depth = null) {
+  const bestBid = depth?.bids?.[0]?.[0] ?? (ticker?.bid || null);
+  const bestAsk = depth?.asks?.[0]?.[0] ?? (ticker?.ask || null);
+  const mid = bestBid && bestAsk ? (bestBid + bestAsk) / 2 : null;
+
+  let bidDepth2Pct = null;
+  let askDepth2Pct = null;
+  if (depth && mid) {
+    const lower = mid * (1 - DEPTH_BAND_PERCENT / 100);
+    const upper = mid * (1 + DEPTH_BAND_PERCENT / 100);
+    bidDepth2Pct = depth.bids.filter(([price]) => price >= lower).reduce((sum, [price, qty]) => sum + price * qty, 0);
+    askDepth2Pct = depth.asks.filter(([price]) => price <= upper).reduce((sum, [price, qty]) => sum + price * qty, 0);
+  }
+
+  return {
+    price: ticker?.price ?? null,
+    bestBid,
+    bestAsk,
+    spreadPercent: mid ? (bestAsk - bestBid) / mid * 100 : null,
+    bidDepth2Pct,
+    askDepth2Pct,
+    volume24h: ticker?.volume24h ?? null,
+    change24h: ticker?.change24h ?? null
+  };
+}
+
+const MARKET_FIELDS = {
+  PRICE: 'price',
+  BEST_BID: 'bestBid',
+  BEST_ASK: 'bestAsk',
+  SPREAD_PERCENT: 'spreadPercent',
+  BID_DEPTH_2PCT: 'bidDepth2Pct',
+  ASK_DEPTH_2PCT: 'askDepth2Pct',
+  VOLUME_24H: 'volume24h',
+  CHANGE_24H: 'change24h'
+};
+
+// Current value of a comparison's field, or null when the data is not available
+export function readField(node, context) {
+  if (node.field === 'TIME_OF_DAY') {
+    const now = context.now || new Date();
+    return now.getUTCHours() * 60 + now.getUTCMinutes();
+  }
+  if (node.field === 'BALANCE') {
+    const balance = context.balances?.[node.asset];
+    if (context.balances && !balance) return 0;
+    return balance ? balance.free : null;
+  }
+  const value = context.market?.[MARKET_FIELDS[node.field]];
+  return value === null || value === undefined || isNaN(value) ? null : value;
+}
+
+function compare(node, current) {
+  if (node.field === 'TIME_OF_DAY') {
+    if (node.operator === 'BETWEEN') {
+      const [start, end] = node.value.map(parseTimeOfDay);
+      return start <= end ? current >= start && current <= end : current >= start || current <= end;
+    }
+    const target = parseTimeOfDay(node.value);
+    switch (node.operator) {
+      case 'ABOVE': return current > target;
+      case 'BELOW': return current < target;
+      case 'EQUAL': return current === target;
+      case 'NOT_EQUAL': return current !== target;
+      default: return false;
+    }
+  }
+
+  switch (node.operator) {
+    case 'ABOVE':
+      return current > node.value;
+    case 'BELOW':
+      return current < node.value;
+    case 'EQUAL':
+      // Lenient float comparison - within 0.1% tolerance
+      return Math.abs(current - node.value) <= Math.abs(node.value) * 0.001;
+    case 'NOT_EQUAL':
+      return Math.abs(current - node.value) > 0.0001;
+    case 'BETWEEN':
+      return current >= node.value[0] && current <= node.value[1];
+    default:
+      return false;
+  }
+}
+
+/**
+ * Evaluate an expression against { market, balances, now }.
+ * Returns true, false or null (unknown - some data it needs is missing).
+ */
+export function evaluateExpression(node, context) {
+  if (node.operator === 'AND') {
+    const results = node.conditions.map(child => evaluateExpression(child, context));
+    if (results.includes(false)) return false;
+    return results.includes(null) ? null : true;
+  }
+  if (node.operator === 'OR') {
+    const results = node.conditions.map(child => evaluateExpression(child, context));
+    if (results.includes(true)) return true;
+    return results.includes(null) ? null : false;
+  }
+  if (node.operator === 'NOT') {
+    const result = evaluateExpression(node.condition, context);
+    return result === null ? null : !result;
+  }
+
+  const current = readField(node, context);
+  return current === null ? null : compare(node, current);
+}
+
+function formatTimeOfDay(minutes) {
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+/**
+ * evaluateExpression with its working shown: the same tree, each node with
+ * its description and result, and each comparison with the current value it read.
+ */
+export function traceExpression(node, context) {
+  if (node.operator === 'AND' || node.operator === 'OR') {
+    const conditions = node.conditions.map(child => traceExpression(child, context));
+    const results = conditions.map(child => child.result);
+    const decisive = node.operator === 'AND' ? false : true;
+    const result = results.includes(decisive) ? decisive : (results.includes(null) ? null : !decisive);
+    return { operator: node.operator, description: describeExpression(node), result, conditions };
+  }
+  if (node.operator === 'NOT') {
+    const condition = traceExpression(node.condition, context);
+    return {
+      operator: 'NOT',
+      description: describeExpression(node),
+      result: condition.result === null ? null : !condition.result,
+      condition
+    };
+  }
+
+  const current = readField(node, context);
+  return {
+    ...node,
+    description: describeExpression(node),
+    current: current !== null && node.field === 'TIME_OF_DAY' ? formatTimeOfDay(current) : current,
+    result: current === null ? null : compare(node, current)
+  };
+}
+
+// Readable one-line form for logs and notifications
+export function describeExpression(node) {
+  if (!node) return '(none)';
+  if (node.operator === 'AND' || node.operator === 'OR') {
+    return `(${node.conditions.map(describeExpression).join(` ${node.operator} `)})`;
+  }
+  if (node.operator === 'NOT') {
+    return `NOT ${describeExpression(node.condition)}`;
+  }
+  const field = node.field === 'BALANCE' ? `BALANCE(${node.asset})` : node.field;
+  const value = Array.isArray(node.value) ? `[${node.value.join(', ')}]` : node.value;
+  return `${field} ${node.operator} ${value}`;
+}
+
+export default {
+  CONDITION_FIELDS,
+  COMPARISON_OPERATORS,
+  validateConditionExpression,
+  getConditionExpression,
+  parseConditionRule,
+  getConditionMarket,
+  parseConditionMarket,
+  expressionUsesBalances,
+  buildMarketSnapshot,
+  readField,
+  evaluateExpression,
+  traceExpression,
+  describeExpression
+};
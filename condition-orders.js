@@ -0,0 +1,307 @@
+import { createExchangeClient } from './exchange-clients.js';
+import { writeLog, withBotLogContext } from './log-store.js';
+import { getLinkedCredentials } from './exchange-credentials.js';
+
+/**
+ * Condition Orders
+ *
+ * LIMIT orders placed by conditional bot actions are recorded and watched
+ * until they leave the book, instead of resting there forever:
+ *   condition_orders { conditionId, conditionName, userId, exchange, symbol, mode,
+ *                      orderId, side, price, quantity, pricePrecision,
+ *                      quantityPrecision, referencePrice, timeInForce, expireAfterMinutes,
+ *                      priceMovePercent, expiryAction, maxReprices, reprices,
+ *                      expiresAt, status, outcome, history, createdAt,
+ *                      updatedAt, closedAt }
+ *
+ * Condition settings (for LIMIT actions):
+ *   timeInForce       - GTC (default, only tracked) | EXPIRE_AFTER | CANCEL_ON_MOVE
+ *   expireAfterMinutes - EXPIRE_AFTER: minutes an order may rest
+ *   priceMovePercent  - CANCEL_ON_MOVE: market move from the price at placement
+ *   expiryAction      - cancel (default) | reprice: replace the unfilled rest at
+ *                       the same distance from the current market price
+ *   maxReprices       - reprices before an expiring order is cancelled (default 3)
+ *
+ * The tracker runs as a supervisor loop. An order that is no longer open was
+ * filled or cancelled on the exchange and is closed. status: open -> closed |
+ * cancelled | error. Every step is kept in history and the monitor logs.
+ */
+
+export const ORDERS_COLLECTION = 'condition_orders';
+export const TIME_IN_FORCE_OPTIONS = ['GTC', 'EXPIRE_AFTER', 'CANCEL_ON_MOVE'];
+export const EXPIRY_ACTIONS = ['cancel', 'reprice'];
+const DEFAULT_MAX_REPRICES = 3;
+const MAX_LIST_LIMIT = 200;
+
+let ordersDb = null;
+
+export async function initConditionOrders(db) {
+  ordersDb = db;
+  const collection = db.collection(ORDERS_COLLECTION);
+  await collection.createIndex({ status: 1 });
+  await collection.createIndex({ conditionId: 1, createdAt: -1 });
+  console.log('✅ Condition order tracking initialized');
+}
+
+function positiveNumber(value) {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : null;
+}
+
+/**
+ * Limit order settings of a create/update request body, validated: { fields } or { error }.
+ * On create missing settings get the defaults (GTC, cancel, 3 reprices).
+ */
+export function parseLimitOrderSettings(body = {}, { partial = false } = {}) {
+  const fields = partial ? {} : { timeInForce: 'GTC', expiryAction: 'cancel', maxReprices: DEFAULT_MAX_REPRICES };
+
+  if (body.timeInForce !== undefined) {
+    const timeInForce = String(body.timeInForce).toUpperCase();
+    if (!TIME_IN_FORCE_OPTIONS.includes(timeInForce)) {
+      return { error: `Invalid limit order settings: timeInForce must be one of ${TIME_IN_FORCE_OPTIONS.join(', ')}` };
+    }
+    fields.timeInForce = timeInForce;
+  }
+
+  if (body.expireAfterMinutes !== undefined && body.expireAfterMinutes !== null) {
+    const minutes = positiveNumber(body.expireAfterMinutes);
+    if (minutes === null) {
+      return { error: 'Invalid limit order settings: expireAfterMinutes must be a positive number' };
+    }
+    fields.expireAfterMinutes = minutes;
+  }
+
+  if (body.priceMovePercent !== undefined && body.priceMovePercent !== null) {
+    const percent = positiveNumber(body.priceMovePercent);
+    if (percent === null) {
+      return { error: 'Invalid limit order settings: priceMovePercent must be a positive number' };
+    }
+    fields.priceMovePercent = percent;
+  }
+
+  if (fields.timeInForce === 'EXPIRE_AFTER' && !fields.expireAfterMinutes) {
+    return { error: 'Invalid limit order settings: EXPIRE_AFTER needs expireAfterMinutes' };
+  }
+  if (fields.timeInForce === 'CANCEL_ON_MOVE' && !fields.priceMovePercent) {
+    return { error: 'Invalid limit order settings: CANCEL_ON_MOVE needs priceMovePercent' };
+  }
+
+  if (body.expiryAction !== undefined) {
+    if (!EXPIRY_ACTIONS.includes(body.expiryAction)) {
+      return { error: `Invalid limit order settings: expiryAction must be one of ${EXPIRY_ACTIONS.join(', ')}` };
+    }
+    fields.expiryAction = body.expiryAction;
+  }
+
+  if (body.maxReprices !== undefined) {
+    const maxReprices = Number(body.maxReprices);
+    if (!Number.isInteger(maxReprices) || maxReprices < 0) {
+      return { error: 'Invalid limit order settings: maxReprices must be a non-negative integer' };
+    }
+    fields.maxReprices = maxReprices;
+  }
+  return { fields };
+}
+
+function expiryFrom(timeInForce, expireAfterMinutes, from = new Date()) {
+  return timeInForce === 'EXPIRE_AFTER' ? new Date(from.getTime() + expireAfterMinutes * 60 * 1000) : null;
+}
+
+/**
+ * Record a LIMIT order a condition just placed. referencePrice is the market
+ * price at placement; pricePrecision and quantityPrecision are used when repricing.
+ */
+export async function trackConditionOrder({ condition, exchange, symbol, orderId, orderBody, referencePrice, pricePrecision, quantityPrecision }) {
+  const now = new Date();
+  const timeInForce = condition.timeInForce || 'GTC';
+  const order = {
+    conditionId: condition._id,
+    conditionName: condition.name,
+    userId: condition.userId,
+    exchange,
+    symbol,
+    mode: condition.mode === 'paper' ? 'paper' : 'live',
+    orderId: String(orderId),
+    side: orderBody.side,
+    price: parseFloat(orderBody.price),
+    quantity: parseFloat(orderBody.quantity),
+    pricePrecision,
+    quantityPrecision,
+    referencePrice,
+    timeInForce,
+    expireAfterMinutes: condition.expireAfterMinutes ?? null,
+    priceMovePercent: condition.priceMovePercent ?? null,
+    expiryAction: condition.expiryAction || 'cancel',
+    maxReprices: condition.maxReprices ?? DEFAULT_MAX_REPRICES,
+    reprices: 0,
+    expiresAt: expiryFrom(timeInForce, condition.expireAfterMinutes, now),
+    status: 'open',
+    outcome: null,
+    history: [{ at: now, event: 'placed', orderId: String(orderId), price: parseFloat(orderBody.price), referencePrice }],
+    createdAt: now,
+    updatedAt: now,
+    closedAt: null
+  };
+  const result = await ordersDb.collection(ORDERS_COLLECTION).insertOne(order);
+  return { _id: result.insertedId, ...order };
+}
+
+// Tracked orders of one condition, newest first
+export async function listConditionOrders(conditionId, { status, limit } = {}) {
+  const filter = { conditionId };
+  if (status) filter.status = status;
+  return ordersDb.collection(ORDERS_COLLECTION)
+    .find(filter)
+    .sort({ createdAt: -1 })
+    .limit(Math.min(parseInt(limit) || 50, MAX_LIST_LIMIT))
+    .toArray();
+}
+
+// Why an open order should leave the book now, or null
+export function getExpiryReason(order, marketPrice, now = new Date()) {
+  if (order.timeInForce === 'EXPIRE_AFTER' && order.expiresAt && new Date(order.expiresAt) <= now) {
+    return `rested longer than ${order.expireAfterMinutes} minute(s)`;
+  }
+  if (order.timeInForce === 'CANCEL_ON_MOVE' && marketPrice && order.referencePrice) {
+    const movePercent = Math.abs(marketPrice - order.referencePrice) / order.referencePrice * 100;
+    if (movePercent >= order.priceMovePercent) {
+      return `market moved ${movePercent.toFixed(2)}% (limit ${order.priceMovePercent}%)`;
+    }
+  }
+  return null;
+}
+
+// New limit price at the same distance from the market as the original order
+export function getRepricedPrice(order, marketPrice) {
+  const price = marketPrice * (order.price / order.referencePrice);
+  return Number(price.toFixed(order.pricePrecision ?? 8));
+}
+
+// Unfilled rest of the order, rounded down to the symbol's quantity precision
+// (the epsilon keeps float noise like 0.19999999999999998 from losing a step)
+export function getRemainingQuantity(order, executedQty) {
+  const factor = 10 ** (order.quantityPrecision ?? 8);
+  const remaining = Math.floor((order.quantity - executedQty) * factor + 1e-9) / factor;
+  return remaining > 0 ? Number(remaining.toFixed(order.quantityPrecision ?? 8)) : 0;
+}
+
+class ConditionOrderTracker {
+  constructor(db) {
+    this.db = db;
+    this.isRunning = false;
+    this.checkInterval = parseInt(process.env.CONDITION_ORDER_CHECK_MS) || 30000;
+  }
+
+  log(type, message, data = null) {
+    const emoji = type === 'success' ? '✅' : type === 'error' ? '❌' : type === 'warning' ? '⚠️' : 'ℹ️';
+    console.log(`${emoji} [ConditionOrders] ${message}`, data ? JSON.stringify(data).substring(0, 200) : '');
+    writeLog('conditional', type, message, data);
+  }
+
+  async update(order, set, event) {
+    const now = new Date();
+    await this.db.collection(ORDERS_COLLECTION).updateOne(
+      { _id: order._id },
+      { $set: { ...set, updatedAt: now }, $push: { history: { at: now, ...event } } }
+    );
+  }
+
+  async close(order, status, outcome, event = {}) {
+    await this.update(order, { status, outcome, closedAt: new Date() }, { event: status, outcome, ...event });
+    this.log(status === 'error' ? 'error' : 'info', `Condition order ${order.orderId} (${order.conditionName}) ${status}: ${outcome}`, {
+      conditionId: order.conditionId.toString(),
+      symbol: order.symbol
+    });
+  }
+
+  // One tick: every open tracked order
+  async checkOrders() {
+    const orders = await this.db.collection(ORDERS_COLLECTION).find({ status: 'open' }).toArray();
+    for (const order of orders) {
+      const context = { _id: order.conditionId, userId: order.userId, exchange: order.exchange, mode: order.mode };
+      await withBotLogContext(context, order.exchange, async () => {
+        try {
+          await this.checkOrder(order);
+        } catch (error) {
+          this.log('error', `Error checking condition order ${order.orderId}`, error.message);
+        }
+      });
+    }
+  }
+
+  async checkOrder(order) {
+    const user = await this.db.collection('users').findOne({ uid: order.userId });
+    const credentials = user ? await getLinkedCredentials(this.db, user, order.exchange) : null;
+    if (!credentials) {
+      await this.close(order, 'error', `no ${order.exchange} API credentials to manage the order`);
+      return;
+    }
+
+    const client = createExchangeClient(order.exchange, credentials);
+    const openOrders = await client.getOpenOrders(order.symbol);
+    const live = openOrders.find(open => String(open.orderId) === order.orderId);
+    if (!live) {
+      await this.close(order, 'closed', 'filled or cancelled on the exchange');
+      return;
+    }
+
+    const ticker = order.timeInForce === 'CANCEL_ON_MOVE' || order.expiryAction === 'reprice'
+      ? await client.getTicker(order.symbol)
+      : null;
+    const reason = getExpiryReason(order, ticker?.price ?? null);
+    if (!reason) return;
+
+    const cancel = await client.cancelOrder(order.symbol, order.orderId);
+    if (!cancel.success) {
+      this.log('warning', `Failed to cancel expiring condition order ${order.orderId}: ${cancel.error}`);
+      return;
+    }
+
+    const remaining = getRemainingQuantity(order, live.executedQty || 0);
+    if (order.expiryAction !== 'reprice' || order.reprices >= order.maxReprices || !ticker?.price || remaining <= 0) {
+      const note = order.expiryAction === 'reprice' && order.reprices >= order.maxReprices
+        ? `; reprice limit (${order.maxReprices}) reached`
+        : '';
+      await this.close(order, 'cancelled', `${reason}${note}`, { executedQty: live.executedQty || 0 });
+      return;
+    }
+
+    const price = getRepricedPrice(order, ticker.price);
+    const result = await client.placeOrder({
+      symbol: order.symbol,
+      side: order.side,
+      type: 'LIMIT',
+      timeInForce: 'GTC',
+      price: price.toString(),
+      quantity: remaining.toFixed(order.quantityPrecision ?? 8)
+    });
+    if (!result.success) {
+      await this.close(order, 'cancelled', `${reason}; reprice failed: ${result.error}`);
+      return;
+    }
+
+    const now = new Date();
+    await this.update(order, {
+      orderId: String(result.orderId),
+      price,
+      quantity: remaining,
+      referencePrice: ticker.price,
+      reprices: order.reprices + 1,
+      expiresAt: expiryFrom(order.timeInForce, order.expireAfterMinutes, now)
+    }, {
+      event: 'repriced',
+      reason,
+      previousOrderId: order.orderId,
+      orderId: String(result.orderId),
+      price,
+      quantity: remaining,
+      referencePrice: ticker.price
+    });
+    this.log('info', `Repriced condition order ${order.orderId} -> ${result.orderId} at ${price} (${reason})`, {
+      conditionId: order.conditionId.toString(),
+      reprices: order.reprices + 1
+    });
+  }
+}
+
+export default ConditionOrderTracker;
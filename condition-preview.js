@@ -0,0 +1,131 @@
+import { createExchangeClient } from './exchange-clients.js';
+import { withBotLogContext } from './log-store.js';
+import { getCachedBalances } from './balance-service.js';
+import { getLinkedCredentials } from './exchange-credentials.js';
+import { buildConditionOrder, checkOrderFunds, loadSymbolPrecision, marketKey } from './bot-monitor.js';
+import {
+  buildMarketSnapshot,
+  describeExpression,
+  getConditionExpression,
+  getConditionMarket,
+  traceExpression
+} from './condition-expressions.js';
+import {
+  getCooldownRemaining,
+  getTriggerSummary,
+  isArmed,
+  isConditionExpired,
+  isTriggerLimitReached
+} from './condition-triggers.js';
+
+/**
+ * Condition Preview
+ *
+ * Dry run of a conditional bot rule: what BotMonitor.evaluateCondition would
+ * decide right now and which order executeAction would send, without placing
+ * anything. Uses the running monitor's data for the condition's market when
+ * it is fresh, else fetches that market's ticker and order book; balances
+ * come from the shared balance cache.
+ */
+
+const DEFAULT_COOLDOWN_MS = 60000;
+
+// The running monitor's snapshot if recent enough, else a fresh one
+async function loadMarket(monitor, exchange, symbol) {
+  const cached = monitor?.isRunning ? monitor.marketData[marketKey(exchange, symbol)] : null;
+  const maxAgeMs = (monitor?.config.marketPollInterval || 0) * 2;
+  if (cached && Date.now() - new Date(cached.timestamp).getTime() <= maxAgeMs) {
+    return { market: cached, source: 'monitor' };
+  }
+
+  const client = createExchangeClient(exchange);
+  const ticker = await client.getTicker(symbol);
+  if (!ticker) return { market: null, source: 'live' };
+  const depth = await client.getDepth(symbol, 100).catch(() => null);
+  return {
+    market: {
+      exchange,
+      symbol,
+      ...buildMarketSnapshot(ticker, depth),
+      high24h: ticker.high24h,
+      low24h: ticker.low24h,
+      timestamp: new Date()
+    },
+    source: 'live'
+  };
+}
+
+// Why the monitor would not fire this rule now, regardless of the expression
+function getBlockers(condition, user, hasCredentials, cooldownMs) {
+  const blockers = [];
+  if (!hasCredentials) blockers.push('no-credentials');
+  if (condition._id && !condition.isActive) blockers.push('inactive');
+  if (!user.botEnabled) blockers.push('bot-disabled');
+  if (isConditionExpired(condition)) blockers.push('expired');
+  if (isTriggerLimitReached(condition)) blockers.push('trigger-limit-reached');
+  if (getCooldownRemaining(condition, cooldownMs) > 0) blockers.push('cooldown');
+  if (!isArmed(condition)) blockers.push('waiting-to-rearm');
+  return blockers;
+}
+
+/**
+ * Preview a saved or draft condition for its owner (a users document), on the
+ * condition's exchange and symbol.
+ * Returns { expression, result, trace, inputs, order, funds, lifecycle, blockedBy,
+ * wouldTrigger } or { error } when the rule cannot be evaluated at all.
+ */
+export async function previewCondition(db, condition, user, { monitor = null } = {}) {
+  const expression = getConditionExpression(condition);
+  if (!expression) {
+    return { error: `Invalid condition: unsupported conditionField ${condition.conditionField}` };
+  }
+
+  const now = new Date();
+  const { exchange, symbol } = getConditionMarket(condition);
+  const { market, source: marketSource } = await loadMarket(monitor, exchange, symbol);
+
+  // Same client the monitor would trade with (paper for paper-mode rules)
+  const credentials = await getLinkedCredentials(db, user, exchange);
+  let balances = null;
+  let precision;
+  if (credentials) {
+    ({ balances, precision } = await withBotLogContext(condition, exchange, async () => {
+      const client = createExchangeClient(exchange, credentials);
+      return {
+        balances: await getCachedBalances(client).catch(() => null),
+        precision: await loadSymbolPrecision(client, symbol)
+      };
+    }));
+  } else {
+    precision = await loadSymbolPrecision(createExchangeClient(exchange), symbol);
+  }
+
+  const trace = traceExpression(expression, { market, balances, now });
+  const { orderBody, volume, sizing, error: orderError } = buildConditionOrder(condition, market, precision);
+  const cooldownMs = monitor?.config.conditionCooldown || DEFAULT_COOLDOWN_MS;
+  const blockedBy = getBlockers(condition, user, Boolean(credentials), cooldownMs);
+
+  return {
+    expression: describeExpression(expression),
+    result: trace.result,
+    trace,
+    inputs: {
+      exchange,
+      symbol,
+      market,
+      marketSource,
+      balances,
+      balanceSource: credentials ? 'cache' : null,
+      now
+    },
+    order: orderError ? null : { ...orderBody, volume, sizing },
+    orderError: orderError || null,
+    funds: orderError || !balances ? null : checkOrderFunds(orderBody, balances, market),
+    lifecycle: getTriggerSummary(condition),
+    cooldownRemainingMs: getCooldownRemaining(condition, cooldownMs),
+    blockedBy,
+    wouldTrigger: trace.result === true && blockedBy.length === 0 && !orderError
+  };
+}
+
+export default previewCondition;
@@ -0,0 +1,281 @@
+/**
+ * Condition Triggers
+ *
+ * Persisted trigger lifecycle for bot_conditions, so a restart cannot fire a
+ * rule twice. Per-condition settings:
+ *   maxTriggers     - stop after this many successful trades (null = unlimited)
+ *   oneShot         - shorthand for maxTriggers: 1
+ *   expiresAt       - stop evaluating after this time (null = never)
+ *   rearmThreshold  - hysteresis: after firing, the rule is disarmed until the
+ *                     price crosses back past this level (below it when the
+ *                     trigger price was above, above it otherwise)
+ *
+ * State kept on the condition document:
+ *   triggerCount, lastTriggered  - successful trades (as before)
+ *   lastAttemptAt                - last claimed trigger; the cooldown runs from here
+ *   armed, lastTriggerPrice      - hysteresis state
+ *   completedAt, completedReason - set with isActive: false once a rule is
+ *                                  done: one-shot | max-triggers | expired
+ *
+ * A trigger is claimed (lastAttemptAt, triggerCount, armed) with a
+ * conditional update before the order is sent, so only one monitor fires
+ * it. A failed order gives the trigger back but keeps the cooldown.
+ *
+ * Every trigger and lifecycle change is recorded in condition_triggers:
+ *   { conditionId, userId, event: triggered | rearmed | completed | expired,
+ *     status, triggerNumber, price, orderId, error, timestamp }
+ */
+
+export const TRIGGERS_COLLECTION = 'condition_triggers';
+const CONDITIONS_COLLECTION = 'bot_conditions';
+const MAX_HISTORY_LIMIT = 500;
+
+// Fields only the monitor writes; stripped from create/update bodies
+export const TRIGGER_STATE_FIELDS = [
+  'triggerCount', 'lastTriggered', 'lastAttemptAt', 'armed',
+  'lastTriggerPrice', 'completedAt', 'completedReason'
+];
+
+let triggerDb = null;
+
+export async function initConditionTriggers(db) {
+  triggerDb = db;
+  await db.collection(TRIGGERS_COLLECTION).createIndex({ conditionId: 1, timestamp: -1 });
+  console.log('✅ Condition trigger history initialized');
+}
+
+/**
+ * Lifecycle settings of a create/update request body, validated: { fields } or { error }.
+ * On create every setting gets its default; on update (partial) only the given
+ * ones change, and resetTriggers: true clears the trigger state.
+ */
+export function parseTriggerSettings(body = {}, { partial = false } = {}) {
+  const fields = partial ? {} : { maxTriggers: null, oneShot: false, expiresAt: null, rearmThreshold: null };
+
+  if (body.maxTriggers !== undefined && body.maxTriggers !== null) {
+    const maxTriggers = Number(body.maxTriggers);
+    if (!Number.isInteger(maxTriggers) || maxTriggers < 1) {
+      return { error: 'Invalid trigger settings: maxTriggers must be a positive integer or null' };
+    }
+    fields.maxTriggers = maxTriggers;
+  } else if (body.maxTriggers === null) {
+    fields.maxTriggers = null;
+  }
+
+  if (body.oneShot !== undefined) {
+    if (typeof body.oneShot !== 'boolean') {
+      return { error: 'Invalid trigger settings: oneShot must be true or false' };
+    }
+    fields.oneShot = body.oneShot;
+  }
+
+  if (body.expiresAt !== undefined && body.expiresAt !== null) {
+    const expiresAt = new Date(body.expiresAt);
+    if (isNaN(expiresAt.getTime())) {
+      return { error: 'Invalid trigger settings: expiresAt must be a date' };
+    }
+    if (expiresAt <= new Date()) {
+      return { error: 'Invalid trigger settings: expiresAt must be in the future' };
+    }
+    fields.expiresAt = expiresAt;
+  } else if (body.expiresAt === null) {
+    fields.expiresAt = null;
+  }
+
+  if (body.rearmThreshold !== undefined && body.rearmThreshold !== null) {
+    const rearmThreshold = Number(body.rearmThreshold);
+    if (!(rearmThreshold > 0)) {
+      return { error: 'Invalid trigger settings: rearmThreshold must be a positive price or null' };
+    }
+    fields.rearmThreshold = rearmThreshold;
+  } else if (body.rearmThreshold === null) {
+    fields.rearmThreshold = null;
+  }
+
+  if (!partial || body.resetTriggers === true) {
+    Object.assign(fields, {
+      triggerCount: 0,
+      lastAttemptAt: null,
+      armed: true,
+      lastTriggerPrice: null,
+      completedAt: null,
+      completedReason: null
+    });
+  }
+  return { fields };
+}
+
+// Successful trades allowed in total (null = unlimited)
+export function getTriggerLimit(condition) {
+  if (condition.oneShot) return 1;
+  return condition.maxTriggers ?? null;
+}
+
+export function isTriggerLimitReached(condition) {
+  const limit = getTriggerLimit(condition);
+  return limit !== null && (condition.triggerCount || 0) >= limit;
+}
+
+export function isConditionExpired(condition, now = new Date()) {
+  return Boolean(condition.expiresAt) && new Date(condition.expiresAt) <= now;
+}
+
+// Milliseconds of cooldown left since the last claimed trigger (0 = ready)
+export function getCooldownRemaining(condition, cooldownMs, now = Date.now()) {
+  const last = condition.lastAttemptAt || condition.lastTriggered;
+  if (!last) return 0;
+  return Math.max(0, new Date(last).getTime() + cooldownMs - now);
+}
+
+// True once the price is back on the other side of rearmThreshold from the trigger price
+export function hasCrossedRearmThreshold(condition, price) {
+  if (price === null || price === undefined || condition.lastTriggerPrice === null || condition.lastTriggerPrice === undefined) {
+    return false;
+  }
+  return condition.lastTriggerPrice >= condition.rearmThreshold
+    ? price <= condition.rearmThreshold
+    : price >= condition.rearmThreshold;
+}
+
+export function isArmed(condition) {
+  return condition.armed !== false || condition.rearmThreshold === null || condition.rearmThreshold === undefined;
+}
+
+async function recordEvent(condition, event, details = {}) {
+  try {
+    await triggerDb.collection(TRIGGERS_COLLECTION).insertOne({
+      conditionId: condition._id,
+      userId: condition.userId,
+      event,
+      ...details,
+      timestamp: new Date()
+    });
+  } catch (error) {
+    console.error(`Failed to record ${event} for condition ${condition._id}:`, error.message);
+  }
+}
+
+async function finish(condition, reason) {
+  const now = new Date();
+  const result = await triggerDb.collection(CONDITIONS_COLLECTION).updateOne(
+    { _id: condition._id, isActive: true },
+    { $set: { isActive: false, completedAt: now, completedReason: reason, updatedAt: now } }
+  );
+  if (result.modifiedCount > 0) {
+    await recordEvent(condition, reason === 'expired' ? 'expired' : 'completed', {
+      reason,
+      triggerNumber: condition.triggerCount || 0
+    });
+  }
+  return result.modifiedCount > 0;
+}
+
+// Deactivate a rule whose expiresAt has passed
+export async function expireCondition(condition) {
+  return finish(condition, 'expired');
+}
+
+// Deactivate a rule that has used up its triggers (e.g. maxTriggers lowered below the count)
+export async function completeCondition(condition) {
+  return finish(condition, condition.oneShot ? 'one-shot' : 'max-triggers');
+}
+
+// Arm a disarmed rule again once the price crossed back; false while it is still waiting
+export async function rearmIfCrossed(condition, price) {
+  if (isArmed(condition)) return true;
+  if (!hasCrossedRearmThreshold(condition, price)) return false;
+
+  await triggerDb.collection(CONDITIONS_COLLECTION).updateOne(
+    { _id: condition._id },
+    { $set: { armed: true, updatedAt: new Date() } }
+  );
+  await recordEvent(condition, 'rearmed', { price, rearmThreshold: condition.rearmThreshold });
+  return true;
+}
+
+/**
+ * Claim the next trigger before sending the order. Matches on the
+ * lastAttemptAt this monitor read, so a concurrent or restarted monitor that
+ * already claimed it gets null. Returns the updated condition.
+ */
+export async function claimTrigger(condition, price) {
+  const now = new Date();
+  return triggerDb.collection(CONDITIONS_COLLECTION).findOneAndUpdate(
+    { _id: condition._id, isActive: true, lastAttemptAt: condition.lastAttemptAt ?? null },
+    {
+      $set: {
+        lastAttemptAt: now,
+        armed: condition.rearmThreshold === null || condition.rearmThreshold === undefined,
+        lastTriggerPrice: price ?? null,
+        updatedAt: now
+      },
+      $inc: { triggerCount: 1 }
+    },
+    { returnDocument: 'after' }
+  );
+}
+
+/**
+ * Settle a claimed trigger with the order outcome ({ success, orderId, price, error }).
+ * Success records lastTriggered and completes the rule at its limit; failure
+ * gives the trigger back (count and arming) but keeps the cooldown.
+ */
+export async function settleTrigger(claimed, outcome, marketPrice = null) {
+  const now = new Date();
+  const conditions = triggerDb.collection(CONDITIONS_COLLECTION);
+
+  if (!outcome?.success) {
+    await conditions.updateOne(
+      { _id: claimed._id },
+      { $set: { armed: true, updatedAt: now }, $inc: { triggerCount: -1 } }
+    );
+    await recordEvent(claimed, 'triggered', {
+      status: 'failed',
+      triggerNumber: claimed.triggerCount,
+      price: marketPrice,
+      error: outcome?.error || 'Unknown error'
+    });
+    return;
+  }
+
+  await conditions.updateOne({ _id: claimed._id }, { $set: { lastTriggered: now, updatedAt: now } });
+  await recordEvent(claimed, 'triggered', {
+    status: 'success',
+    triggerNumber: claimed.triggerCount,
+    price: marketPrice,
+    orderId: outcome.orderId ?? null
+  });
+
+  if (isTriggerLimitReached(claimed)) {
+    await completeCondition(claimed);
+  }
+}
+
+// Trigger and lifecycle events of one condition, newest first
+export async function getTriggerHistory(conditionId, { limit } = {}) {
+  const max = Math.min(parseInt(limit) || 100, MAX_HISTORY_LIMIT);
+  return triggerDb.collection(TRIGGERS_COLLECTION)
+    .find({ conditionId })
+    .sort({ timestamp: -1 })
+    .limit(max)
+    .toArray();
+}
+
+// Lifecycle summary shown alongside the history
+export function getTriggerSummary(condition) {
+  const limit = getTriggerLimit(condition);
+  return {
+    isActive: Boolean(condition.isActive),
+    triggerCount: condition.triggerCount || 0,
+    maxTriggers: limit,
+    remainingTriggers: limit === null ? null : Math.max(0, limit - (condition.triggerCount || 0)),
+    oneShot: Boolean(condition.oneShot),
+    expiresAt: condition.expiresAt || null,
+    rearmThreshold: condition.rearmThreshold ?? null,
+    armed: isArmed(condition),
+    lastTriggerPrice: condition.lastTriggerPrice ?? null,
+    lastTriggered: condition.lastTriggered || null,
+    completedAt: condition.completedAt || null,
+    completedReason: condition.completedReason || null
+  };
+}
@@ -0,0 +1,161 @@
+import crypto from 'crypto';
+import 'dotenv/config';
+
+/**
+ * Credential Vault
+ *
+ * Envelope encryption for exchange API secrets stored in Mongo
+ * (users, mexc_users, xt_users):
+ *   - every secret gets its own random data key (AES-256-GCM)
+ *   - the data key is wrapped with a master key from the environment
+ *   - the stored value is tagged with the master key version:
+ *       vault:v<version>:<wrapIv>.<wrapTag>.<wrappedKey>.<iv>.<tag>.<ciphertext>
+ *
+ * Master keys:
+ *   CREDENTIAL_MASTER_KEYS        "1:<key>,2:<key>" - every version still needed to decrypt
+ *   CREDENTIAL_MASTER_KEY_VERSION version used for new encryptions (default: highest)
+ *   CREDENTIAL_MASTER_KEY         shorthand for a single version-1 key
+ * Keys are 32 bytes given as 64 hex chars or base64.
+ *
+ * Values without the vault prefix are legacy plaintext; they still decrypt
+ * (as-is) until rotate-credentials.js re-encrypts them.
+ */
+
+const PREFIX = 'vault';
+const ALGORITHM = 'aes-256-gcm';
+
+// Collections holding exchange credentials
+export const CREDENTIAL_COLLECTIONS = ['users', 'mexc_users', 'xt_users'];
+
+function parseKey(raw, version) {
+  const value = raw.trim();
+  const key = /^[0-9a-fA-F]{64}$/.test(value) ? Buffer.from(value, 'hex') : Buffer.from(value, 'base64');
+  if (key.length !== 32) {
+    throw new Error(`Credential master key v${version} must be 32 bytes (hex or base64)`);
+  }
+  return key;
+}
+
+function loadMasterKeys() {
+  const keys = new Map();
+
+  if (process.env.CREDENTIAL_MASTER_KEYS) {
+    for (const entry of process.env.CREDENTIAL_MASTER_KEYS.split(',')) {
+      if (!entry.trim()) continue;
+      const separator = entry.indexOf(':');
+      const version = parseInt(entry.slice(0, separator));
+      if (separator === -1 || !Number.isInteger(version) || version < 1) {
+        throw new Error('CREDENTIAL_MASTER_KEYS entries must look like "<version>:<key>"');
+      }
+      keys.set(version, parseKey(entry.slice(separator + 1), version));
+    }
+  } else if (process.env.CREDENTIAL_MASTER_KEY) {
+    keys.set(1, parseKey(process.env.CREDENTIAL_MASTER_KEY, 1));
+  }
+
+  const currentVersion = process.env.CREDENTIAL_MASTER_KEY_VERSION
+    ? parseInt(process.env.CREDENTIAL_MASTER_KEY_VERSION)
+    : Math.max(0, ...keys.keys());
+
+  if (keys.size > 0 && !keys.has(currentVersion)) {
+    throw new Error(`CREDENTIAL_MASTER_KEY_VERSION ${currentVersion} has no matching key`);
+  }
+
+  return { keys, currentVersion };
+}
+
+const { keys: masterKeys, currentVersion } = loadMasterKeys();
+
+export function isVaultConfigured() {
+  return masterKeys.size > 0;
+}
+
+export function getCurrentKeyVersion() {
+  return currentVersion;
+}
+
+export function isEncrypted(value) {
+  return typeof value === 'string' && value.startsWith(`${PREFIX}:v`);
+}
+
+// Master key version a stored value was encrypted with (0 = plaintext)
+export function getKeyVersion(value) {
+  if (!isEncrypted(value)) return 0;
+  return parseInt(value.split(':')[1].slice(1));
+}
+
+// True when the value is plaintext or encrypted under an older master key
+export function needsRotation(value) {
+  return !!value && getKeyVersion(value) !== currentVersion;
+}
+
+function seal(key, plaintext) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return [iv, cipher.getAuthTag(), ciphertext];
+}
+
+function open(key, iv, tag, ciphertext) {
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+}
+
+export function encryptSecret(plaintext) {
+  if (plaintext === null || plaintext === undefined || plaintext === '') return plaintext;
+  if (isEncrypted(plaintext)) return plaintext;
+  if (!isVaultConfigured()) {
+    throw new Error('Credential vault is not configured (set CREDENTIAL_MASTER_KEY)');
+  }
+
+  const dataKey = crypto.randomBytes(32);
+  const wrapped = seal(masterKeys.get(currentVersion), dataKey);
+  const sealed = seal(dataKey, Buffer.from(String(plaintext), 'utf8'));
+
+  const body = [...wrapped, ...sealed].map(part => part.toString('base64')).join('.');
+  return `${PREFIX}:v${currentVersion}:${body}`;
+}
+
+export function decryptSecret(value) {
+  if (!isEncrypted(value)) return value;
+
+  const version = getKeyVersion(value);
+  const masterKey = masterKeys.get(version);
+  if (!masterKey) {
+    throw new Error(`No credential master key for version ${version}`);
+  }
+
+  const parts = value.slice(value.indexOf(':', PREFIX.length + 1) + 1).split('.').map(part => Buffer.from(part, 'base64'));
+  if (parts.length !== 6) {
+    throw new Error('Malformed encrypted credential');
+  }
+
+  const [wrapIv, wrapTag, wrappedKey, iv, tag, ciphertext] = parts;
+  const dataKey = open(masterKey, wrapIv, wrapTag, wrappedKey);
+  return open(dataKey, iv, tag, ciphertext).toString('utf8');
+}
+
+// Re-encrypt a stored value under the current master key
+export function rotateSecret(value) {
+  if (!needsRotation(value)) return value;
+  return encryptSecret(decryptSecret(value));
+}
+
+// { apiKey, apiSecret } with the secret decrypted, or null if the document has none
+export function openCredentials(doc) {
+  if (!doc || !doc.apiKey || !doc.apiSecret) return null;
+  return { apiKey: doc.apiKey, apiSecret: decryptSecret(doc.apiSecret) };
+}
+
+export default {
+  encryptSecret,
+  decryptSecret,
+  rotateSecret,
+  openCredentials,
+  isEncrypted,
+  needsRotation,
+  getKeyVersion,
+  getCurrentKeyVersion,
+  isVaultConfigured
+};
@@ -0,0 +1,1063 @@
+import crypto from 'crypto';
+import 'dotenv/config';
+import { checkOrderRisk, recordOrderRisk } from './risk-engine.js';
+import { recordBotOrder } from './kill-switch.js';
+import { getBotContext } from './log-store.js';
+import { createPaperClient } from './paper-trading.js';
+import { invalidateBalances } from './balance-service.js';
+
+/**
+ * Exchange Clients
+ *
+ * One client per venue (GCBEX, MEXC, XT) behind a common interface:
+ *   getTicker, getDepth, getRecentTrades, getBalances, placeOrder, cancelOrder,
+ *   getOpenOrders, getServerTime
+ * plus getSymbolInfo, placeBatchOrders, cancelAllOrders and a raw signed
+ * `request()` for venue-specific endpoints.
+ *
+ * Normalized shapes:
+ *   ticker   -> { symbol, price, bid, ask, high24h, low24h, volume24h, change24h (fraction), raw }
+ *   depth    -> { bids: [[price, qty]], asks: [[price, qty]], timestamp }   (numbers)
+ *   trades   -> [{ id, price, qty, side (taker side), timestamp }]        (oldest first)
+ *   balances -> { GCB: { free, locked, total }, USDT: { ... } }            (numbers)
+ *   order    -> { success, orderId, data, error }
+ *   open     -> [{ ...raw, orderId, symbol, side, type, price, quantity, executedQty }]
+ *
+ * Every client (and the paper client) also reports past orders for fill reconciliation:
+ *   getOrder    -> { orderId, side, type, price, quantity, executedQty, avgPrice, status, final } or null
+ *   getMyTrades -> [{ id, orderId, price, qty, fee, feeAsset, side, timestamp }]  (oldest first)
+ * getMyTrades takes { limit, orderId, startTime, fromId }; each venue applies the
+ * filters it supports (GCBEX: fromId/startTime, MEXC: orderId/startTime, XT: all),
+ * so callers page with fromId/startTime and still match orderId themselves.
+ * status is NEW | PARTIALLY_FILLED | PENDING_CANCEL | FILLED | CANCELED | REJECTED;
+ * `final` is true once the order can no longer fill.
+ *
+ * Symbols may be passed in any common form (GCBUSDT, gcbusdt, gcb_usdt);
+ * each client converts to its venue format.
+ *
+ * placeOrder/placeBatchOrders run every order through the risk engine first;
+ * rejected orders return { success: false, rejected: true, error }. A placed
+ * order invalidates the account's entry in the shared balance cache.
+ *
+ * Inside a paper-mode bot's context createExchangeClient() returns a paper
+ * client (paper-trading.js) that trades against a simulated exchange.
+ */
+
+const GCBEX_OPEN_API_BASE = process.env.GCBEX_OPEN_API_BASE || process.env.API_BASE || 'https://openapi.gcbex.com';
+const MEXC_BASE_URL = process.env.MEXC_BASE_URL || 'https://api.mexc.com';
+const XT_BASE_URL = process.env.XT_BASE_URL || 'https://sapi.xt.com';
+
+export const EXCHANGES = ['gcbex', 'mexc', 'xt'];
+
+const QUOTE_ASSETS = ['USDT', 'USDC', 'BTC', 'ETH'];
+
+// Split a symbol in any supported format into [BASE, QUOTE]
+export function splitSymbol(symbol = 'GCBUSDT') {
+  const cleaned = symbol.toUpperCase();
+  if (cleaned.includes('_')) {
+    const [base, quote] = cleaned.split('_');
+    return [base, quote];
+  }
+  const quote = QUOTE_ASSETS.find(q => cleaned.endsWith(q) && cleaned.length > q.length) || 'USDT';
+  return [cleaned.slice(0, -quote.length), quote];
+}
+
+function toQueryString(query) {
+  if (!query) return '';
+  if (typeof query === 'string') return query;
+  return Object.entries(query)
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .map(([key, value]) => `${key}=${value}`)
+    .join('&');
+}
+
+function hmacSha256(secret, message) {
+  return crypto.createHmac('sha256', secret).update(message).digest('hex');
+}
+
+// Venue order status -> NEW | PARTIALLY_FILLED | PENDING_CANCEL | FILLED | CANCELED | REJECTED
+const FINAL_ORDER_STATUSES = ['FILLED', 'CANCELED', 'REJECTED'];
+
+export function normalizeOrderStatus(status) {
+  const value = String(status ?? '').toUpperCase().replace(/[\s/]+/g, '_');
+  if (value.includes('REJECT') || value === 'EXPIRED') return 'REJECTED';
+  if (value.includes('PENDING_CANCEL') || value.includes('TO_BE_CANCEL')) return 'PENDING_CANCEL';
+  if (value.includes('CANCEL')) return 'CANCELED';
+  if (value.includes('PARTIAL')) return 'PARTIALLY_FILLED';
+  if (value.includes('FILLED')) return 'FILLED';
+  return 'NEW';
+}
+
+export function isFinalOrderStatus(status) {
+  return FINAL_ORDER_STATUSES.includes(status);
+}
+
+function toLevels(levels = []) {
+  return levels.map(level => [parseFloat(level[0]), parseFloat(level[1])]);
+}
+
+// ============================================
+// XT time sync and signing
+// ============================================
+
+let xtServerTimeOffset = 0;
+let lastXtTimeSyncAt = 0;
+const XT_TIME_SYNC_INTERVAL = 30000; // Resync every 30 seconds
+
+// Get XT server time and calculate offset
+export async function syncXtServerTime() {
+  try {
+    const localTime = Date.now();
+    const response = await fetch(`${XT_BASE_URL}/v4/public/time`);
+    const data = await response.json();
+
+    if (data.rc === 0 && data.result?.serverTime) {
+      const serverTime = data.result.serverTime;
+      xtServerTimeOffset = serverTime - localTime;
+      lastXtTimeSyncAt = localTime;
+      console.log(`🕐 XT time synced. Offset: ${xtServerTimeOffset}ms`);
+      return true;
+    }
+    return false;
+  } catch (error) {
+    console.error('❌ Failed to sync XT server time:', error.message);
+    return false;
+  }
+}
+
+// Get synchronized timestamp for XT API
+export async function getXtTimestamp() {
+  const now = Date.now();
+  if (now - lastXtTimeSyncAt > XT_TIME_SYNC_INTERVAL) {
+    await syncXtServerTime();
+  }
+  return (now + xtServerTimeOffset).toString();
+}
+
+// Generate XT signature
+export function generateXtSignature(secretKey, original) {
+  return hmacSha256(secretKey, original);
+}
+
+// Build signature message for XT API
+export function buildSignatureMessage(method, path, queryString, bodyJson, headers) {
+  // Build X part (headers)
+  const headerParts = [];
+  headerParts.push(`validate-algorithms=${headers['validate-algorithms']}`);
+  headerParts.push(`validate-appkey=${headers['validate-appkey']}`);
+  headerParts.push(`validate-recvwindow=${headers['validate-recvwindow']}`);
+  headerParts.push(`validate-timestamp=${headers['validate-timestamp']}`);
+  const X = headerParts.join('&');
+
+  // Build Y part (request data)
+  let Y = `#${method.toUpperCase()}#${path}`;
+  if (queryString) {
+    // Sort query params alphabetically by key as per XT API docs
+    const sortedQuery = queryString.split('&')
+      .map(param => param.split('='))
+      .sort((a, b) => a[0].localeCompare(b[0]))
+      .map(([k, v]) => `${k}=${v}`)
+      .join('&');
+    Y += `#${sortedQuery}`;
+  }
+  if (bodyJson) {
+    Y += `#${bodyJson}`;
+  }
+
+  return X + Y;
+}
+
+// ============================================
+// GCBEX
+// ============================================
+
+export class GcbexClient {
+  constructor(credentials = {}, options = {}) {
+    this.exchange = 'gcbex';
+    this.apiKey = credentials.apiKey;
+    this.apiSecret = credentials.apiSecret;
+    this.baseUrl = options.baseUrl || GCBEX_OPEN_API_BASE;
+  }
+
+  // Market data endpoints use "gcbusdt", trading endpoints use "GCBUSDT"
+  formatSymbol(symbol) {
+    return splitSymbol(symbol).join('').toLowerCase();
+  }
+
+  formatTradingSymbol(symbol) {
+    return splitSymbol(symbol).join('');
+  }
+
+  async publicRequest(path, query = '') {
+    const queryString = toQueryString(query);
+    const response = await fetch(`${this.baseUrl}${path}${queryString ? `?${queryString}` : ''}`);
+    return response.json();
+  }
+
+  // Signed request: HMAC-SHA256 of timestamp + METHOD + path(+query) + body
+  async request(method, path, query = '', body = null) {
+    if (!this.apiKey || !this.apiSecret) {
+      throw new Error('GCBEX API credentials missing');
+    }
+
+    const queryString = toQueryString(query);
+    const requestPath = queryString ? `${path}?${queryString}` : path;
+    const timestamp = (await this.getServerTime()).toString();
+    const bodyJson = body ? JSON.stringify(body, null, 0).replace(/\s/g, '') : '';
+    const signature = hmacSha256(this.apiSecret, `${timestamp}${method.toUpperCase()}${requestPath}${bodyJson}`);
+
+    const headers = {
+      'X-CH-APIKEY': this.apiKey,
+      'X-CH-TS': timestamp,
+      'X-CH-SIGN': signature
+    };
+    if (body) headers['Content-Type'] = 'application/json';
+
+    const response = await fetch(`${this.baseUrl}${requestPath}`, {
+      method: method.toUpperCase(),
+      headers,
+      body: body ? bodyJson : undefined
+    });
+    return response.json();
+  }
+
+  async getServerTime() {
+    try {
+      const data = await this.publicRequest('/sapi/v2/time');
+      return data.serverTime || Date.now();
+    } catch (error) {
+      return Date.now();
+    }
+  }
+
+  async getTicker(symbol = 'GCBUSDT') {
+    const data = await this.publicRequest('/sapi/v2/ticker', { symbol: this.formatSymbol(symbol) });
+    if (!data || !data.last) return null;
+    return {
+      symbol: this.formatTradingSymbol(symbol),
+      price: parseFloat(data.last),
+      bid: parseFloat(data.buy || 0),
+      ask: parseFloat(data.sell || 0),
+      high24h: parseFloat(data.high || 0),
+      low24h: parseFloat(data.low || 0),
+      volume24h: parseFloat(data.vol || 0),
+      change24h: parseFloat(data.rose || 0),
+      raw: data
+    };
+  }
+
+  async getDepth(symbol = 'GCBUSDT', limit = 20) {
+    const data = await this.publicRequest('/sapi/v2/depth', { symbol: this.formatSymbol(symbol), limit });
+    if (!data || (!data.asks && !data.bids)) return null;
+    return {
+      bids: toLevels(data.bids),
+      asks: toLevels(data.asks),
+      timestamp: data.time || Date.now()
+    };
+  }
+
+  async getRecentTrades(symbol = 'GCBUSDT', limit = 100) {
+    const data = await this.publicRequest('/sapi/v1/trades', { symbol: this.formatSymbol(symbol), limit });
+    if (!data || !Array.isArray(data.list)) return null;
+    // GCBEX trades carry no id; time + price + qty identifies them well enough
+    return data.list
+      .map(trade => ({
+        id: `${trade.time}:${trade.price}:${trade.qty}`,
+        price: parseFloat(trade.price),
+        qty: parseFloat(trade.qty),
+        side: (trade.side || '').toUpperCase(),
+        timestamp: trade.time
+      }))
+      .sort((a, b) => a.timestamp - b.timestamp);
+  }
+
+  async getSymbolInfo(symbol = 'GCBUSDT') {
+    const fallback = { pricePrecision: 6, quantityPrecision: 2 };
+    const data = await this.publicRequest('/sapi/v2/symbols');
+    const info = data?.symbols?.find(s => s.symbol.toUpperCase() === this.formatTradingSymbol(symbol));
+    if (!info) return fallback;
+    return {
+      ...info,
+      pricePrecision: info.pricePrecision || fallback.pricePrecision,
+      quantityPrecision: info.quantityPrecision || fallback.quantityPrecision
+    };
+  }
+
+  async getBalances() {
+    const data = await this.request('GET', '/sapi/v1/account');
+    if (!data || !data.balances) return null;
+    const balances = {};
+    data.balances.forEach(balance => {
+      const free = parseFloat(balance.free) || 0;
+      const locked = parseFloat(balance.locked) || 0;
+      balances[balance.asset.toUpperCase()] = { free, locked, total: free + locked };
+    });
+    return balances;
+  }
+
+  async placeOrder(order) {
+    return placeCheckedOrder(this, order);
+  }
+
+  // For MARKET BUY orders GCBEX expects `volume` to be the quote (USDT) amount
+  async sendOrder({ symbol, side, type = 'LIMIT', price, quantity, quoteQty, timeInForce }) {
+    try {
+      const orderBody = {
+        symbol: this.formatTradingSymbol(symbol),
+        side: side.toUpperCase(),
+        type: type.toUpperCase()
+      };
+      if (orderBody.type === 'LIMIT') orderBody.timeInForce = timeInForce || 'GTC';
+      orderBody.volume = (orderBody.type === 'MARKET' && orderBody.side === 'BUY' && quoteQty !== undefined)
+        ? quoteQty.toString()
+        : quantity.toString();
+      if (price !== undefined && price !== null) orderBody.price = price.toString();
+
+      const data = await this.request('POST', '/sapi/v2/order', '', orderBody);
+      if (data.orderId) {
+        return { success: true, orderId: data.orderIdString || data.orderId, data };
+      }
+      return { success: false, error: data.msg || 'Unknown error', data };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  async placeBatchOrders(orders) {
+    const results = [];
+    for (const order of orders) {
+      results.push(await this.placeOrder(order));
+    }
+    return results;
+  }
+
+  async cancelOrder(symbol, orderId) {
+    try {
+      const data = await this.request('POST', '/sapi/v2/cancel', '', {
+        symbol: this.formatTradingSymbol(symbol),
+        orderId: orderId.toString()
+      });
+      // PENDING_CANCEL means the cancel request was accepted and is being processed
+      const success = data.status === 'CANCELED' ||
+        data.status === 'CANCELLED' ||
+        data.status === 'PENDING_CANCEL' ||
+        data.code === '0' ||
+        (data.orderId && data.orderId.toString() === orderId.toString());
+      return success ? { success: true, data } : { success: false, error: data.msg || 'Cancel failed', data };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  async getOpenOrders(symbol = 'GCBUSDT') {
+    const data = await this.request('GET', '/sapi/v2/openOrders', { symbol: this.formatTradingSymbol(symbol) });
+    const orders = Array.isArray(data) ? data : (data?.list || []);
+    return orders.map(order => ({
+      ...order,
+      orderId: order.orderIdString || order.orderId,
+      symbol: this.formatTradingSymbol(symbol),
+      side: order.side,
+      type: order.type,
+      price: parseFloat(order.price || 0),
+      quantity: parseFloat(order.origQty || order.volume || 0),
+      executedQty: parseFloat(order.executedQty || 0)
+    }));
+  }
+
+  // One order by id, whatever its state; null when the venue does not know it
+  async getOrder(symbol, orderId) {
+    const data = await this.request('GET', '/sapi/v2/order', {
+      symbol: this.formatTradingSymbol(symbol),
+      orderId: orderId.toString()
+    });
+    if (!data || (!data.orderId && !data.orderIdString)) return null;
+    const status = normalizeOrderStatus(data.status);
+    return {
+      orderId: data.orderIdString || data.orderId.toString(),
+      side: (data.side || '').toUpperCase(),
+      type: (data.type || '').toUpperCase(),
+      price: parseFloat(data.price || 0),
+      quantity: parseFloat(data.origQty || 0),
+      executedQty: parseFloat(data.executedQty || 0),
+      avgPrice: parseFloat(data.avgPrice || 0) || null,
+      status,
+      final: isFinalOrderStatus(status)
+    };
+  }
+
+  // The account's own trades on a symbol (latest `limit` unless paged with fromId/startTime)
+  async getMyTrades(symbol = 'GCBUSDT', { limit = 100, fromId = null, startTime = null } = {}) {
+    const data = await this.request('GET', '/sapi/v2/myTrades', {
+      symbol: this.formatTradingSymbol(symbol),
+      limit,
+      fromId,
+      startTime
+    });
+    const trades = Array.isArray(data) ? data : (data?.list || []);
+    return trades
+      .map(trade => ({
+        id: String(trade.id),
+        // GCBEX reports both sides' order ids; ours is the bid when we bought
+        orderId: String((trade.isBuyer ? trade.bidId : trade.askId) ?? trade.orderId),
+        price: parseFloat(trade.price),
+        qty: parseFloat(trade.qty),
+        fee: parseFloat(trade.fee || 0),
+        feeAsset: (trade.feeCoin || '').toUpperCase() || null,
+        side: trade.isBuyer ? 'BUY' : 'SELL',
+        timestamp: trade.time
+      }))
+      .sort((a, b) => a.timestamp - b.timestamp);
+  }
+
+  async cancelAllOrders(symbol = 'GCBUSDT', side = null) {
+    try {
+      const orders = (await this.getOpenOrders(symbol))
+        .filter(order => !side || order.side === side.toUpperCase());
+      const cancelled = [];
+      const failed = [];
+      for (const order of orders) {
+        const result = await this.cancelOrder(symbol, order.orderId);
+        (result.success ? cancelled : failed).push(order.orderId);
+        // Small delay between cancellations to avoid rate limits
+        await new Promise(resolve => setTimeout(resolve, 300));
+      }
+      return { success: failed.length === 0, cancelled, failed };
+    } catch (error) {
+      return { success: false, cancelled: [], failed: [], error: error.message };
+    }
+  }
+}
+
+// ============================================
+// MEXC
+// ============================================
+
+export class MexcClient {
+  constructor(credentials = {}, options = {}) {
+    this.exchange = 'mexc';
+    this.apiKey = credentials.apiKey;
+    this.apiSecret = credentials.apiSecret;
+    this.baseUrl = options.baseUrl || MEXC_BASE_URL;
+  }
+
+  formatSymbol(symbol) {
+    return splitSymbol(symbol).join('');
+  }
+
+  async publicRequest(path, query = '') {
+    const queryString = toQueryString(query);
+    const response = await fetch(`${this.baseUrl}${path}${queryString ? `?${queryString}` : ''}`);
+    return response.json();
+  }
+
+  // Signed request: HMAC-SHA256 of the query string, appended as &signature=
+  async request(method, path, query = '') {
+    if (!this.apiKey || !this.apiSecret) {
+      throw new Error('MEXC API credentials missing');
+    }
+
+    const params = toQueryString(query);
+    const queryString = `${params ? `${params}&` : ''}timestamp=${Date.now()}`;
+    const signature = hmacSha256(this.apiSecret, queryString);
+
+    const response = await fetch(`${this.baseUrl}${path}?${queryString}&signature=${signature}`, {
+      method: method.toUpperCase(),
+      headers: {
+        'X-MEXC-APIKEY': this.apiKey,
+        'Content-Type': 'application/json'
+      }
+    });
+    return response.json();
+  }
+
+  async getServerTime() {
+    try {
+      const data = await this.publicRequest('/api/v3/time');
+      return data.serverTime || Date.now();
+    } catch (error) {
+      return Date.now();
+    }
+  }
+
+  async getTicker(symbol = 'GCBUSDT') {
+    const data = await this.publicRequest('/api/v3/ticker/24hr', { symbol: this.formatSymbol(symbol) });
+    if (!data || !data.lastPrice) return null;
+    return {
+      symbol: this.formatSymbol(symbol),
+      price: parseFloat(data.lastPrice),
+      bid: parseFloat(data.bidPrice || 0),
+      ask: parseFloat(data.askPrice || 0),
+      high24h: parseFloat(data.highPrice || 0),
+      low24h: parseFloat(data.lowPrice || 0),
+      volume24h: parseFloat(data.volume || 0),
+      change24h: parseFloat(data.priceChangePercent || 0),
+      raw: data
+    };
+  }
+
+  async getDepth(symbol = 'GCBUSDT', limit = 20) {
+    const data = await this.publicRequest('/api/v3/depth', { symbol: this.formatSymbol(symbol), limit });
+    if (!data || (!data.asks && !data.bids)) return null;
+    return {
+      bids: toLevels(data.bids),
+      asks: toLevels(data.asks),
+      timestamp: data.timestamp || Date.now()
+    };
+  }
+
+  async getRecentTrades(symbol = 'GCBUSDT', limit = 100) {
+    const data = await this.publicRequest('/api/v3/trades', { symbol: this.formatSymbol(symbol), limit });
+    if (!Array.isArray(data)) return null;
+    return data
+      .map(trade => ({
+        id: String(trade.id ?? `${trade.time}:${trade.price}:${trade.qty}`),
+        price: parseFloat(trade.price),
+        qty: parseFloat(trade.qty),
+        side: trade.isBuyerMaker ? 'SELL' : 'BUY',
+        timestamp: trade.time
+      }))
+      .sort((a, b) => a.timestamp - b.timestamp);
+  }
+
+  async getSymbolInfo(symbol = 'GCBUSDT') {
+    const fallback = { pricePrecision: 6, quantityPrecision: 2 };
+    const data = await this.publicRequest('/api/v3/exchangeInfo', { symbol: this.formatSymbol(symbol) });
+    const info = data?.symbols?.[0];
+    if (!info) return fallback;
+    return {
+      ...info,
+      pricePrecision: info.quotePrecision ?? fallback.pricePrecision,
+      quantityPrecision: info.baseAssetPrecision ?? fallback.quantityPrecision
+    };
+  }
+
+  async getBalances() {
+    const data = await this.request('GET', '/api/v3/account');
+    if (!data || !data.balances) return null;
+    const balances = {};
+    data.balances.forEach(balance => {
+      const free = parseFloat(balance.free) || 0;
+      const locked = parseFloat(balance.locked) || 0;
+      balances[balance.asset.toUpperCase()] = { free, locked, total: free + locked };
+    });
+    return balances;
+  }
+
+  async placeOrder(order) {
+    return placeCheckedOrder(this, order);
+  }
+
+  async sendOrder({ symbol, side, type = 'LIMIT', price, quantity, quoteQty }) {
+    try {
+      const params = {
+        symbol: this.formatSymbol(symbol),
+        side: side.toUpperCase(),
+        type: type.toUpperCase()
+      };
+      if (params.type === 'MARKET' && quoteQty !== undefined) {
+        params.quoteOrderQty = quoteQty;
+      } else {
+        params.quantity = quantity;
+      }
+      if (params.type === 'LIMIT') params.price = price;
+
+      const data = await this.request('POST', '/api/v3/order', params);
+      if (data.orderId) {
+        return { success: true, orderId: data.orderId, data };
+      }
+      return { success: false, error: data.msg || 'Unknown error', data };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  async placeBatchOrders(orders) {
+    const results = [];
+    for (const order of orders) {
+      results.push(await this.placeOrder(order));
+    }
+    return results;
+  }
+
+  async cancelOrder(symbol, orderId) {
+    try {
+      const data = await this.request('DELETE', '/api/v3/order', { symbol: this.formatSymbol(symbol), orderId });
+      if (data.orderId || data.status === 'CANCELED') {
+        return { success: true, data };
+      }
+      return { success: false, error: data.msg || 'Cancel failed', data };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  async getOpenOrders(symbol = 'GCBUSDT') {
+    const data = await this.request('GET', '/api/v3/openOrders', { symbol: this.formatSymbol(symbol) });
+    const orders = Array.isArray(data) ? data : [];
+    return orders.map(order => ({
+      ...order,
+      orderId: order.orderId,
+      symbol: this.formatSymbol(symbol),
+      side: order.side,
+      type: order.type,
+      price: parseFloat(order.price || 0),
+      quantity: parseFloat(order.origQty || 0),
+      executedQty: parseFloat(order.executedQty || 0)
+    }));
+  }
+
+  async getOrder(symbol, orderId) {
+    const data = await this.request('GET', '/api/v3/order', { symbol: this.formatSymbol(symbol), orderId: orderId.toString() });
+    if (!data || data.orderId === undefined || data.orderId === null) return null;
+    const status = normalizeOrderStatus(data.status);
+    const executedQty = parseFloat(data.executedQty || 0);
+    const quoteQty = parseFloat(data.cummulativeQuoteQty || 0);
+    return {
+      orderId: String(data.orderId),
+      side: (data.side || '').toUpperCase(),
+      type: (data.type || '').toUpperCase(),
+      price: parseFloat(data.price || 0),
+      quantity: parseFloat(data.origQty || 0),
+      executedQty,
+      avgPrice: executedQty > 0 && quoteQty > 0 ? quoteQty / executedQty : null,
+      status,
+      final: isFinalOrderStatus(status)
+    };
+  }
+
+  // The account's own trades on a symbol; MEXC filters by orderId/startTime (max 100 per page)
+  async getMyTrades(symbol = 'GCBUSDT', { limit = 100, orderId = null, startTime = null } = {}) {
+    const data = await this.request('GET', '/api/v3/myTrades', {
+      symbol: this.formatSymbol(symbol),
+      limit: Math.min(limit, 100),
+      orderId,
+      startTime
+    });
+    const trades = Array.isArray(data) ? data : [];
+    return trades
+      .map(trade => ({
+        id: String(trade.id),
+        orderId: String(trade.orderId),
+        price: parseFloat(trade.price),
+        qty: parseFloat(trade.qty),
+        fee: parseFloat(trade.commission || 0),
+        feeAsset: (trade.commissionAsset || '').toUpperCase() || null,
+        side: trade.isBuyer ? 'BUY' : 'SELL',
+        timestamp: trade.time
+      }))
+      .sort((a, b) => a.timestamp - b.timestamp);
+  }
+
+  async cancelAllOrders(symbol = 'GCBUSDT', side = null) {
+    try {
+      if (!side) {
+        const data = await this.request('DELETE', '/api/v3/openOrders', { symbol: this.formatSymbol(symbol) });
+        const cancelled = Array.isArray(data) ? data.map(order => order.orderId) : [];
+        return { success: Array.isArray(data), cancelled, failed: [], data };
+      }
+      const orders = (await this.getOpenOrders(symbol)).filter(order => order.side === side.toUpperCase());
+      const cancelled = [];
+      const failed = [];
+      for (const order of orders) {
+        const result = await this.cancelOrder(symbol, order.orderId);
+        (result.success ? cancelled : failed).push(order.orderId);
+      }
+      return { success: failed.length === 0, cancelled, failed };
+    } catch (error) {
+      return { success: false, cancelled: [], failed: [], error: error.message };
+    }
+  }
+}
+
+// ============================================
+// XT
+// ============================================
+
+export class XtClient {
+  constructor(credentials = {}, options = {}) {
+    this.exchange = 'xt';
+    this.apiKey = credentials.apiKey;
+    this.apiSecret = credentials.apiSecret;
+    this.baseUrl = options.baseUrl || XT_BASE_URL;
+    this.onRetry = options.onRetry || null;
+  }
+
+  formatSymbol(symbol) {
+    return splitSymbol(symbol).join('_').toLowerCase();
+  }
+
+  async publicRequest(path, query = '') {
+    const queryString = toQueryString(query);
+    const response = await fetch(`${this.baseUrl}${path}${queryString ? `?${queryString}` : ''}`);
+    return response.json();
+  }
+
+  // Signed request with retry on time-related auth errors (AUTH_104/AUTH_105)
+  async request(method, path, query = '', body = null, maxRetries = 3) {
+    if (!this.apiKey || !this.apiSecret) {
+      throw new Error('XT API credentials missing');
+    }
+
+    const queryParams = toQueryString(query);
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+      try {
+        const timestamp = await getXtTimestamp();
+
+        const headers = {
+          'validate-algorithms': 'HmacSHA256',
+          'validate-appkey': this.apiKey,
+          'validate-recvwindow': '5000',
+          'validate-timestamp': timestamp
+        };
+
+        const bodyJson = body ? JSON.stringify(body) : '';
+        const original = buildSignatureMessage(method, path, queryParams, bodyJson, headers);
+        const signature = generateXtSignature(this.apiSecret, original);
+
+        const url = queryParams ? `${this.baseUrl}${path}?${queryParams}` : `${this.baseUrl}${path}`;
+
+        const fetchOptions = {
+          method,
+          headers: {
+            'Content-Type': 'application/json',
+            ...headers,
+            'validate-signature': signature
+          }
+        };
+
+        if (body && (method === 'POST' || method === 'PUT' || method === 'DELETE')) {
+          fetchOptions.body = bodyJson;
+        }
+
+        const response = await fetch(url, fetchOptions);
+        const data = await response.json();
+
+        if ((data.mc === 'AUTH_104' || data.mc === 'AUTH_105') && attempt < maxRetries) {
+          if (this.onRetry) this.onRetry(`XT API error ${data.mc}, resyncing time and retrying (attempt ${attempt}/${maxRetries})`);
+          await syncXtServerTime();
+          continue;
+        }
+
+        return data;
+      } catch (error) {
+        if (attempt < maxRetries) {
+          if (this.onRetry) this.onRetry(`XT API request error, retrying (attempt ${attempt}/${maxRetries}): ${error.message}`);
+          await syncXtServerTime();
+          continue;
+        }
+        throw error;
+      }
+    }
+  }
+
+  async getServerTime() {
+    try {
+      const data = await this.publicRequest('/v4/public/time');
+      return data.result?.serverTime || Date.now();
+    } catch (error) {
+      return Date.now();
+    }
+  }
+
+  async getTicker(symbol = 'gcb_usdt') {
+    const formatted = this.formatSymbol(symbol);
+    const [tickerData, bookData] = await Promise.all([
+      this.publicRequest('/v4/public/ticker/24h', { symbol: formatted }),
+      this.publicRequest('/v4/public/ticker/book', { symbol: formatted })
+    ]);
+    const ticker = tickerData?.rc === 0 ? tickerData.result?.[0] : null;
+    if (!ticker) return null;
+    const book = bookData?.rc === 0 ? bookData.result?.[0] : null;
+    return {
+      symbol: formatted,
+      price: parseFloat(ticker.c),
+      bid: parseFloat(book?.bp || 0),
+      ask: parseFloat(book?.ap || 0),
+      high24h: parseFloat(ticker.h || 0),
+      low24h: parseFloat(ticker.l || 0),
+      volume24h: parseFloat(ticker.q || 0),
+      change24h: parseFloat(ticker.cr || 0),
+      raw: ticker
+    };
+  }
+
+  async getDepth(symbol = 'gcb_usdt', limit = 100) {
+    const data = await this.publicRequest('/v4/public/depth', { symbol: this.formatSymbol(symbol), limit });
+    if (data.rc !== 0 || !data.result) return null;
+    return {
+      bids: toLevels(data.result.bids),
+      asks: toLevels(data.result.asks),
+      timestamp: data.result.timestamp
+    };
+  }
+
+  async getRecentTrades(symbol = 'gcb_usdt', limit = 100) {
+    const data = await this.publicRequest('/v4/public/trade/recent', { symbol: this.formatSymbol(symbol), limit });
+    if (data.rc !== 0 || !Array.isArray(data.result)) return null;
+    return data.result
+      .map(trade => ({
+        id: String(trade.i),
+        price: parseFloat(trade.p),
+        qty: parseFloat(trade.q),
+        side: trade.b ? 'SELL' : 'BUY',
+        timestamp: trade.t
+      }))
+      .sort((a, b) => a.timestamp - b.timestamp);
+  }
+
+  async getSymbolInfo(symbol = 'gcb_usdt') {
+    const data = await this.publicRequest('/v4/public/symbol', { symbol: this.formatSymbol(symbol) });
+    if (data.rc === 0 && data.result?.symbols?.length > 0) {
+      return data.result.symbols[0];
+    }
+    return null;
+  }
+
+  async getBalances(assets = null) {
+    const query = assets ? { currencies: assets.map(a => a.toLowerCase()).join(',') } : '';
+    const data = await this.request('GET', '/v4/balances', query);
+    if (data.rc !== 0 || !data.result?.assets) return null;
+    const balances = {};
+    data.result.assets.forEach(asset => {
+      const free = parseFloat(asset.availableAmount) || 0;
+      const locked = parseFloat(asset.frozenAmount) || 0;
+      balances[asset.currency.toUpperCase()] = {
+        free,
+        locked,
+        total: parseFloat(asset.totalAmount) || free + locked
+      };
+    });
+    return balances;
+  }
+
+  async placeOrder(order) {
+    return placeCheckedOrder(this, order);
+  }
+
+  async sendOrder({ symbol, side, type = 'LIMIT', price, quantity, quoteQty, timeInForce, clientOrderId }) {
+    try {
+      const orderBody = {
+        symbol: this.formatSymbol(symbol),
+        side: side.toUpperCase(),
+        type: type.toUpperCase(),
+        timeInForce: timeInForce || (type.toUpperCase() === 'MARKET' ? 'IOC' : 'GTC'),
+        bizType: 'SPOT'
+      };
+      if (clientOrderId) orderBody.clientOrderId = clientOrderId;
+      if (orderBody.type === 'LIMIT') orderBody.price = price.toString();
+      if (orderBody.type === 'MARKET' && quoteQty !== undefined) {
+        orderBody.quoteQty = quoteQty;
+      } else {
+        orderBody.quantity = quantity.toString();
+      }
+
+      const data = await this.request('POST', '/v4/order', '', orderBody);
+      if (data.rc === 0 && data.result?.orderId) {
+        return { success: true, orderId: data.result.orderId, data: data.result };
+      }
+      return { success: false, error: data.mc || 'Order failed', data };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Orders failing the risk check are dropped from the batch and listed in `rejected`
+  async placeBatchOrders(orders, clientBatchId = `batch_${Date.now()}`) {
+    const accepted = [];
+    const rejected = [];
+    let pendingNotional = 0;
+    for (const order of orders) {
+      const check = await checkOrderRisk(this, order, undefined, pendingNotional);
+      if (check.allowed) {
+        accepted.push({ order, check });
+        pendingNotional += check.notional || 0;
+      } else {
+        rejected.push({ ...order, error: check.reason });
+      }
+    }
+
+    if (accepted.length === 0) {
+      return { success: false, error: `Risk check rejected all ${orders.length} order(s)`, rejected };
+    }
+
+    const result = await this.sendBatchOrders(accepted.map(a => a.order), clientBatchId);
+    if (result.success) {
+      for (const [index, { order, check }] of accepted.entries()) {
+        await recordOrderRisk(this, order, check);
+        await recordBotOrder(this, order, { clientOrderId: order.clientOrderId || `${clientBatchId}_${index}` });
+      }
+      invalidateBalances(this);
+    }
+    return { ...result, rejected };
+  }
+
+  // XT supports native batch placement; results are returned per item
+  async sendBatchOrders(orders, clientBatchId = `batch_${Date.now()}`) {
+    try {
+      const items = orders.map((order, index) => ({
+        symbol: this.formatSymbol(order.symbol),
+        clientOrderId: order.clientOrderId || `${clientBatchId}_${index}`,
+        side: order.side.toUpperCase(),
+        type: 'LIMIT',
+        timeInForce: order.timeInForce || 'GTC',
+        bizType: 'SPOT',
+        price: order.price.toString(),
+        quantity: order.quantity.toString()
+      }));
+
+      const data = await this.request('POST', '/v4/batch-order', '', { clientBatchId, items });
+      if (data.rc === 0) {
+        return { success: true, result: data.result };
+      }
+      return { success: false, error: data.mc || 'Batch order failed' };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  async cancelOrder(symbol, orderId) {
+    try {
+      const data = await this.request('DELETE', `/v4/order/${orderId}`);
+      return data.rc === 0 ? { success: true, data: data.result } : { success: false, error: data.mc || 'Cancel failed', data };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  async cancelBatchOrders(orderIds) {
+    try {
+      if (!orderIds || orderIds.length === 0) {
+        return { success: true, cancelled: 0 };
+      }
+      const data = await this.request('DELETE', '/v4/batch-order', '', {
+        orderIds: orderIds.map(id => id.toString())
+      });
+      if (data.rc === 0) {
+        return { success: true, cancelled: orderIds.length };
+      }
+      return { success: false, error: data.mc || 'Batch cancel failed' };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  async getOpenOrders(symbol = 'gcb_usdt') {
+    const formatted = this.formatSymbol(symbol);
+    const data = await this.request('GET', '/v4/open-order', `symbol=${formatted}&bizType=SPOT`);
+    if (data.rc !== 0) {
+      throw new Error(`Open orders API returned rc=${data.rc}, mc=${data.mc}`);
+    }
+    return (data.result || []).map(order => ({
+      ...order,
+      orderId: order.orderId,
+      symbol: formatted,
+      side: order.side,
+      type: order.type,
+      price: parseFloat(order.price || 0),
+      quantity: parseFloat(order.origQty || 0),
+      executedQty: parseFloat(order.executedQty || 0)
+    }));
+  }
+
+  async getOrder(symbol, orderId) {
+    const data = await this.request('GET', `/v4/order/${orderId}`);
+    const order = data.rc === 0 ? data.result : null;
+    if (!order) return null;
+    const status = normalizeOrderStatus(order.state);
+    return {
+      orderId: String(order.orderId),
+      side: (order.side || '').toUpperCase(),
+      type: (order.type || '').toUpperCase(),
+      price: parseFloat(order.price || 0),
+      quantity: parseFloat(order.origQty || 0),
+      executedQty: parseFloat(order.executedQty || 0),
+      avgPrice: parseFloat(order.avgPrice || 0) || null,
+      status,
+      final: isFinalOrderStatus(status)
+    };
+  }
+
+  // The account's own trades on a symbol; XT pages forward from fromId (max 100 per page)
+  async getMyTrades(symbol = 'gcb_usdt', { limit = 100, orderId = null, startTime = null, fromId = null } = {}) {
+    const data = await this.request('GET', '/v4/trade', {
+      symbol: this.formatSymbol(symbol),
+      bizType: 'SPOT',
+      orderId,
+      startTime,
+      fromId,
+      direction: fromId ? 'NEXT' : null,
+      limit: Math.min(limit, 100)
+    });
+    if (data.rc !== 0) {
+      throw new Error(`Trades API returned rc=${data.rc}, mc=${data.mc}`);
+    }
+    return (data.result?.items || [])
+      .map(trade => ({
+        id: String(trade.tradeId),
+        orderId: String(trade.orderId),
+        price: parseFloat(trade.price),
+        qty: parseFloat(trade.quantity),
+        fee: parseFloat(trade.fee || 0),
+        feeAsset: (trade.feeCurrency || '').toUpperCase() || null,
+        side: (trade.orderSide || '').toUpperCase(),
+        timestamp: trade.time
+      }))
+      .sort((a, b) => a.timestamp - b.timestamp);
+  }
+
+  // Cancel ALL open orders for a symbol (uses DELETE /v4/open-order)
+  async cancelAllOrders(symbol = 'gcb_usdt', side = null) {
+    try {
+      const cancelBody = {
+        bizType: 'SPOT',
+        symbol: this.formatSymbol(symbol)
+      };
+      if (side) cancelBody.side = side.toUpperCase();
+
+      const data = await this.request('DELETE', '/v4/open-order', '', cancelBody);
+      if (data.rc === 0) {
+        return { success: true, data: data.result };
+      }
+      return { success: false, error: data.mc || 'Cancel failed' };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+// Risk-check an order, send it through the client's venue-specific sendOrder
+// and record it against the risk windows (and as a bot order, see kill-switch.js)
+// once the exchange accepted it
+async function placeCheckedOrder(client, order) {
+  const check = await checkOrderRisk(client, order);
+  if (!check.allowed) {
+    return { success: false, rejected: true, error: `Risk check failed: ${check.reason}` };
+  }
+  const result = await client.sendOrder(order);
+  if (result.success) {
+    await recordOrderRisk(client, order, check);
+    await recordBotOrder(client, order, { orderId: result.orderId });
+    invalidateBalances(client);
+  }
+  return result;
+}
+
+const CLIENT_CLASSES = {
+  gcbex: GcbexClient,
+  mexc: MexcClient,
+  xt: XtClient
+};
+
+// Create a client for the given venue; credentials may be omitted for public data
+export function createExchangeClient(exchange = 'gcbex', credentials = {}, options = {}) {
+  const ClientClass = CLIENT_CLASSES[(exchange || 'gcbex').toLowerCase()];
+  if (!ClientClass) {
+    throw new Error(`Unsupported exchange: ${exchange}`);
+  }
+  const client = new ClientClass(credentials || {}, options);
+
+  const context = getBotContext();
+  return context.mode === 'paper' ? createPaperClient(client, context) : client;
+}
+
+export default createExchangeClient;
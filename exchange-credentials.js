@@ -0,0 +1,48 @@
+import { getMexcUserCredentials } from './mexc-user-routes.js';
+import { getXtUserCredentials } from './xt-user-routes.js';
+import { openCredentials } from './credential-vault.js';
+import { loadAccount } from './identity.js';
+
+/**
+ * Exchange Credentials
+ *
+ * Resolves the API key/secret a user has stored for a given venue:
+ *   gcbex -> users.apiKey/apiSecret        (userId = users.uid)
+ *   mexc  -> mexc_users.apiKey/apiSecret   (userId = mexc_users._id)
+ *   xt    -> xt_users.apiKey/apiSecret     (userId = MEXC user id)
+ *
+ * getLinkedCredentials() does the same for a GCBEX user on any venue, using
+ * the MEXC login linked to their account for mexc and xt.
+ */
+
+export async function getExchangeCredentials(db, exchange, userId) {
+  switch (exchange) {
+    case 'gcbex': {
+      const user = await db.collection('users').findOne({ uid: userId });
+      return openCredentials(user);
+    }
+    case 'mexc': {
+      const credentials = await getMexcUserCredentials(db, userId);
+      if (!credentials || !credentials.apiKey || !credentials.apiSecret) return null;
+      return credentials;
+    }
+    case 'xt': {
+      const credentials = await getXtUserCredentials(db, userId);
+      if (!credentials) return null;
+      return { apiKey: credentials.apiKey, apiSecret: credentials.apiSecret };
+    }
+    default:
+      return null;
+  }
+}
+
+// Credentials a GCBEX user (users document) trades with on `exchange`
+export async function getLinkedCredentials(db, gcbexUser, exchange) {
+  if (exchange === 'gcbex') return openCredentials(gcbexUser);
+
+  const account = await loadAccount(db, gcbexUser.accountId);
+  if (!account?.mexcUserId) return null;
+  return getExchangeCredentials(db, exchange, String(account.mexcUserId));
+}
+
+export default getExchangeCredentials;
@@ -0,0 +1,203 @@
+import { STATS_COLLECTION, normalizeMarketSymbol } from './market-data-recorder.js';
+
+/**
+ * Execution Algorithms
+ *
+ * How a scheduled accumulation bot spends each interval's budget:
+ *   split         - legacy: half market buy at best ask, half limit bid
+ *                   bidOffsetPercent below it, once per interval
+ *   twap          - sliceCount market buys spread evenly over the interval;
+ *                   each slice time is moved randomly by up to jitterPercent
+ *                   of half the slice spacing, so it stays in its own slot
+ *   vwap          - twap slices, but each interval's budget is weighted by the
+ *                   recorded traded notional for its hour of day (UTC,
+ *                   market_stats_1m over volumeLookbackDays)
+ *   participation - twap slices, each capped at participationRate% of the
+ *                   notional traded since the previous slice
+ *
+ * twap/vwap/participation honour maxPrice: a slice only takes ask levels at
+ * or below it and is skipped when there are none. A skipped or capped slice
+ * leaves its budget to the next slices, and an interval's unspent budget is
+ * spread over the remaining intervals. Every finished interval records its
+ * arrival price (best ask when the interval started) next to the achieved
+ * average price.
+ */
+
+export const EXECUTION_ALGORITHMS = ['split', 'twap', 'vwap', 'participation'];
+
+const DEFAULTS = {
+  sliceCount: 6,
+  sliceJitterPercent: 50,
+  participationRate: 10,
+  volumeLookbackDays: 7
+};
+const MAX_SLICES = 60;
+
+function positiveNumber(value) {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : null;
+}
+
+/**
+ * Execution settings of a scheduled bot create request, validated: { fields } or { error }.
+ * executionAlgorithm defaults to split, which keeps the original behaviour.
+ */
+export function parseExecutionSettings(body = {}) {
+  const algorithm = body.executionAlgorithm === undefined ? 'split' : String(body.executionAlgorithm).toLowerCase();
+  if (!EXECUTION_ALGORITHMS.includes(algorithm)) {
+    return { error: `Invalid executionAlgorithm: use one of ${EXECUTION_ALGORITHMS.join(', ')}` };
+  }
+  const fields = { executionAlgorithm: algorithm };
+  if (algorithm === 'split') return { fields };
+
+  const sliceCount = body.sliceCount === undefined ? DEFAULTS.sliceCount : Number(body.sliceCount);
+  if (!Number.isInteger(sliceCount) || sliceCount < 1 || sliceCount > MAX_SLICES) {
+    return { error: `Invalid sliceCount: must be an integer from 1 to ${MAX_SLICES}` };
+  }
+  fields.sliceCount = sliceCount;
+
+  const jitter = body.sliceJitterPercent === undefined ? DEFAULTS.sliceJitterPercent : Number(body.sliceJitterPercent);
+  if (!Number.isFinite(jitter) || jitter < 0 || jitter > 100) {
+    return { error: 'Invalid sliceJitterPercent: must be between 0 and 100' };
+  }
+  fields.sliceJitterPercent = jitter;
+
+  if (body.maxPrice !== undefined && body.maxPrice !== null) {
+    const maxPrice = positiveNumber(body.maxPrice);
+    if (maxPrice === null) {
+      return { error: 'Invalid maxPrice: must be a positive price or null' };
+    }
+    fields.maxPrice = maxPrice;
+  } else {
+    fields.maxPrice = null;
+  }
+
+  if (algorithm === 'vwap') {
+    const days = body.volumeLookbackDays === undefined ? DEFAULTS.volumeLookbackDays : positiveNumber(body.volumeLookbackDays);
+    if (days === null) {
+      return { error: 'Invalid volumeLookbackDays: must be a positive number' };
+    }
+    fields.volumeLookbackDays = days;
+  }
+
+  if (algorithm === 'participation') {
+    const rate = body.participationRate === undefined ? DEFAULTS.participationRate : positiveNumber(body.participationRate);
+    if (rate === null || rate > 100) {
+      return { error: 'Invalid participationRate: must be a percentage above 0 and up to 100' };
+    }
+    fields.participationRate = rate;
+  }
+  return { fields };
+}
+
+/**
+ * Slice times for one interval: evenly spaced slot centres, each moved by a
+ * random offset of up to jitterPercent of half the spacing.
+ */
+export function planSliceTimes(start, intervalMs, sliceCount, jitterPercent = 0, random = Math.random) {
+  const spacing = intervalMs / sliceCount;
+  const maxOffset = (spacing / 2) * (jitterPercent / 100);
+  return Array.from({ length: sliceCount }, (_, i) => {
+    const offset = (random() * 2 - 1) * maxOffset;
+    return new Date(start.getTime() + spacing * (i + 0.5) + offset);
+  });
+}
+
+/**
+ * Average traded notional per UTC hour of day over the lookback window,
+ * as 24 numbers, or null when nothing has been recorded for the market.
+ */
+export async function getHourlyVolumeProfile(db, exchange, symbol, lookbackDays) {
+  const from = new Date(Date.now() - lookbackDays * 24 * 60 * 60 * 1000);
+  const rows = await db.collection(STATS_COLLECTION).aggregate([
+    { $match: { exchange, symbol: normalizeMarketSymbol(symbol), bucket: { $gte: from } } },
+    { $group: { _id: { $hour: '$bucket' }, notional: { $sum: '$tradeNotional' } } }
+  ]).toArray();
+
+  const profile = new Array(24).fill(0);
+  rows.forEach(row => { profile[row._id] = row.notional || 0; });
+  return profile.some(value => value > 0) ? profile : null;
+}
+
+/**
+ * VWAP budget for the interval starting at `start`: the remaining budget
+ * times this hour's share of the volume over the hours of all remaining
+ * intervals. Without a profile (or volume) every hour weighs the same.
+ */
+export function getVwapIntervalBudget(remainingUsdt, remainingIntervals, start, intervalMs, profile) {
+  if (remainingIntervals <= 1) return remainingUsdt;
+  const weightAt = k => profile ? profile[new Date(start.getTime() + k * intervalMs).getUTCHours()] : 1;
+
+  let total = 0;
+  for (let k = 0; k < remainingIntervals; k++) total += weightAt(k);
+  if (total <= 0) return remainingUsdt / remainingIntervals;
+  return remainingUsdt * weightAt(0) / total;
+}
+
+/**
+ * Size a market buy of `usdt` against the ask side, taking only levels at or
+ * below maxPrice. Returns { quantity, spend, averagePrice } or null when no
+ * level qualifies.
+ */
+export function sizeBuyFromAsks(asks, usdt, maxPrice = null) {
+  let remaining = usdt;
+  let quantity = 0;
+  for (const [price, qty] of asks) {
+    if (remaining <= 0 || (maxPrice !== null && price > maxPrice)) break;
+    const take = Math.min(qty, remaining / price);
+    quantity += take;
+    remaining -= take * price;
+  }
+  if (quantity <= 0) return null;
+  const spend = usdt - remaining;
+  return { quantity, spend, averagePrice: spend / quantity };
+}
+
+// Achieved average price vs arrival price; positive slippage means paying more than on arrival
+export function summarizeExecution(spentUsdt, volume, arrivalPrice) {
+  const averagePrice = volume > 0 ? spentUsdt / volume : null;
+  return {
+    arrivalPrice: arrivalPrice ?? null,
+    averagePrice,
+    slippagePercent: averagePrice !== null && arrivalPrice ? (averagePrice - arrivalPrice) / arrivalPrice * 100 : null
+  };
+}
+
+/**
+ * Execution report of a scheduled bot from its trade records: per interval
+ * arrival vs achieved price, and the totals with the arrival price weighted
+ * by what each interval spent.
+ */
+export function buildExecutionReport(bot, trades) {
+  const intervals = trades
+    .filter(trade => trade.arrivalPrice && trade.volume > 0)
+    .map(trade => ({
+      intervalIndex: trade.intervalIndex ?? null,
+      algorithm: trade.algorithm || 'split',
+      executedAt: trade.executedAt,
+      budgetUsdt: trade.budgetUsdt ?? null,
+      spentUsdt: trade.spentUsdt,
+      volume: trade.volume,
+      ...summarizeExecution(trade.spentUsdt, trade.volume, trade.arrivalPrice)
+    }));
+
+  const spentUsdt = intervals.reduce((sum, i) => sum + i.spentUsdt, 0);
+  const volume = intervals.reduce((sum, i) => sum + i.volume, 0);
+  const arrivalPrice = spentUsdt > 0
+    ? intervals.reduce((sum, i) => sum + i.arrivalPrice * i.spentUsdt, 0) / spentUsdt
+    : null;
+
+  return {
+    algorithm: bot.executionAlgorithm || 'split',
+    settings: {
+      sliceCount: bot.sliceCount ?? null,
+      sliceJitterPercent: bot.sliceJitterPercent ?? null,
+      maxPrice: bot.maxPrice ?? null,
+      participationRate: bot.participationRate ?? null,
+      volumeLookbackDays: bot.volumeLookbackDays ?? null
+    },
+    totals: { spentUsdt, volume, ...summarizeExecution(spentUsdt, volume, arrivalPrice) },
+    currentInterval: bot.currentInterval || null,
+    intervals
+  };
+}
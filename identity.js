@@ -0,0 +1,275 @@
+import 'dotenv/config';
+import { moveSessions, revokeAccountSessions, verifyAccessToken } from './sessions.js';
+
+/**
+ * Identity
+ *
+ * One account per person, linking the per-venue user records:
+ *   accounts             { gcbexUid, mexcUserId, role, createdAt, updatedAt }
+ *   users.accountId      GCBEX QR login (uid, token, tokenExpiresAt)
+ *   mexc_users.accountId MEXC API-key login
+ *   xt_users.accountId   XT credentials (still stored per MEXC user)
+ *
+ * Every login starts an account session (sessions.js) whose access token
+ * carries the linked venue ids (`id` = MEXC user id, `uid` = GCBEX uid) and
+ * the venue signed in with, so existing routes keep resolving their venue
+ * user from it. Raw GCBEX QR tokens are still accepted until tokenExpiresAt
+ * (GCBEX_TOKEN_TTL_HOURS, default 24). Logging in to another venue while
+ * sending an account session links that venue to the same account;
+ * POST /api/account/link merges the account behind any other session into
+ * the caller's.
+ */
+
+const GCBEX_TOKEN_TTL_HOURS = parseInt(process.env.GCBEX_TOKEN_TTL_HOURS) || 24;
+
+export const ACCOUNTS = 'accounts';
+const ROLE_ORDER = ['viewer', 'operator', 'owner'];
+
+// Where each venue's bots live and which field holds the venue user id
+export const ACCOUNT_BOT_COLLECTIONS = [
+  { collection: 'bot_conditions', exchange: 'gcbex', owner: 'gcbexUid', field: 'userId' },
+  { collection: 'scheduled_bots', exchange: 'gcbex', owner: 'gcbexUid', field: 'userId' },
+  { collection: 'stabilizer_bots', exchange: 'gcbex', owner: 'gcbexUid', field: 'userId' },
+  { collection: 'market_maker_bots', exchange: 'gcbex', owner: 'gcbexUid', field: 'userId' },
+  { collection: 'buywall_bots', exchange: 'gcbex', owner: 'gcbexUid', field: 'userId' },
+  { collection: 'price_keeper_bots', exchange: 'gcbex', owner: 'gcbexUid', field: 'userId' },
+  { collection: 'mexc_user_bots', exchange: 'mexc', owner: 'mexcUserId', field: 'userId' },
+  { collection: 'xt_user_bots', exchange: 'xt', owner: 'mexcUserId', field: 'mexcUserId' },
+  { collection: 'xt_liquidity_bots', exchange: 'xt', owner: 'mexcUserId', field: 'mexcUserId' },
+  { collection: 'xt_sell_liquidity_bots', exchange: 'xt', owner: 'mexcUserId', field: 'mexcUserId' },
+  { collection: 'strategy_bots', exchange: null, owner: 'any', field: 'userId' }
+];
+
+export async function initIdentity(db) {
+  const accounts = db.collection(ACCOUNTS);
+  await accounts.createIndex({ gcbexUid: 1 }, { unique: true, sparse: true });
+  await accounts.createIndex({ mexcUserId: 1 }, { unique: true, sparse: true });
+  console.log('✅ Identity initialized (accounts)');
+}
+
+// GCBEX uids arrive as strings from URLs and JWTs but may be stored as numbers
+export function uidVariants(uid) {
+  return /^\d+$/.test(String(uid)) ? [String(uid), Number(uid)] : [uid];
+}
+
+function higherRole(a, b) {
+  return ROLE_ORDER.indexOf(a) >= ROLE_ORDER.indexOf(b) ? a : b;
+}
+
+// When a GCBEX QR token saved now stops being accepted as a bearer token
+export function gcbexTokenExpiresAt() {
+  return new Date(Date.now() + GCBEX_TOKEN_TTL_HOURS * 60 * 60 * 1000);
+}
+
+function findUserByGcbexToken(db, token, options = {}) {
+  return db.collection('users').findOne({ token, tokenExpiresAt: { $gt: new Date() } }, options);
+}
+
+export async function loadAccount(db, accountId) {
+  const { ObjectId } = await import('mongodb');
+  if (!accountId || !ObjectId.isValid(String(accountId))) return null;
+  return db.collection(ACCOUNTS).findOne({ _id: new ObjectId(String(accountId)) });
+}
+
+// GCBEX user behind a request token: a QR-login token, or an account session with a linked GCBEX login
+export async function findGcbexSessionUser(db, token) {
+  const user = await findUserByGcbexToken(db, token);
+  if (user) return user;
+
+  const session = await verifyAccessToken(token);
+  if (session?.uid === undefined || session?.uid === null) return null;
+  return db.collection('users').findOne({ uid: { $in: uidVariants(session.uid) } });
+}
+
+/**
+ * Resolve any session token to the account and venue user ids behind it:
+ *   { account, gcbexUid, mexcUserId, source }
+ * source is the venue the token was issued for ('gcbex' or 'mexc').
+ * Returns null for unknown or expired tokens.
+ */
+export async function resolveSession(db, token) {
+  const user = await findUserByGcbexToken(db, token, { projection: { uid: 1, accountId: 1 } });
+  if (user) {
+    const account = await loadAccount(db, user.accountId);
+    return { account, gcbexUid: user.uid, mexcUserId: account?.mexcUserId ?? null, source: 'gcbex' };
+  }
+
+  const session = await verifyAccessToken(token);
+  if (!session) return null;
+
+  const account = await loadAccount(db, session.accountId);
+  return {
+    account,
+    gcbexUid: session.uid ?? account?.gcbexUid ?? null,
+    mexcUserId: session.id ?? account?.mexcUserId ?? null,
+    source: session.source || (session.id ? 'mexc' : 'gcbex')
+  };
+}
+
+// Point the venue records of an account back at it
+async function stampVenueRecords(db, account) {
+  const { ObjectId } = await import('mongodb');
+  const accountId = account._id;
+
+  if (account.gcbexUid !== undefined && account.gcbexUid !== null) {
+    await db.collection('users').updateMany({ uid: { $in: uidVariants(account.gcbexUid) } }, { $set: { accountId } });
+  }
+  if (account.mexcUserId) {
+    if (ObjectId.isValid(account.mexcUserId)) {
+      await db.collection('mexc_users').updateOne({ _id: new ObjectId(account.mexcUserId) }, { $set: { accountId } });
+    }
+    await db.collection('xt_users').updateMany({ mexcUserId: account.mexcUserId }, { $set: { accountId } });
+  }
+}
+
+// Role stored on a venue user record (pre-account roles)
+export async function getVenueRole(db, venue, venueId) {
+  const { ObjectId } = await import('mongodb');
+  if (venue === 'gcbex') {
+    const user = await db.collection('users').findOne({ uid: { $in: uidVariants(venueId) } }, { projection: { role: 1 } });
+    return user?.role ?? null;
+  }
+  if (!ObjectId.isValid(venueId)) return null;
+  const user = await db.collection('mexc_users').findOne({ _id: new ObjectId(venueId) }, { projection: { role: 1 } });
+  return user?.role ?? null;
+}
+
+/**
+ * Merge the `source` account into `target`: venue logins and the higher role
+ * move over, `source` is deleted. Throws "Cannot link ..." when both accounts
+ * already hold a different login for the same venue.
+ */
+export async function mergeAccounts(db, target, source) {
+  if (target._id.equals(source._id)) return target;
+
+  for (const field of ['gcbexUid', 'mexcUserId']) {
+    const a = target[field];
+    const b = source[field];
+    if (a !== undefined && a !== null && b !== undefined && b !== null && String(a) !== String(b)) {
+      throw new Error(`Cannot link accounts: both already have a different ${field === 'gcbexUid' ? 'GCBEX' : 'MEXC'} login`);
+    }
+  }
+
+  const merged = {
+    gcbexUid: target.gcbexUid ?? source.gcbexUid ?? null,
+    mexcUserId: target.mexcUserId ?? source.mexcUserId ?? null,
+    role: target.role && source.role ? higherRole(target.role, source.role) : (target.role ?? source.role ?? null)
+  };
+  const $set = { updatedAt: new Date() };
+  for (const [field, value] of Object.entries(merged)) {
+    if (value !== null) $set[field] = value;
+  }
+
+  // Delete first so the unique venue indexes never see the login twice
+  await db.collection(ACCOUNTS).deleteOne({ _id: source._id });
+  await db.collection(ACCOUNTS).updateOne({ _id: target._id }, { $set });
+  await moveSessions(source._id, target._id);
+
+  const account = { ...target, ...$set };
+  await stampVenueRecords(db, account);
+  console.log(`🔗 Account ${source._id} merged into ${target._id}`);
+  return account;
+}
+
+/**
+ * Account for a venue login ('gcbex' uid or 'mexc' user id), created on first
+ * login. With `linkTo` (the caller's current account) the login is linked to
+ * that account instead, merging any account it already belonged to.
+ */
+export async function ensureAccount(db, venue, venueId, linkTo = null) {
+  if (venue !== 'gcbex' && venue !== 'mexc') {
+    throw new Error(`Invalid venue: ${venue} (use gcbex or mexc)`);
+  }
+
+  const field = venue === 'gcbex' ? 'gcbexUid' : 'mexcUserId';
+  const query = venue === 'gcbex' ? { gcbexUid: { $in: uidVariants(venueId) } } : { mexcUserId: String(venueId) };
+  const existing = await db.collection(ACCOUNTS).findOne(query);
+
+  let account;
+  if (linkTo && existing) {
+    account = await mergeAccounts(db, linkTo, existing);
+  } else if (linkTo) {
+    if (linkTo[field] !== undefined && linkTo[field] !== null && String(linkTo[field]) !== String(venueId)) {
+      throw new Error(`Cannot link accounts: this account already has a different ${venue === 'gcbex' ? 'GCBEX' : 'MEXC'} login`);
+    }
+    const role = await getVenueRole(db, venue, venueId);
+    const $set = { [field]: venue === 'gcbex' ? venueId : String(venueId), updatedAt: new Date() };
+    if (role) $set.role = linkTo.role ? higherRole(linkTo.role, role) : role;
+    await db.collection(ACCOUNTS).updateOne({ _id: linkTo._id }, { $set });
+    account = { ...linkTo, ...$set };
+  } else if (existing) {
+    return existing;
+  } else {
+    const role = await getVenueRole(db, venue, venueId);
+    account = {
+      [field]: venue === 'gcbex' ? venueId : String(venueId),
+      ...(role ? { role } : {}),
+      createdAt: new Date(),
+      updatedAt: new Date()
+    };
+    const result = await db.collection(ACCOUNTS).insertOne(account);
+    account = { ...account, _id: result.insertedId };
+  }
+
+  await stampVenueRecords(db, account);
+  return account;
+}
+
+// The caller's account, created from its venue login for sessions issued before accounts existed
+export async function getSessionAccount(db, session) {
+  if (!session) return null;
+  if (session.account) return session.account;
+  if (session.mexcUserId) return ensureAccount(db, 'mexc', session.mexcUserId);
+  if (session.gcbexUid !== null && session.gcbexUid !== undefined) return ensureAccount(db, 'gcbex', session.gcbexUid);
+  return null;
+}
+
+// "Log out all devices": revoke every session and stop accepting the linked GCBEX QR token
+export async function logOutEverywhere(db, account) {
+  const revoked = await revokeAccountSessions(account._id);
+  if ((account.gcbexUid ?? null) !== null) {
+    await db.collection('users').updateMany(
+      { uid: { $in: uidVariants(account.gcbexUid) } },
+      { $unset: { token: '' }, $set: { tokenExpiresAt: new Date() } }
+    );
+  }
+  return revoked;
+}
+
+// Every bot of an account across all venues, newest first
+export async function listAccountBots(db, account) {
+  const ownerIds = {
+    gcbexUid: (account.gcbexUid ?? null) !== null ? uidVariants(account.gcbexUid) : [],
+    mexcUserId: account.mexcUserId ? [account.mexcUserId] : []
+  };
+  const bots = [];
+
+  for (const { collection, exchange, owner, field } of ACCOUNT_BOT_COLLECTIONS) {
+    const owners = owner === 'any' ? [...ownerIds.gcbexUid, ...ownerIds.mexcUserId] : ownerIds[owner];
+    if (owners.length === 0) continue;
+
+    const docs = await db.collection(collection)
+      .find({ [field]: { $in: owners } }, { projection: { apiSecret: 0 } })
+      .toArray();
+    for (const doc of docs) {
+      bots.push({ ...doc, collection, exchange: doc.exchange || exchange });
+    }
+  }
+
+  return bots.sort((a, b) => new Date(b.createdAt || 0) - new Date(a.createdAt || 0));
+}
+
+export default {
+  ACCOUNTS,
+  initIdentity,
+  gcbexTokenExpiresAt,
+  loadAccount,
+  findGcbexSessionUser,
+  resolveSession,
+  getVenueRole,
+  mergeAccounts,
+  ensureAccount,
+  getSessionAccount,
+  logOutEverywhere,
+  listAccountBots
+};
@@ -2,7 +2,6 @@ import 'dotenv/config';
 import express from 'express';
 import cors from 'cors';
 import { MongoClient, ObjectId } from 'mongodb';
-import crypto from 'crypto';
 import BotMonitor from './bot-monitor.js';
 import ScheduledBotMonitor from './scheduled-bot-monitor.js';
 import MarketMakerBotMonitor from './market-maker-bot-monitor.js';
@@ -26,6 +25,47 @@ import XtSellLiquidityBotMonitor from './xt-sell-liquidity-bot-monitor.js';
 import { setupInstallmentRoutes } from './installment-routes.js';
 import { setupInstallmentQueueRoutes } from './installment-queue-routes.js';
 import { createQueueWorker } from './installment-queue-worker.js';
+import { createExchangeClient, EXCHANGES } from './exchange-clients.js';
+import { setupBotRoutes, setStrategyBotMonitor } from './bot-routes.js';
+import StrategyBotMonitor from './strategy-bot-monitor.js';
+import { createBotSupervisor } from './bot-supervisor.js';
+import { setupSupervisorRoutes } from './supervisor-routes.js';
+import { initLogStore } from './log-store.js';
+import { encryptSecret, decryptSecret, isVaultConfigured } from './credential-vault.js';
+import { initRiskEngine, checkOrderRisk, recordOrderRisk } from './risk-engine.js';
+import { initKillSwitch, isKillSwitchActive } from './kill-switch.js';
+import { setupKillSwitchRoutes } from './kill-switch-routes.js';
+import { setupLogRoutes } from './log-routes.js';
+import { setupBacktestRoutes } from './backtest-routes.js';
+import MarketDataRecorder from './market-data-recorder.js';
+import { setupMarketHistoryRoutes } from './market-history-routes.js';
+import BalanceService from './balance-service.js';
+import { setupBalanceRoutes } from './balance-routes.js';
+import { initPaperTrading, parseBotMode } from './paper-trading.js';
+import { CONDITION_FIELDS, COMPARISON_OPERATORS, parseConditionRule, parseConditionMarket } from './condition-expressions.js';
+import { previewCondition } from './condition-preview.js';
+import { parseExecutionSettings, buildExecutionReport } from './execution-algorithms.js';
+import { initScheduledOrders, parseFillSettings, listScheduledOrders, getFillTotals } from './scheduled-orders.js';
+import { parseScheduleSettings, getFirstSlot, listUpcomingSlots } from './scheduled-calendar.js';
+import {
+  initConditionTriggers,
+  parseTriggerSettings,
+  getTriggerHistory,
+  getTriggerSummary,
+  TRIGGER_STATE_FIELDS
+} from './condition-triggers.js';
+import ConditionOrderTracker, { initConditionOrders, parseLimitOrderSettings, listConditionOrders } from './condition-orders.js';
+import { setupPaperRoutes } from './paper-routes.js';
+import { createAccessGuard, isGlobalScope, scopeLogs } from './access-control.js';
+import { setupAccessRoutes } from './access-routes.js';
+import { initIdentity, ensureAccount, getSessionAccount, resolveSession, findGcbexSessionUser, gcbexTokenExpiresAt } from './identity.js';
+import { initSessions, createSession, isSessionSecretConfigured } from './sessions.js';
+import { setupSessionRoutes } from './session-routes.js';
+import { setupAccountRoutes } from './account-routes.js';
+import { initAuditLog, createAuditTrail } from './audit-log.js';
+import { setupAuditRoutes } from './audit-routes.js';
+import { initApprovals, needsMaxBuyApproval, registerApprovalAction, requestApproval } from './approvals.js';
+import { setupApprovalRoutes } from './approval-routes.js';
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -49,6 +89,12 @@ console.log(`CHAT_ID: ${process.env.TELEGRAM_CHAT_ID ? process.env.TELEGRAM_CHAT
 console.log(`Status: ${telegramService.isConfigured() ? '✅ CONFIGURED' : '⚠️ NOT CONFIGURED'}`);
 console.log('');
 
+// Session tokens are signed with JWT_SECRET; with the published default anyone could forge them
+if (!isSessionSecretConfigured()) {
+  console.error('❌ JWT_SECRET is not set or still the default value - set a strong secret in .env. Refusing to start.');
+  process.exit(1);
+}
+
 // MongoDB connection
 const MONGODB_URI = process.env.MONGODB_URI;
 const DB_NAME = "mmbot";
@@ -66,6 +112,11 @@ let mexcUserBotMonitor;
 let xtUserBotMonitor;
 let xtLiquidityBotMonitor;
 let xtSellLiquidityBotMonitor;
+let strategyBotMonitor;
+let marketDataRecorder;
+let balanceService;
+let conditionOrderTracker;
+let supervisor;
 
 // Connect to MongoDB
 async function connectToMongoDB() {
@@ -90,6 +141,12 @@ app.use(cors({
 }));
 app.use(express.json());
 
+// Role checks for every route (see ROUTE_POLICIES in access-control.js)
+app.use(createAccessGuard(() => db));
+
+// Audit trail of every mutating request (see audit-log.js)
+app.use(createAuditTrail());
+
 // Setup MEXC routes
 setupMexcRoutes(app);
 
@@ -113,38 +170,31 @@ async function getUserApiCredentials(token) {
     throw new Error('Database not connected');
   }
   
-  const user = await db.collection('users').findOne({ token });
+  const user = await findGcbexSessionUser(db, token);
   if (!user || !user.apiKey || !user.apiSecret) {
     return null;
   }
   
   return {
     apiKey: user.apiKey,
-    apiSecret: user.apiSecret,
+    apiSecret: decryptSecret(user.apiSecret),
     uid: user.uid
   };
 }
 
-// Helper: Generate Open API signature with user's credentials
-function generateUserSignature(apiSecret, timestamp, method, requestPath, bodyJson = '') {
-  const message = `${timestamp}${method.toUpperCase()}${requestPath}${bodyJson}`;
-  const signature = crypto
-    .createHmac('sha256', apiSecret)
-    .update(message)
-    .digest('hex');
-  return signature;
+// Helper: GCBEX web token to forward upstream (account sessions carry the linked QR login's token)
+async function getGcbexExchangeToken(token) {
+  const user = await findGcbexSessionUser(db, token);
+  return user ? user.token : token;
 }
 
-// ============================================
-// HMAC Signature Helper for Open API
-// ============================================
-function generateSignature(timestamp, method, requestPath, bodyJson = '') {
-  const message = `${timestamp}${method.toUpperCase()}${requestPath}${bodyJson}`;
-  const signature = crypto
-    .createHmac('sha256', GCBEX_API_SECRET)
-    .update(message)
-    .digest('hex');
-  return signature;
+// Helper: GCBEX Open API client for a user's credentials (server-owned account when omitted).
+// Stored secrets are encrypted; decryptSecret passes plaintext (e.g. from a request body) through.
+function getGcbexClient(credentials = null) {
+  return createExchangeClient('gcbex', {
+    apiKey: credentials ? credentials.apiKey : GCBEX_API_KEY,
+    apiSecret: credentials ? decryptSecret(credentials.apiSecret) : GCBEX_API_SECRET
+  }, { baseUrl: GCBEX_OPEN_API_BASE });
 }
 
 // ============================================
@@ -162,25 +212,10 @@ app.get('/api/test/openapi/balance', async (req, res) => {
       });
     }
 
-    const timestamp = Date.now().toString();
-    const method = 'GET';
-    const requestPath = '/sapi/v1/account';
-    const signature = generateSignature(timestamp, method, requestPath);
-
     console.log(`\n🧪 Testing Open API credentials...`);
-    console.log(`Timestamp: ${timestamp}`);
     console.log(`API Key: ${GCBEX_API_KEY?.substring(0, 10)}...`);
 
-    const response = await fetch(`${GCBEX_OPEN_API_BASE}${requestPath}`, {
-      method: 'GET',
-      headers: {
-        'X-CH-APIKEY': GCBEX_API_KEY,
-        'X-CH-TS': timestamp,
-        'X-CH-SIGN': signature,
-      },
-    });
-
-    const data = await response.json();
+    const data = await getGcbexClient().request('GET', '/sapi/v1/account');
 
     console.log(`✅ Response received:`, data);
 
@@ -216,11 +251,7 @@ app.get('/api/test/openapi/balance', async (req, res) => {
 app.get('/api/test/openapi/ticker', async (req, res) => {
   try {
     const symbol = req.query.symbol || 'GCBUSDT';
-    const url = `${GCBEX_OPEN_API_BASE}/sapi/v2/ticker?symbol=${symbol}`;
-    
-
-    const response = await fetch(url);
-    const data = await response.json();
+    const data = await getGcbexClient().publicRequest('/sapi/v2/ticker', { symbol });
 
 
     return res.json({
@@ -326,7 +357,7 @@ app.post('/api/telegram/test-stabilizer', async (req, res) => {
     }
 
     const token = authHeader.split(' ')[1];
-    const user = await db.collection('users').findOne({ token });
+    const user = await findGcbexSessionUser(db, token);
     
     if (!user) {
       return res.status(401).json({ code: '-1', msg: 'Invalid token', data: null });
@@ -353,47 +384,24 @@ app.post('/api/telegram/test-stabilizer', async (req, res) => {
     console.log('🧪 Testing Stabilizer Bot notification with $0.50 USDT order...');
 
     // Get current market price
-    const marketPriceResponse = await fetch(`${GCBEX_OPEN_API_BASE}/sapi/v2/ticker?symbol=gcbusdt`);
-    const marketPriceData = await marketPriceResponse.json();
-    const marketPrice = parseFloat(marketPriceData.last);
+    const gcbexClient = getGcbexClient(user);
+    const ticker = await gcbexClient.getTicker('GCBUSDT');
+    const marketPrice = ticker ? ticker.price : NaN;
 
     console.log(`📊 Current market price: $${marketPrice}`);
 
     // Place a small market buy order with $0.50 USDT
     const testAmount = 0.50; // $0.50 USDT
-    const orderBody = {
-      symbol: 'GCBUSDT',
-      side: 'BUY',
-      type: 'MARKET',
-      volume: testAmount.toFixed(2)
-    };
-
-    // Get server time and create signature
-    const timestamp = (await getServerTime()).toString();
-    const method = 'POST';
-    const requestPath = '/sapi/v2/order';
-    const bodyJson = JSON.stringify(orderBody, null, 0).replace(/\s/g, '');
-    const message = `${timestamp}${method.toUpperCase()}${requestPath}${bodyJson}`;
-    const signature = crypto
-      .createHmac('sha256', user.apiSecret)
-      .update(message)
-      .digest('hex');
-
     console.log(`💱 Placing test order: BUY $${testAmount} USDT worth of GCB`);
 
     // Execute test order
-    const response = await fetch(`${GCBEX_OPEN_API_BASE}${requestPath}`, {
-      method: 'POST',
-      headers: {
-        'X-CH-APIKEY': user.apiKey,
-        'X-CH-TS': timestamp,
-        'X-CH-SIGN': signature,
-        'Content-Type': 'application/json'
-      },
-      body: bodyJson
+    const orderResult = await gcbexClient.placeOrder({
+      symbol: 'GCBUSDT',
+      side: 'BUY',
+      type: 'MARKET',
+      quoteQty: testAmount.toFixed(2)
     });
-
-    const result = await response.json();
+    const result = orderResult.data || { msg: orderResult.error };
 
     if (result.orderId) {
       console.log(`✅ Test order placed successfully! Order ID: ${result.orderId}`);
@@ -477,8 +485,18 @@ app.post('/api/trade/order', async (req, res) => {
     }
 
     const token = authHeader.split(' ')[1];
+    const user = await findGcbexSessionUser(db, token);
+
+    if (!user) {
+      return res.status(401).json({ code: '-1', msg: 'Invalid token', data: null });
+    }
+
     const { side, type, symbol, volume, price, triggerPrice } = req.body;
 
+    if (isKillSwitchActive()) {
+      return res.status(423).json({ code: '-1', msg: 'Trading is halted by the emergency kill switch', data: null });
+    }
+
     // Validate required fields
     if (!side || !type || !symbol || !volume) {
       return res.status(400).json({ 
@@ -500,11 +518,28 @@ app.post('/api/trade/order', async (req, res) => {
       uaTime: getUaTime(),
     };
 
+    // Pre-trade risk check, as for Open API orders (for MARKET BUY, GCBEX volume is the USDT amount).
+    // Without stored API credentials the client is only used for market data.
+    const riskClient = user.apiKey && user.apiSecret
+      ? getGcbexClient(user)
+      : createExchangeClient('gcbex', {}, { baseUrl: GCBEX_OPEN_API_BASE });
+    const riskOrder = {
+      symbol,
+      side: orderPayload.side,
+      type: orderPayload.type === 1 ? 'LIMIT' : 'MARKET',
+      price: orderPayload.price,
+      ...(orderPayload.type !== 1 && orderPayload.side === 'BUY' ? { quoteQty: volume } : { quantity: volume })
+    };
+    const riskCheck = await checkOrderRisk(riskClient, riskOrder, { userId: user.uid });
+    if (!riskCheck.allowed) {
+      return res.status(400).json({ code: '-1', msg: `Risk check failed: ${riskCheck.reason}`, data: null });
+    }
+
     const response = await fetch(`${GCBEX_API_BASE}/order/create`, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
-        'exchange-token': token,
+        'exchange-token': user.token,
       },
       body: JSON.stringify(orderPayload),
     });
@@ -513,6 +548,10 @@ app.post('/api/trade/order', async (req, res) => {
     
     // Log trade for monitoring
     console.log(`📊 Trade Order: ${side} ${volume} ${symbol} at ${price || 'MARKET'} - Response: ${data.msg}`);
+
+    if (String(data.code) === '0') {
+      await recordOrderRisk(riskClient, riskOrder, riskCheck);
+    }
     
     res.json(data);
   } catch (error) {
@@ -544,7 +583,7 @@ app.post('/api/trade/cancel', async (req, res) => {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
-        'exchange-token': token,
+        'exchange-token': await getGcbexExchangeToken(token),
       },
       body: JSON.stringify({
         orderId,
@@ -576,7 +615,7 @@ app.get('/api/trade/orders', async (req, res) => {
       method: 'GET',
       headers: {
         'Content-Type': 'application/json',
-        'exchange-token': token,
+        'exchange-token': await getGcbexExchangeToken(token),
       },
     });
 
@@ -641,6 +680,7 @@ app.post('/api/auth/qrcode/status', async (req, res) => {
         const userData = {
           uid: data.data.uid,
           token: data.data.token,
+          tokenExpiresAt: gcbexTokenExpiresAt(),
           last_login: new Date().toISOString(),
           updated_at: new Date().toISOString(),
         };
@@ -655,6 +695,18 @@ app.post('/api/auth/qrcode/status', async (req, res) => {
           { upsert: true }
         );
         console.log('✅ User logged in:', data.data.uid);
+
+        // Account session; signing in while holding another session links GCBEX to that account
+        const authHeader = req.headers.authorization;
+        const currentSession = authHeader && authHeader.startsWith('Bearer ')
+          ? await resolveSession(db, authHeader.split(' ')[1])
+          : null;
+        const account = await ensureAccount(db, 'gcbex', data.data.uid, await getSessionAccount(db, currentSession));
+        const session = await createSession(account, 'gcbex', req);
+        data.data.accountId = account._id.toString();
+        data.data.sessionToken = session.accessToken;
+        data.data.refreshToken = session.refreshToken;
+        data.data.expiresIn = session.expiresIn;
       } catch (dbError) {
         console.error('Error saving user:', dbError);
         // Don't fail the login if DB save fails
@@ -684,8 +736,7 @@ app.post('/api/market/rates', async (req, res) => {
 
     for (const symbol of symbols) {
       try {
-        const response = await fetch(`${GCBEX_OPEN_API_BASE}/sapi/v2/ticker?symbol=${symbol}`);
-        const tickerData = await response.json();
+        const tickerData = await getGcbexClient().publicRequest('/sapi/v2/ticker', { symbol });
         
         if (tickerData && tickerData.last) {
           // Extract coin name from symbol (e.g., 'gcbusdt' -> 'GCB')
@@ -803,8 +854,7 @@ app.get('/api/market/depth', async (req, res) => {
     const symbol = req.query.symbol || 'GCBUSDT';
     const limit = req.query.limit || 100;
 
-    const response = await fetch(`${GCBEX_OPEN_API_BASE}/sapi/v2/depth?symbol=${symbol}&limit=${limit}`);
-    const data = await response.json();
+    const data = await getGcbexClient().publicRequest('/sapi/v2/depth', { symbol, limit });
 
     res.json({
       code: '0',
@@ -830,7 +880,7 @@ app.get('/api/users/me', async (req, res) => {
     }
 
     const token = authHeader.split(' ')[1];
-    const user = await db.collection('users').findOne({ token });
+    const user = await findGcbexSessionUser(db, token);
 
     if (!user) {
       return res.status(404).json({ code: '-1', msg: 'User not found', data: null });
@@ -842,6 +892,8 @@ app.get('/api/users/me', async (req, res) => {
       data: {
         uid: user.uid,
         token: user.token,
+        accountId: req.authUser.accountId,
+        role: req.authUser.role,
         last_login: user.last_login,
         created_at: user.created_at,
       }
@@ -866,7 +918,7 @@ app.post('/api/users/info', async (req, res) => {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
-        'exchange-token': token,
+        'exchange-token': await getGcbexExchangeToken(token),
       },
       body: JSON.stringify({
         uaTime: getUaTime(),
@@ -903,21 +955,7 @@ app.post('/api/users/balance', async (req, res) => {
     }
 
     // Use Open API to get balance (no expiry)
-    const timestamp = Date.now().toString();
-    const method = 'GET';
-    const requestPath = '/sapi/v1/account';
-    const signature = generateUserSignature(credentials.apiSecret, timestamp, method, requestPath);
-
-    const response = await fetch(`${GCBEX_OPEN_API_BASE}${requestPath}`, {
-      method: 'GET',
-      headers: {
-        'X-CH-APIKEY': credentials.apiKey,
-        'X-CH-TS': timestamp,
-        'X-CH-SIGN': signature,
-      },
-    });
-
-    const data = await response.json();
+    const data = await getGcbexClient(credentials).request('GET', '/sapi/v1/account');
     
     // Transform Open API response to match old format
     if (data.balances) {
@@ -973,31 +1011,13 @@ app.post('/api/users/api-credentials', async (req, res) => {
     }
 
     // Find user by token
-    const user = await db.collection('users').findOne({ token });
+    const user = await findGcbexSessionUser(db, token);
     if (!user) {
       return res.status(401).json({ code: '-1', msg: 'Invalid token', data: null });
     }
 
     // Validate credentials by testing them
-    const timestamp = Date.now().toString();
-    const method = 'GET';
-    const requestPath = '/sapi/v1/account';
-    const message = `${timestamp}${method.toUpperCase()}${requestPath}`;
-    const signature = crypto
-      .createHmac('sha256', apiSecret)
-      .update(message)
-      .digest('hex');
-
-    const testResponse = await fetch(`${GCBEX_OPEN_API_BASE}${requestPath}`, {
-      method: 'GET',
-      headers: {
-        'X-CH-APIKEY': apiKey,
-        'X-CH-TS': timestamp,
-        'X-CH-SIGN': signature,
-      },
-    });
-
-    const testData = await testResponse.json();
+    const testData = await getGcbexClient({ apiKey, apiSecret }).request('GET', '/sapi/v1/account');
 
     if (!testData.balances) {
       return res.status(400).json({
@@ -1014,7 +1034,7 @@ app.post('/api/users/api-credentials', async (req, res) => {
       {
         $set: {
           apiKey: apiKey,
-          apiSecret: apiSecret,
+          apiSecret: encryptSecret(apiSecret),
           apiCredentialsUpdatedAt: new Date().toISOString(),
           apiCredentialsValid: true
         }
@@ -1051,7 +1071,7 @@ app.get('/api/users/api-credentials', async (req, res) => {
     }
 
     const token = authHeader.split(' ')[1];
-    const user = await db.collection('users').findOne({ token });
+    const user = await findGcbexSessionUser(db, token);
 
     if (!user) {
       return res.status(401).json({ code: '-1', msg: 'Invalid token', data: null });
@@ -1088,7 +1108,7 @@ app.delete('/api/users/api-credentials', async (req, res) => {
     }
 
     const token = authHeader.split(' ')[1];
-    const user = await db.collection('users').findOne({ token });
+    const user = await findGcbexSessionUser(db, token);
 
     if (!user) {
       return res.status(401).json({ code: '-1', msg: 'Invalid token', data: null });
@@ -1129,18 +1149,6 @@ app.delete('/api/users/api-credentials', async (req, res) => {
 // Trading with API Credentials
 // ============================================
 
-// Helper function to get GCBEX server time
-async function getServerTime() {
-  try {
-    const response = await fetch(`${GCBEX_OPEN_API_BASE}/sapi/v1/time`);
-    const data = await response.json();
-    return data.serverTime;
-  } catch (error) {
-    console.log('⚠️ Failed to fetch server time, using local time');
-    return Date.now();
-  }
-}
-
 // GET /api/trade/open-orders - Get open orders using stored API credentials
 app.get('/api/trade/open-orders', async (req, res) => {
   try {
@@ -1150,7 +1158,7 @@ app.get('/api/trade/open-orders', async (req, res) => {
     }
 
     const token = authHeader.split(' ')[1];
-    const user = await db.collection('users').findOne({ token });
+    const user = await findGcbexSessionUser(db, token);
 
     if (!user) {
       return res.status(401).json({ code: '-1', msg: 'Invalid token', data: null });
@@ -1167,26 +1175,8 @@ app.get('/api/trade/open-orders', async (req, res) => {
 
     const symbol = req.query.symbol || 'GCBUSDT';
 
-    // Generate signature for Open API with server-synced timestamp
-    const timestamp = (await getServerTime()).toString();
-    const method = 'GET';
-    const requestPath = '/sapi/v2/openOrders';
-    const queryString = `symbol=${symbol}`;
-    const message = `${timestamp}${method.toUpperCase()}${requestPath}?${queryString}`;
-    const signature = crypto.createHmac('sha256', user.apiSecret).update(message).digest('hex');
-
     // Call GCBEX Open API
-    const response = await fetch(`${GCBEX_OPEN_API_BASE}${requestPath}?${queryString}`, {
-      method: 'GET',
-      headers: {
-        'X-CH-APIKEY': user.apiKey,
-        'X-CH-TS': timestamp,
-        'X-CH-SIGN': signature,
-        'Content-Type': 'application/json'
-      }
-    });
-
-    const data = await response.json();
+    const data = await getGcbexClient(user).request('GET', '/sapi/v2/openOrders', { symbol });
     
     // Handle different response formats
     if (Array.isArray(data)) {
@@ -1219,7 +1209,7 @@ app.post('/api/trade/cancel-order', async (req, res) => {
     }
 
     const token = authHeader.split(' ')[1];
-    const user = await db.collection('users').findOne({ token });
+    const user = await findGcbexSessionUser(db, token);
 
     if (!user) {
       return res.status(401).json({ code: '-1', msg: 'Invalid token', data: null });
@@ -1244,31 +1234,11 @@ app.post('/api/trade/cancel-order', async (req, res) => {
       });
     }
 
-    const cancelBody = {
+    // Call GCBEX Open API
+    const data = await getGcbexClient(user).request('POST', '/sapi/v2/cancel', '', {
       orderId: orderId.toString(),
       symbol: symbol.toUpperCase()
-    };
-
-    // Generate signature with server-synced timestamp
-    const timestamp = (await getServerTime()).toString();
-    const method = 'POST';
-    const requestPath = '/sapi/v2/cancel';
-    const bodyJson = JSON.stringify(cancelBody, null, 0).replace(/\s/g, '');
-    const signature = generateUserSignature(user.apiSecret, timestamp, method, requestPath, bodyJson);
-
-    // Call GCBEX Open API
-    const response = await fetch(`${GCBEX_OPEN_API_BASE}${requestPath}`, {
-      method: 'POST',
-      headers: {
-        'X-CH-APIKEY': user.apiKey,
-        'X-CH-TS': timestamp,
-        'X-CH-SIGN': signature,
-        'Content-Type': 'application/json'
-      },
-      body: bodyJson
     });
-
-    const data = await response.json();
     res.json(data);
   } catch (error) {
     console.error('Error canceling order:', error);
@@ -1285,7 +1255,7 @@ app.post('/api/trade/place-order', async (req, res) => {
     }
 
     const token = authHeader.split(' ')[1];
-    const user = await db.collection('users').findOne({ token });
+    const user = await findGcbexSessionUser(db, token);
 
     if (!user) {
       return res.status(401).json({ code: '-1', msg: 'Invalid token', data: null });
@@ -1332,36 +1302,28 @@ app.post('/api/trade/place-order', async (req, res) => {
       orderBody.timeInForce = 'GTC';
     }
 
-    // Generate signature
-    const timestamp = Date.now().toString();
-    const method = 'POST';
-    const requestPath = '/sapi/v2/order';
-    const bodyJson = JSON.stringify(orderBody, null, 0).replace(/\s/g, '');
-    const signature = generateUserSignature(user.apiSecret, timestamp, method, requestPath, bodyJson);
-
-    // Prepare headers
-    const headers = {
-      'X-CH-APIKEY': user.apiKey,
-      'X-CH-TS': timestamp,
-      'X-CH-SIGN': signature,
-      'Content-Type': 'application/json'
+    // Pre-trade risk check (for MARKET BUY, GCBEX volume is the USDT amount)
+    const gcbexClient = getGcbexClient(user);
+    const riskOrder = {
+      symbol,
+      side: orderBody.side,
+      type: orderBody.type,
+      price: orderBody.price,
+      ...(orderBody.type === 'MARKET' && orderBody.side === 'BUY' ? { quoteQty: volume } : { quantity: volume })
     };
+    const riskCheck = await checkOrderRisk(gcbexClient, riskOrder, { userId: user.uid });
+    if (!riskCheck.allowed) {
+      return res.status(400).json({ code: '-1', msg: `Risk check failed: ${riskCheck.reason}`, data: null });
+    }
 
     // Call GCBEX Open API (for API Key/Secret authentication)
-    const gcbexUrl = `${GCBEX_OPEN_API_BASE}${requestPath}`;
     console.log(`📤 Placing ${orderBody.side} ${orderBody.type} order for ${symbol}`);
-    console.log(`🌐 API URL: ${gcbexUrl}`);
 
-    const response = await fetch(gcbexUrl, {
-      method: 'POST',
-      headers: headers,
-      body: bodyJson
-    });
-
-    const data = await response.json();
+    const data = await gcbexClient.request('POST', '/sapi/v2/order', '', orderBody);
 
     if (data.orderId) {
       console.log(`✅ Order placed successfully: ${data.orderId}`);
+      await recordOrderRisk(gcbexClient, riskOrder, riskCheck);
     } else {
       console.log(`⚠️ Order failed:`, data);
     }
@@ -1384,6 +1346,20 @@ app.post('/api/trade/place-order', async (req, res) => {
 // Bot Conditions Routes
 // ============================================
 
+// GET /api/bot/conditions/fields - Fields and operators usable in a conditionExpression
+app.get('/api/bot/conditions/fields', (req, res) => {
+  res.json({
+    code: '0',
+    msg: 'Success',
+    data: {
+      fields: Object.entries(CONDITION_FIELDS).map(([field, description]) => ({ field, description })),
+      comparisonOperators: COMPARISON_OPERATORS,
+      logicalOperators: ['AND', 'OR', 'NOT'],
+      exchanges: EXCHANGES
+    }
+  });
+});
+
 // GET /api/bot/conditions - Get all bot conditions for the user
 app.get('/api/bot/conditions', async (req, res) => {
   try {
@@ -1396,8 +1372,7 @@ app.get('/api/bot/conditions', async (req, res) => {
     
     // Get user ID from database using token
     const db = client.db(DB_NAME);
-    const usersCollection = db.collection('users');
-    const user = await usersCollection.findOne({ token });
+    const user = await findGcbexSessionUser(db, token);
     
     if (!user) {
       return res.status(401).json({ code: '-1', msg: 'Invalid token', data: null });
@@ -1428,17 +1403,53 @@ app.post('/api/bot/conditions', async (req, res) => {
     
     // Get user ID from database using token
     const db = client.db(DB_NAME);
-    const usersCollection = db.collection('users');
-    const user = await usersCollection.findOne({ token });
+    const user = await findGcbexSessionUser(db, token);
     
     if (!user) {
       return res.status(401).json({ code: '-1', msg: 'Invalid token', data: null });
     }
 
+    const { fields: modeFields, error: modeError } = parseBotMode(req.body);
+    if (modeError) {
+      return res.status(400).json({ code: '-1', msg: modeError, data: null });
+    }
+
+    // Compound rules are stored normalized (see condition-expressions.js)
+    const { fields: ruleFields, error: ruleError } = parseConditionRule(req.body);
+    if (ruleError) {
+      return res.status(400).json({ code: '-1', msg: ruleError, data: null });
+    }
+
+    // Market the rule watches and trades (default GCBUSDT on GCBEX)
+    const { fields: marketFields, error: marketError } = parseConditionMarket(req.body);
+    if (marketError) {
+      return res.status(400).json({ code: '-1', msg: marketError, data: null });
+    }
+
+    // maxTriggers / oneShot / expiresAt / rearmThreshold (see condition-triggers.js)
+    const { fields: triggerFields, error: triggerError } = parseTriggerSettings(req.body);
+    if (triggerError) {
+      return res.status(400).json({ code: '-1', msg: triggerError, data: null });
+    }
+
+    // timeInForce / expireAfterMinutes / priceMovePercent / expiryAction for LIMIT actions (see condition-orders.js)
+    const { fields: limitOrderFields, error: limitOrderError } = parseLimitOrderSettings(req.body);
+    if (limitOrderError) {
+      return res.status(400).json({ code: '-1', msg: limitOrderError, data: null });
+    }
+
+    const body = { ...req.body };
+    delete body.resetTriggers;
+    TRIGGER_STATE_FIELDS.forEach(field => delete body[field]);
+
     const condition = {
-      ...req.body,
+      ...body,
+      ...modeFields,
+      ...ruleFields,
+      ...marketFields,
+      ...triggerFields,
+      ...limitOrderFields,
       userId: user.uid,
-      triggerCount: 0,
       createdAt: new Date(),
       updatedAt: new Date(),
     };
@@ -1455,6 +1466,71 @@ app.post('/api/bot/conditions', async (req, res) => {
   }
 });
 
+// POST /api/bot/conditions/evaluate - Dry run: current inputs, each sub-expression's result and the order
+// that would be sent. Body is a draft condition, or { conditionId, ...overrides } for a saved one
+app.post('/api/bot/conditions/evaluate', async (req, res) => {
+  try {
+    const authHeader = req.headers.authorization;
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return res.status(401).json({ code: '-1', msg: 'Unauthorized', data: null });
+    }
+
+    const token = authHeader.split(' ')[1];
+
+    // Get user ID from database using token
+    const db = client.db(DB_NAME);
+    const user = await findGcbexSessionUser(db, token);
+
+    if (!user) {
+      return res.status(401).json({ code: '-1', msg: 'Invalid token', data: null });
+    }
+
+    const { conditionId, ...draft } = req.body || {};
+    delete draft.resetTriggers;
+    TRIGGER_STATE_FIELDS.forEach(field => delete draft[field]);
+
+    let saved = null;
+    if (conditionId) {
+      if (!ObjectId.isValid(conditionId)) {
+        return res.status(400).json({ code: '-1', msg: 'Invalid condition ID', data: null });
+      }
+      saved = await db.collection('bot_conditions').findOne({ _id: new ObjectId(conditionId), userId: user.uid });
+      if (!saved) {
+        return res.status(404).json({ code: '-1', msg: 'Condition not found', data: null });
+      }
+    }
+
+    // Draft fields are validated exactly as on create (or update, on top of a saved condition)
+    const { fields: ruleFields, error: ruleError } = parseConditionRule({ ...(saved || {}), ...draft }, { partial: Boolean(saved) });
+    const { fields: marketFields, error: marketError } = parseConditionMarket(draft, { partial: Boolean(saved) });
+    const { fields: triggerFields, error: triggerError } = parseTriggerSettings(draft, { partial: Boolean(saved) });
+    const { fields: limitOrderFields, error: limitOrderError } = parseLimitOrderSettings({ ...(saved || {}), ...draft }, { partial: Boolean(saved) });
+    const validationError = ruleError || marketError || triggerError || limitOrderError;
+    if (validationError) {
+      return res.status(400).json({ code: '-1', msg: validationError, data: null });
+    }
+
+    const condition = {
+      ...(saved || {}),
+      ...draft,
+      ...ruleFields,
+      ...marketFields,
+      ...triggerFields,
+      ...limitOrderFields,
+      userId: user.uid
+    };
+    const preview = await previewCondition(db, condition, user, { monitor: botMonitor });
+    if (preview.error) {
+      return res.status(400).json({ code: '-1', msg: preview.error, data: null });
+    }
+
+    res.json({ code: '0', msg: 'Dry run only - no order was placed', data: { conditionId: saved ? saved._id : null, ...preview } });
+  } catch (error) {
+    console.error('Error evaluating bot condition:', error);
+    res.status(500).json({ code: '-1', msg: 'Failed to evaluate bot condition', data: null });
+  }
+});
+
 // PUT /api/bot/conditions/:id - Update a bot condition
 app.put('/api/bot/conditions/:id', async (req, res) => {
   try {
@@ -1468,23 +1544,75 @@ app.put('/api/bot/conditions/:id', async (req, res) => {
     
     // Get user ID from database using token
     const db = client.db(DB_NAME);
-    const usersCollection = db.collection('users');
-    const user = await usersCollection.findOne({ token });
+    const user = await findGcbexSessionUser(db, token);
     
     if (!user) {
       return res.status(401).json({ code: '-1', msg: 'Invalid token', data: null });
     }
 
+    if (!ObjectId.isValid(conditionId)) {
+      return res.status(400).json({ code: '-1', msg: 'Invalid condition ID', data: null });
+    }
+
     const botConditionsCollection = db.collection('bot_conditions');
+
+    // Rule and limit order settings are checked together with the stored ones
+    // (e.g. a new conditionValue against the stored conditionField, EXPIRE_AFTER needs expireAfterMinutes)
+    const existing = await botConditionsCollection.findOne({ _id: new ObjectId(conditionId), userId: user.uid });
+    if (!existing) {
+      return res.status(404).json({ code: '-1', msg: 'Condition not found', data: null });
+    }
+
+    // mode / paperBalances get the same check as on create; a lone paperBalances applies to the stored mode
+    let modeFields = {};
+    if (req.body.mode !== undefined || req.body.paperBalances !== undefined) {
+      const { fields, error: modeError } = parseBotMode({
+        mode: req.body.mode ?? existing.mode,
+        paperBalances: req.body.paperBalances
+      });
+      if (modeError) {
+        return res.status(400).json({ code: '-1', msg: modeError, data: null });
+      }
+      modeFields = fields;
+    }
+
+    const { fields: ruleFields, error: ruleError } = parseConditionRule({ ...existing, ...req.body }, { partial: true });
+    if (ruleError) {
+      return res.status(400).json({ code: '-1', msg: ruleError, data: null });
+    }
+
+    const { fields: marketFields, error: marketError } = parseConditionMarket(req.body, { partial: true });
+    if (marketError) {
+      return res.status(400).json({ code: '-1', msg: marketError, data: null });
+    }
+
+    const { fields: triggerFields, error: triggerError } = parseTriggerSettings(req.body, { partial: true });
+    if (triggerError) {
+      return res.status(400).json({ code: '-1', msg: triggerError, data: null });
+    }
+
+    const { fields: limitOrderFields, error: limitOrderError } = parseLimitOrderSettings({ ...existing, ...req.body }, { partial: true });
+    if (limitOrderError) {
+      return res.status(400).json({ code: '-1', msg: limitOrderError, data: null });
+    }
     
     const updates = {
       ...req.body,
+      ...ruleFields,
+      ...marketFields,
+      ...limitOrderFields,
       updatedAt: new Date(),
     };
     
-    // Don't allow updating userId
+    // Don't allow updating userId or the trigger state the monitor keeps;
+    // mode and paperBalances are only written as validated above
     delete updates.userId;
     delete updates._id;
+    delete updates.resetTriggers;
+    delete updates.mode;
+    delete updates.paperBalances;
+    TRIGGER_STATE_FIELDS.forEach(field => delete updates[field]);
+    Object.assign(updates, triggerFields, modeFields);
 
     const result = await botConditionsCollection.findOneAndUpdate(
       { _id: new ObjectId(conditionId), userId: user.uid },
@@ -1503,6 +1631,92 @@ app.put('/api/bot/conditions/:id', async (req, res) => {
   }
 });
 
+// GET /api/bot/conditions/:id/triggers - Trigger history and lifecycle state of a condition (?limit=)
+app.get('/api/bot/conditions/:id/triggers', async (req, res) => {
+  try {
+    const authHeader = req.headers.authorization;
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return res.status(401).json({ code: '-1', msg: 'Unauthorized', data: null });
+    }
+
+    const token = authHeader.split(' ')[1];
+    const conditionId = req.params.id;
+
+    // Get user ID from database using token
+    const db = client.db(DB_NAME);
+    const user = await findGcbexSessionUser(db, token);
+
+    if (!user) {
+      return res.status(401).json({ code: '-1', msg: 'Invalid token', data: null });
+    }
+
+    if (!ObjectId.isValid(conditionId)) {
+      return res.status(400).json({ code: '-1', msg: 'Invalid condition ID', data: null });
+    }
+
+    const condition = await db.collection('bot_conditions').findOne({
+      _id: new ObjectId(conditionId),
+      userId: user.uid
+    });
+
+    if (!condition) {
+      return res.status(404).json({ code: '-1', msg: 'Condition not found', data: null });
+    }
+
+    const events = await getTriggerHistory(condition._id, { limit: req.query.limit });
+
+    res.json({
+      code: '0',
+      msg: 'Success',
+      data: { lifecycle: getTriggerSummary(condition), events }
+    });
+  } catch (error) {
+    console.error('Error fetching condition trigger history:', error);
+    res.status(500).json({ code: '-1', msg: 'Failed to fetch trigger history', data: null });
+  }
+});
+
+// GET /api/bot/conditions/:id/orders - Limit orders a condition placed and what became of them (?status=&limit=)
+app.get('/api/bot/conditions/:id/orders', async (req, res) => {
+  try {
+    const authHeader = req.headers.authorization;
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return res.status(401).json({ code: '-1', msg: 'Unauthorized', data: null });
+    }
+
+    const token = authHeader.split(' ')[1];
+    const conditionId = req.params.id;
+
+    // Get user ID from database using token
+    const db = client.db(DB_NAME);
+    const user = await findGcbexSessionUser(db, token);
+
+    if (!user) {
+      return res.status(401).json({ code: '-1', msg: 'Invalid token', data: null });
+    }
+
+    if (!ObjectId.isValid(conditionId)) {
+      return res.status(400).json({ code: '-1', msg: 'Invalid condition ID', data: null });
+    }
+
+    const condition = await db.collection('bot_conditions').findOne({
+      _id: new ObjectId(conditionId),
+      userId: user.uid
+    });
+
+    if (!condition) {
+      return res.status(404).json({ code: '-1', msg: 'Condition not found', data: null });
+    }
+
+    const orders = await listConditionOrders(condition._id, { status: req.query.status, limit: req.query.limit });
+
+    res.json({ code: '0', msg: 'Success', data: orders });
+  } catch (error) {
+    console.error('Error fetching condition orders:', error);
+    res.status(500).json({ code: '-1', msg: 'Failed to fetch condition orders', data: null });
+  }
+});
+
 // DELETE /api/bot/conditions/:id - Delete a bot condition
 app.delete('/api/bot/conditions/:id', async (req, res) => {
   try {
@@ -1516,8 +1730,7 @@ app.delete('/api/bot/conditions/:id', async (req, res) => {
     
     // Get user ID from database using token
     const db = client.db(DB_NAME);
-    const usersCollection = db.collection('users');
-    const user = await usersCollection.findOne({ token });
+    const user = await findGcbexSessionUser(db, token);
     
     if (!user) {
       return res.status(401).json({ code: '-1', msg: 'Invalid token', data: null });
@@ -1554,7 +1767,7 @@ app.post('/api/bot/start', async (req, res) => {
     }
 
     const token = authHeader.split(' ')[1];
-    const user = await db.collection('users').findOne({ token });
+    const user = await findGcbexSessionUser(db, token);
     
     if (!user) {
       return res.status(401).json({ code: '-1', msg: 'Invalid token', data: null });
@@ -1637,7 +1850,7 @@ app.post('/api/bot/stop', async (req, res) => {
     }
 
     const token = authHeader.split(' ')[1];
-    const user = await db.collection('users').findOne({ token });
+    const user = await findGcbexSessionUser(db, token);
     
     if (!user) {
       return res.status(401).json({ code: '-1', msg: 'Invalid token', data: null });
@@ -1717,7 +1930,7 @@ app.post('/api/bot/stop', async (req, res) => {
   }
 });
 
-// GET /api/bot/status - Get bot status
+// GET /api/bot/status - Get bot status (condition count covers the caller's conditions; owners: ?scope=all)
 app.get('/api/bot/status', async (req, res) => {
   try {
     if (!botMonitor) {
@@ -1733,10 +1946,17 @@ app.get('/api/bot/status', async (req, res) => {
       });
     }
 
+    const status = botMonitor.getStatus();
+    if (!isGlobalScope(req)) {
+      // Only count the caller's conditions that are cooling down after a trigger
+      const ownConditionIds = await db.collection('bot_conditions').distinct('_id', { userId: req.authUser.id });
+      status.activeConditionsCount = ownConditionIds.filter(id => botMonitor.lastTriggers.has(id.toString())).length;
+    }
+
     res.json({
       code: '0',
       msg: 'Success',
-      data: botMonitor.getStatus()
+      data: status
     });
   } catch (error) {
     console.error('Error getting bot status:', error);
@@ -1744,7 +1964,7 @@ app.get('/api/bot/status', async (req, res) => {
   }
 });
 
-// GET /api/bot/logs - Get bot logs
+// GET /api/bot/logs - Get bot logs for the caller's conditions (owners: ?scope=all)
 app.get('/api/bot/logs', async (req, res) => {
   try {
     const authHeader = req.headers.authorization;
@@ -1765,7 +1985,7 @@ app.get('/api/bot/logs', async (req, res) => {
     res.json({
       code: '0',
       msg: 'Success',
-      data: botMonitor.getLogs(limit)
+      data: scopeLogs(req, botMonitor.getLogs(botMonitor.maxLogs), limit)
     });
   } catch (error) {
     console.error('Error getting bot logs:', error);
@@ -1804,7 +2024,7 @@ app.get('/api/bot/trades', async (req, res) => {
     }
 
     const token = authHeader.split(' ')[1];
-    const user = await db.collection('users').findOne({ token });
+    const user = await findGcbexSessionUser(db, token);
     
     if (!user) {
       return res.status(401).json({ code: '-1', msg: 'Invalid token', data: null });
@@ -1837,7 +2057,7 @@ app.post('/api/bot/user/enable', async (req, res) => {
     }
 
     const token = authHeader.split(' ')[1];
-    const user = await db.collection('users').findOne({ token });
+    const user = await findGcbexSessionUser(db, token);
     
     if (!user) {
       return res.status(401).json({ code: '-1', msg: 'Invalid token', data: null });
@@ -1915,7 +2135,7 @@ app.post('/api/bot/user/disable', async (req, res) => {
     }
 
     const token = authHeader.split(' ')[1];
-    const user = await db.collection('users').findOne({ token });
+    const user = await findGcbexSessionUser(db, token);
     
     if (!user) {
       return res.status(401).json({ code: '-1', msg: 'Invalid token', data: null });
@@ -2000,7 +2220,7 @@ app.get('/api/bot/user/status', async (req, res) => {
     }
 
     const token = authHeader.split(' ')[1];
-    const user = await db.collection('users').findOne({ token });
+    const user = await findGcbexSessionUser(db, token);
     
     if (!user) {
       return res.status(401).json({ code: '-1', msg: 'Invalid token', data: null });
@@ -2031,7 +2251,7 @@ app.post('/api/bot/user/toggle', async (req, res) => {
     }
 
     const token = authHeader.split(' ')[1];
-    const user = await db.collection('users').findOne({ token });
+    const user = await findGcbexSessionUser(db, token);
     
     if (!user) {
       return res.status(401).json({ code: '-1', msg: 'Invalid token', data: null });
@@ -2176,7 +2396,7 @@ app.get('/api/bot/admin-logs', async (req, res) => {
     }
 
     const token = authHeader.split(' ')[1];
-    const user = await db.collection('users').findOne({ token });
+    const user = await findGcbexSessionUser(db, token);
     
     if (!user) {
       return res.status(401).json({ code: '-1', msg: 'Invalid token', data: null });
@@ -2213,7 +2433,7 @@ app.post('/api/bot/scheduled/create', async (req, res) => {
     }
 
     const token = authHeader.split(' ')[1];
-    const user = await db.collection('users').findOne({ token });
+    const user = await findGcbexSessionUser(db, token);
     
     if (!user) {
       return res.status(401).json({ code: '-1', msg: 'Invalid token', data: null });
@@ -2243,6 +2463,29 @@ app.post('/api/bot/scheduled/create', async (req, res) => {
     const usdtPerHour = totalUsdtBudget / durationHours;
     const intervalMs = 3600000; // 1 hour in milliseconds
 
+    const { fields: modeFields, error: modeError } = parseBotMode(req.body);
+    if (modeError) {
+      return res.status(400).json({ code: '-1', msg: modeError, data: null });
+    }
+
+    // executionAlgorithm: split (default) | twap | vwap | participation (see execution-algorithms.js)
+    const { fields: executionFields, error: executionError } = parseExecutionSettings(req.body);
+    if (executionError) {
+      return res.status(400).json({ code: '-1', msg: executionError, data: null });
+    }
+
+    // unfilledBidAction: cancel (default) | roll (see scheduled-orders.js)
+    const { fields: fillFields, error: fillError } = parseFillSettings(req.body);
+    if (fillError) {
+      return res.status(400).json({ code: '-1', msg: fillError, data: null });
+    }
+
+    // schedule (cron), timezone, tradingWindows, blackoutDates, startAt, missedSlotPolicy (see scheduled-calendar.js)
+    const { fields: scheduleFields, error: scheduleError } = parseScheduleSettings(req.body);
+    if (scheduleError) {
+      return res.status(400).json({ code: '-1', msg: scheduleError, data: null });
+    }
+
     const scheduledBot = {
       userId: user.uid,
       name: name || `Accumulation Bot - ${new Date().toISOString()}`,
@@ -2256,10 +2499,20 @@ app.post('/api/bot/scheduled/create', async (req, res) => {
       isRunning: false,
       spentUsdt: 0,
       accumulatedGcb: 0,
+      feesUsdt: 0,
+      averagePrice: null,
+      rolloverUsdt: 0,
+      fillTracked: true,
       executedBuys: 0,
       totalBuys: durationHours,
       nextBuyAt: null,
       startedAt: null,
+      ...modeFields,
+      ...executionFields,
+      ...fillFields,
+      ...scheduleFields,
+      scheduleAnchor: null,
+      missedSlots: 0,
       createdAt: new Date(),
       updatedAt: new Date(),
       status: 'created'
@@ -2290,7 +2543,7 @@ app.get('/api/bot/scheduled/list', async (req, res) => {
     }
 
     const token = authHeader.split(' ')[1];
-    const user = await db.collection('users').findOne({ token });
+    const user = await findGcbexSessionUser(db, token);
     
     if (!user) {
       return res.status(401).json({ code: '-1', msg: 'Invalid token', data: null });
@@ -2321,7 +2574,7 @@ app.post('/api/bot/scheduled/:id/start', async (req, res) => {
     }
 
     const token = authHeader.split(' ')[1];
-    const user = await db.collection('users').findOne({ token });
+    const user = await findGcbexSessionUser(db, token);
     
     if (!user) {
       return res.status(401).json({ code: '-1', msg: 'Invalid token', data: null });
@@ -2337,8 +2590,17 @@ app.post('/api/bot/scheduled/:id/start', async (req, res) => {
       return res.status(404).json({ code: '-1', msg: 'Scheduled bot not found', data: null });
     }
 
+    // First calendar slot: startAt / the cron schedule, or a minute from now, within the trading windows
+    const { nextBuyAt, scheduleAnchor } = getFirstSlot(bot);
+    if (!nextBuyAt) {
+      return res.status(400).json({
+        code: '-1',
+        msg: 'No upcoming slot in the bot schedule. Check its trading windows and blackout dates.',
+        data: null
+      });
+    }
+
     // Update bot status
-    const nextBuyAt = new Date(Date.now() + 60000); // First buy in 1 minute
     await db.collection('scheduled_bots').updateOne(
       { _id: new ObjectId(botId) },
       { 
@@ -2347,9 +2609,11 @@ app.post('/api/bot/scheduled/:id/start', async (req, res) => {
           isRunning: true,
           startedAt: new Date(),
           nextBuyAt: nextBuyAt,
+          scheduleAnchor,
           status: 'running',
           updatedAt: new Date()
-        } 
+        },
+        $unset: { failedSlot: '' }
       }
     );
 
@@ -2375,7 +2639,7 @@ app.post('/api/bot/scheduled/:id/stop', async (req, res) => {
     }
 
     const token = authHeader.split(' ')[1];
-    const user = await db.collection('users').findOne({ token });
+    const user = await findGcbexSessionUser(db, token);
     
     if (!user) {
       return res.status(401).json({ code: '-1', msg: 'Invalid token', data: null });
@@ -2418,7 +2682,7 @@ app.delete('/api/bot/scheduled/:id', async (req, res) => {
     }
 
     const token = authHeader.split(' ')[1];
-    const user = await db.collection('users').findOne({ token });
+    const user = await findGcbexSessionUser(db, token);
     
     if (!user) {
       return res.status(401).json({ code: '-1', msg: 'Invalid token', data: null });
@@ -2453,7 +2717,7 @@ app.get('/api/bot/scheduled/:id/trades', async (req, res) => {
     }
 
     const token = authHeader.split(' ')[1];
-    const user = await db.collection('users').findOne({ token });
+    const user = await findGcbexSessionUser(db, token);
     
     if (!user) {
       return res.status(401).json({ code: '-1', msg: 'Invalid token', data: null });
@@ -2476,6 +2740,149 @@ app.get('/api/bot/scheduled/:id/trades', async (req, res) => {
   }
 });
 
+// GET /api/bot/scheduled/:id/orders - Orders the bot placed, reconciled with the exchange, and its fill totals (?status=&limit=)
+app.get('/api/bot/scheduled/:id/orders', async (req, res) => {
+  try {
+    const authHeader = req.headers.authorization;
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return res.status(401).json({ code: '-1', msg: 'Unauthorized', data: null });
+    }
+
+    const token = authHeader.split(' ')[1];
+    const user = await findGcbexSessionUser(db, token);
+
+    if (!user) {
+      return res.status(401).json({ code: '-1', msg: 'Invalid token', data: null });
+    }
+
+    const botId = req.params.id;
+    if (!ObjectId.isValid(botId)) {
+      return res.status(400).json({ code: '-1', msg: 'Invalid bot ID', data: null });
+    }
+
+    const bot = await db.collection('scheduled_bots').findOne({ _id: new ObjectId(botId), userId: user.uid });
+    if (!bot) {
+      return res.status(404).json({ code: '-1', msg: 'Scheduled bot not found', data: null });
+    }
+
+    const [orders, totals] = await Promise.all([
+      listScheduledOrders(bot._id, { status: req.query.status, limit: req.query.limit }),
+      getFillTotals(bot._id)
+    ]);
+
+    res.json({
+      code: '0',
+      msg: 'Success',
+      data: { totals, rolloverUsdt: bot.rolloverUsdt || 0, untrackedTotals: bot.untrackedTotals || null, orders }
+    });
+  } catch (error) {
+    console.error('Error fetching scheduled bot orders:', error);
+    res.status(500).json({ code: '-1', msg: 'Failed to fetch scheduled bot orders', data: null });
+  }
+});
+
+// GET /api/bot/scheduled/:id/schedule - Calendar settings and the upcoming buy slots (?count=, default 10)
+app.get('/api/bot/scheduled/:id/schedule', async (req, res) => {
+  try {
+    const authHeader = req.headers.authorization;
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return res.status(401).json({ code: '-1', msg: 'Unauthorized', data: null });
+    }
+
+    const token = authHeader.split(' ')[1];
+    const user = await findGcbexSessionUser(db, token);
+
+    if (!user) {
+      return res.status(401).json({ code: '-1', msg: 'Invalid token', data: null });
+    }
+
+    const botId = req.params.id;
+    if (!ObjectId.isValid(botId)) {
+      return res.status(400).json({ code: '-1', msg: 'Invalid bot ID', data: null });
+    }
+
+    const bot = await db.collection('scheduled_bots').findOne({ _id: new ObjectId(botId), userId: user.uid });
+    if (!bot) {
+      return res.status(404).json({ code: '-1', msg: 'Scheduled bot not found', data: null });
+    }
+
+    // A running bot continues from its nextBuyAt (after its current slice interval, if any);
+    // a stopped one shows what starting it now would give
+    const remainingBuys = Math.max(0, bot.totalBuys - bot.executedBuys - (bot.currentInterval ? 1 : 0));
+    const first = bot.isRunning ? { nextBuyAt: bot.nextBuyAt, scheduleAnchor: bot.scheduleAnchor } : getFirstSlot(bot);
+    const from = bot.isRunning && bot.currentInterval?.nextSlotAfter
+      ? new Date(new Date(bot.currentInterval.nextSlotAfter).getTime() + 1)
+      : first.nextBuyAt && new Date(first.nextBuyAt);
+    const count = Math.min(parseInt(req.query.count) || 10, remainingBuys);
+    const upcomingSlots = from && count > 0
+      ? listUpcomingSlots({ ...bot, scheduleAnchor: first.scheduleAnchor }, from, count)
+      : [];
+
+    res.json({
+      code: '0',
+      msg: 'Success',
+      data: {
+        schedule: bot.schedule || null,
+        intervalMs: bot.intervalMs,
+        timezone: bot.timezone || 'UTC',
+        tradingWindows: bot.tradingWindows || [],
+        blackoutDates: bot.blackoutDates || [],
+        startAt: bot.startAt || null,
+        missedSlotPolicy: bot.missedSlotPolicy || 'run-once',
+        missedSlots: bot.missedSlots || 0,
+        isRunning: bot.isRunning,
+        nextBuyAt: bot.nextBuyAt,
+        remainingBuys,
+        upcomingSlots
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching scheduled bot schedule:', error);
+    res.status(500).json({ code: '-1', msg: 'Failed to fetch scheduled bot schedule', data: null });
+  }
+});
+
+// GET /api/bot/scheduled/:id/execution - Achieved average price vs arrival price, per interval and in total
+app.get('/api/bot/scheduled/:id/execution', async (req, res) => {
+  try {
+    const authHeader = req.headers.authorization;
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return res.status(401).json({ code: '-1', msg: 'Unauthorized', data: null });
+    }
+
+    const token = authHeader.split(' ')[1];
+    const user = await findGcbexSessionUser(db, token);
+
+    if (!user) {
+      return res.status(401).json({ code: '-1', msg: 'Invalid token', data: null });
+    }
+
+    const botId = req.params.id;
+    if (!ObjectId.isValid(botId)) {
+      return res.status(400).json({ code: '-1', msg: 'Invalid bot ID', data: null });
+    }
+
+    const bot = await db.collection('scheduled_bots').findOne({ _id: new ObjectId(botId), userId: user.uid });
+    if (!bot) {
+      return res.status(404).json({ code: '-1', msg: 'Scheduled bot not found', data: null });
+    }
+
+    const trades = await db.collection('scheduled_bot_trades')
+      .find({ scheduledBotId: bot._id, userId: user.uid })
+      .sort({ executedAt: 1 })
+      .toArray();
+
+    res.json({
+      code: '0',
+      msg: 'Success',
+      data: buildExecutionReport(bot, trades)
+    });
+  } catch (error) {
+    console.error('Error building scheduled bot execution report:', error);
+    res.status(500).json({ code: '-1', msg: 'Failed to build execution report', data: null });
+  }
+});
+
 // ============================================
 // Stabilizer Bot Endpoints
 // ============================================
@@ -2489,7 +2896,7 @@ app.post('/api/bot/stabilizer/create', async (req, res) => {
     }
 
     const token = authHeader.split(' ')[1];
-    const user = await db.collection('users').findOne({ token });
+    const user = await findGcbexSessionUser(db, token);
     
     if (!user) {
       return res.status(401).json({ code: '-1', msg: 'Invalid token', data: null });
@@ -2513,6 +2920,11 @@ app.post('/api/bot/stabilizer/create', async (req, res) => {
       });
     }
 
+    const { fields: modeFields, error: modeError } = parseBotMode(req.body);
+    if (modeError) {
+      return res.status(400).json({ code: '-1', msg: modeError, data: null });
+    }
+
     const stabilizerBot = {
       userId: user.uid,
       name: name || `Stabilizer Bot - ${new Date().toISOString()}`,
@@ -2526,6 +2938,7 @@ app.post('/api/bot/stabilizer/create', async (req, res) => {
       lastCheckedAt: null,
       lastMarketPrice: null,
       lastFinalPrice: null,
+      ...modeFields,
       createdAt: new Date(),
       updatedAt: new Date(),
       status: 'created'
@@ -2556,7 +2969,7 @@ app.get('/api/bot/stabilizer/list', async (req, res) => {
     }
 
     const token = authHeader.split(' ')[1];
-    const user = await db.collection('users').findOne({ token });
+    const user = await findGcbexSessionUser(db, token);
     
     if (!user) {
       return res.status(401).json({ code: '-1', msg: 'Invalid token', data: null });
@@ -2587,7 +3000,7 @@ app.post('/api/bot/stabilizer/:id/start', async (req, res) => {
     }
 
     const token = authHeader.split(' ')[1];
-    const user = await db.collection('users').findOne({ token });
+    const user = await findGcbexSessionUser(db, token);
     
     if (!user) {
       return res.status(401).json({ code: '-1', msg: 'Invalid token', data: null });
@@ -2642,7 +3055,7 @@ app.post('/api/bot/stabilizer/:id/stop', async (req, res) => {
     }
 
     const token = authHeader.split(' ')[1];
-    const user = await db.collection('users').findOne({ token });
+    const user = await findGcbexSessionUser(db, token);
     
     if (!user) {
       return res.status(401).json({ code: '-1', msg: 'Invalid token', data: null });
@@ -2685,7 +3098,7 @@ app.delete('/api/bot/stabilizer/:id', async (req, res) => {
     }
 
     const token = authHeader.split(' ')[1];
-    const user = await db.collection('users').findOne({ token });
+    const user = await findGcbexSessionUser(db, token);
     
     if (!user) {
       return res.status(401).json({ code: '-1', msg: 'Invalid token', data: null });
@@ -2720,7 +3133,7 @@ app.put('/api/bot/stabilizer/:id/max-buy', async (req, res) => {
     }
 
     const token = authHeader.split(' ')[1];
-    const user = await db.collection('users').findOne({ token });
+    const user = await findGcbexSessionUser(db, token);
     
     if (!user) {
       return res.status(401).json({ code: '-1', msg: 'Invalid token', data: null });
@@ -2735,17 +3148,33 @@ app.put('/api/bot/stabilizer/:id/max-buy', async (req, res) => {
       return res.status(400).json({ code: '-1', msg: 'Max buy amount cannot be negative', data: null });
     }
 
-    const result = await db.collection('stabilizer_bots').updateOne(
+    const bot = await db.collection('stabilizer_bots').findOne(
       { _id: new ObjectId(id), userId: user.uid },
-      { 
-        $set: { 
-          maxBuyAmount: parsedMaxBuy,
-          thresholdExceeded: false, // Reset threshold exceeded flag when updating
-          updatedAt: new Date() 
-        } 
-      }
+      { projection: { name: 1, maxBuyAmount: 1 } }
     );
+    if (!bot) {
+      return res.status(404).json({ code: '-1', msg: 'Stabilizer bot not found', data: null });
+    }
+
+    // Raising or removing (0) the cap is held for a second user's approval (see approvals.js)
+    if (needsMaxBuyApproval(bot.maxBuyAmount, parsedMaxBuy)) {
+      const approval = await requestApproval({
+        action: 'stabilizer.max-buy',
+        summary: parsedMaxBuy > 0
+          ? `Raise max buy of stabilizer bot "${bot.name}" from ${bot.maxBuyAmount || 0} to ${parsedMaxBuy} USDT`
+          : `Remove the max buy limit (${bot.maxBuyAmount} USDT) of stabilizer bot "${bot.name}"`,
+        target: { type: 'stabilizer_bot', id },
+        payload: { botId: id, userId: user.uid, maxBuyAmount: parsedMaxBuy },
+        requestedBy: req.authUser
+      });
+      return res.status(202).json({
+        code: '0',
+        msg: parsedMaxBuy > 0 ? 'Max buy increase submitted for approval' : 'Max buy limit removal submitted for approval',
+        data: { approvalRequired: true, approval }
+      });
+    }
 
+    const result = await setStabilizerMaxBuy(id, user.uid, parsedMaxBuy);
     if (result.matchedCount === 0) {
       return res.status(404).json({ code: '-1', msg: 'Stabilizer bot not found', data: null });
     }
@@ -2761,6 +3190,27 @@ app.put('/api/bot/stabilizer/:id/max-buy', async (req, res) => {
   }
 });
 
+async function setStabilizerMaxBuy(botId, userId, maxBuyAmount) {
+  return db.collection('stabilizer_bots').updateOne(
+    { _id: new ObjectId(botId), userId },
+    { 
+      $set: { 
+        maxBuyAmount,
+        thresholdExceeded: false, // Reset threshold exceeded flag when updating
+        updatedAt: new Date() 
+      } 
+    }
+  );
+}
+
+registerApprovalAction('stabilizer.max-buy', async ({ botId, userId, maxBuyAmount }) => {
+  const result = await setStabilizerMaxBuy(botId, userId, maxBuyAmount);
+  if (result.matchedCount === 0) {
+    throw new Error('Stabilizer bot no longer exists');
+  }
+  return { maxBuyAmount };
+});
+
 // GET /api/bot/stabilizer/:id/logs - Get logs for a stabilizer bot
 app.get('/api/bot/stabilizer/:id/logs', async (req, res) => {
   try {
@@ -2770,7 +3220,7 @@ app.get('/api/bot/stabilizer/:id/logs', async (req, res) => {
     }
 
     const token = authHeader.split(' ')[1];
-    const user = await db.collection('users').findOne({ token });
+    const user = await findGcbexSessionUser(db, token);
     
     if (!user) {
       return res.status(401).json({ code: '-1', msg: 'Invalid token', data: null });
@@ -2779,6 +3229,14 @@ app.get('/api/bot/stabilizer/:id/logs', async (req, res) => {
     const botId = req.params.id;
     const limit = parseInt(req.query.limit) || 100;
 
+    const bot = await db.collection('stabilizer_bots').findOne({
+      _id: new ObjectId(botId),
+      ...(isGlobalScope(req) ? {} : { userId: user.uid })
+    });
+    if (!bot) {
+      return res.status(404).json({ code: '-1', msg: 'Stabilizer bot not found', data: null });
+    }
+
     // Get logs from both in-memory and database
     const memoryLogs = stabilizerBotMonitor.getLogs(limit, botId);
     const dbLogs = await db.collection('stabilizer_bot_logs')
@@ -2820,7 +3278,7 @@ app.get('/api/bot/stabilizer/:id/trades', async (req, res) => {
     }
 
     const token = authHeader.split(' ')[1];
-    const user = await db.collection('users').findOne({ token });
+    const user = await findGcbexSessionUser(db, token);
     
     if (!user) {
       return res.status(401).json({ code: '-1', msg: 'Invalid token', data: null });
@@ -2843,11 +3301,11 @@ app.get('/api/bot/stabilizer/:id/trades', async (req, res) => {
   }
 });
 
-// GET /api/bot/stabilizer/logs - Get all stabilizer bot activity logs
+// GET /api/bot/stabilizer/logs - Get stabilizer activity logs for the caller's bots (owners: ?scope=all)
 app.get('/api/bot/stabilizer/logs', async (req, res) => {
   try {
     const limit = parseInt(req.query.limit) || 100;
-    const logs = stabilizerBotMonitor.getLogs(limit);
+    const logs = scopeLogs(req, stabilizerBotMonitor.getLogs(stabilizerBotMonitor.maxLogs), limit);
     
     res.json({
       code: '0',
@@ -2888,7 +3346,7 @@ app.post('/api/bot/market-maker/create', async (req, res) => {
     }
 
     const token = authHeader.split(' ')[1];
-    const user = await db.collection('users').findOne({ token });
+    const user = await findGcbexSessionUser(db, token);
     
     if (!user) {
       return res.status(401).json({ code: '-1', msg: 'Invalid token', data: null });
@@ -2925,6 +3383,11 @@ app.post('/api/bot/market-maker/create', async (req, res) => {
       });
     }
 
+    const { fields: modeFields, error: modeError } = parseBotMode(req.body);
+    if (modeError) {
+      return res.status(400).json({ code: '-1', msg: modeError, data: null });
+    }
+
     const marketMakerBot = {
       userId: user.uid,
       name,
@@ -2944,6 +3407,7 @@ app.post('/api/bot/market-maker/create', async (req, res) => {
       targetReached: false,
       telegramEnabled: telegramEnabled || false,
       telegramUserId: telegramUserId || null,
+      ...modeFields,
       createdAt: new Date(),
       updatedAt: new Date(),
       status: 'created'
@@ -2972,7 +3436,7 @@ app.get('/api/bot/market-maker/list', async (req, res) => {
     }
 
     const token = authHeader.split(' ')[1];
-    const user = await db.collection('users').findOne({ token });
+    const user = await findGcbexSessionUser(db, token);
     
     if (!user) {
       return res.status(401).json({ code: '-1', msg: 'Invalid token', data: null });
@@ -3003,7 +3467,7 @@ app.post('/api/bot/market-maker/:id/start', async (req, res) => {
     }
 
     const token = authHeader.split(' ')[1];
-    const user = await db.collection('users').findOne({ token });
+    const user = await findGcbexSessionUser(db, token);
     
     if (!user) {
       return res.status(401).json({ code: '-1', msg: 'Invalid token', data: null });
@@ -3060,7 +3524,7 @@ app.post('/api/bot/market-maker/:id/stop', async (req, res) => {
     }
 
     const token = authHeader.split(' ')[1];
-    const user = await db.collection('users').findOne({ token });
+    const user = await findGcbexSessionUser(db, token);
     
     if (!user) {
       return res.status(401).json({ code: '-1', msg: 'Invalid token', data: null });
@@ -3111,7 +3575,7 @@ app.delete('/api/bot/market-maker/:id', async (req, res) => {
     }
 
     const token = authHeader.split(' ')[1];
-    const user = await db.collection('users').findOne({ token });
+    const user = await findGcbexSessionUser(db, token);
     
     if (!user) {
       return res.status(401).json({ code: '-1', msg: 'Invalid token', data: null });
@@ -3139,7 +3603,7 @@ app.delete('/api/bot/market-maker/:id', async (req, res) => {
   }
 });
 
-// GET /api/bot/market-maker/logs - Get market maker bot activity logs
+// GET /api/bot/market-maker/logs - Get market maker activity logs for the caller's bots (owners: ?scope=all)
 app.get('/api/bot/market-maker/logs', async (req, res) => {
   try {
     const authHeader = req.headers.authorization;
@@ -3160,7 +3624,7 @@ app.get('/api/bot/market-maker/logs', async (req, res) => {
     res.json({
       code: '0',
       msg: 'Success',
-      data: marketMakerBotMonitor.getLogs(limit)
+      data: scopeLogs(req, marketMakerBotMonitor.getLogs(marketMakerBotMonitor.maxLogs), limit)
     });
   } catch (error) {
     console.error('Error getting market maker bot logs:', error);
@@ -3208,7 +3672,7 @@ app.post('/api/bot/buywall/create', async (req, res) => {
     }
 
     const token = authHeader.split(' ')[1];
-    const user = await db.collection('users').findOne({ token });
+    const user = await findGcbexSessionUser(db, token);
     
     if (!user) {
       return res.status(401).json({ code: '-1', msg: 'Invalid token', data: null });
@@ -3250,6 +3714,11 @@ app.post('/api/bot/buywall/create', async (req, res) => {
 
     const totalUsdt = sortedOrders.reduce((sum, o) => sum + o.usdtAmount, 0);
 
+    const { fields: modeFields, error: modeError } = parseBotMode(req.body);
+    if (modeError) {
+      return res.status(400).json({ code: '-1', msg: modeError, data: null });
+    }
+
     const buyWallBot = {
       userId: user.uid,
       name: name || `Buy Wall Bot - ${new Date().toISOString()}`,
@@ -3263,6 +3732,7 @@ app.post('/api/bot/buywall/create', async (req, res) => {
       totalRefills: 0,
       isActive: false,
       isRunning: false,
+      ...modeFields,
       createdAt: new Date(),
       updatedAt: new Date(),
       status: 'created'
@@ -3293,7 +3763,7 @@ app.get('/api/bot/buywall/list', async (req, res) => {
     }
 
     const token = authHeader.split(' ')[1];
-    const user = await db.collection('users').findOne({ token });
+    const user = await findGcbexSessionUser(db, token);
     
     if (!user) {
       return res.status(401).json({ code: '-1', msg: 'Invalid token', data: null });
@@ -3324,7 +3794,7 @@ app.post('/api/bot/buywall/:id/start', async (req, res) => {
     }
 
     const token = authHeader.split(' ')[1];
-    const user = await db.collection('users').findOne({ token });
+    const user = await findGcbexSessionUser(db, token);
     
     if (!user) {
       return res.status(401).json({ code: '-1', msg: 'Invalid token', data: null });
@@ -3379,7 +3849,7 @@ app.post('/api/bot/buywall/:id/stop', async (req, res) => {
     }
 
     const token = authHeader.split(' ')[1];
-    const user = await db.collection('users').findOne({ token });
+    const user = await findGcbexSessionUser(db, token);
     
     if (!user) {
       return res.status(401).json({ code: '-1', msg: 'Invalid token', data: null });
@@ -3422,7 +3892,7 @@ app.delete('/api/bot/buywall/:id', async (req, res) => {
     }
 
     const token = authHeader.split(' ')[1];
-    const user = await db.collection('users').findOne({ token });
+    const user = await findGcbexSessionUser(db, token);
     
     if (!user) {
       return res.status(401).json({ code: '-1', msg: 'Invalid token', data: null });
@@ -3461,7 +3931,7 @@ app.put('/api/bot/buywall/:id', async (req, res) => {
     }
 
     const token = authHeader.split(' ')[1];
-    const user = await db.collection('users').findOne({ token });
+    const user = await findGcbexSessionUser(db, token);
     
     if (!user) {
       return res.status(401).json({ code: '-1', msg: 'Invalid token', data: null });
@@ -3518,7 +3988,7 @@ app.get('/api/bot/buywall/:id/logs', async (req, res) => {
     }
 
     const token = authHeader.split(' ')[1];
-    const user = await db.collection('users').findOne({ token });
+    const user = await findGcbexSessionUser(db, token);
     
     if (!user) {
       return res.status(401).json({ code: '-1', msg: 'Invalid token', data: null });
@@ -3527,6 +3997,14 @@ app.get('/api/bot/buywall/:id/logs', async (req, res) => {
     const botId = req.params.id;
     const limit = parseInt(req.query.limit) || 100;
 
+    const bot = await db.collection('buywall_bots').findOne({
+      _id: new ObjectId(botId),
+      ...(isGlobalScope(req) ? {} : { userId: user.uid })
+    });
+    if (!bot) {
+      return res.status(404).json({ code: '-1', msg: 'Buy wall bot not found', data: null });
+    }
+
     const logs = await db.collection('buywall_bot_logs')
       .find({ botId: new ObjectId(botId) })
       .sort({ timestamp: -1 })
@@ -3553,7 +4031,7 @@ app.get('/api/bot/buywall/:id/trades', async (req, res) => {
     }
 
     const token = authHeader.split(' ')[1];
-    const user = await db.collection('users').findOne({ token });
+    const user = await findGcbexSessionUser(db, token);
     
     if (!user) {
       return res.status(401).json({ code: '-1', msg: 'Invalid token', data: null });
@@ -3576,7 +4054,7 @@ app.get('/api/bot/buywall/:id/trades', async (req, res) => {
   }
 });
 
-// GET /api/bot/buywall/logs - Get all buy wall bot activity logs
+// GET /api/bot/buywall/logs - Get buy wall activity logs for the caller's bots (owners: ?scope=all)
 app.get('/api/bot/buywall/logs', async (req, res) => {
   try {
     const authHeader = req.headers.authorization;
@@ -3597,7 +4075,7 @@ app.get('/api/bot/buywall/logs', async (req, res) => {
     res.json({
       code: '0',
       msg: 'Success',
-      data: buyWallBotMonitor.getLogs(limit)
+      data: scopeLogs(req, buyWallBotMonitor.getLogs(buyWallBotMonitor.maxLogs), limit)
     });
   } catch (error) {
     console.error('Error fetching buy wall bot logs:', error);
@@ -3636,7 +4114,7 @@ app.post('/api/bot/buywall/:id/reset', async (req, res) => {
     }
 
     const token = authHeader.split(' ')[1];
-    const user = await db.collection('users').findOne({ token });
+    const user = await findGcbexSessionUser(db, token);
     
     if (!user) {
       return res.status(401).json({ code: '-1', msg: 'Invalid token', data: null });
@@ -3683,7 +4161,7 @@ app.post('/api/bot/price-keeper/create', async (req, res) => {
     }
 
     const token = authHeader.split(' ')[1];
-    const user = await db.collection('users').findOne({ token });
+    const user = await findGcbexSessionUser(db, token);
     
     if (!user) {
       return res.status(401).json({ code: '-1', msg: 'Invalid token', data: null });
@@ -3699,6 +4177,11 @@ app.post('/api/bot/price-keeper/create', async (req, res) => {
 
     const { name, orderAmount, cooldownSeconds, telegramEnabled } = req.body;
 
+    const { fields: modeFields, error: modeError } = parseBotMode(req.body);
+    if (modeError) {
+      return res.status(400).json({ code: '-1', msg: modeError, data: null });
+    }
+
     const priceKeeperBot = {
       userId: user.uid,
       name: name || `Price Keeper Bot - ${new Date().toISOString()}`,
@@ -3714,6 +4197,7 @@ app.post('/api/bot/price-keeper/create', async (req, res) => {
       lastCheckedAt: null,
       lastMarketPrice: null,
       lastBestAskPrice: null,
+      ...modeFields,
       createdAt: new Date(),
       updatedAt: new Date(),
       status: 'created'
@@ -3744,7 +4228,7 @@ app.get('/api/bot/price-keeper/list', async (req, res) => {
     }
 
     const token = authHeader.split(' ')[1];
-    const user = await db.collection('users').findOne({ token });
+    const user = await findGcbexSessionUser(db, token);
     
     if (!user) {
       return res.status(401).json({ code: '-1', msg: 'Invalid token', data: null });
@@ -3775,7 +4259,7 @@ app.post('/api/bot/price-keeper/:id/start', async (req, res) => {
     }
 
     const token = authHeader.split(' ')[1];
-    const user = await db.collection('users').findOne({ token });
+    const user = await findGcbexSessionUser(db, token);
     
     if (!user) {
       return res.status(401).json({ code: '-1', msg: 'Invalid token', data: null });
@@ -3830,7 +4314,7 @@ app.post('/api/bot/price-keeper/:id/stop', async (req, res) => {
     }
 
     const token = authHeader.split(' ')[1];
-    const user = await db.collection('users').findOne({ token });
+    const user = await findGcbexSessionUser(db, token);
     
     if (!user) {
       return res.status(401).json({ code: '-1', msg: 'Invalid token', data: null });
@@ -3872,7 +4356,7 @@ app.delete('/api/bot/price-keeper/:id', async (req, res) => {
     }
 
     const token = authHeader.split(' ')[1];
-    const user = await db.collection('users').findOne({ token });
+    const user = await findGcbexSessionUser(db, token);
     
     if (!user) {
       return res.status(401).json({ code: '-1', msg: 'Invalid token', data: null });
@@ -3912,7 +4396,7 @@ app.get('/api/bot/price-keeper/:id/logs', async (req, res) => {
     }
 
     const token = authHeader.split(' ')[1];
-    const user = await db.collection('users').findOne({ token });
+    const user = await findGcbexSessionUser(db, token);
     
     if (!user) {
       return res.status(401).json({ code: '-1', msg: 'Invalid token', data: null });
@@ -3938,7 +4422,7 @@ app.get('/api/bot/price-keeper/:id/logs', async (req, res) => {
   }
 });
 
-// GET /api/bot/price-keeper/logs - Get all price keeper bot logs (monitor logs)
+// GET /api/bot/price-keeper/logs - Get price keeper monitor logs for the caller's bots (owners: ?scope=all)
 app.get('/api/bot/price-keeper/logs', async (req, res) => {
   try {
     const authHeader = req.headers.authorization;
@@ -3959,7 +4443,7 @@ app.get('/api/bot/price-keeper/logs', async (req, res) => {
     res.json({
       code: '0',
       msg: 'Success',
-      data: priceKeeperBotMonitor.getLogs(limit)
+      data: scopeLogs(req, priceKeeperBotMonitor.getLogs(priceKeeperBotMonitor.maxLogs), limit)
     });
   } catch (error) {
     console.error('Error fetching price keeper bot logs:', error);
@@ -3998,7 +4482,7 @@ app.put('/api/bot/price-keeper/:id', async (req, res) => {
     }
 
     const token = authHeader.split(' ')[1];
-    const user = await db.collection('users').findOne({ token });
+    const user = await findGcbexSessionUser(db, token);
     
     if (!user) {
       return res.status(401).json({ code: '-1', msg: 'Invalid token', data: null });
@@ -4038,6 +4522,82 @@ app.put('/api/bot/price-keeper/:id', async (req, res) => {
 // Start Server
 // ============================================
 connectToMongoDB().then(async () => {
+  // Structured monitor logs (monitor_logs, TTL-indexed) and /api/logs
+  try {
+    await initLogStore(db);
+  } catch (error) {
+    console.error('⚠️ Error initializing log store:', error.message);
+  }
+  setupLogRoutes(app);
+  setupAccessRoutes(app, db);
+
+  // Append-only audit trail of configuration and control actions and /api/audit
+  try {
+    await initAuditLog(db);
+  } catch (error) {
+    console.error('⚠️ Error initializing audit log:', error.message);
+  }
+  setupAuditRoutes(app);
+
+  // Maker-checker approvals for high-risk changes and /api/approvals
+  try {
+    await initApprovals(db);
+  } catch (error) {
+    console.error('⚠️ Error initializing approvals:', error.message);
+  }
+  setupApprovalRoutes(app, db);
+
+  // Unified accounts linking GCBEX, MEXC and XT logins, with server-side sessions
+  try {
+    await initSessions(db);
+    await initIdentity(db);
+  } catch (error) {
+    console.error('⚠️ Error initializing identity:', error.message);
+  }
+  setupAccountRoutes(app, db);
+  setupSessionRoutes(app, db);
+
+  // Pre-trade risk limits (risk_limits / risk_ledger)
+  try {
+    await initRiskEngine(db);
+  } catch (error) {
+    console.error('⚠️ Error initializing risk engine:', error.message);
+  }
+
+  // Paper trading accounts for bots created with mode: 'paper'
+  try {
+    await initPaperTrading(db);
+  } catch (error) {
+    console.error('⚠️ Error initializing paper trading:', error.message);
+  }
+  setupPaperRoutes(app, db);
+
+  if (!isVaultConfigured()) {
+    console.warn('⚠️ CREDENTIAL_MASTER_KEY is not set - API credentials cannot be saved until it is configured');
+  }
+
+  // Persisted trigger history for conditional bot rules
+  try {
+    await initConditionTriggers(db);
+  } catch (error) {
+    console.error('⚠️ Error initializing condition triggers:', error.message);
+  }
+
+  // Tracking of resting LIMIT orders placed by conditional bot rules
+  conditionOrderTracker = new ConditionOrderTracker(db);
+  try {
+    await initConditionOrders(db);
+  } catch (error) {
+    console.error('⚠️ Error initializing condition orders:', error.message);
+  }
+
+  // Fill reconciliation for scheduled accumulation bots
+  try {
+    await initScheduledOrders(db);
+  } catch (error) {
+    console.error('⚠️ Error initializing scheduled bot orders:', error.message);
+  }
+
   // Initialize Bot Monitor
   // botMonitor = new BotMonitor(db, {
   //   openApiBase: GCBEX_OPEN_API_BASE,
@@ -4081,28 +4641,14 @@ connectToMongoDB().then(async () => {
   setupMexcMMBotRoutes(app, db, mexcMMBotMonitor);
   console.log('✅ MEXC MM Bot Monitor initialized');
 
-  // Always start MEXC MM Bot Monitor (it will check for running bots)
-  try {
-    await mexcMMBotMonitor.start();
-    console.log('✅ MEXC MM Bot Monitor started');
-  } catch (error) {
-    console.error('⚠️ Error starting MEXC MM Bot Monitor:', error.message);
-  }
-
   // Initialize MEXC User Routes (for separate MEXC client)
   setupMexcUserRoutes(app, db);
   setupMexcUserApiRoutes(app, db);
   console.log('✅ MEXC User Auth & API routes initialized');
 
-  // Initialize and start MEXC User Bot Monitor
+  // Initialize MEXC User Bot Monitor
   mexcUserBotMonitor = new MexcUserBotMonitor(db);
   setUserBotMonitor(mexcUserBotMonitor);
-  try {
-    await mexcUserBotMonitor.start();
-    console.log('✅ MEXC User Bot Monitor started');
-  } catch (error) {
-    console.error('⚠️ Error starting MEXC User Bot Monitor:', error.message);
-  }
 
   // Initialize XT Routes (public endpoints)
   setupXtRoutes(app);
@@ -4122,37 +4668,19 @@ connectToMongoDB().then(async () => {
   setupXtUserApiRoutes(app, db);
   console.log('✅ XT User Auth & API routes initialized');
 
-  // Initialize and start XT User Bot Monitor
+  // Initialize XT User Bot Monitor
   xtUserBotMonitor = new XtUserBotMonitor(db);
   setXtUserBotMonitor(xtUserBotMonitor);
-  try {
-    await xtUserBotMonitor.start();
-    console.log('✅ XT User Bot Monitor started');
-  } catch (error) {
-    console.error('⚠️ Error starting XT User Bot Monitor:', error.message);
-  }
 
   // Initialize XT Liquidity Bot Routes and Monitor
   setupXtLiquidityBotRoutes(app, db);
   xtLiquidityBotMonitor = new XtLiquidityBotMonitor(db);
   setXtLiquidityBotMonitor(xtLiquidityBotMonitor);
-  try {
-    await xtLiquidityBotMonitor.start();
-    console.log('✅ XT Liquidity Bot Monitor started');
-  } catch (error) {
-    console.error('⚠️ Error starting XT Liquidity Bot Monitor:', error.message);
-  }
 
   // Initialize XT Sell-Side Liquidity Bot Routes and Monitor
   setupXtSellLiquidityBotRoutes(app, db);
   xtSellLiquidityBotMonitor = new XtSellLiquidityBotMonitor(db);
   setXtSellLiquidityBotMonitor(xtSellLiquidityBotMonitor);
-  try {
-    await xtSellLiquidityBotMonitor.start();
-    console.log('✅ XT Sell Liquidity Bot Monitor started');
-  } catch (error) {
-    console.error('⚠️ Error starting XT Sell Liquidity Bot Monitor:', error.message);
-  }
 
   // Initialize Installment Routes
   setupInstallmentRoutes(app, db, verifyMexcToken);
@@ -4162,14 +4690,192 @@ connectToMongoDB().then(async () => {
   setupInstallmentQueueRoutes(app, db, verifyMexcToken);
   console.log('✅ Installment queue routes initialized');
   
-  // Start queue worker (background process for delayed transfers)
+  // Initialize queue worker (background process for delayed transfers); the supervisor drives it
+  let queueWorker = null;
   try {
-    await createQueueWorker(db);
-    console.log('✅ Installment queue worker started');
+    queueWorker = await createQueueWorker(db, { autoStart: false });
   } catch (error) {
-    console.error('⚠️ Error starting queue worker:', error.message);
+    console.error('⚠️ Error initializing queue worker:', error.message);
   }
 
+  // Initialize generic bot routes and Strategy Bot Monitor (any bot type on any exchange)
+  setupBotRoutes(app, db);
+  strategyBotMonitor = new StrategyBotMonitor(db);
+  setStrategyBotMonitor(strategyBotMonitor);
+
+  // Market data recorder (market_snapshots / market_stats_1m) and /api/market-history
+  marketDataRecorder = new MarketDataRecorder(db);
+  try {
+    await marketDataRecorder.initialize();
+  } catch (error) {
+    console.error('⚠️ Error initializing market data recorder:', error.message);
+  }
+  setupMarketHistoryRoutes(app, db, marketDataRecorder);
+
+  // Shared balance cache every monitor reads through, and /api/balances
+  balanceService = new BalanceService(db);
+  try {
+    await balanceService.initialize();
+  } catch (error) {
+    console.error('⚠️ Error initializing balance service:', error.message);
+  }
+  setupBalanceRoutes(app, balanceService);
+
+  // ============================================
+  // Bot Supervisor - schedules every monitor loop
+  // ============================================
+  supervisor = createBotSupervisor(db);
+
+  // Restore the kill switch before any loop registers, so a persisted halt holds
+  try {
+    await initKillSwitch(db, supervisor);
+  } catch (error) {
+    console.error('⚠️ Error initializing kill switch:', error.message);
+  }
+  const runningBots = collection => ({ collection, filter: { isActive: true, isRunning: true } });
+  const supervisedLoops = [
+    // GCBEX monitors are only registered when initialized above
+    {
+      name: 'conditional',
+      monitor: botMonitor,
+      tick: async () => { await botMonitor.pollMarketData(); await botMonitor.checkConditions(); },
+      intervalMs: botMonitor?.config.marketPollInterval,
+      bots: { collection: 'bot_conditions', filter: { isActive: true } }
+    },
+    {
+      name: 'scheduled',
+      monitor: scheduledBotMonitor,
+      tick: () => scheduledBotMonitor.checkScheduledBots(),
+      intervalMs: scheduledBotMonitor?.config.checkInterval,
+      bots: runningBots('scheduled_bots')
+    },
+    {
+      name: 'market-maker',
+      monitor: marketMakerBotMonitor,
+      tick: () => marketMakerBotMonitor.checkMarketMakerBots(),
+      intervalMs: marketMakerBotMonitor?.config.checkInterval,
+      bots: runningBots('market_maker_bots')
+    },
+    {
+      name: 'stabilizer',
+      monitor: stabilizerBotMonitor,
+      tick: () => stabilizerBotMonitor.checkStabilizerBots(),
+      intervalMs: stabilizerBotMonitor?.config.checkInterval,
+      bots: runningBots('stabilizer_bots')
+    },
+    {
+      name: 'buywall',
+      monitor: buyWallBotMonitor,
+      tick: () => buyWallBotMonitor.checkBuyWallBots(),
+      intervalMs: 5000,
+      bots: runningBots('buywall_bots')
+    },
+    {
+      name: 'price-keeper',
+      monitor: priceKeeperBotMonitor,
+      tick: () => priceKeeperBotMonitor.checkPriceKeeperBots(),
+      intervalMs: 3000,
+      bots: runningBots('price_keeper_bots')
+    },
+    // Always-on loops
+    {
+      name: 'mexc-mm',
+      monitor: mexcMMBotMonitor,
+      tick: () => mexcMMBotMonitor.checkMexcMMBots(),
+      intervalMs: 3000,
+      autoStart: true,
+      bots: runningBots('mexc_mm_bots')
+    },
+    {
+      name: 'mexc-user',
+      monitor: mexcUserBotMonitor,
+      tick: () => mexcUserBotMonitor.checkAllUserBots(),
+      intervalMs: 3000,
+      autoStart: true,
+      bots: runningBots('mexc_user_bots')
+    },
+    {
+      name: 'xt-user',
+      monitor: xtUserBotMonitor,
+      tick: () => xtUserBotMonitor.checkAllUserBots(),
+      intervalMs: 3000,
+      autoStart: true,
+      bots: runningBots('xt_user_bots')
+    },
+    {
+      name: 'xt-liquidity',
+      monitor: xtLiquidityBotMonitor,
+      tick: () => xtLiquidityBotMonitor.checkAllLiquidityBots(),
+      intervalMs: 10000,
+      autoStart: true,
+      bots: runningBots('xt_liquidity_bots')
+    },
+    {
+      name: 'xt-sell-liquidity',
+      monitor: xtSellLiquidityBotMonitor,
+      tick: () => xtSellLiquidityBotMonitor.checkAllSellLiquidityBots(),
+      intervalMs: 10000,
+      autoStart: true,
+      bots: runningBots('xt_sell_liquidity_bots')
+    },
+    {
+      name: 'strategy',
+      monitor: strategyBotMonitor,
+      tick: () => strategyBotMonitor.checkAllBots(),
+      intervalMs: 5000,
+      autoStart: true,
+      bots: runningBots('strategy_bots')
+    }
+  ];
+
+  for (const { name, monitor, ...options } of supervisedLoops) {
+    if (monitor) {
+      supervisor.register(name, { monitor, ...options });
+    }
+  }
+
+  // The queue worker's isRunning means "processing a queue", so leave it alone
+  if (queueWorker && queueWorker.initialized) {
+    supervisor.register('installment-queue', {
+      monitor: queueWorker,
+      tick: () => queueWorker.checkAndProcessQueues(),
+      intervalMs: queueWorker.checkInterval,
+      autoStart: true,
+      runningFlag: false
+    });
+  }
+
+  // Recording never trades, so it keeps running while the kill switch is active
+  supervisor.register('market-recorder', {
+    monitor: marketDataRecorder,
+    tick: () => marketDataRecorder.recordAll(),
+    intervalMs: marketDataRecorder.config.checkInterval,
+    autoStart: true,
+    haltable: false
+  });
+
+  // Polling balances never trades either; bots resuming after a halt get fresh balances
+  supervisor.register('balance-poller', {
+    monitor: balanceService,
+    tick: () => balanceService.refreshAll(),
+    intervalMs: balanceService.config.balancePollInterval,
+    autoStart: true,
+    haltable: false
+  });
+
+  // Cancels and reprices conditional limit orders, so it stops with the kill switch
+  supervisor.register('condition-orders', {
+    monitor: conditionOrderTracker,
+    tick: () => conditionOrderTracker.checkOrders(),
+    intervalMs: conditionOrderTracker.checkInterval,
+    autoStart: true
+  });
+
+  setupSupervisorRoutes(app, supervisor);
+  setupKillSwitchRoutes(app, db);
+  setupBacktestRoutes(app, db);
+  console.log('✅ Bot Supervisor started');
+
   // Auto-start conditional bot if any user has botEnabled: true
   try {
     // Check for users with botEnabled: true
@@ -4330,12 +5036,16 @@ connectToMongoDB().then(async () => {
     console.log(`   POST /api/trade/place-order - Place order using stored credentials`);
     console.log(`\n🤖 Bot endpoints:`);
     console.log(`   GET    /api/bot/conditions     - Get all bot conditions`);
-    console.log(`   POST   /api/bot/conditions     - Create bot condition`);
-    console.log(`   PUT    /api/bot/conditions/:id - Update bot condition`);
+    console.log(`   GET    /api/bot/conditions/fields - Fields and operators for condition expressions`);
+    console.log(`   POST   /api/bot/conditions     - Create bot condition (exchange, symbol, conditionExpression: AND/OR/NOT tree)`);
+    console.log(`   POST   /api/bot/conditions/evaluate - Dry run a saved or draft condition (no order placed)`);
+    console.log(`   PUT    /api/bot/conditions/:id - Update bot condition (maxTriggers, oneShot, expiresAt, rearmThreshold, resetTriggers, timeInForce)`);
+    console.log(`   GET    /api/bot/conditions/:id/triggers - Trigger history and lifecycle state`);
+    console.log(`   GET    /api/bot/conditions/:id/orders - Tracked limit orders (GTC, EXPIRE_AFTER, CANCEL_ON_MOVE)`);
     console.log(`   DELETE /api/bot/conditions/:id - Delete bot condition`);
     console.log(`\n🔄 Bot Control endpoints:`);
-    console.log(`   POST /api/bot/start       - Start bot monitoring (admin)`);
-    console.log(`   POST /api/bot/stop        - Stop bot monitoring (admin)`);
+    console.log(`   POST /api/bot/start       - Start bot monitoring (owner)`);
+    console.log(`   POST /api/bot/stop        - Stop bot monitoring (owner)`);
     console.log(`   GET  /api/bot/status      - Get bot status`);
     console.log(`   GET  /api/bot/logs        - Get bot activity logs`);
     console.log(`   GET  /api/bot/market-data - Get current market data`);
@@ -4353,47 +5063,65 @@ connectToMongoDB().then(async () => {
     console.log(`   DELETE /api/bot/market-maker/:id         - Delete market maker bot`);
     console.log(`   GET    /api/bot/market-maker/logs        - Get market maker bot activity logs`);
     console.log(`   GET    /api/bot/market-maker/status      - Get market maker bot monitor status`);
+    console.log(`\n🧩 Generic Bot endpoints (type: price-keeper | buywall | liquidity, exchange: gcbex | mexc | xt):`);
+    console.log(`   GET    /api/bots/types           - List bot types and exchanges`);
+    console.log(`   POST   /api/bots/:type           - Create bot`);
+    console.log(`   GET    /api/bots/:type           - List bots`);
+    console.log(`   PUT    /api/bots/:type/:id       - Update bot`);
+    console.log(`   POST   /api/bots/:type/:id/start - Start bot`);
+    console.log(`   POST   /api/bots/:type/:id/stop  - Stop bot`);
+    console.log(`   DELETE /api/bots/:type/:id       - Delete bot`);
+    console.log(`\n🩺 Supervisor endpoints:`);
+    console.log(`   GET    /api/supervisor/status    - Loop and bot health, last/next tick, error counts`);
+    console.log(`\n🛑 Kill switch endpoints:`);
+    console.log(`   GET    /api/admin/kill-switch         - Kill switch state and last cancellation report`);
+    console.log(`   POST   /api/admin/kill-switch         - Halt all bot loops and cancel bot-owned orders`);
+    console.log(`   POST   /api/admin/kill-switch/resume  - Release (body: { confirm: "RESUME" })`);
+    console.log(`\n📈 Market history endpoints:`);
+    console.log(`   GET    /api/market-history       - Recorded spread/depth/price/trades (exchange, symbol, from/to, resolution=1m|raw)`);
+    console.log(`   GET    /api/market-history/status - Recorded markets, retention and last snapshot`);
+    console.log(`\n💰 Balance cache endpoints:`);
+    console.log(`   GET    /api/balances             - Cached balances of your accounts with age and staleness (?scope=all)`);
+    console.log(`\n📝 Paper trading endpoints (create any bot with mode: "paper"):`);
+    console.log(`   GET    /api/paper/accounts              - Your paper accounts (virtual balances, open orders)`);
+    console.log(`   GET    /api/paper/accounts/:botId/fills - Recent paper fills for a bot`);
+    console.log(`   POST   /api/paper/accounts/:botId/reset - Reset a bot's paper balances and fills`);
+    console.log(`\n🧪 Backtest endpoints:`);
+    console.log(`   POST   /api/backtest             - Replay recorded snapshots (strategy: stabilizer | buywall | xt-liquidity)`);
+    console.log(`\n🔑 Access endpoints (roles: viewer | operator | owner):`);
+    console.log(`   GET    /api/access/me            - Your id, account source and role`);
+    console.log(`   PUT    /api/admin/users/:source/:id/role - Set a user's role (owner)`);
+    console.log(`   GET    /api/account              - Your account and linked GCBEX/MEXC/XT logins`);
+    console.log(`   POST   /api/account/session      - Account session token for the current login`);
+    console.log(`   POST   /api/account/link         - Link another login's account to yours`);
+    console.log(`   GET    /api/account/bots         - Your bots across every venue`);
+    console.log(`   POST   /api/auth/refresh         - Rotate refresh token into new access token`);
+    console.log(`   POST   /api/auth/logout          - End the current session`);
+    console.log(`   POST   /api/auth/logout-all      - Log out all devices`);
+    console.log(`   GET    /api/auth/sessions        - Your active sessions`);
+    console.log(`   DELETE /api/auth/sessions/:id    - Revoke a session`);
+    console.log(`\n📜 Log endpoints:`);
+    console.log(`   GET    /api/logs                 - Query monitor logs (botId, level, from/to, q, cursor)`);
+    console.log(`\n🧾 Audit endpoints:`);
+    console.log(`   GET    /api/audit                - Configuration/control actions (actorId, action, targetType, targetId, from/to, cursor)`);
+    console.log(`   GET    /api/audit/export.csv     - Same filters as a CSV export`);
+    console.log(`\n🖐️ Approval endpoints (maker-checker):`);
+    console.log(`   GET    /api/approvals            - Pending and decided change requests (?status=pending)`);
+    console.log(`   GET    /api/approvals/policy     - Actions that need approval and who can approve`);
+    console.log(`   PUT    /api/approvals/policy     - Change the approval policy (owner)`);
+    console.log(`   GET    /api/approvals/:id        - A change request with the held change`);
+    console.log(`   POST   /api/approvals/:id/approve - Approve and apply (not your own)`);
+    console.log(`   POST   /api/approvals/:id/reject  - Reject (body: { note })`);
+    console.log(`   POST   /api/approvals/:id/cancel  - Withdraw your own request`);
   });
 });
 
 // Graceful shutdown
 process.on('SIGINT', async () => {
   console.log('\n🛑 Shutting down gracefully...');
-  if (botMonitor && botMonitor.isRunning) {
-    await botMonitor.stop();
-    console.log('✅ Bot monitor stopped');
-  }
-  if (scheduledBotMonitor && scheduledBotMonitor.isRunning) {
-    await scheduledBotMonitor.stop();
-    console.log('✅ Scheduled bot monitor stopped');
-  }
-  if (marketMakerBotMonitor && marketMakerBotMonitor.isRunning) {
-    await marketMakerBotMonitor.stop();
-    console.log('✅ Market maker bot monitor stopped');
-  }
-  if (stabilizerBotMonitor && stabilizerBotMonitor.isRunning) {
-    await stabilizerBotMonitor.stop();
-    console.log('✅ Stabilizer bot monitor stopped');
-  }
-  if (buyWallBotMonitor && buyWallBotMonitor.isRunning) {
-    await buyWallBotMonitor.stop();
-    console.log('✅ Buy wall bot monitor stopped');
-  }
-  if (priceKeeperBotMonitor && priceKeeperBotMonitor.isRunning) {
-    await priceKeeperBotMonitor.stop();
-    console.log('✅ Price keeper bot monitor stopped');
-  }
-  if (xtUserBotMonitor && xtUserBotMonitor.isRunning) {
-    await xtUserBotMonitor.stop();
-    console.log('✅ XT User bot monitor stopped');
-  }
-  if (xtLiquidityBotMonitor && xtLiquidityBotMonitor.isRunning) {
-    await xtLiquidityBotMonitor.stop();
-    console.log('✅ XT Liquidity bot monitor stopped');
-  }
-  if (xtSellLiquidityBotMonitor && xtSellLiquidityBotMonitor.isRunning) {
-    await xtSellLiquidityBotMonitor.stop();
-    console.log('✅ XT Sell Liquidity bot monitor stopped');
+  if (supervisor) {
+    await supervisor.stopAll();
+    console.log('✅ All supervised bot loops stopped');
   }
   if (client) {
     await client.close();
@@ -5,8 +5,64 @@
 
 import { v4 as uuidv4 } from 'uuid';
 import { ethers } from 'ethers';
+import { needsTransferQueueApproval, registerApprovalAction, requestApproval } from './approvals.js';
 
 export function setupInstallmentQueueRoutes(app, db, verifyMexcToken) {
+
+  // Insert a validated queue; returns the summary sent back to the client
+  const createQueue = async ({ mexcUserId, fileName, adminAddress, tokenAddress, delayMinSeconds: minDelay, delayMaxSeconds: maxDelay, recipients }) => {
+    const totalAmount = recipients.reduce((sum, r) => sum + parseFloat(r.amount), 0);
+
+    // Create queue record
+    const queueId = uuidv4();
+    const queue = {
+      queueId,
+      mexcUserId,
+      fileName: fileName || 'unknown',
+      adminAddress: adminAddress.toLowerCase(),
+      tokenAddress: tokenAddress.toLowerCase(),
+      totalAmount,
+      totalRecipients: recipients.length,
+      delayMinSeconds: minDelay,
+      delayMaxSeconds: maxDelay,
+      status: 'pending', // pending, processing, completed, failed, cancelled
+      processedCount: 0,
+      successCount: 0,
+      failedCount: 0,
+      currentIndex: 0,
+      lastProcessedAt: null,
+      startedAt: null,
+      completedAt: null,
+      error: null,
+      recipients: recipients.map((r, index) => ({
+        index,
+        address: r.address.toLowerCase(),
+        amount: parseFloat(r.amount),
+        status: 'pending', // pending, processing, success, failed
+        txHash: null,
+        processedAt: null,
+        error: null,
+        retryCount: 0
+      })),
+      createdAt: new Date(),
+      updatedAt: new Date()
+    };
+
+    await db.collection('transfer_queues').insertOne(queue);
+
+    console.log(`📋 Queue created: ${queueId} - ${recipients.length} recipients, ${minDelay}-${maxDelay}s delay range`);
+
+    return {
+      queueId,
+      totalRecipients: recipients.length,
+      totalAmount,
+      delayMinSeconds: minDelay,
+      delayMaxSeconds: maxDelay,
+      estimatedTime: `${Math.ceil((recipients.length * minDelay) / 60)} - ${Math.ceil((recipients.length * maxDelay) / 60)} minutes`
+    };
+  };
+
+  registerApprovalAction('installment.queue-create', createQueue);
   
   // POST /api/installment/queue/create - Create a new transfer queue
   app.post('/api/installment/queue/create', verifyMexcToken, async (req, res) => {
@@ -44,56 +100,36 @@ export function setupInstallmentQueueRoutes(app, db, verifyMexcToken) {
       // Calculate total amount
       const totalAmount = recipients.reduce((sum, r) => sum + parseFloat(r.amount), 0);
 
-      // Create queue record
-      const queueId = uuidv4();
-      const queue = {
-        queueId,
+      const queueFields = {
         mexcUserId: req.mexcUser.id,
-        fileName: fileName || 'unknown',
-        adminAddress: adminAddress.toLowerCase(),
-        tokenAddress: tokenAddress.toLowerCase(),
-        totalAmount,
-        totalRecipients: recipients.length,
+        fileName,
+        adminAddress,
+        tokenAddress,
         delayMinSeconds: minDelay,
         delayMaxSeconds: maxDelay,
-        status: 'pending', // pending, processing, completed, failed, cancelled
-        processedCount: 0,
-        successCount: 0,
-        failedCount: 0,
-        currentIndex: 0,
-        lastProcessedAt: null,
-        startedAt: null,
-        completedAt: null,
-        error: null,
-        recipients: recipients.map((r, index) => ({
-          index,
-          address: r.address.toLowerCase(),
-          amount: parseFloat(r.amount),
-          status: 'pending', // pending, processing, success, failed
-          txHash: null,
-          processedAt: null,
-          error: null,
-          retryCount: 0
-        })),
-        createdAt: new Date(),
-        updatedAt: new Date()
+        recipients
       };
 
-      await db.collection('transfer_queues').insertOne(queue);
-
-      console.log(`📋 Queue created: ${queueId} - ${recipients.length} recipients, ${minDelay}-${maxDelay}s delay range`);
+      // Large distributions are held for a second user's approval (see approvals.js)
+      if (needsTransferQueueApproval(totalAmount)) {
+        const approval = await requestApproval({
+          action: 'installment.queue-create',
+          summary: `Create transfer queue "${fileName || 'unknown'}": ${totalAmount} tokens to ${recipients.length} recipients`,
+          target: { type: 'transfer_queue', id: null },
+          payload: queueFields,
+          requestedBy: req.authUser
+        });
+        return res.status(202).json({
+          code: '0',
+          msg: 'Transfer queue submitted for approval',
+          data: { approvalRequired: true, approval }
+        });
+      }
 
       res.json({
         code: '0',
         msg: 'Transfer queue created successfully',
-        data: { 
-          queueId,
-          totalRecipients: recipients.length,
-          totalAmount,
-          delayMinSeconds: minDelay,
-          delayMaxSeconds: maxDelay,
-          estimatedTime: `${Math.ceil((recipients.length * minDelay) / 60)} - ${Math.ceil((recipients.length * maxDelay) / 60)} minutes`
-        }
+        data: await createQueue(queueFields)
       });
 
     } catch (error) {
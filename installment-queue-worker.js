@@ -24,6 +24,7 @@ class InstallmentQueueWorker {
     this.wallet = null;
     this.checkInterval = 5000; // Check for new queues every 5 seconds
     this.intervalId = null;
+    this.initialized = false;
   }
 
   async initialize() {
@@ -347,11 +348,12 @@ class InstallmentQueueWorker {
 // Export singleton factory
 let workerInstance = null;
 
-export async function createQueueWorker(db) {
+// Pass { autoStart: false } when an external scheduler drives checkAndProcessQueues()
+export async function createQueueWorker(db, { autoStart = true } = {}) {
   if (!workerInstance) {
     workerInstance = new InstallmentQueueWorker(db);
-    const initialized = await workerInstance.initialize();
-    if (initialized) {
+    workerInstance.initialized = await workerInstance.initialize();
+    if (workerInstance.initialized && autoStart) {
       workerInstance.start();
     }
   }
@@ -0,0 +1,82 @@
+import { requireRole } from './access-control.js';
+import {
+  RESUME_CONFIRMATION,
+  activateKillSwitch,
+  getKillSwitchState,
+  resumeFromKillSwitch
+} from './kill-switch.js';
+
+// Setup emergency kill switch routes
+export function setupKillSwitchRoutes(app, db) {
+  // Halting and resuming every bot is owner-only, independent of the app-wide route policies
+  const requireOwner = requireRole(db, 'owner');
+
+  // ============================================
+  // Kill Switch Endpoints
+  // ============================================
+
+  // GET /api/admin/kill-switch - Current kill switch state and last cancellation report
+  app.get('/api/admin/kill-switch', requireOwner, (req, res) => {
+    res.json({ code: '0', msg: 'Success', data: getKillSwitchState() });
+  });
+
+  // POST /api/admin/kill-switch - Halt every bot loop and cancel all bot-owned open orders
+  app.post('/api/admin/kill-switch', requireOwner, async (req, res) => {
+    try {
+      const { reason = null } = req.body || {};
+      const state = await activateKillSwitch({ reason, activatedBy: req.authUser.id });
+
+      await db.collection('bot_admin_logs').insertOne({
+        userId: req.authUser.id,
+        action: 'KILL_SWITCH_ACTIVATED',
+        timestamp: new Date(),
+        details: {
+          reason,
+          ordersCancelled: state.report?.ordersCancelled ?? 0,
+          ordersFailed: state.report?.ordersFailed ?? 0,
+          accountErrors: state.report?.accountErrors ?? 0
+        }
+      });
+
+      res.json({ code: '0', msg: 'Kill switch activated', data: state });
+    } catch (error) {
+      console.error('Error activating kill switch:', error);
+      res.status(500).json({ code: '-1', msg: 'Failed to activate kill switch', data: null });
+    }
+  });
+
+  // POST /api/admin/kill-switch/resume - Release the kill switch (body: { confirm: "RESUME" })
+  app.post('/api/admin/kill-switch/resume', requireOwner, async (req, res) => {
+    try {
+      const { confirm } = req.body || {};
+      if (confirm !== RESUME_CONFIRMATION) {
+        return res.status(400).json({
+          code: '-1',
+          msg: `Resuming requires explicit confirmation: send { "confirm": "${RESUME_CONFIRMATION}" }`,
+          data: null
+        });
+      }
+
+      const wasActive = getKillSwitchState().active;
+      const state = await resumeFromKillSwitch({ confirm, resumedBy: req.authUser.id });
+
+      if (wasActive) {
+        await db.collection('bot_admin_logs').insertOne({
+          userId: req.authUser.id,
+          action: 'KILL_SWITCH_RELEASED',
+          timestamp: new Date(),
+          details: { activatedAt: state.activatedAt, reason: state.reason }
+        });
+      }
+
+      res.json({ code: '0', msg: wasActive ? 'Kill switch released' : 'Kill switch was not active', data: state });
+    } catch (error) {
+      console.error('Error releasing kill switch:', error);
+      res.status(500).json({ code: '-1', msg: 'Failed to release kill switch', data: null });
+    }
+  });
+
+  console.log('✅ Kill switch routes initialized');
+}
+
+export default setupKillSwitchRoutes;
@@ -0,0 +1,290 @@
+import 'dotenv/config';
+import { createExchangeClient } from './exchange-clients.js';
+import { getExchangeCredentials, getLinkedCredentials } from './exchange-credentials.js';
+import { getBotContext } from './log-store.js';
+import { uidVariants } from './identity.js';
+
+/**
+ * Kill Switch
+ *
+ * Emergency stop for every bot on every exchange:
+ *   - halts all supervisor loops (they stay halted until an explicit resume)
+ *   - cancels the open orders bots placed on every account/symbol a bot trades;
+ *     other orders there (e.g. the user's manual ones) are left alone. Bot
+ *     orders are those in `bot_orders` (every order an exchange client placed
+ *     inside a bot's log context, kept BOT_ORDER_RETENTION_DAYS) and the open
+ *     entries of `scheduled_bot_orders` and `condition_orders`
+ *   - blocks new orders in the risk engine while active
+ * State lives in `system_state` ({ _id: 'kill_switch' }) so a restart comes
+ * back up halted. Bots keep their own isRunning flags, so resume picks up
+ * exactly where the kill switch stopped them.
+ */
+
+const STATE_COLLECTION = 'system_state';
+const STATE_ID = 'kill_switch';
+const BOT_ORDERS_COLLECTION = 'bot_orders';
+const BOT_ORDER_RETENTION_DAYS = parseInt(process.env.BOT_ORDER_RETENTION_DAYS) || 30;
+export const RESUME_CONFIRMATION = 'RESUME';
+
+// Where bots live and whose account they trade on. ownerSource 'gcbex' marks owners
+// that are GCBEX uids trading other venues through their linked account; filter
+// replaces the default isActive/isRunning match.
+const BOT_ACCOUNTS = [
+  { collection: 'scheduled_bots', exchange: 'gcbex', ownerField: 'userId', defaultSymbol: 'GCBUSDT' },
+  { collection: 'market_maker_bots', exchange: 'gcbex', ownerField: 'userId', defaultSymbol: 'GCBUSDT' },
+  { collection: 'stabilizer_bots', exchange: 'gcbex', ownerField: 'userId', defaultSymbol: 'GCBUSDT' },
+  { collection: 'buywall_bots', exchange: 'gcbex', ownerField: 'userId', defaultSymbol: 'GCBUSDT' },
+  { collection: 'price_keeper_bots', exchange: 'gcbex', ownerField: 'userId', defaultSymbol: 'GCBUSDT' },
+  { collection: 'mexc_mm_bots', exchange: 'mexc', ownerField: null, defaultSymbol: 'GCBUSDT' },
+  { collection: 'mexc_user_bots', exchange: 'mexc', ownerField: 'userId', defaultSymbol: 'GCBUSDT' },
+  { collection: 'xt_user_bots', exchange: 'xt', ownerField: 'mexcUserId', defaultSymbol: 'gcb_usdt' },
+  { collection: 'xt_liquidity_bots', exchange: 'xt', ownerField: 'mexcUserId', defaultSymbol: 'gcb_usdt' },
+  { collection: 'xt_sell_liquidity_bots', exchange: 'xt', ownerField: 'mexcUserId', defaultSymbol: 'gcb_usdt' },
+  { collection: 'strategy_bots', exchange: null, ownerField: 'userId', defaultSymbol: null },
+  { collection: 'bot_conditions', exchange: null, defaultExchange: 'gcbex', ownerField: 'userId', ownerSource: 'gcbex', defaultSymbol: null },
+  { collection: 'condition_orders', exchange: null, ownerField: 'userId', ownerSource: 'gcbex', defaultSymbol: null, filter: { status: 'open' } }
+];
+
+const DEFAULT_SYMBOLS = { gcbex: 'GCBUSDT', mexc: 'GCBUSDT', xt: 'gcb_usdt' };
+
+let stateDb = null;
+let supervisorRef = null;
+let state = { active: false };
+
+export async function initKillSwitch(db, supervisor) {
+  stateDb = db;
+  supervisorRef = supervisor;
+
+  const botOrders = db.collection(BOT_ORDERS_COLLECTION);
+  await botOrders.createIndex({ placedAt: 1 }, { expireAfterSeconds: BOT_ORDER_RETENTION_DAYS * 24 * 60 * 60 });
+  await botOrders.createIndex({ exchange: 1, ownerId: 1 });
+  await botOrders.createIndex({ exchange: 1, botId: 1 });
+
+  const saved = await db.collection(STATE_COLLECTION).findOne({ _id: STATE_ID });
+  if (saved) {
+    state = saved;
+  }
+
+  if (state.active) {
+    supervisor?.halt(`kill switch: ${state.reason || 'no reason given'}`);
+    console.log(`🛑 Kill switch is ACTIVE (since ${new Date(state.activatedAt).toISOString()}) - bot loops stay halted until resumed`);
+  } else {
+    console.log('✅ Kill switch initialized (inactive)');
+  }
+}
+
+export function isKillSwitchActive() {
+  return !!state.active;
+}
+
+export function getKillSwitchState() {
+  return state;
+}
+
+// Remember an order placed inside a bot's log context so the kill switch cancels
+// it (and only bot orders) later. Paper orders never reach a venue.
+export async function recordBotOrder(client, order, { orderId = null, clientOrderId = null } = {}) {
+  const context = getBotContext();
+  if (!stateDb || !context.botId || context.mode === 'paper') return;
+  try {
+    await stateDb.collection(BOT_ORDERS_COLLECTION).insertOne({
+      exchange: client.exchange,
+      ownerId: context.userId ?? null,
+      botId: context.botId,
+      symbol: client.formatSymbol(order.symbol),
+      orderId: orderId !== null && orderId !== undefined ? String(orderId) : null,
+      clientOrderId,
+      placedAt: new Date()
+    });
+  } catch (error) {
+    console.error('Failed to record bot order:', error.message);
+  }
+}
+
+async function saveState(fields) {
+  state = { ...state, ...fields, updatedAt: new Date() };
+  await stateDb.collection(STATE_COLLECTION).updateOne(
+    { _id: STATE_ID },
+    { $set: { ...fields, updatedAt: state.updatedAt } },
+    { upsert: true }
+  );
+}
+
+// Every distinct exchange account + symbol a bot may have orders on
+async function collectBotAccounts() {
+  const accounts = new Map();
+
+  for (const source of BOT_ACCOUNTS) {
+    const bots = await stateDb.collection(source.collection)
+      .find(source.filter || { $or: [{ isActive: true }, { isRunning: true }] })
+      .toArray();
+
+    for (const bot of bots) {
+      // Paper bots have no orders on the venue
+      if (bot.mode === 'paper') continue;
+      const exchange = source.exchange || bot.exchange || source.defaultExchange;
+      const ownerId = source.ownerField ? bot[source.ownerField] : null;
+      const ownerSource = exchange === 'gcbex' ? null : source.ownerSource || null;
+      const symbol = bot.symbol || bot.config?.symbol || source.defaultSymbol || DEFAULT_SYMBOLS[exchange];
+      if (!exchange || !symbol || (source.ownerField && !ownerId)) continue;
+
+      const key = `${exchange}:${ownerSource ? `${ownerSource}-` : ''}${ownerId ?? 'server'}:${symbol}`;
+      if (!accounts.has(key)) {
+        accounts.set(key, { exchange, ownerId, ownerSource, symbol, bots: [] });
+      }
+      accounts.get(key).bots.push({
+        collection: source.collection,
+        botId: bot._id.toString(),
+        name: bot.name || bot.conditionName || null
+      });
+    }
+  }
+
+  return [...accounts.values()];
+}
+
+async function getAccountClient(exchange, ownerId, ownerSource = null) {
+  if (ownerSource === 'gcbex') {
+    // Conditional bots: GCBEX user trading another venue through the linked account
+    const user = await stateDb.collection('users').findOne({ uid: { $in: uidVariants(ownerId) } });
+    const credentials = user ? await getLinkedCredentials(stateDb, user, exchange) : null;
+    return credentials ? createExchangeClient(exchange, credentials) : null;
+  }
+  if (ownerId === null) {
+    // Server-owned MEXC account (MEXC market maker bots)
+    return createExchangeClient(exchange, {
+      apiKey: process.env.MEXC_API_KEY,
+      apiSecret: process.env.MEXC_API_SECRET
+    });
+  }
+  const credentials = await getExchangeCredentials(stateDb, exchange, ownerId);
+  return credentials ? createExchangeClient(exchange, credentials) : null;
+}
+
+// Order ids (and XT client order ids) the bots of an account placed
+async function getBotOrderIds(account) {
+  const ownerIds = account.ownerId === null ? [null] : uidVariants(account.ownerId);
+  const projection = { orderId: 1, clientOrderId: 1 };
+  const [registered, scheduled, conditional] = await Promise.all([
+    stateDb.collection(BOT_ORDERS_COLLECTION).find({
+      exchange: account.exchange,
+      $or: [{ ownerId: { $in: ownerIds } }, { botId: { $in: account.bots.map(bot => bot.botId) } }]
+    }, { projection }).toArray(),
+    account.exchange === 'gcbex'
+      ? stateDb.collection('scheduled_bot_orders').find({ userId: { $in: ownerIds }, status: 'open' }, { projection }).toArray()
+      : [],
+    stateDb.collection('condition_orders').find({ exchange: account.exchange, userId: { $in: ownerIds }, status: 'open' }, { projection }).toArray()
+  ]);
+
+  const ids = new Set();
+  for (const order of [...registered, ...scheduled, ...conditional]) {
+    if (order.orderId) ids.add(String(order.orderId));
+    if (order.clientOrderId) ids.add(String(order.clientOrderId));
+  }
+  return ids;
+}
+
+async function cancelAccountOrders(account) {
+  const entry = {
+    exchange: account.exchange,
+    ownerId: account.ownerId,
+    symbol: account.symbol,
+    bots: account.bots,
+    openOrders: 0,
+    botOrders: 0,
+    cancelled: [],
+    failed: [],
+    error: null
+  };
+
+  try {
+    const client = await getAccountClient(account.exchange, account.ownerId, account.ownerSource);
+    if (!client) {
+      entry.error = 'API credentials not found';
+      return entry;
+    }
+
+    const openOrders = await client.getOpenOrders(account.symbol);
+    entry.openOrders = openOrders.length;
+    if (openOrders.length === 0) return entry;
+
+    const botOrderIds = await getBotOrderIds(account);
+    const botOrders = openOrders.filter(order =>
+      botOrderIds.has(String(order.orderId)) || (order.clientOrderId && botOrderIds.has(String(order.clientOrderId)))
+    );
+    entry.botOrders = botOrders.length;
+
+    for (const order of botOrders) {
+      const result = await client.cancelOrder(account.symbol, order.orderId);
+      (result.success ? entry.cancelled : entry.failed).push(order.orderId);
+    }
+    if (entry.failed.length > 0) {
+      entry.error = 'Some orders could not be cancelled';
+    }
+  } catch (error) {
+    entry.error = error.message;
+  }
+
+  return entry;
+}
+
+/**
+ * Halt every loop and cancel all bot-owned open orders.
+ * Persists the active state before cancelling so a crash mid-way still
+ * restarts halted. Returns the cancellation report.
+ */
+export async function activateKillSwitch({ reason = null, activatedBy = null } = {}) {
+  if (!stateDb) {
+    throw new Error('Kill switch not initialized');
+  }
+
+  const activatedAt = new Date();
+  await saveState({ active: true, reason, activatedBy, activatedAt, resumedAt: null, resumedBy: null, report: null });
+  supervisorRef?.halt(`kill switch: ${reason || 'no reason given'}`);
+  console.log(`🛑 KILL SWITCH ACTIVATED by ${activatedBy ?? 'unknown'}${reason ? ` - ${reason}` : ''}`);
+
+  const accounts = await collectBotAccounts();
+  const results = [];
+  for (const account of accounts) {
+    results.push(await cancelAccountOrders(account));
+  }
+
+  const report = {
+    completedAt: new Date(),
+    accounts: results.length,
+    ordersCancelled: results.reduce((sum, r) => sum + r.cancelled.length, 0),
+    ordersFailed: results.reduce((sum, r) => sum + r.failed.length, 0),
+    accountErrors: results.filter(r => r.error).length,
+    results
+  };
+  await saveState({ report });
+
+  console.log(`🛑 Kill switch: cancelled ${report.ordersCancelled} order(s) across ${report.accounts} account/symbol pair(s), ${report.accountErrors} error(s)`);
+  return state;
+}
+
+// Release the kill switch; `confirm` must equal RESUME_CONFIRMATION
+export async function resumeFromKillSwitch({ confirm, resumedBy = null } = {}) {
+  if (!stateDb) {
+    throw new Error('Kill switch not initialized');
+  }
+  if (!state.active) {
+    return state;
+  }
+  if (confirm !== RESUME_CONFIRMATION) {
+    throw new Error(`Resume requires confirm: "${RESUME_CONFIRMATION}"`);
+  }
+
+  await saveState({ active: false, resumedAt: new Date(), resumedBy });
+  supervisorRef?.release();
+  console.log(`▶️ Kill switch released by ${resumedBy ?? 'unknown'}`);
+  return state;
+}
+
+export default {
+  initKillSwitch,
+  isKillSwitchActive,
+  getKillSwitchState,
+  activateKillSwitch,
+  resumeFromKillSwitch
+};
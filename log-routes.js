@@ -0,0 +1,48 @@
+import { queryLogs } from './log-store.js';
+import { isGlobalScope } from './access-control.js';
+import { uidVariants } from './identity.js';
+
+// Setup structured log query routes
+export function setupLogRoutes(app) {
+
+  // ============================================
+  // Monitor Log Endpoints
+  // ============================================
+
+  // GET /api/logs - Query stored monitor logs
+  // ?botId=&userId=&exchange=&source=&level=error,warning&from=&to=&q=&cursor=&limit=
+  // Callers only see their own bots' events; owners can pass ?scope=all to query (and filter by) any user
+  app.get('/api/logs', async (req, res) => {
+    try {
+      const authHeader = req.headers.authorization;
+      if (!authHeader || !authHeader.startsWith('Bearer ')) {
+        return res.status(401).json({ code: '-1', msg: 'Unauthorized', data: null });
+      }
+
+      const { botId, exchange, source, level, from, to, q, cursor, limit } = req.query;
+      // Every venue login linked to the caller's account, stored as string or number
+      const userId = isGlobalScope(req)
+        ? req.query.userId
+        : (req.authUser.userIds || [req.authUser.id]).flatMap(id => uidVariants(String(id)));
+
+      let result;
+      try {
+        result = await queryLogs({ botId, userId, exchange, source, level, from, to, q, cursor, limit });
+      } catch (error) {
+        if (error.message.startsWith('Invalid')) {
+          return res.status(400).json({ code: '-1', msg: error.message, data: null });
+        }
+        throw error;
+      }
+
+      res.json({ code: '0', msg: 'Success', data: result });
+    } catch (error) {
+      console.error('Error querying logs:', error);
+      res.status(500).json({ code: '-1', msg: 'Failed to query logs', data: null });
+    }
+  });
+
+  console.log('✅ Log routes initialized');
+}
+
+export default setupLogRoutes;
@@ -0,0 +1,147 @@
+import { AsyncLocalStorage } from 'node:async_hooks';
+
+/**
+ * Log Store
+ *
+ * Every monitor's log() also writes a structured event to `monitor_logs`:
+ *   { timestamp, source, level, event, message, botId, userId, exchange, payload }
+ * The collection carries a TTL index so old events expire on their own
+ * (LOG_RETENTION_DAYS, default 14). Bot/user/exchange are taken from the
+ * context set with withBotLogContext() around each bot's processing.
+ */
+
+const COLLECTION = 'monitor_logs';
+const RETENTION_DAYS = parseInt(process.env.LOG_RETENTION_DAYS) || 14;
+const DEFAULT_QUERY_LIMIT = 100;
+const MAX_QUERY_LIMIT = 500;
+
+const logContext = new AsyncLocalStorage();
+let logDb = null;
+
+export async function initLogStore(db) {
+  logDb = db;
+  const collection = db.collection(COLLECTION);
+  await collection.createIndex({ timestamp: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+  await collection.createIndex({ botId: 1, timestamp: -1 });
+  await collection.createIndex({ level: 1, timestamp: -1 });
+  console.log(`✅ Log store initialized (${COLLECTION}, ${RETENTION_DAYS} day retention)`);
+}
+
+// Run fn with bot/user/exchange attached to every log written inside it.
+// The bot's trading mode rides along so exchange clients can switch to paper.
+export function withBotLogContext(bot, exchange, fn) {
+  const context = {
+    botId: bot._id ? bot._id.toString() : null,
+    userId: bot.userId ?? bot.mexcUserId ?? null,
+    exchange: bot.exchange || exchange || null,
+    mode: bot.mode === 'paper' ? 'paper' : 'live',
+    paperBalances: bot.paperBalances || null
+  };
+  return logContext.run(context, fn);
+}
+
+// Bot/user/exchange of the withBotLogContext() call we are running inside, if any
+export function getBotContext() {
+  return logContext.getStore() || {};
+}
+
+// Bot/user a monitor's in-memory log entry belongs to, so routes can scope it to the caller
+export function getLogOwner(botId = null) {
+  const active = logContext.getStore() || {};
+  const id = botId ?? active.botId ?? null;
+  return { botId: id ? id.toString() : null, userId: active.userId ?? null };
+}
+
+function toPayload(data) {
+  if (data === null || data === undefined || data === '') return null;
+  if (data instanceof Error) return { error: data.message };
+  if (typeof data === 'object') return data;
+  return { value: data };
+}
+
+// Fire-and-forget: a failing log write must never break a monitor tick
+export function writeLog(source, level, message, data = null, context = {}) {
+  if (!logDb) return;
+
+  const active = logContext.getStore() || {};
+  const botId = context.botId ?? active.botId ?? data?.botId ?? null;
+  const doc = {
+    timestamp: new Date(),
+    source,
+    level,
+    event: context.event || (level === 'trade' ? 'trade' : 'message'),
+    message,
+    botId: botId ? botId.toString() : null,
+    userId: context.userId ?? active.userId ?? null,
+    exchange: active.exchange ?? context.exchange ?? null,
+    payload: toPayload(data)
+  };
+
+  logDb.collection(COLLECTION).insertOne(doc).catch(err =>
+    console.error('Failed to write monitor log:', err.message)
+  );
+}
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Query stored logs, newest first.
+ * Filters: botId, userId, exchange, source (a value or a list of values),
+ * level (comma list), from/to (dates), q (case-insensitive text in message).
+ * Pass the returned nextCursor as `cursor` to fetch the next page.
+ */
+export async function queryLogs(filters = {}) {
+  if (!logDb) {
+    throw new Error('Log store not initialized');
+  }
+
+  const { ObjectId } = await import('mongodb');
+  const query = {};
+
+  for (const field of ['botId', 'userId', 'exchange', 'source']) {
+    if (Array.isArray(filters[field])) query[field] = { $in: filters[field] };
+    else if (filters[field]) query[field] = filters[field];
+  }
+
+  if (filters.level) {
+    const levels = String(filters.level).split(',').map(l => l.trim()).filter(Boolean);
+    query.level = levels.length === 1 ? levels[0] : { $in: levels };
+  }
+
+  if (filters.from || filters.to) {
+    query.timestamp = {};
+    if (filters.from) query.timestamp.$gte = new Date(filters.from);
+    if (filters.to) query.timestamp.$lte = new Date(filters.to);
+    if (Object.values(query.timestamp).some(d => isNaN(d.getTime()))) {
+      throw new Error('Invalid from/to date');
+    }
+  }
+
+  if (filters.q) {
+    query.message = { $regex: escapeRegex(String(filters.q)), $options: 'i' };
+  }
+
+  if (filters.cursor) {
+    if (!ObjectId.isValid(filters.cursor)) {
+      throw new Error('Invalid cursor');
+    }
+    query._id = { $lt: new ObjectId(filters.cursor) };
+  }
+
+  const limit = Math.min(parseInt(filters.limit) || DEFAULT_QUERY_LIMIT, MAX_QUERY_LIMIT);
+  const logs = await logDb.collection(COLLECTION)
+    .find(query)
+    .sort({ _id: -1 })
+    .limit(limit + 1)
+    .toArray();
+
+  const hasMore = logs.length > limit;
+  if (hasMore) logs.pop();
+
+  return {
+    logs,
+    nextCursor: hasMore ? logs[logs.length - 1]._id.toString() : null
+  };
+}
@@ -0,0 +1,306 @@
+import { createExchangeClient, splitSymbol, EXCHANGES } from './exchange-clients.js';
+import { writeLog } from './log-store.js';
+
+/**
+ * Market Data Recorder
+ *
+ * Persists what the monitors otherwise fetch and discard: on every tick it
+ * records, per configured exchange/symbol, the order book, best bid/ask,
+ * last price and the public trades seen since the previous tick.
+ *
+ * Collections:
+ *   market_snapshots - one document per market per tick (the backtester's input)
+ *     { exchange, symbol, timestamp, ticker: { price, bid, ask }, mid, spread, spreadPct,
+ *       depth: { bids, asks }, depth2Pct: { bids, asks }, trades: [{ id, price, qty, side, timestamp }] }
+ *   market_stats_1m  - one bucket per market per minute for charting
+ *     { exchange, symbol, bucket, samples, open, high, low, close,
+ *       spreadPctSum/Min/Max, bidDepth2PctSum, askDepth2PctSum,
+ *       tradeCount, buyVolume, sellVolume, tradeNotional }
+ *
+ * Symbols are stored as BASEQUOTE (GCBUSDT) whatever the venue format.
+ *
+ * Environment:
+ *   MARKET_RECORDER_MARKETS         - "gcbex:GCBUSDT,mexc:GCBUSDT,xt:gcb_usdt"
+ *   MARKET_RECORDER_INTERVAL_MS     - tick interval (default 15000)
+ *   MARKET_RECORDER_DEPTH           - levels per side to store (default 50)
+ *   MARKET_SNAPSHOT_RETENTION_DAYS  - raw snapshot retention (default 7)
+ *   MARKET_STATS_RETENTION_DAYS     - minute bucket retention (default 90)
+ */
+
+export const SNAPSHOTS_COLLECTION = 'market_snapshots';
+export const STATS_COLLECTION = 'market_stats_1m';
+
+const DEFAULT_MARKETS = 'gcbex:GCBUSDT,mexc:GCBUSDT,xt:gcb_usdt';
+const DEPTH_BAND_PCT = 2;
+const MAX_HISTORY_LIMIT = 5000;
+
+// Canonical BASEQUOTE form used for storage and queries
+export function normalizeMarketSymbol(symbol) {
+  return splitSymbol(symbol).join('');
+}
+
+function parseMarkets(value) {
+  return value
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const [exchange, symbol] = entry.split(':').map(part => part.trim());
+      return { exchange: exchange.toLowerCase(), symbol };
+    })
+    .filter(market => EXCHANGES.includes(market.exchange) && market.symbol);
+}
+
+function retentionSeconds(envValue, defaultDays) {
+  const days = parseFloat(envValue);
+  return Math.round((days > 0 ? days : defaultDays) * 24 * 60 * 60);
+}
+
+// Quote notional resting within ±DEPTH_BAND_PCT of mid
+function depthWithinBand(depth, mid) {
+  const lower = mid * (1 - DEPTH_BAND_PCT / 100);
+  const upper = mid * (1 + DEPTH_BAND_PCT / 100);
+  return {
+    bids: depth.bids.filter(([price]) => price >= lower).reduce((sum, [price, qty]) => sum + price * qty, 0),
+    asks: depth.asks.filter(([price]) => price <= upper).reduce((sum, [price, qty]) => sum + price * qty, 0)
+  };
+}
+
+class MarketDataRecorder {
+  constructor(db) {
+    this.db = db;
+    this.isRunning = false;
+    this.config = {
+      markets: parseMarkets(process.env.MARKET_RECORDER_MARKETS || DEFAULT_MARKETS),
+      checkInterval: parseInt(process.env.MARKET_RECORDER_INTERVAL_MS) || 15000,
+      depthLimit: parseInt(process.env.MARKET_RECORDER_DEPTH) || 50,
+      snapshotRetentionSeconds: retentionSeconds(process.env.MARKET_SNAPSHOT_RETENTION_DAYS, 7),
+      statsRetentionSeconds: retentionSeconds(process.env.MARKET_STATS_RETENTION_DAYS, 90)
+    };
+    this.clients = {};
+    // Per market: trade ids already recorded and the newest trade time seen
+    this.tradeCursors = new Map();
+    this.lastRecorded = new Map();
+  }
+
+  log(type, message, data = null) {
+    const emoji = type === 'success' ? '✅' : type === 'error' ? '❌' : type === 'warning' ? '⚠️' : 'ℹ️';
+    console.log(`${emoji} [MarketRecorder] ${message}`, data ? JSON.stringify(data).substring(0, 200) : '');
+    writeLog('market-recorder', type, message, data);
+  }
+
+  async initialize() {
+    const snapshots = this.db.collection(SNAPSHOTS_COLLECTION);
+    await snapshots.createIndex({ timestamp: 1 }, { expireAfterSeconds: this.config.snapshotRetentionSeconds });
+    await snapshots.createIndex({ exchange: 1, symbol: 1, timestamp: 1 });
+
+    const stats = this.db.collection(STATS_COLLECTION);
+    await stats.createIndex({ bucket: 1 }, { expireAfterSeconds: this.config.statsRetentionSeconds });
+    await stats.createIndex({ exchange: 1, symbol: 1, bucket: 1 }, { unique: true });
+
+    const markets = this.config.markets.map(m => `${m.exchange}:${m.symbol}`).join(', ') || 'none';
+    this.log('success', `Market data recorder initialized (${markets}, every ${this.config.checkInterval}ms)`);
+  }
+
+  getClient(exchange) {
+    if (!this.clients[exchange]) {
+      this.clients[exchange] = createExchangeClient(exchange);
+    }
+    return this.clients[exchange];
+  }
+
+  // One tick: record every configured market
+  async recordAll() {
+    for (const market of this.config.markets) {
+      try {
+        await this.recordMarket(market.exchange, market.symbol);
+      } catch (error) {
+        this.log('error', `Failed to record ${market.exchange}:${market.symbol}`, error.message);
+      }
+    }
+  }
+
+  // Trades not recorded by an earlier tick
+  takeNewTrades(key, trades) {
+    const cursor = this.tradeCursors.get(key) || { lastTimestamp: 0, ids: new Set() };
+    const fresh = trades.filter(trade => trade.timestamp >= cursor.lastTimestamp && !cursor.ids.has(trade.id));
+    if (trades.length > 0) {
+      this.tradeCursors.set(key, {
+        lastTimestamp: trades[trades.length - 1].timestamp,
+        ids: new Set(trades.map(trade => trade.id))
+      });
+    }
+    return fresh;
+  }
+
+  async recordMarket(exchange, symbol) {
+    const client = this.getClient(exchange);
+    const [ticker, depth, trades] = await Promise.all([
+      client.getTicker(symbol),
+      client.getDepth(symbol, this.config.depthLimit),
+      client.getRecentTrades(symbol).catch(() => null)
+    ]);
+
+    if (!depth && !ticker) {
+      this.log('warning', `No market data from ${exchange} for ${symbol}`);
+      return null;
+    }
+
+    const storedSymbol = normalizeMarketSymbol(symbol);
+    const key = `${exchange}:${storedSymbol}`;
+    const timestamp = new Date();
+    const bids = (depth?.bids || []).slice(0, this.config.depthLimit);
+    const asks = (depth?.asks || []).slice(0, this.config.depthLimit);
+    const bestBid = bids[0]?.[0] || ticker?.bid || 0;
+    const bestAsk = asks[0]?.[0] || ticker?.ask || 0;
+    const price = ticker?.price || null;
+    const mid = bestBid > 0 && bestAsk > 0 ? (bestBid + bestAsk) / 2 : price;
+    const spread = bestBid > 0 && bestAsk > 0 ? bestAsk - bestBid : null;
+    const spreadPct = spread !== null && mid ? spread / mid * 100 : null;
+    const depth2Pct = mid ? depthWithinBand({ bids, asks }, mid) : { bids: 0, asks: 0 };
+    const newTrades = trades ? this.takeNewTrades(key, trades) : [];
+
+    const snapshot = {
+      exchange,
+      symbol: storedSymbol,
+      timestamp,
+      ticker: { price, bid: bestBid, ask: bestAsk },
+      mid,
+      spread,
+      spreadPct,
+      depth: { bids, asks },
+      depth2Pct,
+      trades: newTrades
+    };
+    await this.db.collection(SNAPSHOTS_COLLECTION).insertOne(snapshot);
+    await this.updateMinuteStats(snapshot);
+
+    this.lastRecorded.set(key, { exchange, symbol: storedSymbol, timestamp, mid, spreadPct });
+    return snapshot;
+  }
+
+  async updateMinuteStats(snapshot) {
+    const bucket = new Date(Math.floor(snapshot.timestamp.getTime() / 60000) * 60000);
+    const last = snapshot.ticker.price ?? snapshot.mid;
+    const volume = side => snapshot.trades.filter(t => t.side === side).reduce((sum, t) => sum + t.qty, 0);
+
+    const update = {
+      $inc: {
+        samples: 1,
+        bidDepth2PctSum: snapshot.depth2Pct.bids,
+        askDepth2PctSum: snapshot.depth2Pct.asks,
+        tradeCount: snapshot.trades.length,
+        buyVolume: volume('BUY'),
+        sellVolume: volume('SELL'),
+        tradeNotional: snapshot.trades.reduce((sum, t) => sum + t.price * t.qty, 0)
+      },
+      $set: { updatedAt: snapshot.timestamp }
+    };
+
+    if (last) {
+      update.$setOnInsert = { open: last };
+      update.$set.close = last;
+      update.$max = { high: last };
+      update.$min = { low: last };
+    }
+    if (snapshot.spreadPct !== null) {
+      update.$inc.spreadPctSum = snapshot.spreadPct;
+      update.$inc.spreadSamples = 1;
+      update.$max = { ...update.$max, spreadPctMax: snapshot.spreadPct };
+      update.$min = { ...update.$min, spreadPctMin: snapshot.spreadPct };
+    }
+
+    await this.db.collection(STATS_COLLECTION).updateOne(
+      { exchange: snapshot.exchange, symbol: snapshot.symbol, bucket },
+      update,
+      { upsert: true }
+    );
+  }
+
+  /**
+   * Query recorded history for one market.
+   * resolution '1m' returns minute buckets (averaged spread/depth),
+   * 'raw' returns the stored snapshots (depth included only with includeDepth).
+   */
+  async getHistory({ exchange, symbol, from, to, resolution = '1m', limit, includeDepth = false }) {
+    if (!EXCHANGES.includes(exchange)) {
+      throw new Error(`Invalid exchange: ${exchange}`);
+    }
+    if (!symbol) {
+      throw new Error('Invalid symbol: symbol is required');
+    }
+    if (!['1m', 'raw'].includes(resolution)) {
+      throw new Error(`Invalid resolution: ${resolution} (use 1m or raw)`);
+    }
+
+    const range = {};
+    for (const [op, value] of [['$gte', from], ['$lte', to]]) {
+      if (!value) continue;
+      const date = new Date(isNaN(value) ? value : Number(value));
+      if (isNaN(date.getTime())) {
+        throw new Error(`Invalid date: ${value}`);
+      }
+      range[op] = date;
+    }
+
+    const pageSize = Math.min(Math.max(parseInt(limit) || 1000, 1), MAX_HISTORY_LIMIT);
+    const storedSymbol = normalizeMarketSymbol(symbol);
+    const timeField = resolution === 'raw' ? 'timestamp' : 'bucket';
+    const query = { exchange, symbol: storedSymbol };
+    if (Object.keys(range).length > 0) {
+      query[timeField] = range;
+    }
+
+    if (resolution === 'raw') {
+      const projection = includeDepth ? {} : { depth: 0 };
+      const snapshots = await this.db.collection(SNAPSHOTS_COLLECTION)
+        .find(query, { projection })
+        .sort({ timestamp: 1 })
+        .limit(pageSize)
+        .toArray();
+      return { exchange, symbol: storedSymbol, resolution, points: snapshots };
+    }
+
+    const buckets = await this.db.collection(STATS_COLLECTION)
+      .find(query)
+      .sort({ bucket: 1 })
+      .limit(pageSize)
+      .toArray();
+
+    const points = buckets.map(b => ({
+      timestamp: b.bucket,
+      open: b.open ?? null,
+      high: b.high ?? null,
+      low: b.low ?? null,
+      close: b.close ?? null,
+      spreadPctAvg: b.spreadSamples ? b.spreadPctSum / b.spreadSamples : null,
+      spreadPctMin: b.spreadPctMin ?? null,
+      spreadPctMax: b.spreadPctMax ?? null,
+      bidDepth2PctAvg: b.samples ? b.bidDepth2PctSum / b.samples : 0,
+      askDepth2PctAvg: b.samples ? b.askDepth2PctSum / b.samples : 0,
+      tradeCount: b.tradeCount || 0,
+      buyVolume: b.buyVolume || 0,
+      sellVolume: b.sellVolume || 0,
+      tradeNotional: b.tradeNotional || 0,
+      samples: b.samples
+    }));
+    return { exchange, symbol: storedSymbol, resolution, points };
+  }
+
+  getStatus() {
+    return {
+      isRunning: this.isRunning,
+      intervalMs: this.config.checkInterval,
+      depthLimit: this.config.depthLimit,
+      snapshotRetentionDays: this.config.snapshotRetentionSeconds / 86400,
+      statsRetentionDays: this.config.statsRetentionSeconds / 86400,
+      markets: this.config.markets.map(({ exchange, symbol }) => ({
+        exchange,
+        symbol: normalizeMarketSymbol(symbol),
+        lastRecorded: this.lastRecorded.get(`${exchange}:${normalizeMarketSymbol(symbol)}`) || null
+      }))
+    };
+  }
+}
+
+export default MarketDataRecorder;
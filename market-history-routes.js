@@ -0,0 +1,50 @@
+import { verifyBotUser } from './bot-routes.js';
+
+// Setup recorded market data routes
+export function setupMarketHistoryRoutes(app, db, recorder) {
+  const requireUser = verifyBotUser(db);
+
+  // ============================================
+  // Market History Endpoints
+  // ============================================
+
+  // GET /api/market-history/status - Recorded markets, retention and last snapshot per market
+  app.get('/api/market-history/status', requireUser, (req, res) => {
+    res.json({ code: '0', msg: 'Success', data: recorder.getStatus() });
+  });
+
+  // GET /api/market-history - Spread, depth, price and trade history for one market
+  // ?exchange=gcbex&symbol=GCBUSDT&from=&to=&resolution=1m|raw&limit=&includeDepth=true
+  app.get('/api/market-history', requireUser, async (req, res) => {
+    try {
+      const { exchange, symbol, from, to, resolution, limit, includeDepth } = req.query;
+
+      let history;
+      try {
+        history = await recorder.getHistory({
+          exchange: (exchange || '').toLowerCase(),
+          symbol,
+          from,
+          to,
+          resolution,
+          limit,
+          includeDepth: includeDepth === 'true'
+        });
+      } catch (error) {
+        if (error.message.startsWith('Invalid')) {
+          return res.status(400).json({ code: '-1', msg: error.message, data: null });
+        }
+        throw error;
+      }
+
+      res.json({ code: '0', msg: 'Success', data: history });
+    } catch (error) {
+      console.error('Error querying market history:', error);
+      res.status(500).json({ code: '-1', msg: 'Failed to query market history', data: null });
+    }
+  });
+
+  console.log('✅ Market history routes initialized');
+}
+
+export default setupMarketHistoryRoutes;
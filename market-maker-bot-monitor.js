@@ -1,4 +1,7 @@
-import crypto from 'crypto';
+import { createExchangeClient } from './exchange-clients.js';
+import { writeLog, withBotLogContext, getLogOwner } from './log-store.js';
+import { decryptSecret } from './credential-vault.js';
+import { getCachedBalances } from './balance-service.js';
 
 class MarketMakerBotMonitor {
   constructor(db, config = {}) {
@@ -21,7 +24,8 @@ class MarketMakerBotMonitor {
       timestamp: new Date().toISOString(),
       level,
       message,
-      data
+      data,
+      ...getLogOwner()
     };
     this.logs.unshift(logEntry);
     if (this.logs.length > this.maxLogs) {
@@ -36,6 +40,7 @@ class MarketMakerBotMonitor {
       trade: '💱'
     };
     console.log(`${emoji[level] || '📝'} [MARKET MAKER] ${message}`, data ? data : '');
+    writeLog('market-maker', level, message, data, { exchange: 'gcbex' });
   }
 
   getLogs(limit = 100) {
@@ -107,40 +112,30 @@ class MarketMakerBotMonitor {
       this.log('info', `🔍 Checking market maker bots: ${activeBots.length} active bot(s)`);
 
       for (const bot of activeBots) {
-        await this.executeMarketMakerCycle(bot);
+        await withBotLogContext(bot, 'gcbex', () => this.executeMarketMakerCycle(bot));
       }
     } catch (error) {
       this.log('error', 'Error checking market maker bots', error.message);
     }
   }
 
+  getClient(user = null) {
+    return createExchangeClient('gcbex', user ? { apiKey: user.apiKey, apiSecret: decryptSecret(user.apiSecret) } : {}, {
+      baseUrl: this.openApiBase
+    });
+  }
+
   async getServerTime() {
-    try {
-      const response = await fetch(`${this.openApiBase}/sapi/v1/time`);
-      const data = await response.json();
-      return data.serverTime;
-    } catch (error) {
-      this.log('warning', 'Failed to fetch server time, using local time', error.message);
-      return Date.now();
-    }
+    return this.getClient().getServerTime();
   }
 
   async getSymbolInfo(symbol) {
     try {
-      const response = await fetch(`${this.openApiBase}/sapi/v2/symbols`);
-      const data = await response.json();
-      
-      if (data && data.symbols) {
-        const symbolInfo = data.symbols.find(s => s.symbol.toUpperCase() === symbol.toUpperCase());
-        if (symbolInfo) {
-          return {
-            pricePrecision: symbolInfo.pricePrecision || 6,
-            quantityPrecision: symbolInfo.quantityPrecision || 2
-          };
-        }
-      }
-      // Default fallback for GCBUSDT
-      return { pricePrecision: 6, quantityPrecision: 2 };
+      const symbolInfo = await this.getClient().getSymbolInfo(symbol);
+      return {
+        pricePrecision: symbolInfo.pricePrecision,
+        quantityPrecision: symbolInfo.quantityPrecision
+      };
     } catch (error) {
       this.log('error', `Error fetching symbol info for ${symbol}`, error.message);
       return { pricePrecision: 6, quantityPrecision: 2 };
@@ -149,13 +144,8 @@ class MarketMakerBotMonitor {
 
   async getMarketPrice(symbol) {
     try {
-      const response = await fetch(`${this.openApiBase}/sapi/v2/ticker?symbol=${symbol.toLowerCase()}`);
-      const data = await response.json();
-      
-      if (data && data.last) {
-        return parseFloat(data.last);
-      }
-      return null;
+      const ticker = await this.getClient().getTicker(symbol);
+      return ticker ? ticker.price : null;
     } catch (error) {
       this.log('error', `Error fetching market price for ${symbol}`, error.message);
       return null;
@@ -164,32 +154,8 @@ class MarketMakerBotMonitor {
 
   async getBalance(user, asset) {
     try {
-      const timestamp = (await this.getServerTime()).toString();
-      const method = 'GET';
-      const requestPath = '/sapi/v1/account';
-      
-      const message = `${timestamp}${method.toUpperCase()}${requestPath}`;
-      const signature = crypto
-        .createHmac('sha256', user.apiSecret)
-        .update(message)
-        .digest('hex');
-
-      const response = await fetch(`${this.openApiBase}${requestPath}`, {
-        headers: {
-          'X-CH-APIKEY': user.apiKey,
-          'X-CH-TS': timestamp,
-          'X-CH-SIGN': signature
-        }
-      });
-
-      const data = await response.json();
-      
-      if (data && data.balances) {
-        const balance = data.balances.find(b => b.asset === asset);
-        return balance ? parseFloat(balance.free) : 0;
-      }
-      
-      return 0;
+      const balances = await getCachedBalances(this.getClient(user));
+      return balances?.[asset] ? balances[asset].free : 0;
     } catch (error) {
       this.log('error', `Error fetching balance for ${asset}`, error.message);
       return 0;
@@ -198,44 +164,20 @@ class MarketMakerBotMonitor {
 
   async placeOrder(user, bot, side, price, symbolInfo) {
     try {
-      const timestamp = (await this.getServerTime()).toString();
-      const method = 'POST';
-      const requestPath = '/sapi/v2/order';
-      
       // Use correct precision from symbol info
       const formattedVolume = bot.currentOrderSize.toFixed(symbolInfo.quantityPrecision);
       const formattedPrice = price.toFixed(symbolInfo.pricePrecision);
       
-      const orderBody = {
+      const result = await this.getClient(user).placeOrder({
         symbol: bot.symbol,
         side: side,
         type: 'LIMIT',
         timeInForce: 'GTC',
-        volume: formattedVolume,
+        quantity: formattedVolume,
         price: formattedPrice
-      };
-      
-      const bodyJson = JSON.stringify(orderBody, null, 0).replace(/\s/g, '');
-      const message = `${timestamp}${method.toUpperCase()}${requestPath}${bodyJson}`;
-      const signature = crypto
-        .createHmac('sha256', user.apiSecret)
-        .update(message)
-        .digest('hex');
-
-      const response = await fetch(`${this.openApiBase}${requestPath}`, {
-        method: 'POST',
-        headers: {
-          'X-CH-APIKEY': user.apiKey,
-          'X-CH-TS': timestamp,
-          'X-CH-SIGN': signature,
-          'Content-Type': 'application/json'
-        },
-        body: bodyJson
       });
-
-      const data = await response.json();
       
-      if (data.orderId) {
+      if (result.success) {
         this.log('success', `✅ Placed ${side} order at ${formattedPrice} (${bot.currentOrderSize.toFixed(2)} GCB)`);
         if (bot.telegramEnabled && bot.telegramUserId) {
           await this.sendTelegramAlert(bot.telegramUserId, 
@@ -244,7 +186,7 @@ class MarketMakerBotMonitor {
         }
         return true;
       } else {
-        this.log('warning', `⚠ Order error: ${JSON.stringify(data)}`);
+        this.log('warning', `⚠ Order error: ${JSON.stringify(result.data || result.error)}`);
         return false;
       }
     } catch (error) {
@@ -257,36 +199,8 @@ class MarketMakerBotMonitor {
     try {
       this.log('info', `🔍 Fetching open orders for ${symbol}...`);
       
-      const timestamp = (await this.getServerTime()).toString();
-      const method = 'GET';
-      const query = `symbol=${symbol}`;
-      const requestPath = `/sapi/v2/openOrders`;
-      const fullPathWithQuery = `${requestPath}?${query}`;
-
-      const message = `${timestamp}${method.toUpperCase()}${fullPathWithQuery}`;
-      const signature = crypto
-        .createHmac('sha256', user.apiSecret)
-        .update(message)
-        .digest('hex');
-
-      const response = await fetch(`${this.openApiBase}${fullPathWithQuery}`, {
-        headers: {
-          'X-CH-APIKEY': user.apiKey,
-          'X-CH-TS': timestamp,
-          'X-CH-SIGN': signature
-        }
-      });
-
-      const data = await response.json();
-      this.log('info', `📋 Open orders response: ${JSON.stringify(data)}`);
-      
-      // Handle different response formats
-      let orders = [];
-      if (data.list && Array.isArray(data.list)) {
-        orders = data.list;
-      } else if (Array.isArray(data)) {
-        orders = data;
-      }
+      const orders = await this.getClient(user).getOpenOrders(symbol);
+      this.log('info', `📋 Open orders: ${orders.length}`);
 
       if (orders.length === 0) {
         this.log('info', 'No open orders to cancel');
@@ -299,9 +213,7 @@ class MarketMakerBotMonitor {
       let failedCount = 0;
       
       for (const order of orders) {
-        // Use orderIdString if available (recommended by API), otherwise use orderId
-        const orderId = order.orderIdString || order.orderId;
-        const success = await this.cancelOrder(user, symbol, orderId);
+        const success = await this.cancelOrder(user, symbol, order.orderId);
         
         if (success) {
           cancelledCount++;
@@ -326,49 +238,16 @@ class MarketMakerBotMonitor {
         return false;
       }
 
-      const timestamp = (await this.getServerTime()).toString();
-      const method = 'POST';
-      const requestPath = '/sapi/v2/cancel';
-      
-      const cancelBody = {
-        symbol: symbol.toUpperCase(),
-        orderId: orderId.toString()
-      };
-      
-      const bodyJson = JSON.stringify(cancelBody, null, 0).replace(/\s/g, '');
-      const message = `${timestamp}${method.toUpperCase()}${requestPath}${bodyJson}`;
-      const signature = crypto
-        .createHmac('sha256', user.apiSecret)
-        .update(message)
-        .digest('hex');
-
       this.log('info', `🔄 Cancelling order ${orderId}...`);
 
-      const response = await fetch(`${this.openApiBase}${requestPath}`, {
-        method: 'POST',
-        headers: {
-          'X-CH-APIKEY': user.apiKey,
-          'X-CH-TS': timestamp,
-          'X-CH-SIGN': signature,
-          'Content-Type': 'application/json'
-        },
-        body: bodyJson
-      });
-
-      const result = await response.json();
-      this.log('info', `📄 Cancel response: ${JSON.stringify(result)}`);
+      const result = await this.getClient(user).cancelOrder(symbol, orderId);
+      this.log('info', `📄 Cancel response: ${JSON.stringify(result.data || result.error)}`);
       
-      // Check multiple success conditions
-      // PENDING_CANCEL means the cancel request was accepted and is being processed
-      if (result.status === 'CANCELED' || 
-          result.status === 'CANCELLED' || 
-          result.status === 'PENDING_CANCEL' ||
-          result.code === '0' ||
-          (result.orderId && result.orderId.toString() === orderId.toString())) {
-        this.log('success', `✅ Successfully cancelled order ${orderId} (Status: ${result.status || 'OK'})`);
+      if (result.success) {
+        this.log('success', `✅ Successfully cancelled order ${orderId} (Status: ${result.data?.status || 'OK'})`);
         return true;
       } else {
-        this.log('warning', `⚠️ Failed to cancel ${orderId}: ${JSON.stringify(result)}`);
+        this.log('warning', `⚠️ Failed to cancel ${orderId}: ${JSON.stringify(result.data || result.error)}`);
         return false;
       }
     } catch (error) {
@@ -453,30 +332,12 @@ class MarketMakerBotMonitor {
       
       // Verify orders were cancelled by fetching again
       this.log('info', '🔍 Verifying orders were cancelled...');
-      const verifyTimestamp = (await this.getServerTime()).toString();
-      const verifyQuery = `symbol=${bot.symbol}`;
-      const verifyPath = `/sapi/v2/openOrders`;
-      const verifyFullPath = `${verifyPath}?${verifyQuery}`;
-      const verifyMessage = `${verifyTimestamp}GET${verifyFullPath}`;
-      const verifySignature = crypto.createHmac('sha256', user.apiSecret)
-        .update(verifyMessage)
-        .digest('hex');
-      
-      const verifyResponse = await fetch(`${this.openApiBase}${verifyFullPath}`, {
-        headers: {
-          'X-CH-APIKEY': user.apiKey,
-          'X-CH-TS': verifyTimestamp,
-          'X-CH-SIGN': verifySignature
-        }
-      });
-      
-      const remainingOrders = await verifyResponse.json();
-      const ordersArray = Array.isArray(remainingOrders) ? remainingOrders : (remainingOrders.list || []);
+      const ordersArray = await this.getClient(user).getOpenOrders(bot.symbol);
       this.log('info', `📊 Remaining orders: ${ordersArray.length}`);
       
       if (ordersArray.length > 0) {
         this.log('warning', `⚠️ WARNING: ${ordersArray.length} order(s) still active! Skipping new orders this cycle.`);
-        this.log('warning', `Remaining orders: ${JSON.stringify(ordersArray.map(o => ({id: o.orderIdString || o.orderId, symbol: o.symbol})))}`);
+        this.log('warning', `Remaining orders: ${JSON.stringify(ordersArray.map(o => ({id: o.orderId, symbol: o.symbol})))}`);
         return;
       }
       
@@ -1,7 +1,8 @@
-import crypto from 'crypto';
 import telegramService from './telegram-service.js';
+import { createExchangeClient } from './exchange-clients.js';
+import { writeLog, withBotLogContext, getLogOwner } from './log-store.js';
+import { getCachedBalances } from './balance-service.js';
 
-const MEXC_BASE_URL = process.env.MEXC_BASE_URL || 'https://api.mexc.com';
 const MEXC_API_KEY = process.env.MEXC_API_KEY;
 const MEXC_API_SECRET = process.env.MEXC_API_SECRET;
 
@@ -21,7 +22,8 @@ class MexcMMBotMonitor {
       timestamp: new Date().toISOString(),
       type,
       message,
-      data
+      data,
+      ...getLogOwner()
     };
     this.logs.unshift(logEntry);
     if (this.logs.length > this.maxLogs) {
@@ -29,6 +31,7 @@ class MexcMMBotMonitor {
     }
     const emoji = type === 'success' ? '✅' : type === 'error' ? '❌' : type === 'warning' ? '⚠️' : type === 'trade' ? '💱' : 'ℹ️';
     console.log(`${emoji} [MexcMMBot] ${message}`, data ? JSON.stringify(data) : '');
+    writeLog('mexc-mm', type, message, data, { exchange: 'mexc' });
   }
 
   async start() {
@@ -72,21 +75,17 @@ class MexcMMBotMonitor {
     return this.logs.slice(0, limit);
   }
 
-  generateMexcSignature(queryString) {
-    return crypto
-      .createHmac('sha256', MEXC_API_SECRET)
-      .update(queryString)
-      .digest('hex');
+  // MEXC client bound to the server-owned account
+  getClient() {
+    return createExchangeClient('mexc', { apiKey: MEXC_API_KEY, apiSecret: MEXC_API_SECRET });
   }
 
   async getMarketPrice(symbol = 'GCBUSDT') {
     try {
-      const response = await fetch(`${MEXC_BASE_URL}/api/v3/ticker/price?symbol=${symbol}`);
-      const data = await response.json();
-      if (data && data.price) {
-        const price = parseFloat(data.price);
-        this.marketData[symbol] = { price, updatedAt: new Date().toISOString() };
-        return price;
+      const ticker = await this.getClient().getTicker(symbol);
+      if (ticker) {
+        this.marketData[symbol] = { price: ticker.price, updatedAt: new Date().toISOString() };
+        return ticker.price;
       }
       return null;
     } catch (error) {
@@ -97,13 +96,10 @@ class MexcMMBotMonitor {
 
   async getBestAskPrice(symbol = 'GCBUSDT') {
     try {
-      const response = await fetch(`${MEXC_BASE_URL}/api/v3/depth?symbol=${symbol}&limit=5`);
-      const data = await response.json();
-      
-      if (data && data.asks && data.asks.length > 0) {
+      const depth = await this.getClient().getDepth(symbol, 5);
+      if (depth && depth.asks.length > 0) {
         // asks[0][0] is the best (lowest) ask price
-        const bestAskPrice = parseFloat(data.asks[0][0]);
-        return bestAskPrice;
+        return depth.asks[0][0];
       }
       return null;
     } catch (error) {
@@ -119,31 +115,7 @@ class MexcMMBotMonitor {
         return null;
       }
 
-      const timestamp = Date.now();
-      const queryString = `timestamp=${timestamp}`;
-      const signature = this.generateMexcSignature(queryString);
-
-      const response = await fetch(`${MEXC_BASE_URL}/api/v3/account?${queryString}&signature=${signature}`, {
-        method: 'GET',
-        headers: {
-          'X-MEXC-APIKEY': MEXC_API_KEY,
-          'Content-Type': 'application/json'
-        }
-      });
-
-      const data = await response.json();
-      
-      if (data.balances) {
-        const balanceMap = {};
-        data.balances.forEach(balance => {
-          balanceMap[balance.asset] = {
-            free: balance.free,
-            locked: balance.locked
-          };
-        });
-        return balanceMap;
-      }
-      return null;
+      return await getCachedBalances(this.getClient());
     } catch (error) {
       this.log('error', `Failed to fetch MEXC account balance: ${error.message}`);
       return null;
@@ -157,30 +129,23 @@ class MexcMMBotMonitor {
         return null;
       }
 
-      const timestamp = Date.now();
-      const queryParams = `symbol=${symbol}&side=BUY&type=MARKET&quoteOrderQty=${quoteOrderQty}&timestamp=${timestamp}`;
-      const signature = this.generateMexcSignature(queryParams);
-
       this.log('info', `📤 MEXC Order: BUY MARKET ${symbol} - quoteOrderQty: ${quoteOrderQty} USDT`);
 
-      const response = await fetch(`${MEXC_BASE_URL}/api/v3/order?${queryParams}&signature=${signature}`, {
-        method: 'POST',
-        headers: {
-          'X-MEXC-APIKEY': MEXC_API_KEY,
-          'Content-Type': 'application/json'
-        }
+      const result = await this.getClient().placeOrder({
+        symbol,
+        side: 'BUY',
+        type: 'MARKET',
+        quoteQty: quoteOrderQty
       });
 
-      const data = await response.json();
-
-      if (data.orderId) {
+      if (result.success) {
         this.log('success', `MEXC Market buy order placed: ${quoteOrderQty} USDT`, {
-          orderId: data.orderId,
+          orderId: result.orderId,
           quoteOrderQty: quoteOrderQty
         });
-        return data;
+        return result.data;
       } else {
-        this.log('error', `Failed to place MEXC market buy order`, data);
+        this.log('error', `Failed to place MEXC market buy order`, result.data || result.error);
         return null;
       }
     } catch (error) {
@@ -206,7 +171,7 @@ class MexcMMBotMonitor {
       this.log('info', `🔍 Checking ${activeBots.length} active MEXC MM bot(s)`);
 
       for (const bot of activeBots) {
-        await this.checkBot(bot);
+        await withBotLogContext(bot, 'mexc', () => this.checkBot(bot));
       }
     } catch (error) {
       this.log('error', 'Error checking MEXC MM bots', error.message);
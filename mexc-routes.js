@@ -1,19 +1,16 @@
-import crypto from 'crypto';
 import 'dotenv/config';
+import { createExchangeClient } from './exchange-clients.js';
+import { checkOrderRisk, recordOrderRisk } from './risk-engine.js';
+import { parseBotMode } from './paper-trading.js';
 
-const MEXC_BASE_URL = process.env.MEXC_BASE_URL || 'https://api.mexc.com';
 const MEXC_API_KEY = process.env.MEXC_API_KEY;
 const MEXC_API_SECRET = process.env.MEXC_API_SECRET;
 
-// Generate MEXC signature
-function generateMexcSignature(queryString) {
-  return crypto
-    .createHmac('sha256', MEXC_API_SECRET)
-    .update(queryString)
-    .digest('hex');
-}
+// Client bound to the server-owned MEXC account
+const mexcServerClient = createExchangeClient('mexc', { apiKey: MEXC_API_KEY, apiSecret: MEXC_API_SECRET });
 
-// Setup MEXC routes
+// Setup MEXC routes. Everything except public market data trades on the
+// server account, so the access guard limits it to owners.
 export function setupMexcRoutes(app) {
   
   // ============================================
@@ -23,8 +20,7 @@ export function setupMexcRoutes(app) {
   // GET /api/mexc/ping - Test MEXC connectivity
   app.get('/api/mexc/ping', async (req, res) => {
     try {
-      const response = await fetch(`${MEXC_BASE_URL}/api/v3/ping`);
-      const data = await response.json();
+      const data = await mexcServerClient.publicRequest('/api/v3/ping');
       res.json({ code: '0', msg: 'MEXC connection successful', data });
     } catch (error) {
       console.error('MEXC ping error:', error);
@@ -35,8 +31,7 @@ export function setupMexcRoutes(app) {
   // GET /api/mexc/time - Get MEXC server time
   app.get('/api/mexc/time', async (req, res) => {
     try {
-      const response = await fetch(`${MEXC_BASE_URL}/api/v3/time`);
-      const data = await response.json();
+      const data = await mexcServerClient.publicRequest('/api/v3/time');
       res.json({ code: '0', msg: 'Success', data });
     } catch (error) {
       console.error('MEXC time error:', error);
@@ -48,8 +43,7 @@ export function setupMexcRoutes(app) {
   app.get('/api/mexc/ticker', async (req, res) => {
     try {
       const symbol = req.query.symbol || 'GCBUSDT';
-      const response = await fetch(`${MEXC_BASE_URL}/api/v3/ticker/price?symbol=${symbol}`);
-      const data = await response.json();
+      const data = await mexcServerClient.publicRequest(`/api/v3/ticker/price?symbol=${symbol}`);
       
       if (data.price) {
         res.json({ code: '0', msg: 'Success', data });
@@ -66,8 +60,7 @@ export function setupMexcRoutes(app) {
   app.get('/api/mexc/ticker/24hr', async (req, res) => {
     try {
       const symbol = req.query.symbol || 'GCBUSDT';
-      const response = await fetch(`${MEXC_BASE_URL}/api/v3/ticker/24hr?symbol=${symbol}`);
-      const data = await response.json();
+      const data = await mexcServerClient.publicRequest(`/api/v3/ticker/24hr?symbol=${symbol}`);
       res.json({ code: '0', msg: 'Success', data });
     } catch (error) {
       console.error('MEXC 24hr ticker error:', error);
@@ -80,8 +73,7 @@ export function setupMexcRoutes(app) {
     try {
       const symbol = req.query.symbol || 'GCBUSDT';
       const limit = req.query.limit || 20;
-      const response = await fetch(`${MEXC_BASE_URL}/api/v3/depth?symbol=${symbol}&limit=${limit}`);
-      const data = await response.json();
+      const data = await mexcServerClient.publicRequest(`/api/v3/depth?symbol=${symbol}&limit=${limit}`);
       res.json({ code: '0', msg: 'Success', data });
     } catch (error) {
       console.error('MEXC depth error:', error);
@@ -94,8 +86,7 @@ export function setupMexcRoutes(app) {
     try {
       const symbol = req.query.symbol || 'GCBUSDT';
       const limit = req.query.limit || 50;
-      const response = await fetch(`${MEXC_BASE_URL}/api/v3/trades?symbol=${symbol}&limit=${limit}`);
-      const data = await response.json();
+      const data = await mexcServerClient.publicRequest(`/api/v3/trades?symbol=${symbol}&limit=${limit}`);
       res.json({ code: '0', msg: 'Success', data });
     } catch (error) {
       console.error('MEXC trades error:', error);
@@ -110,19 +101,7 @@ export function setupMexcRoutes(app) {
         return res.status(400).json({ code: '-1', msg: 'MEXC API credentials not configured', data: null });
       }
 
-      const timestamp = Date.now();
-      const queryString = `timestamp=${timestamp}`;
-      const signature = generateMexcSignature(queryString);
-
-      const response = await fetch(`${MEXC_BASE_URL}/api/v3/account?${queryString}&signature=${signature}`, {
-        method: 'GET',
-        headers: {
-          'X-MEXC-APIKEY': MEXC_API_KEY,
-          'Content-Type': 'application/json'
-        }
-      });
-
-      const data = await response.json();
+      const data = await mexcServerClient.request('GET', '/api/v3/account');
       
       if (data.balances) {
         // Filter to show only GCB and USDT balances
@@ -156,19 +135,9 @@ export function setupMexcRoutes(app) {
       }
 
       const symbol = req.query.symbol || 'GCBUSDT';
-      const timestamp = Date.now();
-      const queryString = `symbol=${symbol}&timestamp=${timestamp}`;
-      const signature = generateMexcSignature(queryString);
-
-      const response = await fetch(`${MEXC_BASE_URL}/api/v3/openOrders?${queryString}&signature=${signature}`, {
-        method: 'GET',
-        headers: {
-          'X-MEXC-APIKEY': MEXC_API_KEY,
-          'Content-Type': 'application/json'
-        }
-      });
+      const queryString = `symbol=${symbol}`;
 
-      const data = await response.json();
+      const data = await mexcServerClient.request('GET', '/api/v3/openOrders', queryString);
       res.json({ code: '0', msg: 'Success', data });
     } catch (error) {
       console.error('MEXC openOrders error:', error);
@@ -185,19 +154,9 @@ export function setupMexcRoutes(app) {
 
       const symbol = req.query.symbol || 'GCBUSDT';
       const limit = req.query.limit || 100;
-      const timestamp = Date.now();
-      const queryString = `symbol=${symbol}&limit=${limit}&timestamp=${timestamp}`;
-      const signature = generateMexcSignature(queryString);
-
-      const response = await fetch(`${MEXC_BASE_URL}/api/v3/allOrders?${queryString}&signature=${signature}`, {
-        method: 'GET',
-        headers: {
-          'X-MEXC-APIKEY': MEXC_API_KEY,
-          'Content-Type': 'application/json'
-        }
-      });
+      const queryString = `symbol=${symbol}&limit=${limit}`;
 
-      const data = await response.json();
+      const data = await mexcServerClient.request('GET', '/api/v3/allOrders', queryString);
       res.json({ code: '0', msg: 'Success', data });
     } catch (error) {
       console.error('MEXC allOrders error:', error);
@@ -218,8 +177,7 @@ export function setupMexcRoutes(app) {
         return res.status(400).json({ code: '-1', msg: 'Missing required parameters: symbol, side, type', data: null });
       }
 
-      const timestamp = Date.now();
-      let queryParams = `symbol=${symbol}&side=${side}&type=${type}&timestamp=${timestamp}`;
+      let queryParams = `symbol=${symbol}&side=${side}&type=${type}`;
 
       // For LIMIT orders, quantity and price are required
       if (type === 'LIMIT') {
@@ -240,22 +198,19 @@ export function setupMexcRoutes(app) {
         }
       }
 
-      const signature = generateMexcSignature(queryParams);
+      const riskOrder = { symbol, side, type, price, quantity, quoteQty: quantity ? undefined : quoteOrderQty };
+      const riskCheck = await checkOrderRisk(mexcServerClient, riskOrder, {});
+      if (!riskCheck.allowed) {
+        return res.status(400).json({ code: '-1', msg: `Risk check failed: ${riskCheck.reason}`, data: null });
+      }
 
       console.log(`📤 MEXC Order: ${side} ${type} ${symbol} - qty: ${quantity || quoteOrderQty}, price: ${price || 'MARKET'}`);
 
-      const response = await fetch(`${MEXC_BASE_URL}/api/v3/order?${queryParams}&signature=${signature}`, {
-        method: 'POST',
-        headers: {
-          'X-MEXC-APIKEY': MEXC_API_KEY,
-          'Content-Type': 'application/json'
-        }
-      });
-
-      const data = await response.json();
+      const data = await mexcServerClient.request('POST', '/api/v3/order', queryParams);
 
       if (data.orderId) {
         console.log(`✅ MEXC Order placed: ${data.orderId}`);
+        await recordOrderRisk(mexcServerClient, riskOrder, riskCheck);
         res.json({ code: '0', msg: 'Order placed successfully', data });
       } else {
         console.log(`❌ MEXC Order failed:`, data);
@@ -280,21 +235,11 @@ export function setupMexcRoutes(app) {
         return res.status(400).json({ code: '-1', msg: 'Missing required parameters: symbol, orderId', data: null });
       }
 
-      const timestamp = Date.now();
-      const queryString = `symbol=${symbol}&orderId=${orderId}&timestamp=${timestamp}`;
-      const signature = generateMexcSignature(queryString);
+      const queryString = `symbol=${symbol}&orderId=${orderId}`;
 
       console.log(`🚫 MEXC Cancel Order: ${orderId}`);
 
-      const response = await fetch(`${MEXC_BASE_URL}/api/v3/order?${queryString}&signature=${signature}`, {
-        method: 'DELETE',
-        headers: {
-          'X-MEXC-APIKEY': MEXC_API_KEY,
-          'Content-Type': 'application/json'
-        }
-      });
-
-      const data = await response.json();
+      const data = await mexcServerClient.request('DELETE', '/api/v3/order', queryString);
 
       if (data.orderId || data.status === 'CANCELED') {
         console.log(`✅ MEXC Order cancelled: ${orderId}`);
@@ -322,21 +267,11 @@ export function setupMexcRoutes(app) {
         return res.status(400).json({ code: '-1', msg: 'Missing required parameter: symbol', data: null });
       }
 
-      const timestamp = Date.now();
-      const queryString = `symbol=${symbol}&timestamp=${timestamp}`;
-      const signature = generateMexcSignature(queryString);
+      const queryString = `symbol=${symbol}`;
 
       console.log(`🚫 MEXC Cancel All Orders: ${symbol}`);
 
-      const response = await fetch(`${MEXC_BASE_URL}/api/v3/openOrders?${queryString}&signature=${signature}`, {
-        method: 'DELETE',
-        headers: {
-          'X-MEXC-APIKEY': MEXC_API_KEY,
-          'Content-Type': 'application/json'
-        }
-      });
-
-      const data = await response.json();
+      const data = await mexcServerClient.request('DELETE', '/api/v3/openOrders', queryString);
       console.log(`✅ MEXC All orders cancelled for ${symbol}`);
       res.json({ code: '0', msg: 'All orders cancelled', data });
     } catch (error) {
@@ -354,19 +289,9 @@ export function setupMexcRoutes(app) {
 
       const symbol = req.query.symbol || 'GCBUSDT';
       const limit = req.query.limit || 50;
-      const timestamp = Date.now();
-      const queryString = `symbol=${symbol}&limit=${limit}&timestamp=${timestamp}`;
-      const signature = generateMexcSignature(queryString);
-
-      const response = await fetch(`${MEXC_BASE_URL}/api/v3/myTrades?${queryString}&signature=${signature}`, {
-        method: 'GET',
-        headers: {
-          'X-MEXC-APIKEY': MEXC_API_KEY,
-          'Content-Type': 'application/json'
-        }
-      });
+      const queryString = `symbol=${symbol}&limit=${limit}`;
 
-      const data = await response.json();
+      const data = await mexcServerClient.request('GET', '/api/v3/myTrades', queryString);
       res.json({ code: '0', msg: 'Success', data });
     } catch (error) {
       console.error('MEXC myTrades error:', error);
@@ -378,8 +303,7 @@ export function setupMexcRoutes(app) {
   app.get('/api/mexc/exchangeInfo', async (req, res) => {
     try {
       const symbol = req.query.symbol || 'GCBUSDT';
-      const response = await fetch(`${MEXC_BASE_URL}/api/v3/exchangeInfo?symbol=${symbol}`);
-      const data = await response.json();
+      const data = await mexcServerClient.publicRequest(`/api/v3/exchangeInfo?symbol=${symbol}`);
       res.json({ code: '0', msg: 'Success', data });
     } catch (error) {
       console.error('MEXC exchangeInfo error:', error);
@@ -406,6 +330,11 @@ export function setupMexcMMBotRoutes(app, db, mexcMMBotMonitor) {
         return res.status(400).json({ code: '-1', msg: 'Bot name is required', data: null });
       }
 
+      const { fields: modeFields, error: modeError } = parseBotMode(req.body);
+      if (modeError) {
+        return res.status(400).json({ code: '-1', msg: modeError, data: null });
+      }
+
       const newBot = {
         name: name,
         symbol: symbol || 'GCBUSDT',
@@ -422,6 +351,7 @@ export function setupMexcMMBotRoutes(app, db, mexcMMBotMonitor) {
         lastPriceGap: null,
         lastCheckedAt: null,
         lastExecutedAt: null,
+        ...modeFields,
         createdAt: new Date(),
         updatedAt: new Date()
       };
@@ -1,15 +1,8 @@
-import crypto from 'crypto';
 import { verifyMexcToken, getMexcUserCredentials } from './mexc-user-routes.js';
-
-const MEXC_BASE_URL = process.env.MEXC_BASE_URL || 'https://api.mexc.com';
-
-// Generate MEXC signature for user
-function generateMexcSignature(queryString, apiSecret) {
-  return crypto
-    .createHmac('sha256', apiSecret)
-    .update(queryString)
-    .digest('hex');
-}
+import { createExchangeClient } from './exchange-clients.js';
+import { checkOrderRisk, recordOrderRisk } from './risk-engine.js';
+import { parseBotMode } from './paper-trading.js';
+import { scopeLogs } from './access-control.js';
 
 // Store reference to bot monitor for logs access
 let userBotMonitorRef = null;
@@ -34,19 +27,7 @@ export function setupMexcUserApiRoutes(app, db) {
         return res.status(401).json({ code: '-1', msg: 'User credentials not found', data: null });
       }
 
-      const timestamp = Date.now();
-      const queryString = `timestamp=${timestamp}`;
-      const signature = generateMexcSignature(queryString, credentials.apiSecret);
-
-      const response = await fetch(`${MEXC_BASE_URL}/api/v3/account?${queryString}&signature=${signature}`, {
-        method: 'GET',
-        headers: {
-          'X-MEXC-APIKEY': credentials.apiKey,
-          'Content-Type': 'application/json'
-        }
-      });
-
-      const data = await response.json();
+      const data = await createExchangeClient('mexc', credentials).request('GET', '/api/v3/account');
       
       if (data.balances) {
         const filteredBalances = data.balances.filter(
@@ -80,19 +61,9 @@ export function setupMexcUserApiRoutes(app, db) {
       }
 
       const symbol = req.query.symbol || 'GCBUSDT';
-      const timestamp = Date.now();
-      const queryString = `symbol=${symbol}&timestamp=${timestamp}`;
-      const signature = generateMexcSignature(queryString, credentials.apiSecret);
-
-      const response = await fetch(`${MEXC_BASE_URL}/api/v3/openOrders?${queryString}&signature=${signature}`, {
-        method: 'GET',
-        headers: {
-          'X-MEXC-APIKEY': credentials.apiKey,
-          'Content-Type': 'application/json'
-        }
-      });
+      const queryString = `symbol=${symbol}`;
 
-      const data = await response.json();
+      const data = await createExchangeClient('mexc', credentials).request('GET', '/api/v3/openOrders', queryString);
       res.json({ code: '0', msg: 'Success', data });
     } catch (error) {
       console.error('MEXC user openOrders error:', error);
@@ -110,19 +81,9 @@ export function setupMexcUserApiRoutes(app, db) {
 
       const symbol = req.query.symbol || 'GCBUSDT';
       const limit = req.query.limit || 100;
-      const timestamp = Date.now();
-      const queryString = `symbol=${symbol}&limit=${limit}&timestamp=${timestamp}`;
-      const signature = generateMexcSignature(queryString, credentials.apiSecret);
-
-      const response = await fetch(`${MEXC_BASE_URL}/api/v3/allOrders?${queryString}&signature=${signature}`, {
-        method: 'GET',
-        headers: {
-          'X-MEXC-APIKEY': credentials.apiKey,
-          'Content-Type': 'application/json'
-        }
-      });
+      const queryString = `symbol=${symbol}&limit=${limit}`;
 
-      const data = await response.json();
+      const data = await createExchangeClient('mexc', credentials).request('GET', '/api/v3/allOrders', queryString);
       res.json({ code: '0', msg: 'Success', data });
     } catch (error) {
       console.error('MEXC user allOrders error:', error);
@@ -144,8 +105,7 @@ export function setupMexcUserApiRoutes(app, db) {
         return res.status(400).json({ code: '-1', msg: 'Missing required parameters', data: null });
       }
 
-      const timestamp = Date.now();
-      let queryParams = `symbol=${symbol}&side=${side}&type=${type}&timestamp=${timestamp}`;
+      let queryParams = `symbol=${symbol}&side=${side}&type=${type}`;
 
       if (type === 'LIMIT') {
         if (!quantity || !price) {
@@ -164,22 +124,20 @@ export function setupMexcUserApiRoutes(app, db) {
         }
       }
 
-      const signature = generateMexcSignature(queryParams, credentials.apiSecret);
+      const client = createExchangeClient('mexc', credentials);
+      const riskOrder = { symbol, side, type, price, quantity, quoteQty: quantity ? undefined : quoteOrderQty };
+      const riskCheck = await checkOrderRisk(client, riskOrder, { userId: req.mexcUser.id });
+      if (!riskCheck.allowed) {
+        return res.status(400).json({ code: '-1', msg: `Risk check failed: ${riskCheck.reason}`, data: null });
+      }
 
       console.log(`📤 MEXC User Order: ${side} ${type} ${symbol} - User: ${req.mexcUser.id}`);
 
-      const response = await fetch(`${MEXC_BASE_URL}/api/v3/order?${queryParams}&signature=${signature}`, {
-        method: 'POST',
-        headers: {
-          'X-MEXC-APIKEY': credentials.apiKey,
-          'Content-Type': 'application/json'
-        }
-      });
-
-      const data = await response.json();
+      const data = await client.request('POST', '/api/v3/order', queryParams);
 
       if (data.orderId) {
         console.log(`✅ MEXC User Order placed: ${data.orderId}`);
+        await recordOrderRisk(client, riskOrder, riskCheck);
         res.json({ code: '0', msg: 'Order placed successfully', data });
       } else {
         console.log(`❌ MEXC User Order failed:`, data);
@@ -205,19 +163,9 @@ export function setupMexcUserApiRoutes(app, db) {
         return res.status(400).json({ code: '-1', msg: 'Missing required parameters', data: null });
       }
 
-      const timestamp = Date.now();
-      const queryString = `symbol=${symbol}&orderId=${orderId}&timestamp=${timestamp}`;
-      const signature = generateMexcSignature(queryString, credentials.apiSecret);
+      const queryString = `symbol=${symbol}&orderId=${orderId}`;
 
-      const response = await fetch(`${MEXC_BASE_URL}/api/v3/order?${queryString}&signature=${signature}`, {
-        method: 'DELETE',
-        headers: {
-          'X-MEXC-APIKEY': credentials.apiKey,
-          'Content-Type': 'application/json'
-        }
-      });
-
-      const data = await response.json();
+      const data = await createExchangeClient('mexc', credentials).request('DELETE', '/api/v3/order', queryString);
 
       if (data.orderId || data.status === 'CANCELED') {
         res.json({ code: '0', msg: 'Order cancelled successfully', data });
@@ -240,19 +188,9 @@ export function setupMexcUserApiRoutes(app, db) {
 
       const symbol = req.query.symbol || 'GCBUSDT';
       const limit = req.query.limit || 50;
-      const timestamp = Date.now();
-      const queryString = `symbol=${symbol}&limit=${limit}&timestamp=${timestamp}`;
-      const signature = generateMexcSignature(queryString, credentials.apiSecret);
-
-      const response = await fetch(`${MEXC_BASE_URL}/api/v3/myTrades?${queryString}&signature=${signature}`, {
-        method: 'GET',
-        headers: {
-          'X-MEXC-APIKEY': credentials.apiKey,
-          'Content-Type': 'application/json'
-        }
-      });
+      const queryString = `symbol=${symbol}&limit=${limit}`;
 
-      const data = await response.json();
+      const data = await createExchangeClient('mexc', credentials).request('GET', '/api/v3/myTrades', queryString);
       res.json({ code: '0', msg: 'Success', data });
     } catch (error) {
       console.error('MEXC user myTrades error:', error);
@@ -273,6 +211,11 @@ export function setupMexcUserApiRoutes(app, db) {
         return res.status(400).json({ code: '-1', msg: 'Bot name is required', data: null });
       }
 
+      const { fields: modeFields, error: modeError } = parseBotMode(req.body);
+      if (modeError) {
+        return res.status(400).json({ code: '-1', msg: modeError, data: null });
+      }
+
       const newBot = {
         userId: req.mexcUser.id,
         name: name,
@@ -290,6 +233,7 @@ export function setupMexcUserApiRoutes(app, db) {
         lastPriceGap: null,
         lastCheckedAt: null,
         lastExecutedAt: null,
+        ...modeFields,
         createdAt: new Date(),
         updatedAt: new Date()
       };
@@ -450,13 +394,13 @@ export function setupMexcUserApiRoutes(app, db) {
     }
   });
 
-  // GET /api/mexc-user/bot/monitor-logs - Get real-time monitor logs
+  // GET /api/mexc-user/bot/monitor-logs - Get real-time monitor logs for the caller's bots (owners: ?scope=all)
   app.get('/api/mexc-user/bot/monitor-logs', verifyMexcToken, async (req, res) => {
     try {
       const limit = parseInt(req.query.limit) || 50;
       
       if (userBotMonitorRef) {
-        const logs = userBotMonitorRef.getLogs(limit);
+        const logs = scopeLogs(req, userBotMonitorRef.getLogs(userBotMonitorRef.maxLogs), limit);
         res.json({ code: '0', msg: 'Success', data: logs });
       } else {
         res.json({ code: '0', msg: 'Success', data: [] });
@@ -1,7 +1,8 @@
-import crypto from 'crypto';
 import mexcTelegramService from './mexc-telegram-service.js';
-
-const MEXC_BASE_URL = process.env.MEXC_BASE_URL || 'https://api.mexc.com';
+import { createExchangeClient } from './exchange-clients.js';
+import { writeLog, withBotLogContext, getLogOwner } from './log-store.js';
+import { decryptSecret } from './credential-vault.js';
+import { getCachedBalances } from './balance-service.js';
 
 class MexcUserBotMonitor {
   constructor(db) {
@@ -19,7 +20,8 @@ class MexcUserBotMonitor {
       timestamp: new Date().toISOString(),
       type,
       message,
-      data
+      data,
+      ...getLogOwner()
     };
     this.logs.unshift(logEntry);
     if (this.logs.length > this.maxLogs) {
@@ -27,6 +29,7 @@ class MexcUserBotMonitor {
     }
     const emoji = type === 'success' ? '✅' : type === 'error' ? '❌' : type === 'warning' ? '⚠️' : type === 'trade' ? '💱' : 'ℹ️';
     console.log(`${emoji} [MexcUserBot] ${message}`, data ? JSON.stringify(data) : '');
+    writeLog('mexc-user', type, message, data, { exchange: 'mexc' });
   }
 
   async start() {
@@ -70,21 +73,16 @@ class MexcUserBotMonitor {
     return this.logs.slice(0, limit);
   }
 
-  generateMexcSignature(queryString, apiSecret) {
-    return crypto
-      .createHmac('sha256', apiSecret)
-      .update(queryString)
-      .digest('hex');
+  getClient(apiKey = null, apiSecret = null) {
+    return createExchangeClient('mexc', { apiKey, apiSecret });
   }
 
   async getMarketPrice(symbol = 'GCBUSDT') {
     try {
-      const response = await fetch(`${MEXC_BASE_URL}/api/v3/ticker/price?symbol=${symbol}`);
-      const data = await response.json();
-      if (data && data.price) {
-        const price = parseFloat(data.price);
-        this.marketData[symbol] = { price, updatedAt: new Date().toISOString() };
-        return price;
+      const ticker = await this.getClient().getTicker(symbol);
+      if (ticker) {
+        this.marketData[symbol] = { price: ticker.price, updatedAt: new Date().toISOString() };
+        return ticker.price;
       }
       return null;
     } catch (error) {
@@ -95,12 +93,10 @@ class MexcUserBotMonitor {
 
   async getBestAskPrice(symbol = 'GCBUSDT') {
     try {
-      const response = await fetch(`${MEXC_BASE_URL}/api/v3/depth?symbol=${symbol}&limit=5`);
-      const data = await response.json();
-      
-      if (data && data.asks && data.asks.length > 0) {
-        const bestAskPrice = parseFloat(data.asks[0][0]);
-        return bestAskPrice;
+      const depth = await this.getClient().getDepth(symbol, 5);
+      if (depth && depth.asks.length > 0) {
+        // asks[0][0] is the best (lowest) ask price
+        return depth.asks[0][0];
       }
       return null;
     } catch (error) {
@@ -122,7 +118,7 @@ class MexcUserBotMonitor {
 
       return {
         apiKey: user.apiKey,
-        apiSecret: user.apiSecret
+        apiSecret: decryptSecret(user.apiSecret)
       };
     } catch (error) {
       this.log('error', `Error getting user credentials: ${error.message}`);
@@ -132,31 +128,7 @@ class MexcUserBotMonitor {
 
   async getAccountBalance(apiKey, apiSecret) {
     try {
-      const timestamp = Date.now();
-      const queryString = `timestamp=${timestamp}`;
-      const signature = this.generateMexcSignature(queryString, apiSecret);
-
-      const response = await fetch(`${MEXC_BASE_URL}/api/v3/account?${queryString}&signature=${signature}`, {
-        method: 'GET',
-        headers: {
-          'X-MEXC-APIKEY': apiKey,
-          'Content-Type': 'application/json'
-        }
-      });
-
-      const data = await response.json();
-      
-      if (data.balances) {
-        const balanceMap = {};
-        data.balances.forEach(balance => {
-          balanceMap[balance.asset] = {
-            free: balance.free,
-            locked: balance.locked
-          };
-        });
-        return balanceMap;
-      }
-      return null;
+      return await getCachedBalances(this.getClient(apiKey, apiSecret));
     } catch (error) {
       this.log('error', `Failed to fetch account balance: ${error.message}`);
       return null;
@@ -165,30 +137,23 @@ class MexcUserBotMonitor {
 
   async placeMarketBuyOrder(apiKey, apiSecret, symbol, quoteOrderQty) {
     try {
-      const timestamp = Date.now();
-      const queryParams = `symbol=${symbol}&side=BUY&type=MARKET&quoteOrderQty=${quoteOrderQty}&timestamp=${timestamp}`;
-      const signature = this.generateMexcSignature(queryParams, apiSecret);
-
       this.log('info', `📤 MEXC Order: BUY MARKET ${symbol} - quoteOrderQty: ${quoteOrderQty} USDT`);
 
-      const response = await fetch(`${MEXC_BASE_URL}/api/v3/order?${queryParams}&signature=${signature}`, {
-        method: 'POST',
-        headers: {
-          'X-MEXC-APIKEY': apiKey,
-          'Content-Type': 'application/json'
-        }
+      const result = await this.getClient(apiKey, apiSecret).placeOrder({
+        symbol,
+        side: 'BUY',
+        type: 'MARKET',
+        quoteQty: quoteOrderQty
       });
 
-      const data = await response.json();
-
-      if (data.orderId) {
+      if (result.success) {
         this.log('success', `MEXC Market buy order placed: ${quoteOrderQty} USDT`, {
-          orderId: data.orderId,
+          orderId: result.orderId,
           quoteOrderQty: quoteOrderQty
         });
-        return data;
+        return result.data;
       } else {
-        this.log('error', `Failed to place MEXC market buy order`, data);
+        this.log('error', `Failed to place MEXC market buy order`, result.data || result.error);
         return null;
       }
     } catch (error) {
@@ -214,7 +179,7 @@ class MexcUserBotMonitor {
       this.log('info', `🔍 Checking ${activeBots.length} active user bot(s)`);
 
       for (const bot of activeBots) {
-        await this.checkBot(bot);
+        await withBotLogContext(bot, 'mexc', () => this.checkBot(bot));
       }
     } catch (error) {
       this.log('error', 'Error checking user bots', error.message);
@@ -1,34 +1,12 @@
-import crypto from 'crypto';
-import jwt from 'jsonwebtoken';
-import 'dotenv/config';
-
-const MEXC_BASE_URL = process.env.MEXC_BASE_URL || 'https://api.mexc.com';
-const JWT_SECRET = process.env.JWT_SECRET || 'mexc-bot-secret-key-change-in-production';
-
-// Generate MEXC signature for a given query string and secret
-function generateMexcSignature(queryString, apiSecret) {
-  return crypto
-    .createHmac('sha256', apiSecret)
-    .update(queryString)
-    .digest('hex');
-}
+import { createExchangeClient } from './exchange-clients.js';
+import { encryptSecret, openCredentials } from './credential-vault.js';
+import { ensureAccount, getSessionAccount, resolveSession } from './identity.js';
+import { createSession, revokeSession, verifyAccessToken } from './sessions.js';
 
 // Validate MEXC credentials by making a test API call
 async function validateMexcCredentials(apiKey, apiSecret) {
   try {
-    const timestamp = Date.now();
-    const queryString = `timestamp=${timestamp}`;
-    const signature = generateMexcSignature(queryString, apiSecret);
-
-    const response = await fetch(`${MEXC_BASE_URL}/api/v3/account?${queryString}&signature=${signature}`, {
-      method: 'GET',
-      headers: {
-        'X-MEXC-APIKEY': apiKey,
-        'Content-Type': 'application/json'
-      }
-    });
-
-    const data = await response.json();
+    const data = await createExchangeClient('mexc', { apiKey, apiSecret }).request('GET', '/api/v3/account');
     
     if (data.balances) {
       return { valid: true, data };
@@ -39,8 +17,8 @@ async function validateMexcCredentials(apiKey, apiSecret) {
   }
 }
 
-// Middleware to verify MEXC user token
-export function verifyMexcToken(req, res, next) {
+// Middleware to verify MEXC user token (a live account session with a linked MEXC login)
+export async function verifyMexcToken(req, res, next) {
   const authHeader = req.headers.authorization;
   
   if (!authHeader || !authHeader.startsWith('Bearer ')) {
@@ -48,14 +26,23 @@ export function verifyMexcToken(req, res, next) {
   }
 
   const token = authHeader.split(' ')[1];
-  
+  let decoded;
   try {
-    const decoded = jwt.verify(token, JWT_SECRET);
-    req.mexcUser = decoded;
-    next();
+    decoded = await verifyAccessToken(token);
   } catch (error) {
+    console.error('Error verifying MEXC session:', error.message);
+    return res.status(500).json({ code: '-1', msg: 'Authentication failed', data: null });
+  }
+
+  if (!decoded) {
     return res.status(401).json({ code: '-1', msg: 'Invalid or expired token', data: null });
   }
+  if (!decoded.id) {
+    return res.status(403).json({ code: '-1', msg: 'No MEXC login linked to this account', data: null });
+  }
+
+  req.mexcUser = decoded;
+  next();
 }
 
 // Setup MEXC User routes
@@ -102,7 +89,7 @@ export function setupMexcUserRoutes(app, db) {
           { apiKey },
           { 
             $set: { 
-              apiSecret,
+              apiSecret: encryptSecret(apiSecret),
               lastLoginAt: new Date(),
               updatedAt: new Date()
             } 
@@ -113,7 +100,7 @@ export function setupMexcUserRoutes(app, db) {
         // Create new user
         const newUser = {
           apiKey,
-          apiSecret,
+          apiSecret: encryptSecret(apiSecret),
           createdAt: new Date(),
           updatedAt: new Date(),
           lastLoginAt: new Date(),
@@ -123,23 +110,35 @@ export function setupMexcUserRoutes(app, db) {
         user = { ...newUser, _id: result.insertedId };
       }
 
-      // Generate JWT token
-      const token = jwt.sign(
-        { 
-          id: user._id.toString(),
-          apiKey: user.apiKey 
-        },
-        JWT_SECRET,
-        { expiresIn: '7d' }
-      );
+      // Link to the caller's account when already signed in elsewhere, else find/create one
+      const authHeader = req.headers.authorization;
+      const currentSession = authHeader && authHeader.startsWith('Bearer ')
+        ? await resolveSession(db, authHeader.split(' ')[1])
+        : null;
+
+      let account;
+      try {
+        account = await ensureAccount(db, 'mexc', user._id.toString(), await getSessionAccount(db, currentSession));
+      } catch (error) {
+        if (error.message.startsWith('Cannot link')) {
+          return res.status(409).json({ code: '-1', msg: error.message, data: null });
+        }
+        throw error;
+      }
 
-      console.log(`🎫 JWT token generated for user: ${user._id}`);
+      // Short-lived access token plus rotating refresh token
+      const session = await createSession(account, 'mexc', req);
+
+      console.log(`🎫 Session ${session.sessionId} started for MEXC user ${user._id} (account ${account._id})`);
 
       res.json({
         code: '0',
         msg: 'Login successful',
         data: {
-          token,
+          token: session.accessToken,
+          refreshToken: session.refreshToken,
+          expiresIn: session.expiresIn,
+          accountId: account._id.toString(),
           user: {
             id: user._id.toString(),
             apiKey: user.apiKey.substring(0, 8) + '...',
@@ -174,7 +173,8 @@ export function setupMexcUserRoutes(app, db) {
           apiKey: user.apiKey.substring(0, 8) + '...',
           createdAt: user.createdAt,
           lastLoginAt: user.lastLoginAt,
-          isActive: user.isActive
+          isActive: user.isActive,
+          role: req.authUser.role
         }
       });
     } catch (error) {
@@ -183,12 +183,16 @@ export function setupMexcUserRoutes(app, db) {
     }
   });
 
-  // POST /api/mexc-user/logout - Logout (client-side token removal)
+  // POST /api/mexc-user/logout - Logout (revokes this session's access and refresh tokens)
   app.post('/api/mexc-user/logout', verifyMexcToken, async (req, res) => {
-    // JWT is stateless, so logout is handled client-side
-    // But we can log the event
-    console.log(`🚪 User logged out: ${req.mexcUser.id}`);
-    res.json({ code: '0', msg: 'Logged out successfully', data: null });
+    try {
+      await revokeSession(req.mexcUser.sid);
+      console.log(`🚪 User logged out: ${req.mexcUser.id}`);
+      res.json({ code: '0', msg: 'Logged out successfully', data: null });
+    } catch (error) {
+      console.error('Logout error:', error);
+      res.status(500).json({ code: '-1', msg: 'Logout failed', data: null });
+    }
   });
 
   // GET /api/mexc-user/validate - Validate current token
@@ -215,10 +219,7 @@ export async function getMexcUserCredentials(db, userId) {
       return null;
     }
 
-    return {
-      apiKey: user.apiKey,
-      apiSecret: user.apiSecret
-    };
+    return openCredentials(user);
   } catch (error) {
     console.error('Error getting user credentials:', error);
     return null;
@@ -0,0 +1,131 @@
+import 'dotenv/config';
+import { readFile } from 'node:fs/promises';
+import { MongoClient, ObjectId } from 'mongodb';
+import { ACCOUNTS, ensureAccount, initIdentity, uidVariants } from './identity.js';
+
+// Creates a unified account (see identity.js) for every existing GCBEX and
+// MEXC user, links XT credentials through their MEXC user, and merges the
+// GCBEX and MEXC logins that belong to the same person. The records share no
+// common key, so pairs to merge are given explicitly. Safe to run again.
+//
+//   node migrate-accounts.js                          create missing accounts
+//   node migrate-accounts.js --link <gcbexUid>:<mexcUserId> [--link ...]
+//   node migrate-accounts.js --map pairs.json         [{ "gcbexUid": ..., "mexcUserId": ... }]
+//   node migrate-accounts.js --dry-run                only report what would change
+
+const MONGODB_URI = process.env.MONGODB_URI;
+const DB_NAME = 'mmbot';
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+
+function argValues(name) {
+  return args.flatMap((arg, index) => (arg === name && args[index + 1] ? [args[index + 1]] : []));
+}
+
+async function loadPairs() {
+  const pairs = argValues('--link').map(pair => {
+    const [gcbexUid, mexcUserId] = pair.split(':');
+    if (!gcbexUid || !mexcUserId) {
+      throw new Error(`Invalid --link ${pair} (use <gcbexUid>:<mexcUserId>)`);
+    }
+    return { gcbexUid, mexcUserId };
+  });
+
+  for (const file of argValues('--map')) {
+    const entries = JSON.parse(await readFile(file, 'utf8'));
+    if (!Array.isArray(entries)) {
+      throw new Error(`${file} must contain an array of { gcbexUid, mexcUserId }`);
+    }
+    pairs.push(...entries.map(({ gcbexUid, mexcUserId }) => ({ gcbexUid: String(gcbexUid), mexcUserId: String(mexcUserId) })));
+  }
+
+  return pairs;
+}
+
+async function migrateAccounts() {
+  let client;
+
+  try {
+    if (!MONGODB_URI) {
+      throw new Error('MONGODB_URI environment variable is not set');
+    }
+    const pairs = await loadPairs();
+
+    console.log('🔌 Connecting to MongoDB...');
+    client = new MongoClient(MONGODB_URI);
+    await client.connect();
+    console.log('✅ Connected to MongoDB\n');
+
+    const db = client.db(DB_NAME);
+    if (!dryRun) {
+      await initIdentity(db);
+    }
+    console.log(`👥 Migrating users to accounts${dryRun ? ' (dry run)' : ''}\n`);
+
+    // 1. Pairs first, so each person ends up with one account rather than two merged ones
+    let linked = 0;
+    let failed = 0;
+    for (const { gcbexUid, mexcUserId } of pairs) {
+      const gcbexUser = await db.collection('users').findOne({ uid: { $in: uidVariants(gcbexUid) } }, { projection: { uid: 1 } });
+      const mexcUser = ObjectId.isValid(mexcUserId)
+        ? await db.collection('mexc_users').findOne({ _id: new ObjectId(mexcUserId) }, { projection: { _id: 1 } })
+        : null;
+      if (!gcbexUser || !mexcUser) {
+        failed++;
+        console.error(`❌ ${gcbexUid}:${mexcUserId}: ${!gcbexUser ? 'GCBEX user' : 'MEXC user'} not found`);
+        continue;
+      }
+
+      if (!dryRun) {
+        try {
+          const account = await ensureAccount(db, 'mexc', mexcUserId);
+          await ensureAccount(db, 'gcbex', gcbexUser.uid, account);
+        } catch (error) {
+          failed++;
+          console.error(`❌ ${gcbexUid}:${mexcUserId}: ${error.message}`);
+          continue;
+        }
+      }
+      linked++;
+    }
+    if (pairs.length > 0) {
+      console.log(`🔗 Linked pairs: ${linked}${failed ? `, failed: ${failed}` : ''}`);
+    }
+
+    // 2. Every remaining MEXC and GCBEX user gets an account of its own
+    const mexcUsers = await db.collection('mexc_users').find({ accountId: { $exists: false } }, { projection: { _id: 1 } }).toArray();
+    const gcbexUsers = await db.collection('users').find({ accountId: { $exists: false } }, { projection: { uid: 1 } }).toArray();
+
+    if (!dryRun) {
+      for (const user of mexcUsers) {
+        await ensureAccount(db, 'mexc', user._id.toString());
+      }
+      for (const user of gcbexUsers) {
+        await ensureAccount(db, 'gcbex', user.uid);
+      }
+    }
+    console.log(`🆕 MEXC users without an account: ${mexcUsers.length}`);
+    console.log(`🆕 GCBEX users without an account: ${gcbexUsers.length}`);
+
+    // XT credentials hang off their MEXC user; anything left unstamped has no MEXC user
+    const orphanedXt = await db.collection('xt_users').countDocuments({ accountId: null });
+    if (orphanedXt > 0) {
+      console.warn(`⚠️ XT credential records without a MEXC user account: ${orphanedXt}`);
+    }
+
+    const totalAccounts = await db.collection(ACCOUNTS).countDocuments();
+    console.log(`\n📊 Accounts: ${totalAccounts}${dryRun ? ' (dry run - nothing written)' : ''}`);
+    process.exitCode = failed > 0 ? 1 : 0;
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exitCode = 1;
+  } finally {
+    if (client) {
+      await client.close();
+      console.log('🔌 Disconnected from MongoDB');
+    }
+  }
+}
+
+// Run the script
+migrateAccounts();
@@ -0,0 +1,81 @@
+import { verifyBotUser } from './bot-routes.js';
+import { getPaperFills, listPaperAccounts, resetPaperAccounts } from './paper-trading.js';
+
+// Summarize a stored paper account for API responses
+function toAccountView(account) {
+  return {
+    botId: account.botId,
+    exchange: account.exchange,
+    balances: Object.fromEntries(Object.entries(account.balances || {}).map(([asset, { free, locked }]) => [
+      asset,
+      { free, locked, total: free + locked }
+    ])),
+    markets: Object.entries(account.markets || {}).map(([symbol, market]) => ({
+      symbol,
+      lastPrice: market.lastPrice ?? null,
+      openOrders: market.orders || []
+    })),
+    createdAt: account.createdAt,
+    updatedAt: account.updatedAt
+  };
+}
+
+// Setup paper trading routes
+export function setupPaperRoutes(app, db) {
+  const requireUser = verifyBotUser(db);
+
+  // ============================================
+  // Paper Trading Endpoints
+  // ============================================
+
+  // GET /api/paper/accounts - Paper accounts of the current user's bots (?botId= to filter)
+  app.get('/api/paper/accounts', requireUser, async (req, res) => {
+    try {
+      const filter = { userId: req.botUser.id };
+      if (req.query.botId) filter.botId = req.query.botId;
+
+      const accounts = await listPaperAccounts(filter);
+      res.json({ code: '0', msg: 'Success', data: accounts.map(toAccountView) });
+    } catch (error) {
+      console.error('Error fetching paper accounts:', error);
+      res.status(500).json({ code: '-1', msg: 'Failed to fetch paper accounts', data: null });
+    }
+  });
+
+  // GET /api/paper/accounts/:botId/fills - Recent simulated fills (?limit=, max 500)
+  app.get('/api/paper/accounts/:botId/fills', requireUser, async (req, res) => {
+    try {
+      const [account] = await listPaperAccounts({ botId: req.params.botId, userId: req.botUser.id });
+      if (!account) {
+        return res.status(404).json({ code: '-1', msg: 'Paper account not found', data: null });
+      }
+
+      const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+      const fills = await getPaperFills(req.params.botId, limit);
+      res.json({ code: '0', msg: 'Success', data: fills });
+    } catch (error) {
+      console.error('Error fetching paper fills:', error);
+      res.status(500).json({ code: '-1', msg: 'Failed to fetch paper fills', data: null });
+    }
+  });
+
+  // POST /api/paper/accounts/:botId/reset - Drop balances, orders and fills; next tick starts fresh
+  app.post('/api/paper/accounts/:botId/reset', requireUser, async (req, res) => {
+    try {
+      const [account] = await listPaperAccounts({ botId: req.params.botId, userId: req.botUser.id });
+      if (!account) {
+        return res.status(404).json({ code: '-1', msg: 'Paper account not found', data: null });
+      }
+
+      const deleted = await resetPaperAccounts(req.params.botId);
+      res.json({ code: '0', msg: 'Paper account reset', data: { botId: req.params.botId, accountsDeleted: deleted } });
+    } catch (error) {
+      console.error('Error resetting paper account:', error);
+      res.status(500).json({ code: '-1', msg: 'Failed to reset paper account', data: null });
+    }
+  });
+
+  console.log('✅ Paper trading routes initialized');
+}
+
+export default setupPaperRoutes;
@@ -0,0 +1,479 @@
+import { SimulatedExchange } from './simulated-exchange.js';
+import { splitSymbol } from './exchange-clients.js';
+
+/**
+ * Paper Trading
+ *
+ * Bots created with `mode: 'paper'` trade against an in-process simulated
+ * exchange instead of GCBEX/MEXC/XT. createExchangeClient() hands out a
+ * PaperClient whenever it runs inside a paper bot's context
+ * (withBotLogContext), so monitors need no changes:
+ *   - market data (ticker, depth, trades) comes from the live venue, or from
+ *     the latest recorded snapshot when PAPER_MARKET_DATA=recorded (offline)
+ *   - orders, cancels, open orders and balances hit a SimulatedExchange
+ *   - depth includes the bot's own resting paper orders
+ *
+ * Each bot has one virtual account per exchange (`paper_accounts`), seeded
+ * from bot.paperBalances or PAPER_DEFAULT_BALANCES ("USDT:10000,GCB:0").
+ * Fills are stored in `paper_fills`, which also answer getOrder/getMyTrades
+ * for orders that left the book. Paper orders skip the risk engine.
+ */
+
+const ACCOUNTS_COLLECTION = 'paper_accounts';
+const FILLS_COLLECTION = 'paper_fills';
+const SNAPSHOTS_COLLECTION = 'market_snapshots';
+const MARKET_REFRESH_MS = 2000;
+const MARKET_DEPTH_LIMIT = 50;
+
+export const BOT_MODES = ['live', 'paper'];
+
+let paperDb = null;
+const accounts = new Map();
+const marketCache = new Map();
+
+export async function initPaperTrading(db) {
+  paperDb = db;
+  await db.collection(ACCOUNTS_COLLECTION).createIndex({ botId: 1 });
+  await db.collection(ACCOUNTS_COLLECTION).createIndex({ userId: 1 });
+  await db.collection(FILLS_COLLECTION).createIndex({ botId: 1, timestamp: -1 });
+  console.log(`✅ Paper trading initialized (market data: ${getMarketDataSource()})`);
+}
+
+function getMarketDataSource() {
+  return process.env.PAPER_MARKET_DATA === 'recorded' ? 'recorded' : 'live';
+}
+
+function parseBalances(value) {
+  const balances = {};
+  for (const entry of (value || '').split(',')) {
+    const [asset, amount] = entry.split(':').map(part => part && part.trim());
+    if (asset && parseFloat(amount) >= 0) {
+      balances[asset.toUpperCase()] = parseFloat(amount);
+    }
+  }
+  return balances;
+}
+
+function defaultBalances() {
+  return parseBalances(process.env.PAPER_DEFAULT_BALANCES || 'USDT:10000');
+}
+
+/**
+ * Validate the mode fields of a bot create request.
+ * @returns {{ fields: { mode, paperBalances? } } | { error }}
+ */
+export function parseBotMode(body = {}) {
+  const mode = body.mode ?? 'live';
+  if (!BOT_MODES.includes(mode)) {
+    return { error: `Invalid mode: ${mode} (use ${BOT_MODES.join(' or ')})` };
+  }
+  if (mode !== 'paper' || body.paperBalances === undefined) {
+    return { fields: { mode } };
+  }
+
+  const paperBalances = {};
+  if (!body.paperBalances || typeof body.paperBalances !== 'object') {
+    return { error: 'paperBalances must be an object like { "USDT": 1000, "GCB": 0 }' };
+  }
+  for (const [asset, amount] of Object.entries(body.paperBalances)) {
+    const value = parseFloat(amount);
+    if (!Number.isFinite(value) || value < 0) {
+      return { error: `Invalid paper balance for ${asset}` };
+    }
+    paperBalances[asset.toUpperCase()] = value;
+  }
+  return { fields: { mode, paperBalances } };
+}
+
+function marketKey(symbol) {
+  return splitSymbol(symbol).join('');
+}
+
+// ============================================
+// Market data for the simulator
+// ============================================
+
+async function fetchLiveMarket(liveClient, symbol) {
+  const [ticker, depth, trades] = await Promise.all([
+    liveClient.getTicker(symbol),
+    liveClient.getDepth(symbol, MARKET_DEPTH_LIMIT),
+    liveClient.getRecentTrades(symbol).catch(() => null)
+  ]);
+  if (!ticker && !depth) return null;
+  return {
+    timestamp: new Date(),
+    ticker,
+    depth: depth || { bids: [], asks: [] },
+    trades: trades || []
+  };
+}
+
+async function fetchRecordedMarket(exchange, symbol) {
+  const snapshot = await paperDb.collection(SNAPSHOTS_COLLECTION)
+    .find({ exchange, symbol: marketKey(symbol) })
+    .sort({ timestamp: -1 })
+    .limit(1)
+    .next();
+  if (!snapshot) return null;
+  return {
+    timestamp: snapshot.timestamp,
+    ticker: {
+      symbol,
+      price: snapshot.ticker?.price,
+      bid: snapshot.ticker?.bid || 0,
+      ask: snapshot.ticker?.ask || 0,
+      high24h: 0,
+      low24h: 0,
+      volume24h: 0,
+      change24h: 0,
+      raw: null
+    },
+    depth: snapshot.depth || { bids: [], asks: [] },
+    trades: snapshot.trades || []
+  };
+}
+
+// Shared by every paper bot on the same market; refreshed at most every MARKET_REFRESH_MS
+async function getMarket(liveClient, symbol) {
+  const key = `${liveClient.exchange}:${marketKey(symbol)}`;
+  const cached = marketCache.get(key);
+  if (cached && Date.now() - cached.fetchedAt < MARKET_REFRESH_MS) {
+    return cached.market;
+  }
+
+  const market = getMarketDataSource() === 'recorded'
+    ? await fetchRecordedMarket(liveClient.exchange, symbol)
+    : await fetchLiveMarket(liveClient, symbol);
+  if (market) {
+    marketCache.set(key, { market, fetchedAt: Date.now() });
+  }
+  return market || cached?.market || null;
+}
+
+// ============================================
+// Virtual accounts
+// ============================================
+
+async function loadAccount(key, context, exchange) {
+  const saved = await paperDb.collection(ACCOUNTS_COLLECTION).findOne({ _id: key });
+  const account = {
+    key,
+    botId: context.botId,
+    userId: context.userId ?? null,
+    exchange,
+    balances: {},
+    markets: new Map(),
+    createdAt: saved?.createdAt || new Date()
+  };
+
+  if (saved) {
+    account.balances = saved.balances || {};
+    for (const [symbol, state] of Object.entries(saved.markets || {})) {
+      const simulator = SimulatedExchange.fromState(state);
+      simulator.balances = account.balances;
+      simulator.lastTradeAt = state.lastTradeAt || 0;
+      account.markets.set(symbol, simulator);
+    }
+  } else {
+    const initial = context.paperBalances || defaultBalances();
+    for (const [asset, amount] of Object.entries(initial)) {
+      account.balances[asset.toUpperCase()] = { free: parseFloat(amount) || 0, locked: 0 };
+    }
+    console.log(`📝 [Paper] New paper account for bot ${context.botId} on ${exchange}`, JSON.stringify(initial));
+  }
+  return account;
+}
+
+function getAccount(context, exchange) {
+  const key = `${context.botId}:${exchange}`;
+  if (!accounts.has(key)) {
+    const loading = loadAccount(key, context, exchange).catch(error => {
+      accounts.delete(key);
+      throw error;
+    });
+    accounts.set(key, loading);
+  }
+  return accounts.get(key);
+}
+
+// Persist balances, resting orders and any new fills
+async function saveAccount(account) {
+  const markets = {};
+  for (const [symbol, simulator] of account.markets) {
+    const { balances, ...state } = simulator.toState();
+    markets[symbol] = { ...state, lastTradeAt: simulator.lastTradeAt || 0 };
+
+    if (simulator.fills.length > 0) {
+      const fills = simulator.fills.map(fill => ({
+        ...fill,
+        botId: account.botId,
+        userId: account.userId,
+        exchange: account.exchange,
+        symbol
+      }));
+      simulator.fills = [];
+      await paperDb.collection(FILLS_COLLECTION).insertMany(fills);
+    }
+  }
+
+  await paperDb.collection(ACCOUNTS_COLLECTION).updateOne(
+    { _id: account.key },
+    {
+      $set: {
+        botId: account.botId,
+        userId: account.userId,
+        exchange: account.exchange,
+        balances: account.balances,
+        markets,
+        updatedAt: new Date()
+      },
+      $setOnInsert: { createdAt: account.createdAt }
+    },
+    { upsert: true }
+  );
+}
+
+// ============================================
+// Paper client
+// ============================================
+
+// Simulator fill -> the getMyTrades shape (fees are kept in quote terms)
+function toPaperTrade(fill) {
+  return {
+    id: fill._id.toString(),
+    orderId: fill.orderId,
+    price: fill.price,
+    qty: fill.quantity,
+    fee: fill.fee,
+    feeAsset: null,
+    side: fill.side,
+    timestamp: new Date(fill.timestamp).getTime()
+  };
+}
+
+class PaperClient {
+  constructor(liveClient, context) {
+    this.live = liveClient;
+    this.exchange = liveClient.exchange;
+    this.context = context;
+    this.paper = true;
+  }
+
+  formatSymbol(symbol) {
+    return this.live.formatSymbol(symbol);
+  }
+
+  formatTradingSymbol(symbol) {
+    return this.live.formatTradingSymbol ? this.live.formatTradingSymbol(symbol) : this.live.formatSymbol(symbol);
+  }
+
+  async publicRequest(path, query = '') {
+    return this.live.publicRequest(path, query);
+  }
+
+  async request() {
+    throw new Error('Signed exchange requests are not available in paper mode');
+  }
+
+  async getServerTime() {
+    return this.live.getServerTime();
+  }
+
+  async getSymbolInfo(symbol) {
+    return this.live.getSymbolInfo(symbol);
+  }
+
+  async getRecentTrades(symbol, limit) {
+    return this.live.getRecentTrades(symbol, limit);
+  }
+
+  // Bring the bot's simulator for this market up to the latest market data
+  async sync(symbol) {
+    if (!paperDb) {
+      throw new Error('Paper trading not initialized');
+    }
+
+    const account = await getAccount(this.context, this.exchange);
+    const key = marketKey(symbol);
+    let simulator = account.markets.get(key);
+    if (!simulator) {
+      simulator = new SimulatedExchange({ symbol: key, orderIdPrefix: 'paper-' });
+      simulator.balances = account.balances;
+      simulator.lastTradeAt = 0;
+      account.markets.set(key, simulator);
+    }
+
+    const market = await getMarket(this.live, symbol);
+    if (market && (!simulator.time || new Date(market.timestamp) > simulator.time)) {
+      // Only trades not seen by an earlier sync can fill resting orders
+      const trades = market.trades.filter(trade => trade.timestamp > simulator.lastTradeAt);
+      simulator.applySnapshot({ ...market, trades });
+      if (trades.length > 0) {
+        simulator.lastTradeAt = Math.max(...trades.map(trade => trade.timestamp));
+      }
+    }
+    return { account, simulator };
+  }
+
+  async getTicker(symbol) {
+    const market = await getMarket(this.live, symbol);
+    return market?.ticker || null;
+  }
+
+  async getDepth(symbol, limit = 20) {
+    const { account, simulator } = await this.sync(symbol);
+    await saveAccount(account);
+    return simulator.getVisibleDepth(limit);
+  }
+
+  async getBalances() {
+    const account = await getAccount(this.context, this.exchange);
+    const balances = {};
+    for (const [asset, { free, locked }] of Object.entries(account.balances)) {
+      balances[asset] = { free, locked, total: free + locked };
+    }
+    return balances;
+  }
+
+  async placeOrder(order) {
+    const { account, simulator } = await this.sync(order.symbol);
+    const result = simulator.placeOrder(order);
+    await saveAccount(account);
+    if (result.success) {
+      console.log(`📝 [Paper] ${this.exchange} ${order.side} ${order.type || 'LIMIT'} ${order.symbol} ${order.quantity ?? order.quoteQty} @ ${order.price ?? 'market'} -> ${result.orderId}`);
+    }
+    return { ...result, paper: true };
+  }
+
+  async placeBatchOrders(orders) {
+    const results = [];
+    for (const order of orders) {
+      results.push(await this.placeOrder(order));
+    }
+    const failed = results.filter(r => !r.success).length;
+    if (failed === orders.length) {
+      return { success: false, error: 'All paper orders failed', result: results, rejected: [] };
+    }
+    return { success: true, result: results, rejected: [] };
+  }
+
+  async cancelOrder(symbol, orderId) {
+    const { account, simulator } = await this.sync(symbol);
+    const result = simulator.cancelOrder(orderId);
+    await saveAccount(account);
+    return result;
+  }
+
+  async cancelBatchOrders(orderIds) {
+    const account = await getAccount(this.context, this.exchange);
+    let cancelled = 0;
+    for (const orderId of orderIds || []) {
+      for (const simulator of account.markets.values()) {
+        if (simulator.cancelOrder(orderId).success) {
+          cancelled++;
+          break;
+        }
+      }
+    }
+    await saveAccount(account);
+    return { success: true, cancelled };
+  }
+
+  async getOpenOrders(symbol) {
+    const { account, simulator } = await this.sync(symbol);
+    await saveAccount(account);
+    const formatted = this.formatSymbol(symbol);
+    return simulator.getOpenOrders().map(order => ({ ...order, symbol: formatted }));
+  }
+
+  // Resting orders come from the simulator; filled or cancelled ones only leave their fills
+  async getOrder(symbol, orderId) {
+    const open = (await this.getOpenOrders(symbol)).find(order => order.orderId === String(orderId));
+    const fills = await this.getOrderFills(symbol, orderId);
+    const executedQty = fills.reduce((sum, fill) => sum + fill.quantity, 0);
+    const notional = fills.reduce((sum, fill) => sum + fill.notional, 0);
+    if (!open && fills.length === 0) return null;
+
+    const status = open ? (executedQty > 0 ? 'PARTIALLY_FILLED' : 'NEW') : (executedQty > 0 ? 'FILLED' : 'CANCELED');
+    return {
+      orderId: String(orderId),
+      side: open?.side || fills[0].side,
+      type: open?.type || fills[0].type,
+      price: open?.price ?? null,
+      quantity: open?.quantity ?? executedQty,
+      executedQty,
+      avgPrice: executedQty > 0 ? notional / executedQty : null,
+      status,
+      final: !open
+    };
+  }
+
+  async getMyTrades(symbol, { limit = 100, orderId = null, startTime = null } = {}) {
+    const filter = { botId: this.context.botId, exchange: this.exchange, symbol: marketKey(symbol) };
+    if (orderId) filter.orderId = String(orderId);
+    if (startTime) filter.timestamp = { $gte: new Date(startTime) };
+    const fills = await paperDb.collection(FILLS_COLLECTION)
+      .find(filter)
+      .sort({ timestamp: -1 })
+      .limit(limit)
+      .toArray();
+    return fills.reverse().map(toPaperTrade);
+  }
+
+  async getOrderFills(symbol, orderId) {
+    return paperDb.collection(FILLS_COLLECTION)
+      .find({ botId: this.context.botId, exchange: this.exchange, symbol: marketKey(symbol), orderId: String(orderId) })
+      .toArray();
+  }
+
+  async cancelAllOrders(symbol, side = null) {
+    const { account, simulator } = await this.sync(symbol);
+    const cancelled = [];
+    for (const order of simulator.getOpenOrders()) {
+      if (side && order.side !== side.toUpperCase()) continue;
+      if (simulator.cancelOrder(order.orderId).success) cancelled.push(order.orderId);
+    }
+    await saveAccount(account);
+    return { success: true, cancelled, failed: [] };
+  }
+}
+
+// Wrap a venue client for a paper bot; `context` is the active bot context
+export function createPaperClient(liveClient, context) {
+  return new PaperClient(liveClient, context);
+}
+
+// ============================================
+// Account queries (paper routes)
+// ============================================
+
+export async function listPaperAccounts(filter = {}) {
+  return paperDb.collection(ACCOUNTS_COLLECTION).find(filter).sort({ updatedAt: -1 }).toArray();
+}
+
+export async function getPaperFills(botId, limit = 100) {
+  return paperDb.collection(FILLS_COLLECTION)
+    .find({ botId })
+    .sort({ timestamp: -1 })
+    .limit(limit)
+    .toArray();
+}
+
+// Drop a bot's paper accounts and fills; the next order starts from fresh balances
+export async function resetPaperAccounts(botId) {
+  for (const key of [...accounts.keys()]) {
+    if (key.startsWith(`${botId}:`)) accounts.delete(key);
+  }
+  const { deletedCount } = await paperDb.collection(ACCOUNTS_COLLECTION).deleteMany({ botId });
+  await paperDb.collection(FILLS_COLLECTION).deleteMany({ botId });
+  return deletedCount;
+}
+
+export default {
+  initPaperTrading,
+  parseBotMode,
+  createPaperClient,
+  listPaperAccounts,
+  getPaperFills,
+  resetPaperAccounts
+};
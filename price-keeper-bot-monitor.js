@@ -1,5 +1,8 @@
-import crypto from 'crypto';
 import telegramService from './telegram-service.js';
+import { createExchangeClient } from './exchange-clients.js';
+import { writeLog, withBotLogContext, getLogOwner } from './log-store.js';
+import { decryptSecret } from './credential-vault.js';
+import { getCachedBalances } from './balance-service.js';
 
 const GCBEX_OPEN_API_BASE = process.env.GCBEX_OPEN_API_BASE || 'https://openapi.gcbex.com';
 
@@ -19,7 +22,8 @@ class PriceKeeperBotMonitor {
       timestamp: new Date().toISOString(),
       type,
       message,
-      data
+      data,
+      ...getLogOwner()
     };
     this.logs.unshift(logEntry);
     if (this.logs.length > this.maxLogs) {
@@ -27,6 +31,7 @@ class PriceKeeperBotMonitor {
     }
     const emoji = type === 'success' ? '✅' : type === 'error' ? '❌' : type === 'warning' ? '⚠️' : type === 'trade' ? '💱' : 'ℹ️';
     console.log(`${emoji} [PriceKeeperBot] ${message}`, data ? JSON.stringify(data) : '');
+    writeLog('price-keeper', type, message, data, { exchange: 'gcbex' });
   }
 
   async start() {
@@ -70,32 +75,22 @@ class PriceKeeperBotMonitor {
     return this.logs.slice(0, limit);
   }
 
-  generateSignature(timestamp, method, requestPath, body, apiSecret) {
-    const message = body 
-      ? `${timestamp}${method.toUpperCase()}${requestPath}${body}`
-      : `${timestamp}${method.toUpperCase()}${requestPath}`;
-    return crypto.createHmac('sha256', apiSecret).update(message).digest('hex');
+  getClient(user = null) {
+    return createExchangeClient('gcbex', user ? { apiKey: user.apiKey, apiSecret: decryptSecret(user.apiSecret) } : {}, {
+      baseUrl: GCBEX_OPEN_API_BASE
+    });
   }
 
   async getServerTime() {
-    try {
-      const response = await fetch(`${GCBEX_OPEN_API_BASE}/sapi/v2/time`);
-      const data = await response.json();
-      return data.serverTime;
-    } catch (error) {
-      this.log('warning', 'Failed to fetch server time, using local time', error.message);
-      return Date.now();
-    }
+    return this.getClient().getServerTime();
   }
 
   async getMarketPrice(symbol = 'GCBUSDT') {
     try {
-      const response = await fetch(`${GCBEX_OPEN_API_BASE}/sapi/v2/ticker?symbol=${symbol.toLowerCase()}`);
-      const data = await response.json();
-      if (data && data.last) {
-        const price = parseFloat(data.last);
-        this.marketData[symbol] = { price, updatedAt: new Date().toISOString() };
-        return price;
+      const ticker = await this.getClient().getTicker(symbol);
+      if (ticker) {
+        this.marketData[symbol] = { price: ticker.price, updatedAt: new Date().toISOString() };
+        return ticker.price;
       }
       return null;
     } catch (error) {
@@ -106,13 +101,11 @@ class PriceKeeperBotMonitor {
 
   async getBestAskPrice(symbol = 'GCBUSDT') {
     try {
-      const response = await fetch(`${GCBEX_OPEN_API_BASE}/sapi/v2/depth?symbol=${symbol.toLowerCase()}&limit=5`);
-      const data = await response.json();
+      const depth = await this.getClient().getDepth(symbol, 5);
       
-      if (data && data.asks && data.asks.length > 0) {
+      if (depth && depth.asks.length > 0) {
         // asks[0][0] is the best (lowest) ask price
-        const bestAskPrice = parseFloat(data.asks[0][0]);
-        return bestAskPrice;
+        return depth.asks[0][0];
       }
       return null;
     } catch (error) {
@@ -123,21 +116,13 @@ class PriceKeeperBotMonitor {
 
   async getSymbolInfo(symbol = 'GCBUSDT') {
     try {
-      const response = await fetch(`${GCBEX_OPEN_API_BASE}/sapi/v2/symbols`);
-      const data = await response.json();
-      
-      if (data && data.symbols) {
-        const symbolInfo = data.symbols.find(s => s.symbol.toUpperCase() === symbol.toUpperCase());
-        if (symbolInfo) {
-          return {
-            pricePrecision: symbolInfo.pricePrecision || 6,
-            quantityPrecision: symbolInfo.quantityPrecision || 2,
-            basePrecision: symbolInfo.basePrecision || 2,
-            quotePrecision: symbolInfo.quotePrecision || 6
-          };
-        }
-      }
-      return { pricePrecision: 6, quantityPrecision: 2, basePrecision: 2, quotePrecision: 6 };
+      const symbolInfo = await this.getClient().getSymbolInfo(symbol);
+      return {
+        pricePrecision: symbolInfo.pricePrecision,
+        quantityPrecision: symbolInfo.quantityPrecision,
+        basePrecision: symbolInfo.basePrecision || 2,
+        quotePrecision: symbolInfo.quotePrecision || 6
+      };
     } catch (error) {
       this.log('error', `Failed to fetch symbol info: ${error.message}`);
       return { pricePrecision: 6, quantityPrecision: 2, basePrecision: 2, quotePrecision: 6 };
@@ -146,34 +131,7 @@ class PriceKeeperBotMonitor {
 
   async getUserBalance(user) {
     try {
-      const timestamp = Date.now().toString();
-      const method = 'GET';
-      const requestPath = '/sapi/v1/account';
-      const signature = this.generateSignature(timestamp, method, requestPath, '', user.apiSecret);
-
-      const response = await fetch(`${GCBEX_OPEN_API_BASE}${requestPath}`, {
-        method: 'GET',
-        headers: {
-          'X-CH-APIKEY': user.apiKey,
-          'X-CH-TS': timestamp,
-          'X-CH-SIGN': signature,
-        },
-      });
-
-      const data = await response.json();
-      
-      if (data.balances) {
-        const balanceMap = {};
-        data.balances.forEach(balance => {
-          balanceMap[balance.asset] = {
-            free: balance.free,
-            locked: balance.locked,
-            total: (parseFloat(balance.free) + parseFloat(balance.locked)).toString()
-          };
-        });
-        return balanceMap;
-      }
-      return null;
+      return await getCachedBalances(this.getClient(user));
     } catch (error) {
       this.log('error', `Failed to fetch user balance: ${error.message}`);
       return null;
@@ -185,40 +143,21 @@ class PriceKeeperBotMonitor {
       // For market buy, volume is the USDT amount to spend (quote currency)
       const quotePrecision = symbolInfo?.quotePrecision || 2;
 
-      const orderBody = {
-        symbol: symbol.toUpperCase(),
+      const result = await this.getClient(user).placeOrder({
+        symbol,
         side: 'BUY',
         type: 'MARKET',
-        volume: usdtAmount.toFixed(quotePrecision)
-      };
-
-      const timestamp = (await this.getServerTime()).toString();
-      const method = 'POST';
-      const requestPath = '/sapi/v2/order';
-      const bodyJson = JSON.stringify(orderBody);
-      const signature = this.generateSignature(timestamp, method, requestPath, bodyJson, user.apiSecret);
-
-      const response = await fetch(`${GCBEX_OPEN_API_BASE}${requestPath}`, {
-        method: 'POST',
-        headers: {
-          'X-CH-APIKEY': user.apiKey,
-          'X-CH-TS': timestamp,
-          'X-CH-SIGN': signature,
-          'Content-Type': 'application/json'
-        },
-        body: bodyJson
+        quoteQty: usdtAmount.toFixed(quotePrecision)
       });
-
-      const data = await response.json();
       
-      if (data.orderId || data.orderIdString) {
+      if (result.success) {
         this.log('success', `Market buy order placed: ${usdtAmount} USDT`, {
-          orderId: data.orderIdString || data.orderId,
+          orderId: result.orderId,
           volume: usdtAmount.toFixed(quotePrecision)
         });
-        return data;
+        return result.data;
       } else {
-        this.log('error', `Failed to place market buy order`, data);
+        this.log('error', `Failed to place market buy order`, result.data || result.error);
         return null;
       }
     } catch (error) {
@@ -244,7 +183,7 @@ class PriceKeeperBotMonitor {
       this.log('info', `🔍 Checking ${activeBots.length} active price keeper bot(s)`);
 
       for (const bot of activeBots) {
-        await this.monitorAndKeepPrice(bot);
+        await withBotLogContext(bot, 'gcbex', () => this.monitorAndKeepPrice(bot));
       }
     } catch (error) {
       this.log('error', 'Error checking price keeper bots', error.message);
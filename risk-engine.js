@@ -0,0 +1,281 @@
+import { splitSymbol } from './exchange-clients.js';
+import { writeLog, getBotContext } from './log-store.js';
+import { isKillSwitchActive } from './kill-switch.js';
+
+/**
+ * Risk Engine
+ *
+ * Pre-trade check every order passes before it reaches an exchange
+ * (exchange clients call it from placeOrder/placeBatchOrders; manual order
+ * routes call it directly). Limits live in `risk_limits`:
+ *   { scope: 'exchange' | 'user' | 'bot', scopeId, ...limits, updatedAt }
+ * scopeId '*' is the default for every exchange/user/bot of that scope and is
+ * overridden field-by-field by a document for the specific id.
+ *
+ * Limits (all optional, unset = unlimited):
+ *   hourlyNotional    - quote notional placed in the last hour, per scope
+ *   dailyNotional     - quote notional placed in the last 24h, per scope
+ *   maxOrderNotional  - quote notional of a single order
+ *   maxOrderQuantity  - base quantity of a single order
+ *   maxPosition       - base asset balance a BUY may take the account to
+ *   priceBandPct      - max distance of a LIMIT price from the last known mid
+ * Per-order limits use the tightest value across the order's scopes.
+ * While the kill switch is active every order is rejected.
+ *
+ * Accepted orders are recorded in `risk_ledger` (expires after 2 days);
+ * rejections are written to the log store with event 'risk_rejection'.
+ */
+
+const LIMITS_COLLECTION = 'risk_limits';
+const LEDGER_COLLECTION = 'risk_ledger';
+const LIMITS_CACHE_MS = 30 * 1000;
+const MID_CACHE_MS = 10 * 1000;
+const LEDGER_RETENTION_SECONDS = 2 * 24 * 60 * 60;
+
+const SCOPES = ['exchange', 'user', 'bot'];
+const ORDER_LIMITS = ['maxOrderNotional', 'maxOrderQuantity', 'maxPosition', 'priceBandPct'];
+const WINDOWS = [
+  { field: 'hourlyNotional', label: 'hourly', ms: 60 * 60 * 1000 },
+  { field: 'dailyNotional', label: 'daily', ms: 24 * 60 * 60 * 1000 }
+];
+
+let riskDb = null;
+let limitsCache = null;
+let limitsLoadedAt = 0;
+const lastMids = new Map();
+
+export async function initRiskEngine(db) {
+  riskDb = db;
+  const ledger = db.collection(LEDGER_COLLECTION);
+  await ledger.createIndex({ timestamp: 1 }, { expireAfterSeconds: LEDGER_RETENTION_SECONDS });
+  await ledger.createIndex({ botId: 1, timestamp: -1 });
+  await ledger.createIndex({ userId: 1, timestamp: -1 });
+  await ledger.createIndex({ exchange: 1, timestamp: -1 });
+  await db.collection(LIMITS_COLLECTION).createIndex({ scope: 1, scopeId: 1 }, { unique: true });
+  console.log('✅ Risk engine initialized');
+}
+
+// Drop cached limits so the next check reloads them from Mongo
+export function clearRiskLimitsCache() {
+  limitsCache = null;
+}
+
+async function loadLimits() {
+  if (limitsCache && Date.now() - limitsLoadedAt < LIMITS_CACHE_MS) {
+    return limitsCache;
+  }
+  const docs = await riskDb.collection(LIMITS_COLLECTION).find({}).toArray();
+  limitsCache = new Map(docs.map(doc => [`${doc.scope}:${doc.scopeId}`, doc]));
+  limitsLoadedAt = Date.now();
+  return limitsCache;
+}
+
+function pickLimits(doc) {
+  const limits = {};
+  if (!doc) return limits;
+  for (const field of [...ORDER_LIMITS, ...WINDOWS.map(w => w.field)]) {
+    const value = doc[field];
+    if (value !== undefined && value !== null && value !== '') {
+      limits[field] = parseFloat(value);
+    }
+  }
+  return limits;
+}
+
+// Effective limits for each scope the order falls under
+async function resolveLimits(scopeIds) {
+  const docs = await loadLimits();
+  const resolved = [];
+  for (const scope of SCOPES) {
+    const scopeId = scopeIds[scope];
+    if (!scopeId) continue;
+    const limits = {
+      ...pickLimits(docs.get(`${scope}:*`)),
+      ...pickLimits(docs.get(`${scope}:${scopeId}`))
+    };
+    if (Object.keys(limits).length > 0) {
+      resolved.push({ scope, scopeId, limits });
+    }
+  }
+  return resolved;
+}
+
+function tightest(resolved, field) {
+  const values = resolved.map(r => r.limits[field]).filter(v => Number.isFinite(v));
+  return values.length > 0 ? Math.min(...values) : null;
+}
+
+// Remember the mid seen for a market; used by price-band checks
+export function recordMid(exchange, market, bid, ask) {
+  const mid = bid > 0 && ask > 0 ? (bid + ask) / 2 : (bid || ask);
+  if (mid > 0) {
+    lastMids.set(`${exchange}:${market}`, { mid, at: Date.now() });
+  }
+}
+
+async function getMid(client, symbol, market) {
+  const key = `${client.exchange}:${market}`;
+  const cached = lastMids.get(key);
+  if (cached && Date.now() - cached.at < MID_CACHE_MS) {
+    return cached.mid;
+  }
+
+  try {
+    const depth = await client.getDepth(symbol, 5);
+    if (depth && (depth.bids.length > 0 || depth.asks.length > 0)) {
+      recordMid(client.exchange, market, depth.bids[0]?.[0] || 0, depth.asks[0]?.[0] || 0);
+    } else {
+      const ticker = await client.getTicker(symbol);
+      if (ticker) recordMid(client.exchange, market, ticker.price, ticker.price);
+    }
+  } catch (error) {
+    // Fall back to the last mid we have, however old
+  }
+  return lastMids.get(key)?.mid || null;
+}
+
+async function windowNotional(field, value, sinceMs) {
+  const [row] = await riskDb.collection(LEDGER_COLLECTION).aggregate([
+    { $match: { [field]: value, timestamp: { $gte: new Date(Date.now() - sinceMs) } } },
+    { $group: { _id: null, total: { $sum: '$notional' } } }
+  ]).toArray();
+  return row ? row.total : 0;
+}
+
+function reject(client, order, context, reason) {
+  const message = `Order rejected: ${reason}`;
+  console.log(`🛡️ [Risk] ${client.exchange} ${order.side} ${order.symbol} - ${reason}`);
+  writeLog('risk', 'warning', message, {
+    symbol: order.symbol,
+    side: order.side,
+    type: order.type || 'LIMIT',
+    price: order.price ?? null,
+    quantity: order.quantity ?? null,
+    quoteQty: order.quoteQty ?? null,
+    reason
+  }, { event: 'risk_rejection', botId: context.botId, userId: context.userId, exchange: client.exchange });
+  return { allowed: false, reason };
+}
+
+/**
+ * Check an order against every applicable limit.
+ * @param {object} client  - exchange client that will place the order
+ * @param {object} order   - { symbol, side, type, price, quantity, quoteQty }
+ * @param {object} context - { botId, userId }; defaults to the active bot context
+ * @param {number} pendingNotional - notional already accepted but not yet recorded (batch placement)
+ * @returns {{ allowed: true, notional, context } | { allowed: false, reason }}
+ */
+export async function checkOrderRisk(client, order, context = getBotContext(), pendingNotional = 0) {
+  const side = (order.side || '').toUpperCase();
+  const type = (order.type || 'LIMIT').toUpperCase();
+  const price = parseFloat(order.price) || null;
+  const quoteQty = parseFloat(order.quoteQty) || null;
+  let quantity = parseFloat(order.quantity) || null;
+
+  // Value the order in quote currency where that needs no market data
+  let notional = type === 'MARKET' && quoteQty ? quoteQty : (quantity && price ? quantity * price : null);
+
+  if (isKillSwitchActive()) {
+    return reject(client, order, context, 'kill switch is active');
+  }
+
+  if (!riskDb) {
+    return { allowed: true, notional, context };
+  }
+
+  const resolved = await resolveLimits({ exchange: client.exchange, user: context.userId, bot: context.botId });
+  if (resolved.length === 0) {
+    return { allowed: true, notional, context };
+  }
+
+  const market = client.formatSymbol(order.symbol);
+  const priceBandPct = tightest(resolved, 'priceBandPct');
+  const needsMid = (priceBandPct !== null && type === 'LIMIT') || notional === null || (quoteQty && !quantity);
+  const mid = needsMid ? await getMid(client, order.symbol, market) : null;
+
+  if (notional === null && quantity && mid) {
+    notional = quantity * mid;
+  }
+  if (!quantity && quoteQty && mid) {
+    quantity = quoteQty / mid;
+  }
+
+  const limitsNotional = tightest(resolved, 'maxOrderNotional') !== null ||
+    resolved.some(r => WINDOWS.some(w => Number.isFinite(r.limits[w.field])));
+  if (notional === null && limitsNotional) {
+    return reject(client, order, context, 'cannot value order (no price and no known mid)');
+  }
+
+  if (priceBandPct !== null && type === 'LIMIT' && price) {
+    if (!mid) {
+      return reject(client, order, context, 'no known mid for price-band check');
+    }
+    const distancePct = Math.abs(price - mid) / mid * 100;
+    if (distancePct > priceBandPct) {
+      return reject(client, order, context, `price ${price} is ${distancePct.toFixed(2)}% from mid ${mid} (band ${priceBandPct}%)`);
+    }
+  }
+
+  const maxOrderNotional = tightest(resolved, 'maxOrderNotional');
+  if (maxOrderNotional !== null && notional !== null && notional > maxOrderNotional) {
+    return reject(client, order, context, `order notional ${notional.toFixed(4)} exceeds max ${maxOrderNotional}`);
+  }
+
+  const maxOrderQuantity = tightest(resolved, 'maxOrderQuantity');
+  if (maxOrderQuantity !== null && quantity !== null && quantity > maxOrderQuantity) {
+    return reject(client, order, context, `order quantity ${quantity} exceeds max ${maxOrderQuantity}`);
+  }
+
+  const maxPosition = tightest(resolved, 'maxPosition');
+  if (maxPosition !== null && side === 'BUY') {
+    const [baseAsset] = splitSymbol(order.symbol);
+    const balances = await client.getBalances();
+    if (!balances) {
+      return reject(client, order, context, 'balances unavailable for position check');
+    }
+    const position = balances[baseAsset]?.total || 0;
+    if (quantity === null || position + quantity > maxPosition) {
+      return reject(client, order, context, `${baseAsset} position ${position} + ${quantity ?? '?'} exceeds max ${maxPosition}`);
+    }
+  }
+
+  const ledgerFields = { exchange: 'exchange', user: 'userId', bot: 'botId' };
+  for (const { scope, scopeId, limits } of resolved) {
+    for (const window of WINDOWS) {
+      const limit = limits[window.field];
+      if (!Number.isFinite(limit) || notional === null) continue;
+      const used = await windowNotional(ledgerFields[scope], scopeId, window.ms) + pendingNotional;
+      if (used + notional > limit) {
+        return reject(client, order, context, `${scope} ${window.label} notional ${used.toFixed(2)} + ${notional.toFixed(2)} exceeds ${limit}`);
+      }
+    }
+  }
+
+  return { allowed: true, notional, context };
+}
+
+// Record an accepted order against the notional windows
+export async function recordOrderRisk(client, order, check) {
+  if (!riskDb || !check || check.notional === null) return;
+  try {
+    await riskDb.collection(LEDGER_COLLECTION).insertOne({
+      timestamp: new Date(),
+      exchange: client.exchange,
+      userId: check.context.userId ?? null,
+      botId: check.context.botId ?? null,
+      symbol: client.formatSymbol(order.symbol),
+      side: (order.side || '').toUpperCase(),
+      notional: check.notional
+    });
+  } catch (error) {
+    console.error('Failed to record order in risk ledger:', error.message);
+  }
+}
+
+export default {
+  initRiskEngine,
+  checkOrderRisk,
+  recordOrderRisk,
+  recordMid,
+  clearRiskLimitsCache
+};
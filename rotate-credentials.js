@@ -0,0 +1,101 @@
+import 'dotenv/config';
+import { MongoClient } from 'mongodb';
+import {
+  CREDENTIAL_COLLECTIONS,
+  getCurrentKeyVersion,
+  getKeyVersion,
+  isVaultConfigured,
+  needsRotation,
+  rotateSecret
+} from './credential-vault.js';
+
+// Re-encrypts every stored API secret under the current credential master key.
+// Plaintext secrets are encrypted; secrets under an older key version are
+// re-wrapped. Keep the old key in CREDENTIAL_MASTER_KEYS until this has run.
+//
+//   node rotate-credentials.js            rotate
+//   node rotate-credentials.js --dry-run  only report what would change
+
+const MONGODB_URI = process.env.MONGODB_URI;
+const DB_NAME = 'mmbot';
+const dryRun = process.argv.includes('--dry-run');
+
+async function rotateCredentials() {
+  let client;
+
+  try {
+    if (!MONGODB_URI) {
+      throw new Error('MONGODB_URI environment variable is not set');
+    }
+    if (!isVaultConfigured()) {
+      throw new Error('CREDENTIAL_MASTER_KEY / CREDENTIAL_MASTER_KEYS is not set');
+    }
+
+    console.log('🔌 Connecting to MongoDB...');
+    client = new MongoClient(MONGODB_URI);
+    await client.connect();
+    console.log('✅ Connected to MongoDB\n');
+
+    const db = client.db(DB_NAME);
+    const currentVersion = getCurrentKeyVersion();
+    console.log(`🔐 Current master key version: v${currentVersion}${dryRun ? ' (dry run)' : ''}\n`);
+
+    let totalRotated = 0;
+    let totalFailed = 0;
+
+    for (const collectionName of CREDENTIAL_COLLECTIONS) {
+      const collection = db.collection(collectionName);
+      const docs = await collection
+        .find({ apiSecret: { $exists: true, $nin: [null, ''] } }, { projection: { apiSecret: 1 } })
+        .toArray();
+
+      const byVersion = {};
+      let rotated = 0;
+      let failed = 0;
+
+      for (const doc of docs) {
+        const version = getKeyVersion(doc.apiSecret);
+        byVersion[version] = (byVersion[version] || 0) + 1;
+
+        if (!needsRotation(doc.apiSecret)) continue;
+
+        try {
+          const apiSecret = rotateSecret(doc.apiSecret);
+          if (!dryRun) {
+            // Only replace the value we read, in case it changed meanwhile
+            await collection.updateOne(
+              { _id: doc._id, apiSecret: doc.apiSecret },
+              { $set: { apiSecret, updatedAt: new Date() } }
+            );
+          }
+          rotated++;
+        } catch (error) {
+          failed++;
+          console.error(`❌ ${collectionName} ${doc._id}: ${error.message}`);
+        }
+      }
+
+      const versions = Object.entries(byVersion)
+        .map(([version, count]) => `${version === '0' ? 'plaintext' : `v${version}`}: ${count}`)
+        .join(', ') || 'none';
+      console.log(`📂 ${collectionName}: ${docs.length} secret(s) [${versions}] -> ${rotated} ${dryRun ? 'to rotate' : 'rotated'}, ${failed} failed`);
+
+      totalRotated += rotated;
+      totalFailed += failed;
+    }
+
+    console.log(`\n✅ Done: ${totalRotated} secret(s) ${dryRun ? 'would be rotated' : 'rotated'}, ${totalFailed} failed`);
+    process.exitCode = totalFailed > 0 ? 1 : 0;
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exitCode = 1;
+  } finally {
+    if (client) {
+      await client.close();
+      console.log('🔌 Disconnected from MongoDB');
+    }
+  }
+}
+
+// Run the script
+rotateCredentials();
@@ -0,0 +1,102 @@
+import 'dotenv/config';
+import { readFile, writeFile } from 'fs/promises';
+import { MongoClient } from 'mongodb';
+import { BACKTEST_STRATEGIES, loadSnapshots, runBacktest } from './backtester.js';
+
+// Replays recorded market snapshots through a bot strategy and prints the report.
+// Snapshots come from `market_snapshots` in MongoDB, or from a JSON file
+// (array of snapshots) with --file so no database is needed.
+//
+//   node run-backtest.js --strategy stabilizer --exchange gcbex --symbol GCBUSDT \
+//     --from 2026-01-01 --to 2026-01-02 --config bot.json [--file snapshots.json] [--out report.json]
+//
+// --config is a JSON file: { bot: {...}, initialBalances: {...}, fees: {...}, liquidity: {...} }
+
+const MONGODB_URI = process.env.MONGODB_URI;
+const DB_NAME = 'mmbot';
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      args[argv[i].slice(2)] = argv[i + 1] && !argv[i + 1].startsWith('--') ? argv[++i] : true;
+    }
+  }
+  return args;
+}
+
+async function readJson(path) {
+  return JSON.parse(await readFile(path, 'utf8'));
+}
+
+async function backtest() {
+  const args = parseArgs(process.argv.slice(2));
+  let client;
+
+  try {
+    if (!BACKTEST_STRATEGIES.includes(args.strategy)) {
+      throw new Error(`--strategy must be one of: ${BACKTEST_STRATEGIES.join(', ')}`);
+    }
+
+    const config = args.config ? await readJson(args.config) : {};
+    const exchange = args.exchange || 'gcbex';
+    const symbol = args.symbol || config.bot?.symbol;
+
+    let snapshots;
+    if (args.file) {
+      console.log(`📂 Loading snapshots from ${args.file}...`);
+      snapshots = (await readJson(args.file))
+        .filter(s => (!args.from || new Date(s.timestamp) >= new Date(args.from)) &&
+          (!args.to || new Date(s.timestamp) <= new Date(args.to)))
+        .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    } else {
+      if (!MONGODB_URI) {
+        throw new Error('MONGODB_URI environment variable is not set (or pass --file)');
+      }
+      if (!symbol) {
+        throw new Error('--symbol is required when loading snapshots from MongoDB');
+      }
+      console.log('🔌 Connecting to MongoDB...');
+      client = new MongoClient(MONGODB_URI);
+      await client.connect();
+      snapshots = await loadSnapshots(client.db(DB_NAME), { exchange, symbol, from: args.from, to: args.to });
+    }
+
+    console.log(`📊 Replaying ${snapshots.length} snapshot(s) through ${args.strategy}...\n`);
+    const report = await runBacktest({
+      strategy: args.strategy,
+      exchange,
+      symbol,
+      bot: config.bot || {},
+      snapshots,
+      initialBalances: config.initialBalances || {},
+      fees: config.fees || {},
+      liquidity: config.liquidity || null
+    });
+
+    const { summary, compliance } = report;
+    console.log(`🕒 ${new Date(report.from).toISOString()} -> ${new Date(report.to).toISOString()}`);
+    console.log(`💱 Fills: ${summary.fills} (buy ${summary.buyQuantity.toFixed(4)}, sell ${summary.sellQuantity.toFixed(4)})`);
+    console.log(`💵 USDT spent: ${summary.usdtSpent.toFixed(4)} | received: ${summary.usdtReceived.toFixed(4)} | fees: ${summary.fees.toFixed(4)}`);
+    console.log(`📦 Inventory change: ${summary.inventoryChange.toFixed(4)} | open orders left: ${summary.openOrders}`);
+    console.log(`💰 Value: ${summary.startValue.toFixed(4)} -> ${summary.endValue.toFixed(4)}`);
+    console.log(`📏 Liquidity compliance: all ${compliance.allOkPct ?? '-'}% | spread ${compliance.spreadOkPct ?? '-'}% | ±2% depth ${compliance.depth2PctOkPct ?? '-'}% | top20 depth ${compliance.depthTop20OkPct ?? '-'}% | order count ${compliance.orderCountOkPct ?? '-'}% | gaps ${compliance.gapsOkPct ?? '-'}%`);
+
+    if (args.out) {
+      await writeFile(args.out, JSON.stringify(report, null, 2));
+      console.log(`\n💾 Full report written to ${args.out}`);
+    }
+    process.exitCode = 0;
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exitCode = 1;
+  } finally {
+    if (client) {
+      await client.close();
+      console.log('🔌 Disconnected from MongoDB');
+    }
+  }
+}
+
+// Run the script
+backtest();
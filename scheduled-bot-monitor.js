@@ -1,4 +1,21 @@
-import crypto from 'crypto';
+import { createExchangeClient } from './exchange-clients.js';
+import { writeLog, withBotLogContext } from './log-store.js';
+import { decryptSecret } from './credential-vault.js';
+import {
+  getHourlyVolumeProfile,
+  getVwapIntervalBudget,
+  planSliceTimes,
+  sizeBuyFromAsks,
+  summarizeExecution
+} from './execution-algorithms.js';
+import {
+  cancelScheduledOrder,
+  getFillTotals,
+  listOpenScheduledOrders,
+  reconcileScheduledOrder,
+  recordScheduledOrder
+} from './scheduled-orders.js';
+import { getNextSlot, getSlotEnd, resolveDueSlot } from './scheduled-calendar.js';
 
 class ScheduledBotMonitor {
   constructor(db, config = {}) {
@@ -21,6 +38,7 @@ class ScheduledBotMonitor {
       trade: '💱'
     };
     console.log(`${emoji[level] || '📝'} [SCHEDULED BOT] ${message}`, data ? data : '');
+    writeLog('scheduled', level, message, data, { exchange: 'gcbex' });
   }
 
   async start() {
@@ -51,6 +69,9 @@ class ScheduledBotMonitor {
     if (!this.isRunning) return;
 
     try {
+      // Fills first, so due bots see real progress and any rolled-over USDT
+      await this.reconcileOpenOrders();
+
       const now = new Date();
       
       // Find all active scheduled bots that are due for execution
@@ -63,35 +84,33 @@ class ScheduledBotMonitor {
       this.log('info', `🔍 Checking scheduled bots: ${dueBots.length} bot(s) due for execution`);
 
       for (const bot of dueBots) {
-        await this.executeScheduledBuy(bot);
+        await withBotLogContext(bot, 'gcbex', () => this.executeScheduledBuy(bot));
       }
     } catch (error) {
       this.log('error', 'Error checking scheduled bots', error.message);
     }
   }
 
+  getClient(user = null) {
+    return createExchangeClient('gcbex', user ? { apiKey: user.apiKey, apiSecret: decryptSecret(user.apiSecret) } : {}, {
+      baseUrl: this.openApiBase
+    });
+  }
+
   async getServerTime() {
-    try {
-      const response = await fetch(`${this.openApiBase}/sapi/v1/time`);
-      const data = await response.json();
-      return data.serverTime;
-    } catch (error) {
-      this.log('warning', 'Failed to fetch server time, using local time', error.message);
-      return Date.now();
-    }
+    return this.getClient().getServerTime();
   }
 
   async getOrderBookDepth(symbol) {
     try {
-      const response = await fetch(`${this.openApiBase}/sapi/v2/depth?symbol=${symbol}&limit=10`);
-      const data = await response.json();
+      const depth = await this.getClient().getDepth(symbol, 10);
       
-      if (data.asks && data.asks.length > 0) {
+      if (depth && depth.asks.length > 0) {
         return {
-          bestAskPrice: parseFloat(data.asks[0][0]),
-          bestAskVolume: parseFloat(data.asks[0][1]),
-          bestBidPrice: data.bids && data.bids.length > 0 ? parseFloat(data.bids[0][0]) : null,
-          bestBidVolume: data.bids && data.bids.length > 0 ? parseFloat(data.bids[0][1]) : null
+          bestAskPrice: depth.asks[0][0],
+          bestAskVolume: depth.asks[0][1],
+          bestBidPrice: depth.bids.length > 0 ? depth.bids[0][0] : null,
+          bestBidVolume: depth.bids.length > 0 ? depth.bids[0][1] : null
         };
       }
       return null;
@@ -102,6 +121,26 @@ class ScheduledBotMonitor {
   }
 
   async executeScheduledBuy(bot) {
+    // A new slot that is late (downtime) runs or is dropped per missedSlotPolicy (see scheduled-calendar.js);
+    // a slot whose buy failed is retried as is (see failSlot)
+    const slot = bot.currentInterval
+      ? null
+      : bot.failedSlot
+        ? { run: true, slotAt: new Date(bot.failedSlot.slotAt), after: new Date(bot.failedSlot.after), missed: 0 }
+        : resolveDueSlot(bot, new Date(), this.config.checkInterval * 2);
+    if (slot && !slot.run) {
+      return this.skipMissedSlots(bot, slot);
+    }
+    if (slot?.missed > 0) {
+      this.log('warning', `Dropped ${slot.missed} missed slot(s) of bot ${bot.name}, buying once now`);
+    }
+
+    // twap / vwap / participation run in slices (see execution-algorithms.js)
+    if (bot.executionAlgorithm && bot.executionAlgorithm !== 'split') {
+      return this.executeAlgorithmSlice(bot, slot);
+    }
+
+    let marketBought = false;
     try {
       this.log('trade', `Executing scheduled accumulation for bot: ${bot.name} (${bot._id})`);
 
@@ -114,14 +153,14 @@ class ScheduledBotMonitor {
 
       if (!user) {
         this.log('error', `User ${bot.userId} not found or missing API credentials`);
-        return;
+        return this.failSlot(bot, slot, 'user not found or missing API credentials');
       }
 
       // Get order book to find best ask price
       const orderBook = await this.getOrderBookDepth(bot.symbol);
       if (!orderBook) {
         this.log('error', 'Failed to fetch order book depth');
-        return;
+        return this.failSlot(bot, slot, 'order book unavailable');
       }
 
       const bestAskPrice = orderBook.bestAskPrice;
@@ -130,7 +169,8 @@ class ScheduledBotMonitor {
       // Split USDT budget for this hour (50% market buy, 50% limit buy)
       const usdtPerHour = bot.usdtPerHour;
       const marketBuyUSDT = usdtPerHour * 0.5;
-      const limitBuyUSDT = usdtPerHour * 0.5;
+      const rolloverUsdt = bot.rolloverUsdt || 0;
+      const limitBuyUSDT = usdtPerHour * 0.5 + rolloverUsdt;
       
       // Calculate GCB volumes
       const marketBuyVolume = marketBuyUSDT / bestAskPrice;
@@ -138,37 +178,16 @@ class ScheduledBotMonitor {
       // Step 1: Execute MARKET BUY to take tokens from sellers
       this.log('info', `💰 Step 1: Market buy ${marketBuyVolume.toFixed(4)} GCB with ${marketBuyUSDT.toFixed(2)} USDT at ~${bestAskPrice} USDT`);
       
-      const marketBuyOrderBody = {
+      const client = this.getClient(user);
+      const marketBuyOrder = await client.placeOrder({
         symbol: bot.symbol,
         side: 'BUY',
         type: 'MARKET',
-        volume: marketBuyVolume.toFixed(8)
-      };
-
-      const timestamp = (await this.getServerTime()).toString();
-      const method = 'POST';
-      const requestPath = '/sapi/v2/order';
-      const bodyJson = JSON.stringify(marketBuyOrderBody, null, 0).replace(/\s/g, '');
-      const message = `${timestamp}${method.toUpperCase()}${requestPath}${bodyJson}`;
-      const signature = crypto
-        .createHmac('sha256', user.apiSecret)
-        .update(message)
-        .digest('hex');
-
-      const marketBuyResponse = await fetch(`${this.openApiBase}${requestPath}`, {
-        method: 'POST',
-        headers: {
-          'X-CH-APIKEY': user.apiKey,
-          'X-CH-TS': timestamp,
-          'X-CH-SIGN': signature,
-          'Content-Type': 'application/json'
-        },
-        body: bodyJson
+        quantity: marketBuyVolume.toFixed(8)
       });
+      const marketBuyResult = marketBuyOrder.data || { msg: marketBuyOrder.error };
 
-      const marketBuyResult = await marketBuyResponse.json();
-
-      if (!marketBuyResult.orderId) {
+      if (!marketBuyOrder.success) {
         this.log('error', `Market buy failed: ${marketBuyResult.msg || 'Unknown error'}`, marketBuyResult);
         
         // Save failed trade
@@ -182,65 +201,84 @@ class ScheduledBotMonitor {
           executedAt: new Date(),
           marketBuyResponse: marketBuyResult
         });
-        return;
+        return this.failSlot(bot, slot, `market buy failed: ${marketBuyResult.msg || 'Unknown error'}`);
       }
 
       this.log('success', `✅ Market buy executed: ${marketBuyResult.orderId}`);
+      marketBought = true;
+
+      const intervalIndex = bot.executedBuys + 1;
+      const marketOrder = await recordScheduledOrder(bot, {
+        intervalIndex,
+        kind: 'market',
+        orderId: marketBuyOrder.orderId ?? marketBuyResult.orderId,
+        side: 'BUY',
+        type: 'MARKET',
+        quantity: marketBuyVolume
+      });
+      const marketFill = await reconcileScheduledOrder(client, marketOrder);
+      const nextSlotAt = getNextSlot(bot, slot.after);
 
       // Step 2: Place LIMIT BUY bid just below best ask to be top of order book
       const limitBuyPrice = bestAskPrice * (1 - bot.bidOffsetPercent / 100);
       const limitBuyVolume = limitBuyUSDT / limitBuyPrice;
       
       this.log('info', `📈 Step 2: Placing LIMIT BUY bid at ${limitBuyPrice.toFixed(8)} USDT (${bot.bidOffsetPercent}% below best ask) for ${limitBuyVolume.toFixed(4)} GCB`);
+      if (rolloverUsdt > 0) {
+        this.log('info', `↪️ Bid includes ${rolloverUsdt.toFixed(2)} USDT rolled over from unfilled bids`);
+      }
 
-      const limitBuyOrderBody = {
+      const limitBuyOrder = await client.placeOrder({
         symbol: bot.symbol,
         side: 'BUY',
         type: 'LIMIT',
-        volume: limitBuyVolume.toFixed(8),
+        quantity: limitBuyVolume.toFixed(8),
         price: limitBuyPrice.toFixed(8),
         timeInForce: 'GTC'
-      };
-
-      const timestamp2 = (await this.getServerTime()).toString();
-      const bodyJson2 = JSON.stringify(limitBuyOrderBody, null, 0).replace(/\s/g, '');
-      const message2 = `${timestamp2}${method.toUpperCase()}${requestPath}${bodyJson2}`;
-      const signature2 = crypto
-        .createHmac('sha256', user.apiSecret)
-        .update(message2)
-        .digest('hex');
-
-      const limitBuyResponse = await fetch(`${this.openApiBase}${requestPath}`, {
-        method: 'POST',
-        headers: {
-          'X-CH-APIKEY': user.apiKey,
-          'X-CH-TS': timestamp2,
-          'X-CH-SIGN': signature2,
-          'Content-Type': 'application/json'
-        },
-        body: bodyJson2
       });
+      const limitBuyResult = limitBuyOrder.data || { msg: limitBuyOrder.error };
 
-      const limitBuyResult = await limitBuyResponse.json();
-
-      if (!limitBuyResult.orderId) {
+      if (!limitBuyOrder.success) {
         this.log('error', `Limit buy bid failed: ${limitBuyResult.msg || 'Unknown error'}`, limitBuyResult);
       } else {
         this.log('success', `✅ Limit buy bid placed: ${limitBuyResult.orderId} at ${limitBuyPrice.toFixed(8)} USDT - Now top of order book!`);
+
+        // Reconciled until the next calendar slot, then cancelled or rolled (see scheduled-orders.js)
+        await recordScheduledOrder(bot, {
+          intervalIndex,
+          kind: 'bid',
+          orderId: limitBuyOrder.orderId ?? limitBuyResult.orderId,
+          side: 'BUY',
+          type: 'LIMIT',
+          price: limitBuyPrice,
+          quantity: limitBuyVolume,
+          expiresAt: nextSlotAt || new Date(Date.now() + bot.intervalMs)
+        });
       }
 
-      // Save trade to database
-      const executedMarketBuyPrice = parseFloat(marketBuyResult.price) || bestAskPrice;
+      // Save trade to database, with the market buy as actually filled when known
+      const marketFilled = marketFill.executedQty > 0;
+      const executedMarketBuyPrice = marketFilled
+        ? marketFill.averagePrice
+        : parseFloat(marketBuyResult.price) || bestAskPrice;
+      const filledMarketBuyVolume = marketFilled ? marketFill.executedQty : marketBuyVolume;
       await this.db.collection('scheduled_bot_trades').insertOne({
         scheduledBotId: bot._id,
         userId: bot.userId,
         symbol: bot.symbol,
+        algorithm: 'split',
+        intervalIndex,
+        arrivalPrice: bestAskPrice,
+        spentUsdt: filledMarketBuyVolume * executedMarketBuyPrice,
+        volume: filledMarketBuyVolume,
         marketBuyOrderId: marketBuyResult.orderId,
         limitBuyOrderId: limitBuyResult.orderId || null,
         marketBuyPrice: executedMarketBuyPrice,
         limitBuyPrice: limitBuyPrice,
         marketBuyVolume: marketBuyVolume,
+        marketBuyFilledVolume: marketFilled ? marketFill.executedQty : null,
         limitBuyVolume: limitBuyVolume,
+        rolloverUsdt,
         marketBuyStatus: 'success',
         limitBuyStatus: limitBuyResult.orderId ? 'placed' : 'failed',
         executedAt: new Date(),
@@ -248,34 +286,30 @@ class ScheduledBotMonitor {
         limitBuyResponse: limitBuyResult
       });
 
-      // Update bot progress
+      // Update bot progress from real fills
       const executedBuys = bot.executedBuys + 1;
-      const spentUsdt = bot.spentUsdt + usdtPerHour;
-      const accumulatedGcb = bot.accumulatedGcb + marketBuyVolume; // Only count market buy as accumulated
       const completed = executedBuys >= bot.totalBuys;
       
-      const nextBuyAt = completed ? null : new Date(Date.now() + bot.intervalMs);
+      const nextBuyAt = completed ? null : this.getNextBuyAt(bot, slot.after, nextSlotAt);
 
       await this.db.collection('scheduled_bots').updateOne(
         { _id: bot._id },
         {
           $set: {
             executedBuys: executedBuys,
-            spentUsdt: spentUsdt,
-            accumulatedGcb: accumulatedGcb,
+            ...await this.getProgressTotals(bot),
+            rolloverUsdt: limitBuyOrder.success ? 0 : rolloverUsdt,
             lastBuyAt: new Date(),
-            nextBuyAt: nextBuyAt,
-            isActive: !completed,
-            isRunning: !completed,
-            status: completed ? 'completed' : 'running',
+            ...this.getScheduleState(completed, nextBuyAt),
             updatedAt: new Date()
-          }
+          },
+          $unset: { failedSlot: '' }
         }
       );
 
       if (completed) {
         this.log('success', `🎉 Scheduled bot completed: ${bot.name} (${bot._id})`);
-      } else {
+      } else if (nextBuyAt) {
         this.log('info', `⏰ Next buy scheduled at: ${nextBuyAt.toISOString()}`);
       }
 
@@ -291,6 +325,374 @@ class ScheduledBotMonitor {
         error: error.message,
         executedAt: new Date()
       });
+      // Once the market buy went through, retrying the slot would buy it twice
+      if (!marketBought) await this.failSlot(bot, slot, error.message);
+    }
+  }
+
+  /**
+   * A slot whose buy failed (credentials, market data, exchange) is retried on
+   * every check until the following slot comes due instead of falling into the
+   * missed-slot policy; then it is recorded in failedSlots and the bot moves on.
+   */
+  async failSlot(bot, slot, reason) {
+    const nextSlotAt = getNextSlot(bot, slot.after);
+    const attempts = (bot.failedSlot?.attempts || 0) + 1;
+
+    if (nextSlotAt && nextSlotAt <= new Date()) {
+      const nextBuyAt = this.getNextBuyAt(bot, slot.after, nextSlotAt);
+      await this.db.collection('scheduled_bots').updateOne(
+        { _id: bot._id },
+        {
+          $set: { ...this.getScheduleState(false, nextBuyAt), updatedAt: new Date() },
+          $unset: { failedSlot: '' },
+          $push: { failedSlots: { slotAt: slot.slotAt, attempts, reason, failedAt: new Date() } }
+        }
+      );
+      this.log('error', `Gave up on the ${slot.slotAt.toISOString()} slot of bot ${bot.name} after ${attempts} attempt(s): ${reason}`);
+      return;
+    }
+
+    await this.db.collection('scheduled_bots').updateOne(
+      { _id: bot._id },
+      {
+        $set: {
+          failedSlot: { slotAt: slot.slotAt, after: slot.after, attempts, reason, failedAt: new Date() },
+          updatedAt: new Date()
+        }
+      }
+    );
+    this.log('warning', `Buy for the ${slot.slotAt.toISOString()} slot of bot ${bot.name} failed (${reason}), retrying at the next check`);
+  }
+
+  // Next calendar slot after `after`; null when the schedule has none left
+  getNextBuyAt(bot, after, nextBuyAt = getNextSlot(bot, after)) {
+    if (!nextBuyAt) {
+      this.log('warning', `No upcoming slot in the schedule of bot ${bot.name} (${bot._id}), stopping it`);
+    }
+    return nextBuyAt;
+  }
+
+  // Run state after a buy: completed, stopped (schedule exhausted) or running until nextBuyAt
+  getScheduleState(completed, nextBuyAt) {
+    const running = !completed && nextBuyAt !== null;
+    return {
+      nextBuyAt,
+      isActive: running,
+      isRunning: running,
+      status: completed ? 'completed' : running ? 'running' : 'stopped',
+      ...(!completed && !running ? { stoppedAt: new Date() } : {})
+    };
+  }
+
+  // Drop the late slot(s) and wait for the next one
+  async skipMissedSlots(bot, slot) {
+    const nextBuyAt = this.getNextBuyAt(bot, slot.after);
+    await this.db.collection('scheduled_bots').updateOne(
+      { _id: bot._id },
+      {
+        $set: { ...this.getScheduleState(false, nextBuyAt), updatedAt: new Date() },
+        $inc: { missedSlots: slot.missed }
+      }
+    );
+    this.log('warning', `Skipped ${slot.missed} missed slot(s) of bot ${bot.name}${nextBuyAt ? `, next buy at ${nextBuyAt.toISOString()}` : ''}`);
+  }
+
+  /**
+   * accumulatedGcb / spentUsdt / feesUsdt / averagePrice from the bot's
+   * reconciled orders. Bots started before fills were recorded keep their
+   * earlier estimates as a base (untrackedTotals).
+   */
+  async getProgressTotals(bot) {
+    const base = bot.fillTracked
+      ? bot.untrackedTotals || null
+      : { accumulatedGcb: bot.accumulatedGcb || 0, spentUsdt: bot.spentUsdt || 0 };
+    const { openOrders, ...totals } = await getFillTotals(bot._id);
+    return {
+      ...totals,
+      accumulatedGcb: totals.accumulatedGcb + (base?.accumulatedGcb || 0),
+      spentUsdt: totals.spentUsdt + (base?.spentUsdt || 0),
+      openOrders,
+      fillTracked: true,
+      untrackedTotals: base
+    };
+  }
+
+  // Reconcile every open order; bids still open when their interval ended are cancelled or rolled
+  async reconcileOpenOrders() {
+    const openOrders = await listOpenScheduledOrders();
+    const byBot = new Map();
+    for (const order of openOrders) {
+      const key = order.scheduledBotId.toString();
+      if (!byBot.has(key)) byBot.set(key, []);
+      byBot.get(key).push(order);
+    }
+
+    for (const orders of byBot.values()) {
+      const bot = await this.db.collection('scheduled_bots').findOne({ _id: orders[0].scheduledBotId });
+      if (!bot) continue;
+
+      await withBotLogContext(bot, 'gcbex', async () => {
+        try {
+          const user = await this.db.collection('users').findOne({
+            uid: bot.userId,
+            apiKey: { $exists: true },
+            apiSecret: { $exists: true }
+          });
+          if (!user) {
+            this.log('warning', `Cannot reconcile orders of bot ${bot._id}: user ${bot.userId} has no API credentials`);
+            return;
+          }
+
+          const client = this.getClient(user);
+          const now = new Date();
+          let rolledUsdt = 0;
+
+          for (const order of orders) {
+            if (order.kind !== 'bid' || !order.expiresAt || new Date(order.expiresAt) > now) {
+              await reconcileScheduledOrder(client, order);
+              continue;
+            }
+
+            const { order: closed, unfilledUsdt, error } = await cancelScheduledOrder(client, order, 'interval-ended');
+            if (error) {
+              this.log('warning', `Failed to cancel unfilled bid ${order.orderId}: ${error}`);
+              continue;
+            }
+            const roll = bot.unfilledBidAction === 'roll' && bot.isRunning && unfilledUsdt > 0;
+            if (roll) rolledUsdt += unfilledUsdt;
+            this.log('info', `🧹 Bid ${order.orderId} ${closed.status} at interval end: filled ${closed.executedQty.toFixed(4)} of ${order.quantity.toFixed(4)} GCB${roll ? `, rolling ${unfilledUsdt.toFixed(2)} USDT` : ''}`);
+          }
+
+          const update = { $set: { ...await this.getProgressTotals(bot), updatedAt: new Date() } };
+          if (rolledUsdt > 0) update.$inc = { rolloverUsdt: rolledUsdt };
+          await this.db.collection('scheduled_bots').updateOne({ _id: bot._id }, update);
+        } catch (error) {
+          this.log('error', `Error reconciling orders of bot ${bot._id}`, error.message);
+        }
+      });
+    }
+  }
+
+  // Budget, arrival price and slice times of the interval of the due calendar slot
+  async startInterval(bot, slot) {
+    const orderBook = await this.getOrderBookDepth(bot.symbol);
+    if (!orderBook) {
+      this.log('error', 'Failed to fetch order book depth');
+      return this.failSlot(bot, slot, 'order book unavailable');
+    }
+
+    // The interval lasts until the next calendar slot or the close of its trading window
+    const start = new Date();
+    const spanMs = Math.max(getSlotEnd(bot, slot.slotAt).getTime() - start.getTime(), this.config.checkInterval);
+    const remainingBuys = Math.max(1, bot.totalBuys - bot.executedBuys);
+    const remainingUsdt = Math.max(0, bot.totalUsdtBudget - bot.spentUsdt);
+    let budgetUsdt = remainingUsdt / remainingBuys;
+    if (bot.executionAlgorithm === 'vwap') {
+      const profile = await getHourlyVolumeProfile(this.db, 'gcbex', bot.symbol, bot.volumeLookbackDays).catch(error => {
+        this.log('warning', 'Failed to load hourly volume profile, weighting hours equally', error.message);
+        return null;
+      });
+      budgetUsdt = getVwapIntervalBudget(remainingUsdt, remainingBuys, start, spanMs, profile);
+    }
+
+    const interval = {
+      index: bot.executedBuys + 1,
+      slotAt: slot.slotAt,
+      nextSlotAfter: slot.after,
+      startedAt: start,
+      endsAt: new Date(start.getTime() + spanMs),
+      spanMs,
+      arrivalPrice: orderBook.bestAskPrice,
+      budgetUsdt,
+      spentUsdt: 0,
+      volume: 0,
+      lastSliceAt: start,
+      slices: planSliceTimes(start, spanMs, bot.sliceCount, bot.sliceJitterPercent)
+        .map(at => ({ at, status: 'pending' }))
+    };
+
+    await this.db.collection('scheduled_bots').updateOne(
+      { _id: bot._id },
+      {
+        $set: { currentInterval: interval, nextBuyAt: interval.slices[0].at, updatedAt: new Date() },
+        $unset: { failedSlot: '' }
+      }
+    );
+    this.log('info', `📐 ${bot.executionAlgorithm.toUpperCase()} interval ${interval.index}: ${budgetUsdt.toFixed(2)} USDT in ${bot.sliceCount} slice(s), arrival price ${interval.arrivalPrice}`);
+  }
+
+  // One due slice of the current interval; starts the interval first when there is none
+  async executeAlgorithmSlice(bot, slot) {
+    try {
+      const user = await this.db.collection('users').findOne({
+        uid: bot.userId,
+        apiKey: { $exists: true },
+        apiSecret: { $exists: true }
+      });
+
+      if (!user) {
+        this.log('error', `User ${bot.userId} not found or missing API credentials`);
+        if (slot) await this.failSlot(bot, slot, 'user not found or missing API credentials');
+        return;
+      }
+
+      const interval = bot.currentInterval;
+      if (!interval) {
+        await this.startInterval(bot, slot);
+        return;
+      }
+
+      // Slices more than a slot late (e.g. the bot was down) are not made up
+      const now = new Date();
+      const lateAfterMs = (interval.spanMs || bot.intervalMs) / interval.slices.length;
+      interval.slices
+        .filter(slice => slice.status === 'pending' && now - new Date(slice.at) > lateAfterMs)
+        .forEach(slice => { slice.status = 'missed'; });
+
+      const pending = interval.slices.filter(slice => slice.status === 'pending');
+      if (pending.length === 0) {
+        await this.finishInterval(bot, interval);
+        return;
+      }
+
+      const slice = pending[0];
+      if (new Date(slice.at) > now) {
+        await this.db.collection('scheduled_bots').updateOne(
+          { _id: bot._id },
+          { $set: { currentInterval: interval, nextBuyAt: slice.at, updatedAt: new Date() } }
+        );
+        return;
+      }
+
+      let sliceUsdt = (interval.budgetUsdt - interval.spentUsdt) / pending.length;
+
+      if (bot.executionAlgorithm === 'participation') {
+        const trades = await this.getClient().getRecentTrades(bot.symbol, 1000) || [];
+        const since = new Date(interval.lastSliceAt).getTime();
+        slice.observedNotional = trades
+          .filter(trade => trade.timestamp > since)
+          .reduce((sum, trade) => sum + trade.price * trade.qty, 0);
+        sliceUsdt = Math.min(sliceUsdt, slice.observedNotional * bot.participationRate / 100);
+      }
+
+      const depth = await this.getClient().getDepth(bot.symbol, 50);
+      const sizing = sliceUsdt > 0 && depth ? sizeBuyFromAsks(depth.asks, sliceUsdt, bot.maxPrice ?? null) : null;
+
+      if (!sizing) {
+        slice.status = 'skipped';
+        slice.reason = sliceUsdt <= 0
+          ? 'no traded volume to participate in'
+          : !depth ? 'no order book' : `no asks at or below maxPrice ${bot.maxPrice}`;
+        this.log('warning', `⏭️ Slice ${interval.slices.indexOf(slice) + 1}/${interval.slices.length} skipped: ${slice.reason}`);
+      } else {
+        this.log('info', `💰 Slice ${interval.slices.indexOf(slice) + 1}/${interval.slices.length}: market buy ${sizing.quantity.toFixed(4)} GCB for ~${sizing.spend.toFixed(2)} USDT`);
+        const order = await this.getClient(user).placeOrder({
+          symbol: bot.symbol,
+          side: 'BUY',
+          type: 'MARKET',
+          quantity: sizing.quantity.toFixed(8)
+        });
+        const result = order.data || { msg: order.error };
+
+        if (order.success) {
+          const recorded = await recordScheduledOrder(bot, {
+            intervalIndex: interval.index,
+            kind: 'slice',
+            orderId: order.orderId ?? result.orderId,
+            side: 'BUY',
+            type: 'MARKET',
+            quantity: sizing.quantity
+          });
+          const fill = await reconcileScheduledOrder(this.getClient(user), recorded);
+          const quantity = fill.executedQty > 0 ? fill.executedQty : sizing.quantity;
+          const price = fill.averagePrice || parseFloat(result.price) || sizing.averagePrice;
+          Object.assign(slice, {
+            status: 'filled',
+            orderId: recorded.orderId,
+            quantity,
+            price,
+            usdt: quantity * price
+          });
+          interval.spentUsdt += slice.usdt;
+          interval.volume += quantity;
+          this.log('success', `✅ Slice buy executed: ${slice.orderId} at ~${price}`);
+        } else {
+          slice.status = 'failed';
+          slice.error = result.msg || 'Unknown error';
+          this.log('error', `Slice buy failed: ${slice.error}`, result);
+        }
+      }
+
+      slice.executedAt = now;
+      interval.lastSliceAt = now;
+
+      const next = interval.slices.find(s => s.status === 'pending');
+      if (!next) {
+        await this.finishInterval(bot, interval);
+        return;
+      }
+      await this.db.collection('scheduled_bots').updateOne(
+        { _id: bot._id },
+        { $set: { currentInterval: interval, nextBuyAt: next.at, updatedAt: new Date() } }
+      );
+    } catch (error) {
+      this.log('error', `Error executing ${bot.executionAlgorithm} slice for bot ${bot._id}`, error.message);
+      if (slot) await this.failSlot(bot, slot, error.message);
+    }
+  }
+
+  // Record the interval with its arrival vs average price and move the bot on
+  async finishInterval(bot, interval) {
+    const execution = summarizeExecution(interval.spentUsdt, interval.volume, interval.arrivalPrice);
+    const status = interval.volume === 0
+      ? 'skipped'
+      : interval.spentUsdt >= interval.budgetUsdt * 0.99 ? 'success' : 'partial';
+
+    await this.db.collection('scheduled_bot_trades').insertOne({
+      scheduledBotId: bot._id,
+      userId: bot.userId,
+      symbol: bot.symbol,
+      algorithm: bot.executionAlgorithm,
+      intervalIndex: interval.index,
+      budgetUsdt: interval.budgetUsdt,
+      spentUsdt: interval.spentUsdt,
+      volume: interval.volume,
+      ...execution,
+      slices: interval.slices,
+      status,
+      startedAt: interval.startedAt,
+      executedAt: new Date()
+    });
+
+    const executedBuys = bot.executedBuys + 1;
+    const completed = executedBuys >= bot.totalBuys;
+    const nextBuyAt = completed
+      ? null
+      : interval.nextSlotAfter
+        ? this.getNextBuyAt(bot, new Date(interval.nextSlotAfter))
+        : new Date(Math.max(Date.now(), new Date(interval.endsAt).getTime()));
+
+    await this.db.collection('scheduled_bots').updateOne(
+      { _id: bot._id },
+      {
+        $set: {
+          executedBuys,
+          ...await this.getProgressTotals(bot),
+          lastBuyAt: new Date(),
+          lastExecution: { intervalIndex: interval.index, ...execution },
+          currentInterval: null,
+          ...this.getScheduleState(completed, nextBuyAt),
+          updatedAt: new Date()
+        }
+      }
+    );
+
+    const slippage = execution.slippagePercent !== null ? ` (${execution.slippagePercent >= 0 ? '+' : ''}${execution.slippagePercent.toFixed(2)}%)` : '';
+    this.log('trade', `📊 Interval ${interval.index} ${status}: ${interval.spentUsdt.toFixed(2)}/${interval.budgetUsdt.toFixed(2)} USDT, avg ${execution.averagePrice ?? '-'} vs arrival ${interval.arrivalPrice}${slippage}`);
+
+    if (completed) {
+      this.log('success', `🎉 Scheduled bot completed: ${bot.name} (${bot._id})`);
     }
   }
 
@@ -0,0 +1,390 @@
+/**
+ * Scheduled Calendar
+ *
+ * When a scheduled accumulation bot buys. Settings (on create):
+ *   schedule         - cron expression "minute hour day-of-month month day-of-week"
+ *                      (*, lists, ranges, steps; day-of-week 0-7, 0 and 7 = Sunday).
+ *                      Without it the bot buys every intervalMs from its first slot.
+ *   timezone         - IANA zone the cron fields, windows and blackouts are read in (default UTC)
+ *   tradingWindows   - [{ days: [1, 2, 3, 4, 5], start: '08:00', end: '20:00' }]; a slot
+ *                      must fall inside one (days 0-6, 0 = Sunday, default every day;
+ *                      end is exclusive). Empty = any time.
+ *   blackoutDates    - ['2026-12-25', ...] local dates without buys
+ *   startAt          - no slot before this time
+ *   missedSlotPolicy - what to do with a slot found more than the grace period late
+ *                      (e.g. after downtime):
+ *                        skip     - drop it and every other missed slot (default)
+ *                        catch-up - run the missed slots back to back
+ *                        run-once - run one buy now, drop the rest (bots created
+ *                                   before calendars behave like this)
+ *                      A slot whose buy failed is not missed: the monitor retries it
+ *                      until the following slot is due (failSlot in scheduled-bot-monitor.js).
+ *
+ * Interval slots are anchored at scheduleAnchor (the first slot), so they do not
+ * drift with execution time; slots outside the windows or on blackout dates
+ * are passed over. Slots are searched up to SEARCH_HORIZON_DAYS ahead.
+ */
+
+export const MISSED_SLOT_POLICIES = ['skip', 'catch-up', 'run-once'];
+
+const SEARCH_HORIZON_DAYS = 366;
+const MINUTE_MS = 60 * 1000;
+const DAY_MINUTES = 24 * 60;
+const MAX_UPCOMING = 100;
+
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'dayOfWeek', min: 0, max: 7 }
+];
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+// ============================================
+// Cron expressions
+// ============================================
+
+function parseCronField(text, { name, min, max }) {
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const match = part.match(/^(\*|\d+(?:-\d+)?)(?:\/(\d+))?$/);
+    if (!match) {
+      throw new Error(`Invalid schedule: cannot read ${name} "${part}"`);
+    }
+    const [, range, stepText] = match;
+    const step = stepText ? parseInt(stepText) : 1;
+    let [from, to] = range === '*' ? [min, max] : range.split('-').map(Number);
+    if (to === undefined) to = stepText ? max : from;
+    if (from < min || to > max || from > to || step < 1) {
+      throw new Error(`Invalid schedule: ${name} "${part}" is outside ${min}-${max}`);
+    }
+    for (let value = from; value <= to; value += step) values.add(value);
+  }
+  return values;
+}
+
+/**
+ * Parse a five-field cron expression into sets of allowed values.
+ * Throws 'Invalid schedule: ...' errors.
+ */
+export function parseCron(expression) {
+  const parts = String(expression).trim().split(/\s+/);
+  if (parts.length !== CRON_FIELDS.length) {
+    throw new Error('Invalid schedule: expected 5 fields (minute hour day-of-month month day-of-week)');
+  }
+  const [minute, hour, dayOfMonth, month, dayOfWeek] = parts.map((part, i) => parseCronField(part, CRON_FIELDS[i]));
+  if (dayOfWeek.has(7)) dayOfWeek.add(0);
+  return {
+    minute,
+    hour,
+    dayOfMonth,
+    month,
+    dayOfWeek,
+    // Standard cron: when both day fields are restricted, either may match
+    anyDayOfMonth: parts[2] === '*',
+    anyDayOfWeek: parts[4] === '*'
+  };
+}
+
+function cronDayMatches(cron, local) {
+  const dom = cron.dayOfMonth.has(local.day);
+  const dow = cron.dayOfWeek.has(local.weekday);
+  if (cron.anyDayOfMonth || cron.anyDayOfWeek) return dom && dow;
+  return dom || dow;
+}
+
+// ============================================
+// Local time
+// ============================================
+
+const formatters = new Map();
+
+function getFormatter(timezone) {
+  if (!formatters.has(timezone)) {
+    formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      weekday: 'short',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit'
+    }));
+  }
+  return formatters.get(timezone);
+}
+
+// Wall-clock parts of `date` in `timezone`
+export function getLocalParts(date, timezone = 'UTC') {
+  const parts = {};
+  for (const { type, value } of getFormatter(timezone).formatToParts(date)) {
+    parts[type] = value;
+  }
+  return {
+    year: parseInt(parts.year),
+    month: parseInt(parts.month),
+    day: parseInt(parts.day),
+    hour: parseInt(parts.hour),
+    minute: parseInt(parts.minute),
+    weekday: WEEKDAYS[parts.weekday],
+    date: `${parts.year}-${parts.month}-${parts.day}`
+  };
+}
+
+function isValidTimezone(timezone) {
+  try {
+    getFormatter(timezone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+function toMinutes(time) {
+  const match = String(time).match(/^(\d{2}):(\d{2})$/);
+  if (!match) return null;
+  const minutes = parseInt(match[1]) * 60 + parseInt(match[2]);
+  return parseInt(match[1]) <= 24 && parseInt(match[2]) < 60 && minutes <= DAY_MINUTES ? minutes : null;
+}
+
+// ============================================
+// Settings
+// ============================================
+
+/**
+ * Calendar settings of a create request, validated: { fields } or { error }.
+ */
+export function parseScheduleSettings(body = {}) {
+  const fields = {
+    schedule: null,
+    timezone: 'UTC',
+    tradingWindows: [],
+    blackoutDates: [],
+    startAt: null,
+    missedSlotPolicy: 'skip'
+  };
+
+  if (body.timezone !== undefined && body.timezone !== null) {
+    if (typeof body.timezone !== 'string' || !isValidTimezone(body.timezone)) {
+      return { error: `Invalid timezone: ${body.timezone}` };
+    }
+    fields.timezone = body.timezone;
+  }
+
+  if (body.schedule !== undefined && body.schedule !== null && body.schedule !== '') {
+    try {
+      parseCron(body.schedule);
+    } catch (error) {
+      return { error: error.message };
+    }
+    fields.schedule = String(body.schedule).trim().split(/\s+/).join(' ');
+  }
+
+  if (body.tradingWindows !== undefined && body.tradingWindows !== null) {
+    if (!Array.isArray(body.tradingWindows)) {
+      return { error: 'Invalid tradingWindows: expected a list of { days, start, end }' };
+    }
+    for (const window of body.tradingWindows) {
+      const start = toMinutes(window?.start);
+      const end = toMinutes(window?.end);
+      if (start === null || end === null || start >= end) {
+        return { error: 'Invalid tradingWindows: start and end must be HH:MM with start before end' };
+      }
+      const days = window.days === undefined ? [0, 1, 2, 3, 4, 5, 6] : window.days;
+      if (!Array.isArray(days) || days.length === 0 || !days.every(day => Number.isInteger(day) && day >= 0 && day <= 6)) {
+        return { error: 'Invalid tradingWindows: days must be a list of 0-6 (0 = Sunday)' };
+      }
+      fields.tradingWindows.push({ days: [...new Set(days)].sort(), start: window.start, end: window.end });
+    }
+  }
+
+  if (body.blackoutDates !== undefined && body.blackoutDates !== null) {
+    if (!Array.isArray(body.blackoutDates) || !body.blackoutDates.every(date => /^\d{4}-\d{2}-\d{2}$/.test(date))) {
+      return { error: 'Invalid blackoutDates: expected a list of YYYY-MM-DD dates' };
+    }
+    fields.blackoutDates = [...new Set(body.blackoutDates)].sort();
+  }
+
+  if (body.startAt !== undefined && body.startAt !== null) {
+    const startAt = new Date(body.startAt);
+    if (isNaN(startAt.getTime())) {
+      return { error: 'Invalid startAt: must be a date' };
+    }
+    fields.startAt = startAt;
+  }
+
+  if (body.missedSlotPolicy !== undefined) {
+    if (!MISSED_SLOT_POLICIES.includes(body.missedSlotPolicy)) {
+      return { error: `Invalid missedSlotPolicy: use one of ${MISSED_SLOT_POLICIES.join(', ')}` };
+    }
+    fields.missedSlotPolicy = body.missedSlotPolicy;
+  }
+  return { fields };
+}
+
+// ============================================
+// Slots
+// ============================================
+
+// Inside a trading window (if any) and not on a blackout date
+export function isTradingAllowed(bot, date) {
+  const local = getLocalParts(date, bot.timezone || 'UTC');
+  if ((bot.blackoutDates || []).includes(local.date)) return false;
+
+  const windows = bot.tradingWindows || [];
+  if (windows.length === 0) return true;
+  const minutes = local.hour * 60 + local.minute;
+  return windows.some(window =>
+    window.days.includes(local.weekday) &&
+    minutes >= toMinutes(window.start) &&
+    minutes < toMinutes(window.end)
+  );
+}
+
+// First cron match strictly after `after` (whole minutes), or null within the horizon
+function nextCronSlot(cron, timezone, after, limit) {
+  let time = Math.floor(after.getTime() / MINUTE_MS) * MINUTE_MS + MINUTE_MS;
+  while (time <= limit) {
+    const local = getLocalParts(new Date(time), timezone);
+    // Hour steps, not a jump to midnight: local days are 23 or 25 hours around DST changes
+    if (!cron.month.has(local.month) || !cronDayMatches(cron, local) || !cron.hour.has(local.hour)) {
+      time += (60 - local.minute) * MINUTE_MS;
+    } else if (!cron.minute.has(local.minute)) {
+      time += MINUTE_MS;
+    } else {
+      return new Date(time);
+    }
+  }
+  return null;
+}
+
+// When the trading window `date` falls in closes, or null outside windows
+function getWindowEnd(bot, date) {
+  const timezone = bot.timezone || 'UTC';
+  const local = getLocalParts(date, timezone);
+  const minutes = local.hour * 60 + local.minute;
+  const ends = (bot.tradingWindows || [])
+    .filter(window =>
+      window.days.includes(local.weekday) &&
+      minutes >= toMinutes(window.start) &&
+      minutes < toMinutes(window.end))
+    .map(window => toMinutes(window.end));
+  if (ends.length === 0) return null;
+
+  const end = Math.max(...ends);
+  let time = Math.floor(date.getTime() / MINUTE_MS) * MINUTE_MS + (end - minutes) * MINUTE_MS;
+  // A DST change inside the window moves its wall-clock end by the shift
+  const reached = getLocalParts(new Date(time), timezone);
+  const drift = (end % DAY_MINUTES) - (reached.hour * 60 + reached.minute);
+  if (drift !== 0 && Math.abs(drift) <= 120) time += drift * MINUTE_MS;
+  return new Date(time);
+}
+
+/**
+ * The bot's next buy slot strictly after `after` that is at or after startAt,
+ * inside its trading windows and not on a blackout date; null if none within
+ * the search horizon. Bots without a calendar (no scheduleAnchor) keep the
+ * original fixed interval from `after`.
+ */
+export function getNextSlot(bot, after) {
+  const limit = after.getTime() + SEARCH_HORIZON_DAYS * DAY_MINUTES * MINUTE_MS;
+  const startAt = bot.startAt ? new Date(bot.startAt).getTime() : null;
+  const earliest = startAt !== null && startAt > after.getTime() ? new Date(startAt - 1) : after;
+
+  if (bot.schedule) {
+    const cron = parseCron(bot.schedule);
+    let candidate = nextCronSlot(cron, bot.timezone || 'UTC', earliest, limit);
+    while (candidate && !isTradingAllowed(bot, candidate)) {
+      candidate = nextCronSlot(cron, bot.timezone || 'UTC', candidate, limit);
+    }
+    return candidate;
+  }
+
+  if (!bot.scheduleAnchor) {
+    return new Date(after.getTime() + bot.intervalMs);
+  }
+
+  // Interval slots: scheduleAnchor + k * intervalMs
+  const anchor = new Date(bot.scheduleAnchor).getTime();
+  let k = Math.max(0, Math.floor((earliest.getTime() - anchor) / bot.intervalMs) + 1);
+  if (anchor > earliest.getTime()) k = 0;
+  for (let time = anchor + k * bot.intervalMs; time <= limit; time += bot.intervalMs) {
+    if (isTradingAllowed(bot, new Date(time))) return new Date(time);
+  }
+  return null;
+}
+
+/**
+ * First slot of a bot being started at `now`. Interval bots anchor their
+ * calendar here (startAt, or one minute from now as before); returns
+ * { nextBuyAt, scheduleAnchor } with nextBuyAt null when no slot qualifies.
+ */
+export function getFirstSlot(bot, now = new Date()) {
+  const startAt = bot.startAt && new Date(bot.startAt) > now ? new Date(bot.startAt) : null;
+
+  if (bot.schedule) {
+    return { nextBuyAt: getNextSlot(bot, new Date((startAt || now).getTime() - 1)), scheduleAnchor: null };
+  }
+
+  const scheduleAnchor = startAt || new Date(now.getTime() + MINUTE_MS);
+  const withAnchor = { ...bot, scheduleAnchor };
+  const nextBuyAt = isTradingAllowed(withAnchor, scheduleAnchor)
+    ? scheduleAnchor
+    : getNextSlot(withAnchor, scheduleAnchor);
+  return { nextBuyAt, scheduleAnchor };
+}
+
+/**
+ * End of the interval that starts at slotAt: the following slot or, sooner,
+ * the close of the trading window slotAt falls in. Without either it is
+ * slotAt + intervalMs.
+ */
+export function getSlotEnd(bot, slotAt) {
+  const ends = [getNextSlot(bot, slotAt), getWindowEnd(bot, slotAt)].filter(Boolean);
+  return ends.length > 0
+    ? new Date(Math.min(...ends))
+    : new Date(slotAt.getTime() + bot.intervalMs);
+}
+
+// Up to `count` slots after `from` (the first is `from` itself when it is a due nextBuyAt)
+export function listUpcomingSlots(bot, from, count) {
+  const slots = [];
+  let cursor = new Date(from.getTime() - 1);
+  while (slots.length < Math.min(count, MAX_UPCOMING)) {
+    const slot = getNextSlot(bot, cursor);
+    if (!slot) break;
+    slots.push(slot);
+    cursor = slot;
+  }
+  return slots;
+}
+
+/**
+ * Decide what to do with a due slot (bot.nextBuyAt) at `now`.
+ * Returns { run, slotAt, after, missed }: run the buy (or not), the slot it
+ * stands for, the time the following slot is searched from, and how many
+ * slots were dropped.
+ */
+export function resolveDueSlot(bot, now, graceMs) {
+  const due = new Date(bot.nextBuyAt);
+  if (now.getTime() - due.getTime() <= graceMs) {
+    return { run: true, slotAt: due, after: due, missed: 0 };
+  }
+
+  const policy = bot.missedSlotPolicy || 'run-once';
+  if (policy === 'catch-up') {
+    return { run: true, slotAt: due, after: due, missed: 0 };
+  }
+
+  // Slots that passed while nobody bought (the due one included)
+  let missed = 1;
+  for (let slot = getNextSlot(bot, due); slot && slot <= now && missed < MAX_UPCOMING; slot = getNextSlot(bot, slot)) {
+    missed++;
+  }
+  return policy === 'run-once'
+    ? { run: true, slotAt: now, after: now, missed: missed - 1 }
+    : { run: false, slotAt: null, after: now, missed };
+}
@@ -0,0 +1,243 @@
+import { splitSymbol } from './exchange-clients.js';
+
+/**
+ * Scheduled Bot Orders
+ *
+ * Every order a scheduled accumulation bot places is recorded and reconciled
+ * against the exchange, so the bot's progress comes from real executions
+ * instead of what was requested:
+ *   scheduled_bot_orders { scheduledBotId, userId, symbol, intervalIndex,
+ *                          kind: market | bid | slice, orderId, side, type,
+ *                          price, quantity, expiresAt, status, exchangeStatus,
+ *                          executedQty, executedUsdt, averagePrice, feesUsdt,
+ *                          feesBase, tradeIds, placedAt, reconciledAt, closedAt,
+ *                          closeReason, cancelRequestedAt, reconcileError }
+ *
+ * Reconciling reads the order (getOrder) and the account's own trades
+ * (getMyTrades), paged forward with fromId/startTime from shortly before the
+ * order was placed, on any venue whose client reports them (GCBEX, MEXC, XT,
+ * paper). Fills come from the trades when they cover the executed quantity,
+ * else from the order's average price (fees unknown then).
+ * status: open -> filled | partially_filled | cancelled | rejected.
+ *
+ * A limit bid still open at expiresAt (the next interval) is cancelled. With
+ * unfilledBidAction: 'roll' the USDT it did not spend is added to the bot's
+ * rolloverUsdt and placed with the next bid.
+ *
+ * scheduled_bots.accumulatedGcb (net of fees paid in GCB), spentUsdt,
+ * feesUsdt and averagePrice (execution price) are totals over these orders
+ * (getFillTotals).
+ */
+
+export const ORDERS_COLLECTION = 'scheduled_bot_orders';
+export const UNFILLED_BID_ACTIONS = ['cancel', 'roll'];
+const TRADE_PAGE_SIZE = 100;
+const MAX_TRADE_PAGES = 20;
+const TRADE_LOOKBACK_MS = 60 * 1000;
+const MAX_LIST_LIMIT = 500;
+const EPSILON = 1e-9;
+
+let ordersDb = null;
+
+export async function initScheduledOrders(db) {
+  ordersDb = db;
+  const collection = db.collection(ORDERS_COLLECTION);
+  await collection.createIndex({ status: 1 });
+  await collection.createIndex({ scheduledBotId: 1, placedAt: -1 });
+  console.log('✅ Scheduled bot order reconciliation initialized');
+}
+
+// unfilledBidAction of a create request: { fields } or { error }
+export function parseFillSettings(body = {}) {
+  const action = body.unfilledBidAction === undefined ? 'cancel' : body.unfilledBidAction;
+  if (!UNFILLED_BID_ACTIONS.includes(action)) {
+    return { error: `Invalid unfilledBidAction: use one of ${UNFILLED_BID_ACTIONS.join(', ')}` };
+  }
+  return { fields: { unfilledBidAction: action } };
+}
+
+// Record an order right after the exchange accepted it
+export async function recordScheduledOrder(bot, { intervalIndex, kind, orderId, side, type, price = null, quantity, expiresAt = null }) {
+  const order = {
+    scheduledBotId: bot._id,
+    userId: bot.userId,
+    symbol: bot.symbol,
+    intervalIndex,
+    kind,
+    orderId: String(orderId),
+    side,
+    type,
+    price,
+    quantity,
+    expiresAt,
+    status: 'open',
+    exchangeStatus: null,
+    executedQty: 0,
+    executedUsdt: 0,
+    averagePrice: null,
+    feesUsdt: null,
+    feesBase: 0,
+    tradeIds: [],
+    placedAt: new Date(),
+    reconciledAt: null,
+    closedAt: null
+  };
+  const result = await ordersDb.collection(ORDERS_COLLECTION).insertOne(order);
+  return { _id: result.insertedId, ...order };
+}
+
+// Trades of one order, paging forward until a short page, a page with nothing
+// new, or the executed quantity is covered
+async function getOrderTrades(client, order, executedQty) {
+  const seen = new Set();
+  const own = [];
+  let page = { startTime: new Date(order.placedAt).getTime() - TRADE_LOOKBACK_MS, fromId: null };
+
+  for (let i = 0; i < MAX_TRADE_PAGES; i++) {
+    const trades = await client.getMyTrades(order.symbol, { limit: TRADE_PAGE_SIZE, orderId: order.orderId, ...page }) || [];
+    const fresh = trades.filter(trade => !seen.has(trade.id));
+    fresh.forEach(trade => seen.add(trade.id));
+    own.push(...fresh.filter(trade => trade.orderId === order.orderId));
+
+    const tradedQty = own.reduce((sum, trade) => sum + trade.qty, 0);
+    if (fresh.length === 0 || trades.length < TRADE_PAGE_SIZE || tradedQty >= executedQty - EPSILON) break;
+    const last = trades[trades.length - 1];
+    page = { startTime: last.timestamp, fromId: last.id };
+  }
+  return own;
+}
+
+function closedStatus(exchangeStatus, executedQty) {
+  if (exchangeStatus === 'FILLED') return 'filled';
+  if (exchangeStatus === 'REJECTED') return 'rejected';
+  return executedQty > EPSILON ? 'partially_filled' : 'cancelled';
+}
+
+/**
+ * Bring one recorded order up to date with the exchange. Returns the updated
+ * order; errors are kept on it (reconcileError) and the order stays open.
+ */
+export async function reconcileScheduledOrder(client, order, { closeReason = null } = {}) {
+  const collection = ordersDb.collection(ORDERS_COLLECTION);
+  const now = new Date();
+
+  let venueOrder;
+  let own;
+  try {
+    venueOrder = await client.getOrder(order.symbol, order.orderId);
+    own = venueOrder && venueOrder.executedQty > EPSILON ? await getOrderTrades(client, order, venueOrder.executedQty) : [];
+  } catch (error) {
+    await collection.updateOne({ _id: order._id }, { $set: { reconciledAt: now, reconcileError: error.message } });
+    return { ...order, reconciledAt: now, reconcileError: error.message };
+  }
+
+  if (!venueOrder) {
+    const reconcileError = 'Order not found on the exchange';
+    await collection.updateOne({ _id: order._id }, { $set: { reconciledAt: now, reconcileError } });
+    return { ...order, reconciledAt: now, reconcileError };
+  }
+
+  const [baseAsset] = splitSymbol(order.symbol);
+  const tradedQty = own.reduce((sum, trade) => sum + trade.qty, 0);
+
+  let fills;
+  if (own.length > 0 && tradedQty >= venueOrder.executedQty - EPSILON) {
+    // Buy fees are usually charged in the base asset, which is then not accumulated
+    const baseFees = own.filter(trade => trade.feeAsset === baseAsset);
+    fills = {
+      executedQty: tradedQty,
+      executedUsdt: own.reduce((sum, trade) => sum + trade.price * trade.qty, 0),
+      feesUsdt: own.reduce((sum, trade) => sum + (trade.feeAsset === baseAsset ? trade.fee * trade.price : trade.fee), 0),
+      feesBase: baseFees.reduce((sum, trade) => sum + trade.fee, 0),
+      tradeIds: own.map(trade => trade.id)
+    };
+  } else {
+    const price = venueOrder.avgPrice || venueOrder.price || order.price || 0;
+    fills = {
+      executedQty: venueOrder.executedQty,
+      executedUsdt: venueOrder.executedQty * price,
+      feesUsdt: null,
+      feesBase: 0,
+      tradeIds: order.tradeIds || []
+    };
+  }
+
+  const update = {
+    ...fills,
+    averagePrice: fills.executedQty > EPSILON ? fills.executedUsdt / fills.executedQty : null,
+    exchangeStatus: venueOrder.status,
+    status: venueOrder.final ? closedStatus(venueOrder.status, fills.executedQty) : 'open',
+    reconciledAt: now,
+    reconcileError: null
+  };
+  if (venueOrder.final && order.status === 'open') {
+    update.closedAt = now;
+    update.closeReason = closeReason || 'exchange';
+  }
+
+  await collection.updateOne({ _id: order._id }, { $set: update });
+  return { ...order, ...update };
+}
+
+/**
+ * Cancel an order that outlived its interval and record its final fills.
+ * Returns { order, unfilledUsdt } (the quote the bid did not spend); an order
+ * whose cancel was already accepted is only reconciled, so it is counted once.
+ */
+export async function cancelScheduledOrder(client, order, reason) {
+  if (order.cancelRequestedAt) {
+    return { order: await reconcileScheduledOrder(client, order, { closeReason: reason }), unfilledUsdt: 0 };
+  }
+
+  const cancel = await client.cancelOrder(order.symbol, order.orderId);
+  const updated = await reconcileScheduledOrder(client, order, { closeReason: reason });
+  if (!cancel.success && updated.status === 'open') {
+    return { order: updated, unfilledUsdt: 0, error: cancel.error || 'Cancel failed' };
+  }
+
+  const cancelRequestedAt = new Date();
+  await ordersDb.collection(ORDERS_COLLECTION).updateOne({ _id: order._id }, { $set: { cancelRequestedAt } });
+  const unfilledQty = Math.max(0, (order.quantity || 0) - updated.executedQty);
+  return { order: { ...updated, cancelRequestedAt }, unfilledUsdt: unfilledQty * (order.price || 0) };
+}
+
+export async function listOpenScheduledOrders() {
+  return ordersDb.collection(ORDERS_COLLECTION).find({ status: 'open' }).toArray();
+}
+
+// Recorded orders of one bot, newest first
+export async function listScheduledOrders(botId, { status, limit } = {}) {
+  const filter = { scheduledBotId: botId };
+  if (status) filter.status = status;
+  return ordersDb.collection(ORDERS_COLLECTION)
+    .find(filter)
+    .sort({ placedAt: -1 })
+    .limit(Math.min(parseInt(limit) || 100, MAX_LIST_LIMIT))
+    .toArray();
+}
+
+// Real executions of one bot: { accumulatedGcb, spentUsdt, feesUsdt, averagePrice, openOrders }
+export async function getFillTotals(botId) {
+  const [totals] = await ordersDb.collection(ORDERS_COLLECTION).aggregate([
+    { $match: { scheduledBotId: botId } },
+    {
+      $group: {
+        _id: null,
+        executedQty: { $sum: '$executedQty' },
+        feesBase: { $sum: { $ifNull: ['$feesBase', 0] } },
+        spentUsdt: { $sum: '$executedUsdt' },
+        feesUsdt: { $sum: { $ifNull: ['$feesUsdt', 0] } },
+        openOrders: { $sum: { $cond: [{ $eq: ['$status', 'open'] }, 1, 0] } }
+      }
+    }
+  ]).toArray();
+
+  const { executedQty = 0, feesBase = 0, spentUsdt = 0, feesUsdt = 0, openOrders = 0 } = totals || {};
+  return {
+    accumulatedGcb: executedQty - feesBase,
+    spentUsdt,
+    feesUsdt,
+    averagePrice: executedQty > EPSILON ? spentUsdt / executedQty : null,
+    openOrders
+  };
+}
@@ -0,0 +1,110 @@
+import { getSessionAccount, logOutEverywhere, resolveSession } from './identity.js';
+import { listSessions, refreshSession, revokeSession, verifyAccessToken } from './sessions.js';
+
+// Setup session routes (refresh, logout, logout everywhere, active sessions)
+export function setupSessionRoutes(app, db) {
+
+  const bearerToken = (req) => req.headers.authorization.split(' ')[1];
+
+  // ============================================
+  // Session Endpoints
+  // ============================================
+
+  // POST /api/auth/refresh - Rotate a refresh token into a new access + refresh token (body: { refreshToken })
+  app.post('/api/auth/refresh', async (req, res) => {
+    try {
+      const { refreshToken } = req.body || {};
+      if (!refreshToken) {
+        return res.status(400).json({ code: '-1', msg: 'refreshToken is required', data: null });
+      }
+
+      const session = await refreshSession(refreshToken);
+      if (!session) {
+        return res.status(401).json({ code: '-1', msg: 'Invalid, expired or revoked refresh token', data: null });
+      }
+
+      res.json({ code: '0', msg: 'Success', data: session });
+    } catch (error) {
+      console.error('Error refreshing session:', error);
+      res.status(500).json({ code: '-1', msg: 'Failed to refresh session', data: null });
+    }
+  });
+
+  // POST /api/auth/logout - End the current session (its access and refresh tokens stop working)
+  app.post('/api/auth/logout', async (req, res) => {
+    try {
+      const claims = await verifyAccessToken(bearerToken(req));
+      if (claims) {
+        await revokeSession(claims.sid);
+      }
+      res.json({ code: '0', msg: 'Logged out successfully', data: null });
+    } catch (error) {
+      console.error('Error logging out:', error);
+      res.status(500).json({ code: '-1', msg: 'Logout failed', data: null });
+    }
+  });
+
+  // POST /api/auth/logout-all - Log out all devices: revoke every session and the GCBEX QR token
+  app.post('/api/auth/logout-all', async (req, res) => {
+    try {
+      const account = await getSessionAccount(db, await resolveSession(db, bearerToken(req)));
+      if (!account) {
+        return res.status(404).json({ code: '-1', msg: 'Account not found', data: null });
+      }
+
+      const revoked = await logOutEverywhere(db, account);
+      console.log(`🚪 All sessions of account ${account._id} revoked (${revoked})`);
+      res.json({ code: '0', msg: 'Logged out of all devices', data: { sessionsRevoked: revoked } });
+    } catch (error) {
+      console.error('Error logging out all devices:', error);
+      res.status(500).json({ code: '-1', msg: 'Failed to log out all devices', data: null });
+    }
+  });
+
+  // GET /api/auth/sessions - Caller's active sessions (current one flagged)
+  app.get('/api/auth/sessions', async (req, res) => {
+    try {
+      const token = bearerToken(req);
+      const account = await getSessionAccount(db, await resolveSession(db, token));
+      if (!account) {
+        return res.status(404).json({ code: '-1', msg: 'Account not found', data: null });
+      }
+
+      const current = await verifyAccessToken(token);
+      const sessions = await listSessions(account._id);
+      res.json({
+        code: '0',
+        msg: 'Success',
+        data: sessions.map(session => ({ ...session, current: session.id === current?.sid }))
+      });
+    } catch (error) {
+      console.error('Error listing sessions:', error);
+      res.status(500).json({ code: '-1', msg: 'Failed to list sessions', data: null });
+    }
+  });
+
+  // DELETE /api/auth/sessions/:id - Revoke one of the caller's sessions
+  app.delete('/api/auth/sessions/:id', async (req, res) => {
+    try {
+      const account = await getSessionAccount(db, await resolveSession(db, bearerToken(req)));
+      if (!account) {
+        return res.status(404).json({ code: '-1', msg: 'Account not found', data: null });
+      }
+
+      const sessions = await listSessions(account._id);
+      if (!sessions.some(session => session.id === req.params.id)) {
+        return res.status(404).json({ code: '-1', msg: 'Session not found', data: null });
+      }
+
+      await revokeSession(req.params.id);
+      res.json({ code: '0', msg: 'Session revoked', data: { id: req.params.id } });
+    } catch (error) {
+      console.error('Error revoking session:', error);
+      res.status(500).json({ code: '-1', msg: 'Failed to revoke session', data: null });
+    }
+  });
+
+  console.log('✅ Session routes initialized');
+}
+
+export default setupSessionRoutes;
@@ -0,0 +1,200 @@
+import crypto from 'node:crypto';
+import jwt from 'jsonwebtoken';
+import 'dotenv/config';
+
+/**
+ * Sessions
+ *
+ * Server-side login sessions for accounts (see identity.js):
+ *   sessions { accountId, source, refreshTokenHash, userAgent, ip,
+ *              createdAt, lastUsedAt, expiresAt, revokedAt, revokeReason }
+ *
+ * A login returns a short-lived access token (JWT carrying the session id,
+ * ACCESS_TOKEN_TTL_MINUTES, default 15) and a refresh token
+ * ("<sessionId>.<secret>", REFRESH_TOKEN_TTL_DAYS, default 30). Every refresh
+ * rotates the refresh token; presenting an already-rotated one revokes the
+ * session, since it means the token was copied. Access tokens are only
+ * accepted while their session is neither revoked nor expired, so logout
+ * takes effect immediately. Expired sessions are dropped by a TTL index.
+ */
+
+export const DEFAULT_JWT_SECRET = 'mexc-bot-secret-key-change-in-production';
+const JWT_SECRET = process.env.JWT_SECRET;
+const ACCESS_TOKEN_TTL_MINUTES = parseInt(process.env.ACCESS_TOKEN_TTL_MINUTES) || 15;
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+const COLLECTION = 'sessions';
+let sessionDb = null;
+
+// Tokens signed with a missing or published secret can be forged by anyone
+export function isSessionSecretConfigured() {
+  return Boolean(JWT_SECRET) && JWT_SECRET !== DEFAULT_JWT_SECRET;
+}
+
+export async function initSessions(db) {
+  sessionDb = db;
+  const collection = db.collection(COLLECTION);
+  await collection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+  await collection.createIndex({ accountId: 1, revokedAt: 1 });
+  console.log(`✅ Sessions initialized (${ACCESS_TOKEN_TTL_MINUTES}m access, ${REFRESH_TOKEN_TTL_DAYS}d refresh)`);
+}
+
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+function signAccessToken(account, session) {
+  return jwt.sign({
+    sid: session._id.toString(),
+    accountId: account._id.toString(),
+    id: account.mexcUserId ?? undefined,
+    uid: account.gcbexUid ?? undefined,
+    source: session.source
+  }, JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL_MINUTES * 60 });
+}
+
+function toTokens(account, session, secret) {
+  return {
+    sessionId: session._id.toString(),
+    accessToken: signAccessToken(account, session),
+    refreshToken: `${session._id}.${secret}`,
+    expiresIn: ACCESS_TOKEN_TTL_MINUTES * 60
+  };
+}
+
+/**
+ * Start a session for an account. source is the venue the caller signed in
+ * with ('gcbex' or 'mexc'); req (optional) records user agent and IP.
+ * Returns { sessionId, accessToken, refreshToken, expiresIn (seconds) }.
+ */
+export async function createSession(account, source, req = null) {
+  if (!sessionDb) {
+    throw new Error('Sessions not initialized');
+  }
+
+  const secret = crypto.randomBytes(32).toString('hex');
+  const now = new Date();
+  const session = {
+    accountId: account._id,
+    source,
+    refreshTokenHash: hashSecret(secret),
+    userAgent: req?.headers?.['user-agent'] || null,
+    ip: req?.ip || null,
+    createdAt: now,
+    lastUsedAt: now,
+    expiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+    revokedAt: null,
+    revokeReason: null
+  };
+  const result = await sessionDb.collection(COLLECTION).insertOne(session);
+  return toTokens(account, { ...session, _id: result.insertedId }, secret);
+}
+
+async function findLiveSession(sessionId) {
+  const { ObjectId } = await import('mongodb');
+  if (!sessionDb || !ObjectId.isValid(String(sessionId))) return null;
+  return sessionDb.collection(COLLECTION).findOne({
+    _id: new ObjectId(String(sessionId)),
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+}
+
+// Claims of a valid access token whose session is still live, else null.
+// accountId comes from the session, so it follows account merges.
+export async function verifyAccessToken(token) {
+  let claims;
+  try {
+    claims = jwt.verify(token, JWT_SECRET);
+  } catch (error) {
+    return null;
+  }
+  if (!claims.sid) return null;
+
+  const session = await findLiveSession(claims.sid);
+  if (!session) return null;
+  return { ...claims, accountId: session.accountId.toString() };
+}
+
+/**
+ * Exchange a refresh token for a new access token and a new refresh token.
+ * Returns null when the token is unknown, expired or revoked; a replayed
+ * (already rotated) token revokes its session.
+ */
+export async function refreshSession(refreshToken) {
+  const [sessionId, secret] = String(refreshToken || '').split('.');
+  if (!secret) return null;
+
+  const session = await findLiveSession(sessionId);
+  if (!session) return null;
+
+  if (hashSecret(secret) !== session.refreshTokenHash) {
+    await revokeSession(sessionId, 'refresh_token_reused');
+    console.warn(`⚠️ Refresh token reuse on session ${sessionId} - session revoked`);
+    return null;
+  }
+
+  const account = await sessionDb.collection('accounts').findOne({ _id: session.accountId });
+  if (!account) {
+    await revokeSession(sessionId, 'account_removed');
+    return null;
+  }
+
+  const nextSecret = crypto.randomBytes(32).toString('hex');
+  // Only rotate the hash we checked, so two racing refreshes cannot both succeed
+  const result = await sessionDb.collection(COLLECTION).updateOne(
+    { _id: session._id, refreshTokenHash: session.refreshTokenHash },
+    { $set: { refreshTokenHash: hashSecret(nextSecret), lastUsedAt: new Date() } }
+  );
+  if (result.modifiedCount === 0) return null;
+
+  return toTokens(account, session, nextSecret);
+}
+
+export async function revokeSession(sessionId, reason = 'logout') {
+  const { ObjectId } = await import('mongodb');
+  if (!sessionDb || !ObjectId.isValid(String(sessionId))) return false;
+  const result = await sessionDb.collection(COLLECTION).updateOne(
+    { _id: new ObjectId(String(sessionId)), revokedAt: null },
+    { $set: { revokedAt: new Date(), revokeReason: reason } }
+  );
+  return result.modifiedCount > 0;
+}
+
+// Revoke every live session of an account; returns how many were revoked
+export async function revokeAccountSessions(accountId, reason = 'logout_all') {
+  if (!sessionDb) return 0;
+  const result = await sessionDb.collection(COLLECTION).updateMany(
+    { accountId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokeReason: reason } }
+  );
+  return result.modifiedCount;
+}
+
+// Live sessions of an account, most recently used first
+export async function listSessions(accountId) {
+  if (!sessionDb) return [];
+  const sessions = await sessionDb.collection(COLLECTION)
+    .find({ accountId, revokedAt: null, expiresAt: { $gt: new Date() } }, { projection: { refreshTokenHash: 0 } })
+    .sort({ lastUsedAt: -1 })
+    .toArray();
+  return sessions.map(({ _id, ...session }) => ({ id: _id.toString(), ...session }));
+}
+
+// Sessions follow their account when it is merged into another
+export async function moveSessions(fromAccountId, toAccountId) {
+  if (!sessionDb) return;
+  await sessionDb.collection(COLLECTION).updateMany({ accountId: fromAccountId }, { $set: { accountId: toAccountId } });
+}
+
+export default {
+  isSessionSecretConfigured,
+  initSessions,
+  createSession,
+  verifyAccessToken,
+  refreshSession,
+  revokeSession,
+  revokeAccountSessions,
+  listSessions,
+  moveSessions
+};
@@ -0,0 +1,56 @@
+import 'dotenv/config';
+import { MongoClient } from 'mongodb';
+import { ROLES, setUserRole } from './access-control.js';
+
+// Sets a user's role from the command line, e.g. to appoint the first owner
+// before anyone can use PUT /api/admin/users/:source/:id/role.
+//
+//   node set-user-role.js <gcbex|mexc|account> <id> <viewer|operator|owner>
+
+const MONGODB_URI = process.env.MONGODB_URI;
+const DB_NAME = 'mmbot';
+const [source, userId, role] = process.argv.slice(2);
+
+async function setRole() {
+  let client;
+
+  try {
+    if (!source || !userId || !ROLES.includes(role)) {
+      throw new Error(`Usage: node set-user-role.js <gcbex|mexc|account> <id> <${ROLES.join('|')}>`);
+    }
+    if (!MONGODB_URI) {
+      throw new Error('MONGODB_URI environment variable is not set');
+    }
+
+    console.log('🔌 Connecting to MongoDB...');
+    client = new MongoClient(MONGODB_URI);
+    await client.connect();
+    console.log('✅ Connected to MongoDB\n');
+
+    const updated = await setUserRole(client.db(DB_NAME), source, userId, role);
+    if (!updated) {
+      throw new Error(`No ${source} user found with id ${userId}`);
+    }
+
+    await client.db(DB_NAME).collection('bot_admin_logs').insertOne({
+      userId: 'cli',
+      action: 'USER_ROLE_CHANGED',
+      timestamp: new Date(),
+      details: { source, targetUserId: userId, role }
+    });
+
+    console.log(`🔑 ${source} user ${userId} is now ${role}`);
+    process.exitCode = 0;
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exitCode = 1;
+  } finally {
+    if (client) {
+      await client.close();
+      console.log('🔌 Disconnected from MongoDB');
+    }
+  }
+}
+
+// Run the script
+setRole();
@@ -0,0 +1,394 @@
+import { splitSymbol } from './exchange-clients.js';
+
+/**
+ * Simulated Exchange
+ *
+ * In-process matching engine shared by the backtester and paper trading.
+ * It holds one market's book (replaced on every snapshot), virtual balances
+ * ({ free, locked } per asset) and resting orders:
+ *   - market orders and the crossing part of limit orders walk the book as taker
+ *   - resting limits fill as maker at their own price against later trades at
+ *     or through it, or when a new book crosses them
+ * Fees are charged in the received asset and reported in quote terms.
+ *
+ * SimulatedClient exposes the engine through the exchange-client interface.
+ */
+
+const DEFAULT_FEES = { maker: 0.002, taker: 0.002 };
+const EPSILON = 1e-12;
+
+export class SimulatedExchange {
+  constructor({ symbol, balances = {}, fees = {}, orderIdPrefix = '' }) {
+    const [base, quote] = splitSymbol(symbol);
+    this.symbol = symbol;
+    this.orderIdPrefix = orderIdPrefix;
+    this.baseAsset = base;
+    this.quoteAsset = quote;
+    this.fees = { ...DEFAULT_FEES, ...fees };
+    this.balances = {};
+    for (const [asset, amount] of Object.entries(balances)) {
+      this.balances[asset.toUpperCase()] = { free: parseFloat(amount) || 0, locked: 0 };
+    }
+    this.ensureAsset(base);
+    this.ensureAsset(quote);
+
+    this.book = { bids: [], asks: [] };
+    this.lastPrice = null;
+    this.time = null;
+    this.orders = new Map();
+    this.nextOrderId = 1;
+    this.fills = [];
+  }
+
+  // Plain-object state (balances, resting orders) for persisting between runs
+  toState() {
+    return {
+      symbol: this.symbol,
+      fees: this.fees,
+      orderIdPrefix: this.orderIdPrefix,
+      balances: this.balances,
+      orders: [...this.orders.values()],
+      nextOrderId: this.nextOrderId,
+      lastPrice: this.lastPrice
+    };
+  }
+
+  static fromState(state) {
+    const exchange = new SimulatedExchange({ symbol: state.symbol, fees: state.fees, orderIdPrefix: state.orderIdPrefix });
+    for (const [asset, { free, locked }] of Object.entries(state.balances || {})) {
+      exchange.balances[asset] = { free, locked };
+    }
+    for (const order of state.orders || []) {
+      exchange.orders.set(order.orderId, { ...order });
+    }
+    exchange.nextOrderId = state.nextOrderId || 1;
+    exchange.lastPrice = state.lastPrice ?? null;
+    return exchange;
+  }
+
+  ensureAsset(asset) {
+    if (!this.balances[asset]) {
+      this.balances[asset] = { free: 0, locked: 0 };
+    }
+    return this.balances[asset];
+  }
+
+  getMid() {
+    const bid = this.book.bids[0]?.[0];
+    const ask = this.book.asks[0]?.[0];
+    if (bid && ask) return (bid + ask) / 2;
+    return this.lastPrice || bid || ask || null;
+  }
+
+  // Load the next recorded snapshot and fill resting orders it reaches
+  applySnapshot(snapshot) {
+    this.time = new Date(snapshot.timestamp);
+    this.book = {
+      bids: (snapshot.depth?.bids || []).map(([p, q]) => [parseFloat(p), parseFloat(q)]).sort((a, b) => b[0] - a[0]),
+      asks: (snapshot.depth?.asks || []).map(([p, q]) => [parseFloat(p), parseFloat(q)]).sort((a, b) => a[0] - b[0])
+    };
+
+    const trades = (snapshot.trades || []).map(t => ({
+      price: parseFloat(t.price),
+      qty: parseFloat(t.qty),
+      timestamp: t.timestamp ? new Date(t.timestamp).getTime() : null
+    }));
+    const lastTrade = trades[trades.length - 1];
+    this.lastPrice = parseFloat(snapshot.ticker?.price) || lastTrade?.price || this.getMid() || this.lastPrice;
+
+    this.matchRestingOrders(trades);
+  }
+
+  matchRestingOrders(trades) {
+    for (const order of this.orders.values()) {
+      const crosses = price => order.side === 'BUY' ? price <= order.price + EPSILON : price >= order.price - EPSILON;
+
+      // Recorded trades at or through our price, printed after the order was placed
+      const placedAt = order.createdAt ? new Date(order.createdAt).getTime() : null;
+      for (const trade of trades) {
+        if (order.remaining <= EPSILON) break;
+        if (trade.qty <= EPSILON || !crosses(trade.price)) continue;
+        if (placedAt && trade.timestamp && trade.timestamp < placedAt) continue;
+        const qty = Math.min(order.remaining, trade.qty);
+        trade.qty -= qty;
+        this.fillOrder(order, qty, order.price, 'maker');
+      }
+
+      // Recorded book moved through our price
+      const levels = order.side === 'BUY' ? this.book.asks : this.book.bids;
+      for (const level of levels) {
+        if (order.remaining <= EPSILON || !crosses(level[0])) break;
+        const qty = Math.min(order.remaining, level[1]);
+        level[1] -= qty;
+        this.fillOrder(order, qty, order.price, 'maker');
+      }
+      this.pruneBook();
+
+      if (order.remaining <= EPSILON) {
+        this.orders.delete(order.orderId);
+      }
+    }
+  }
+
+  pruneBook() {
+    this.book.bids = this.book.bids.filter(level => level[1] > EPSILON);
+    this.book.asks = this.book.asks.filter(level => level[1] > EPSILON);
+  }
+
+  // Settle a fill: resting orders pay from locked funds, taker fills from free
+  fillOrder(order, qty, price, liquidity) {
+    const base = this.ensureAsset(this.baseAsset);
+    const quote = this.ensureAsset(this.quoteAsset);
+    const notional = qty * price;
+    const feeRate = this.fees[liquidity];
+    const funds = order.resting ? 'locked' : 'free';
+
+    let fee;
+    if (order.side === 'BUY') {
+      quote[funds] -= order.resting ? qty * order.price : notional;
+      fee = qty * feeRate;
+      base.free += qty - fee;
+      fee *= price;
+    } else {
+      base[funds] -= qty;
+      fee = notional * feeRate;
+      quote.free += notional - fee;
+    }
+
+    order.remaining -= qty;
+    order.executedQty += qty;
+
+    const fill = {
+      timestamp: this.time,
+      orderId: order.orderId,
+      side: order.side,
+      type: order.type,
+      liquidity,
+      price,
+      quantity: qty,
+      notional,
+      fee
+    };
+    this.fills.push(fill);
+    return fill;
+  }
+
+  // Walk the recorded book as taker; `limitPrice` stops at levels beyond it
+  takeLiquidity(order, limitPrice = null, quoteBudget = null) {
+    const levels = order.side === 'BUY' ? this.book.asks : this.book.bids;
+    let spent = 0;
+    for (const level of levels) {
+      if (order.remaining <= EPSILON) break;
+      if (limitPrice !== null && (order.side === 'BUY' ? level[0] > limitPrice : level[0] < limitPrice)) break;
+
+      let qty = Math.min(order.remaining, level[1]);
+      if (quoteBudget !== null) {
+        qty = Math.min(qty, (quoteBudget - spent) / level[0]);
+      }
+      if (qty <= EPSILON) break;
+
+      level[1] -= qty;
+      spent += qty * level[0];
+      this.fillOrder(order, qty, level[0], 'taker');
+    }
+    this.pruneBook();
+  }
+
+  placeOrder({ side, type = 'LIMIT', price, quantity, quoteQty }) {
+    side = side.toUpperCase();
+    type = type.toUpperCase();
+    price = price !== undefined && price !== null ? parseFloat(price) : null;
+    quantity = quantity !== undefined && quantity !== null ? parseFloat(quantity) : null;
+    quoteQty = quoteQty !== undefined && quoteQty !== null ? parseFloat(quoteQty) : null;
+
+    const base = this.ensureAsset(this.baseAsset);
+    const quote = this.ensureAsset(this.quoteAsset);
+    const order = {
+      orderId: `${this.orderIdPrefix}${this.nextOrderId++}`,
+      side,
+      type,
+      price,
+      quantity,
+      remaining: quantity ?? Infinity,
+      executedQty: 0,
+      resting: false,
+      createdAt: this.time
+    };
+
+    if (type === 'MARKET') {
+      if (side === 'BUY') {
+        const budget = quoteQty ?? (quantity && this.getMid() ? quantity * this.getMid() : null);
+        if (!budget || budget > quote.free + EPSILON) {
+          return { success: false, error: 'Insufficient balance' };
+        }
+        this.takeLiquidity(order, null, budget);
+      } else {
+        if (!quantity || quantity > base.free + EPSILON) {
+          return { success: false, error: 'Insufficient balance' };
+        }
+        this.takeLiquidity(order);
+      }
+      return { success: true, orderId: order.orderId, data: { executedQty: order.executedQty } };
+    }
+
+    if (!price || !quantity) {
+      return { success: false, error: 'LIMIT orders require price and quantity' };
+    }
+
+    if (side === 'BUY' ? price * quantity > quote.free + EPSILON : quantity > base.free + EPSILON) {
+      return { success: false, error: 'Insufficient balance' };
+    }
+
+    // Crossing part executes immediately, the rest rests on the book
+    this.takeLiquidity(order, price);
+    if (order.remaining > EPSILON) {
+      order.resting = true;
+      if (side === 'BUY') {
+        quote.free -= order.remaining * price;
+        quote.locked += order.remaining * price;
+      } else {
+        base.free -= order.remaining;
+        base.locked += order.remaining;
+      }
+      this.orders.set(order.orderId, order);
+    }
+    return { success: true, orderId: order.orderId, data: { executedQty: order.executedQty } };
+  }
+
+  cancelOrder(orderId) {
+    const order = this.orders.get(String(orderId));
+    if (!order) {
+      return { success: false, error: 'Order not found' };
+    }
+    if (order.side === 'BUY') {
+      const quote = this.ensureAsset(this.quoteAsset);
+      quote.locked -= order.remaining * order.price;
+      quote.free += order.remaining * order.price;
+    } else {
+      const base = this.ensureAsset(this.baseAsset);
+      base.locked -= order.remaining;
+      base.free += order.remaining;
+    }
+    this.orders.delete(order.orderId);
+    return { success: true };
+  }
+
+  getOpenOrders() {
+    return [...this.orders.values()].map(order => ({
+      orderId: order.orderId,
+      symbol: this.symbol,
+      side: order.side,
+      type: order.type,
+      price: order.price,
+      quantity: order.quantity,
+      origQty: order.quantity,
+      executedQty: order.executedQty
+    }));
+  }
+
+  // Recorded book plus our resting orders, as the exchange would show it
+  getVisibleDepth(limit = 20) {
+    const merge = (levels, side) => {
+      const merged = new Map(levels.map(([p, q]) => [p, q]));
+      for (const order of this.orders.values()) {
+        if (order.side !== side) continue;
+        merged.set(order.price, (merged.get(order.price) || 0) + order.remaining);
+      }
+      return [...merged.entries()];
+    };
+    return {
+      bids: merge(this.book.bids, 'BUY').sort((a, b) => b[0] - a[0]).slice(0, limit),
+      asks: merge(this.book.asks, 'SELL').sort((a, b) => a[0] - b[0]).slice(0, limit),
+      timestamp: this.time ? this.time.getTime() : Date.now()
+    };
+  }
+
+  getBalances() {
+    const balances = {};
+    for (const [asset, { free, locked }] of Object.entries(this.balances)) {
+      balances[asset] = { free, locked, total: free + locked };
+    }
+    return balances;
+  }
+}
+
+// Exchange-client interface over the simulator, handed to the monitors' getClient()
+export class SimulatedClient {
+  constructor(exchange, simulator, symbolInfo = {}) {
+    this.exchange = exchange;
+    this.simulator = simulator;
+    this.symbolInfo = { pricePrecision: 6, quantityPrecision: 2, ...symbolInfo };
+  }
+
+  formatSymbol(symbol) {
+    return symbol;
+  }
+
+  async getServerTime() {
+    return this.simulator.time ? this.simulator.time.getTime() : Date.now();
+  }
+
+  async publicRequest() {
+    return { symbols: [] };
+  }
+
+  async getTicker(symbol) {
+    const sim = this.simulator;
+    if (!sim.lastPrice) return null;
+    return {
+      symbol,
+      price: sim.lastPrice,
+      bid: sim.book.bids[0]?.[0] || 0,
+      ask: sim.book.asks[0]?.[0] || 0,
+      high24h: 0,
+      low24h: 0,
+      volume24h: 0,
+      change24h: 0,
+      raw: null
+    };
+  }
+
+  async getDepth(symbol, limit = 20) {
+    return this.simulator.getVisibleDepth(limit);
+  }
+
+  async getSymbolInfo() {
+    return this.symbolInfo;
+  }
+
+  async getBalances() {
+    return this.simulator.getBalances();
+  }
+
+  async placeOrder(order) {
+    return this.simulator.placeOrder(order);
+  }
+
+  async placeBatchOrders(orders) {
+    const results = orders.map(order => this.simulator.placeOrder(order));
+    return { success: results.some(r => r.success), result: results };
+  }
+
+  async cancelOrder(symbol, orderId) {
+    return this.simulator.cancelOrder(orderId);
+  }
+
+  async cancelBatchOrders(orderIds) {
+    const results = orderIds.map(orderId => this.simulator.cancelOrder(orderId));
+    return { success: results.every(r => r.success), data: results };
+  }
+
+  async getOpenOrders() {
+    return this.simulator.getOpenOrders();
+  }
+
+  async cancelAllOrders(symbol, side = null) {
+    const cancelled = [];
+    for (const order of this.simulator.getOpenOrders()) {
+      if (side && order.side !== side.toUpperCase()) continue;
+      if (this.simulator.cancelOrder(order.orderId).success) cancelled.push(order.orderId);
+    }
+    return { success: true, cancelled, failed: [] };
+  }
+}
+
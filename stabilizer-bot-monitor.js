@@ -1,5 +1,8 @@
-import crypto from 'crypto';
+import { createExchangeClient } from './exchange-clients.js';
 import telegramService from './telegram-service.js';
+import { writeLog, withBotLogContext, getLogOwner } from './log-store.js';
+import { decryptSecret } from './credential-vault.js';
+import { getCachedBalances } from './balance-service.js';
 
 class StabilizerBotMonitor {
   constructor(db, config = {}) {
@@ -22,7 +25,7 @@ class StabilizerBotMonitor {
       level,
       message,
       data,
-      botId
+      ...getLogOwner(botId)
     };
     this.logs.unshift(logEntry);
     if (this.logs.length > this.maxLogs) {
@@ -39,6 +42,7 @@ class StabilizerBotMonitor {
       monitor: '👁️'
     };
     console.log(`${emoji[level] || '📝'} [STABILIZER BOT] ${message}`, data ? data : '');
+    writeLog('stabilizer', level, message, data, { botId, exchange: 'gcbex' });
 
     // Save log to database
     if (botId) {
@@ -134,40 +138,30 @@ class StabilizerBotMonitor {
       }
 
       for (const bot of enabledBots) {
-        await this.monitorAndStabilize(bot);
+        await withBotLogContext(bot, 'gcbex', () => this.monitorAndStabilize(bot));
       }
     } catch (error) {
       this.log('error', 'Error checking stabilizer bots', error.message);
     }
   }
 
+  getClient(user = null) {
+    return createExchangeClient('gcbex', user ? { apiKey: user.apiKey, apiSecret: decryptSecret(user.apiSecret) } : {}, {
+      baseUrl: this.openApiBase
+    });
+  }
+
   async getServerTime() {
-    try {
-      const response = await fetch(`${this.openApiBase}/sapi/v2/time`);
-      const data = await response.json();
-      return data.serverTime;
-    } catch (error) {
-      this.log('warning', 'Failed to fetch server time, using local time', error.message);
-      return Date.now();
-    }
+    return this.getClient().getServerTime();
   }
 
   async getSymbolInfo(symbol) {
     try {
-      const response = await fetch(`${this.openApiBase}/sapi/v2/symbols`);
-      const data = await response.json();
-      
-      if (data && data.symbols) {
-        const symbolInfo = data.symbols.find(s => s.symbol.toUpperCase() === symbol.toUpperCase());
-        if (symbolInfo) {
-          return {
-            pricePrecision: symbolInfo.pricePrecision || 6,
-            quantityPrecision: symbolInfo.quantityPrecision || 2
-          };
-        }
-      }
-      // Default fallback for GCBUSDT
-      return { pricePrecision: 6, quantityPrecision: 2 };
+      const symbolInfo = await this.getClient().getSymbolInfo(symbol);
+      return {
+        pricePrecision: symbolInfo.pricePrecision,
+        quantityPrecision: symbolInfo.quantityPrecision
+      };
     } catch (error) {
       this.log('error', `Error fetching symbol info for ${symbol}`, error.message);
       return { pricePrecision: 6, quantityPrecision: 2 };
@@ -181,31 +175,13 @@ class StabilizerBotMonitor {
         return null;
       }
 
-      const timestamp = (await this.getServerTime()).toString();
-      const method = 'GET';
-      const requestPath = '/sapi/v1/account';
-      const message = `${timestamp}${method.toUpperCase()}${requestPath}`;
-      const signature = crypto
-        .createHmac('sha256', user.apiSecret)
-        .update(message)
-        .digest('hex');
-
-      const response = await fetch(`${this.openApiBase}${requestPath}`, {
-        method: 'GET',
-        headers: {
-          'X-CH-APIKEY': user.apiKey,
-          'X-CH-TS': timestamp,
-          'X-CH-SIGN': signature,
-        },
-      });
-
-      const data = await response.json();
+      const balances = await getCachedBalances(this.getClient(user));
 
-      if (data.balances) {
-        return data.balances;
+      if (balances) {
+        return balances;
       }
 
-      this.log('error', `Balance fetch failed for user ${user.uid}`, JSON.stringify(data));
+      this.log('error', `Balance fetch failed for user ${user.uid}`);
       return null;
     } catch (error) {
       this.log('error', `Error fetching balance for user ${user.uid}`, error.message);
@@ -215,13 +191,8 @@ class StabilizerBotMonitor {
 
   async getMarketPrice(symbol) {
     try {
-      const response = await fetch(`${this.openApiBase}/sapi/v2/ticker?symbol=${symbol.toLowerCase()}`);
-      const data = await response.json();
-      
-      if (data && data.last) {
-        return parseFloat(data.last);
-      }
-      return null;
+      const ticker = await this.getClient().getTicker(symbol);
+      return ticker ? ticker.price : null;
     } catch (error) {
       this.log('error', `Error fetching market price for ${symbol}`, error.message);
       return null;
@@ -230,13 +201,12 @@ class StabilizerBotMonitor {
 
   async getOrderBookDepth(symbol) {
     try {
-      const response = await fetch(`${this.openApiBase}/sapi/v2/depth?symbol=${symbol}&limit=20`);
-      const data = await response.json();
+      const depth = await this.getClient().getDepth(symbol, 20);
       
-      if (data.asks && data.asks.length > 0) {
+      if (depth && depth.asks.length > 0) {
         return {
-          asks: data.asks.map(ask => ({ price: parseFloat(ask[0]), volume: parseFloat(ask[1]) })),
-          bids: data.bids ? data.bids.map(bid => ({ price: parseFloat(bid[0]), volume: parseFloat(bid[1]) })) : []
+          asks: depth.asks.map(([price, volume]) => ({ price, volume })),
+          bids: depth.bids.map(([price, volume]) => ({ price, volume }))
         };
       }
       return null;
@@ -283,89 +253,23 @@ class StabilizerBotMonitor {
   }
 
   async executeMarketBuy(user, symbol, usdtAmount, symbolInfo) {
-    try {
-      // Use symbol's quantityPrecision for volume
-      const orderBody = {
-        symbol: symbol,
-        side: 'BUY',
-        type: 'MARKET',
-        volume: usdtAmount.toFixed(symbolInfo.quantityPrecision) // Use correct precision from symbol info
-      };
-
-      const timestamp = (await this.getServerTime()).toString();
-      const method = 'POST';
-      const requestPath = '/sapi/v2/order';
-      const bodyJson = JSON.stringify(orderBody, null, 0).replace(/\s/g, '');
-      const message = `${timestamp}${method.toUpperCase()}${requestPath}${bodyJson}`;
-      const signature = crypto
-        .createHmac('sha256', user.apiSecret)
-        .update(message)
-        .digest('hex');
-
-      const response = await fetch(`${this.openApiBase}${requestPath}`, {
-        method: 'POST',
-        headers: {
-          'X-CH-APIKEY': user.apiKey,
-          'X-CH-TS': timestamp,
-          'X-CH-SIGN': signature,
-          'Content-Type': 'application/json'
-        },
-        body: bodyJson
-      });
-
-      const result = await response.json();
-      
-      if (result.orderId) {
-        return { success: true, orderId: result.orderId, data: result };
-      } else {
-        return { success: false, error: result.msg || 'Unknown error', data: result };
-      }
-    } catch (error) {
-      return { success: false, error: error.message };
-    }
+    // GCBEX market buys are sized in USDT; use symbol's quantityPrecision for the amount
+    return this.getClient(user).placeOrder({
+      symbol: symbol,
+      side: 'BUY',
+      type: 'MARKET',
+      quoteQty: usdtAmount.toFixed(symbolInfo.quantityPrecision)
+    });
   }
 
   async executeLimitSell(user, symbol, price, quantity, symbolInfo) {
-    try {
-      const orderBody = {
-        symbol: symbol,
-        side: 'SELL',
-        type: 'LIMIT',
-        price: price.toFixed(symbolInfo.pricePrecision),
-        volume: quantity.toFixed(symbolInfo.quantityPrecision)
-      };
-
-      const timestamp = (await this.getServerTime()).toString();
-      const method = 'POST';
-      const requestPath = '/sapi/v2/order';
-      const bodyJson = JSON.stringify(orderBody, null, 0).replace(/\s/g, '');
-      const message = `${timestamp}${method.toUpperCase()}${requestPath}${bodyJson}`;
-      const signature = crypto
-        .createHmac('sha256', user.apiSecret)
-        .update(message)
-        .digest('hex');
-
-      const response = await fetch(`${this.openApiBase}${requestPath}`, {
-        method: 'POST',
-        headers: {
-          'X-CH-APIKEY': user.apiKey,
-          'X-CH-TS': timestamp,
-          'X-CH-SIGN': signature,
-          'Content-Type': 'application/json'
-        },
-        body: bodyJson
-      });
-
-      const result = await response.json();
-      
-      if (result.orderId) {
-        return { success: true, orderId: result.orderId, data: result };
-      } else {
-        return { success: false, error: result.msg || 'Unknown error', data: result };
-      }
-    } catch (error) {
-      return { success: false, error: error.message };
-    }
+    return this.getClient(user).placeOrder({
+      symbol: symbol,
+      side: 'SELL',
+      type: 'LIMIT',
+      price: price.toFixed(symbolInfo.pricePrecision),
+      quantity: quantity.toFixed(symbolInfo.quantityPrecision)
+    });
   }
 
   async monitorAndStabilize(bot) {
@@ -477,8 +381,7 @@ class StabilizerBotMonitor {
           return;
         }
 
-        const gcbBalance = balances.find(b => b.asset.toUpperCase() === 'GCB');
-        const availableGcb = gcbBalance ? parseFloat(gcbBalance.free) : 0;
+        const availableGcb = balances.GCB ? balances.GCB.free : 0;
         
         const totalGapFillAmount = 50;
         const quarterGcb = totalGapFillAmount / 4;
@@ -490,8 +393,7 @@ class StabilizerBotMonitor {
 
         this.log('info', `📦 Available GCB: ${availableGcb.toFixed(2)} | Will place ${totalGapFillAmount} GCB in 4 orders of ${quarterGcb.toFixed(2)} GCB each`, null, bot._id);
         
-        const usdtBalance = balances.find(b => b.asset.toUpperCase() === 'USDT');
-        const availableUsdt = usdtBalance ? parseFloat(usdtBalance.free) : 0;
+        const availableUsdt = balances.USDT ? balances.USDT.free : 0;
         const totalUsdtNeeded = totalGapFillAmount * targetPrice;
         
         if (availableUsdt < totalUsdtNeeded) {
@@ -654,8 +556,7 @@ class StabilizerBotMonitor {
         return;
       }
 
-      const usdtBalance = balances.find(b => b.asset.toUpperCase() === 'USDT');
-      const availableUsdt = usdtBalance ? parseFloat(usdtBalance.free) : 0;
+      const availableUsdt = balances.USDT ? balances.USDT.free : 0;
       
       this.log('info', `💰 Available USDT: $${availableUsdt.toFixed(2)} | Required: $${calculation.requiredUSDT.toFixed(2)}`, null, bot._id);
 
@@ -0,0 +1,173 @@
+import { createExchangeClient } from './exchange-clients.js';
+import { getExchangeCredentials } from './exchange-credentials.js';
+import { getStrategy } from './bot-strategies.js';
+import { writeLog, withBotLogContext, getLogOwner } from './log-store.js';
+
+/**
+ * Strategy Bot Monitor
+ *
+ * Runs the venue-independent bots stored in `strategy_bots`. Each bot carries
+ * a `type` (see bot-strategies.js) and an `exchange`; the monitor resolves the
+ * owner's credentials for that exchange and hands the strategy a client.
+ */
+class StrategyBotMonitor {
+  constructor(db) {
+    this.db = db;
+    this.isRunning = false;
+    this.checkInterval = null;
+    this.logs = [];
+    this.maxLogs = 1000;
+    this.processingBots = new Set();
+  }
+
+  log(type, message, data = null) {
+    const logEntry = {
+      timestamp: new Date().toISOString(),
+      type,
+      message,
+      data,
+      ...getLogOwner()
+    };
+    this.logs.unshift(logEntry);
+    if (this.logs.length > this.maxLogs) {
+      this.logs = this.logs.slice(0, this.maxLogs);
+    }
+    const emoji = type === 'success' ? '✅' : type === 'error' ? '❌' : type === 'warning' ? '⚠️' : type === 'trade' ? '💱' : 'ℹ️';
+    console.log(`${emoji} [StrategyBot] ${message}`, data ? JSON.stringify(data) : '');
+    writeLog('strategy', type, message, data);
+  }
+
+  async start() {
+    if (this.isRunning) {
+      this.log('warning', 'Strategy bot monitor already running');
+      return;
+    }
+
+    this.isRunning = true;
+    this.log('success', 'Strategy bot monitor started');
+
+    // Check every 5 seconds; each bot throttles itself via checkIntervalSeconds
+    this.checkInterval = setInterval(() => this.checkAllBots(), 5000);
+
+    // Initial check
+    await this.checkAllBots();
+  }
+
+  async stop() {
+    if (!this.isRunning) {
+      this.log('warning', 'Strategy bot monitor not running');
+      return;
+    }
+
+    this.isRunning = false;
+    if (this.checkInterval) {
+      clearInterval(this.checkInterval);
+      this.checkInterval = null;
+    }
+    this.log('info', 'Strategy bot monitor stopped');
+  }
+
+  getStatus() {
+    return {
+      isRunning: this.isRunning,
+      processingBots: this.processingBots.size
+    };
+  }
+
+  getLogs(limit = 100, botId = null) {
+    const logs = botId ? this.logs.filter(l => l.data?.botId === botId) : this.logs;
+    return logs.slice(0, limit);
+  }
+
+  async checkAllBots() {
+    if (!this.isRunning) return;
+
+    try {
+      const activeBots = await this.db.collection('strategy_bots').find({
+        isActive: true,
+        isRunning: true
+      }).toArray();
+
+      for (const bot of activeBots) {
+        await withBotLogContext(bot, null, () => this.checkBot(bot));
+      }
+    } catch (error) {
+      this.log('error', 'Error checking strategy bots', error.message);
+    }
+  }
+
+  async checkBot(bot) {
+    const botId = bot._id.toString();
+
+    // Prevent duplicate processing
+    if (this.processingBots.has(botId)) {
+      return;
+    }
+    this.processingBots.add(botId);
+
+    const botLog = (type, message, data = null) => {
+      this.log(type, `[${bot.exchange}/${bot.type}] [${bot.name}] ${message}`, { ...(data || {}), botId });
+    };
+
+    try {
+      const intervalMs = (bot.config?.checkIntervalSeconds || 10) * 1000;
+      const lastChecked = bot.lastCheckedAt ? new Date(bot.lastCheckedAt).getTime() : 0;
+      if (Date.now() - lastChecked < intervalMs) {
+        return;
+      }
+
+      const strategy = getStrategy(bot.type);
+      if (!strategy) {
+        botLog('error', `Unknown bot type: ${bot.type}`);
+        return;
+      }
+
+      const credentials = await getExchangeCredentials(this.db, bot.exchange, bot.userId);
+      if (!credentials) {
+        botLog('error', `No ${bot.exchange} API credentials for user ${bot.userId}`);
+        await this.updateBot(bot, { lastCheckedAt: new Date(), lastError: `${bot.exchange} credentials not found` });
+        return;
+      }
+
+      const client = createExchangeClient(bot.exchange, credentials);
+
+      await strategy.tick({
+        bot,
+        client,
+        log: botLog,
+        updateBot: (fields, increments = null) => this.updateBot(bot, fields, increments),
+        recordTrade: trade => this.recordTrade(bot, trade)
+      });
+
+      await this.updateBot(bot, { lastCheckedAt: new Date(), lastError: null });
+    } catch (error) {
+      botLog('error', `Error running bot: ${error.message}`);
+      await this.updateBot(bot, { lastCheckedAt: new Date(), lastError: error.message });
+    } finally {
+      this.processingBots.delete(botId);
+    }
+  }
+
+  async updateBot(bot, fields, increments = null) {
+    const update = { $set: { ...fields, updatedAt: new Date() } };
+    if (increments) {
+      update.$inc = increments;
+    }
+    await this.db.collection('strategy_bots').updateOne({ _id: bot._id }, update);
+  }
+
+  async recordTrade(bot, trade) {
+    await this.db.collection('strategy_bot_trades').insertOne({
+      botId: bot._id,
+      botName: bot.name,
+      botType: bot.type,
+      exchange: bot.exchange,
+      userId: bot.userId,
+      symbol: bot.symbol,
+      ...trade,
+      executedAt: new Date()
+    });
+  }
+}
+
+export default StrategyBotMonitor;
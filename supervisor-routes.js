@@ -0,0 +1,33 @@
+import { isCallerOwned, isGlobalScope } from './access-control.js';
+
+// Setup Bot Supervisor API routes
+export function setupSupervisorRoutes(app, supervisor) {
+
+  // ============================================
+  // Bot Supervisor Endpoints
+  // ============================================
+
+  // GET /api/supervisor/status - Every loop, plus the caller's bots with last/next tick, error count and health
+  // (owners: ?scope=all for every user's bots)
+  app.get('/api/supervisor/status', async (req, res) => {
+    try {
+      const authHeader = req.headers.authorization;
+      if (!authHeader || !authHeader.startsWith('Bearer ')) {
+        return res.status(401).json({ code: '-1', msg: 'Unauthorized', data: null });
+      }
+
+      const status = await supervisor.getStatus();
+      if (!isGlobalScope(req)) {
+        status.bots = status.bots.filter(bot => isCallerOwned(req, bot.userId));
+      }
+      res.json({ code: '0', msg: 'Success', data: status });
+    } catch (error) {
+      console.error('Error getting supervisor status:', error);
+      res.status(500).json({ code: '-1', msg: 'Failed to get supervisor status', data: null });
+    }
+  });
+
+  console.log('✅ Supervisor routes initialized');
+}
+
+export default setupSupervisorRoutes;
@@ -56,6 +56,7 @@ class TelegramService {
       conditionName,
       conditionOperator,
       conditionValue,
+      conditionExpression,
       orderType,
       side,
       symbol,
@@ -100,7 +101,9 @@ class TelegramService {
     }
     
     // Enhanced condition display with operator
-    if (conditionOperator && conditionValue) {
+    if (conditionExpression) {
+      message += `🧮 <b>Trigger:</b> ${conditionExpression}\n`;
+    } else if (conditionOperator && conditionValue) {
       const opEmoji = operatorEmoji[conditionOperator] || '📊';
       const opText = operatorText[conditionOperator] || conditionOperator;
       // message += `📋 <b>Condition:</b> ${conditionName}\n`;
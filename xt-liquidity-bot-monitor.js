@@ -1,7 +1,8 @@
 import xtTelegramService from './xt-telegram-service.js';
-import { generateXtSignature, buildSignatureMessage, getXtTimestamp, syncXtServerTime } from './xt-user-routes.js';
-
-const XT_BASE_URL = process.env.XT_BASE_URL || 'https://sapi.xt.com';
+import { createExchangeClient } from './exchange-clients.js';
+import { writeLog, withBotLogContext, getLogOwner } from './log-store.js';
+import { decryptSecret } from './credential-vault.js';
+import { getCachedBalances } from './balance-service.js';
 
 /**
  * XT Liquidity Bot Monitor
@@ -32,7 +33,8 @@ class XtLiquidityBotMonitor {
       timestamp: new Date().toISOString(),
       type,
       message,
-      data
+      data,
+      ...getLogOwner()
     };
     this.logs.unshift(logEntry);
     if (this.logs.length > this.maxLogs) {
@@ -40,6 +42,7 @@ class XtLiquidityBotMonitor {
     }
     const emoji = type === 'success' ? '✅' : type === 'error' ? '❌' : type === 'warning' ? '⚠️' : type === 'trade' ? '💱' : type === 'liquidity' ? '💧' : 'ℹ️';
     console.log(`${emoji} [XtLiquidityBot] ${message}`, data ? JSON.stringify(data).substring(0, 200) : '');
+    writeLog('xt-liquidity', type, message, data, { exchange: 'xt' });
   }
 
   async start() {
@@ -83,77 +86,17 @@ class XtLiquidityBotMonitor {
     return this.logs.slice(0, limit);
   }
 
-  // Helper to make authenticated XT API requests with retry logic
-  async makeXtRequest(apiKey, apiSecret, method, path, queryParams = '', body = null, maxRetries = 3) {
-    for (let attempt = 1; attempt <= maxRetries; attempt++) {
-      try {
-        const timestamp = await getXtTimestamp();
-        
-        const headers = {
-          'validate-algorithms': 'HmacSHA256',
-          'validate-appkey': apiKey,
-          'validate-recvwindow': '5000',
-          'validate-timestamp': timestamp
-        };
-
-        const bodyJson = body ? JSON.stringify(body) : '';
-        const original = buildSignatureMessage(method, path, queryParams, bodyJson, headers);
-        const signature = generateXtSignature(apiSecret, original);
-
-        const url = queryParams ? `${XT_BASE_URL}${path}?${queryParams}` : `${XT_BASE_URL}${path}`;
-
-        const fetchOptions = {
-          method,
-          headers: {
-            'Content-Type': 'application/json',
-            'validate-algorithms': 'HmacSHA256',
-            'validate-appkey': apiKey,
-            'validate-recvwindow': '5000',
-            'validate-timestamp': timestamp,
-            'validate-signature': signature
-          }
-        };
-
-        if (body && (method === 'POST' || method === 'PUT' || method === 'DELETE')) {
-          fetchOptions.body = bodyJson;
-        }
-
-        const response = await fetch(url, fetchOptions);
-        const data = await response.json();
-        
-        // Retry on time-related auth errors
-        if ((data.mc === 'AUTH_104' || data.mc === 'AUTH_105') && attempt < maxRetries) {
-          this.log('warning', `XT API error ${data.mc}, resyncing time and retrying (attempt ${attempt}/${maxRetries})`);
-          await syncXtServerTime();
-          continue;
-        }
-        
-        return data;
-      } catch (error) {
-        if (attempt < maxRetries) {
-          this.log('warning', `XT API request error, retrying (attempt ${attempt}/${maxRetries}): ${error.message}`);
-          await syncXtServerTime();
-          continue;
-        }
-        throw error;
-      }
-    }
+  // XT client for this account (signing, time sync and retries live in exchange-clients.js)
+  getClient(apiKey = null, apiSecret = null) {
+    return createExchangeClient('xt', { apiKey, apiSecret }, {
+      onRetry: message => this.log('warning', message)
+    });
   }
 
   // Get full order book depth
   async getOrderBook(symbol = 'gcb_usdt', limit = 100) {
     try {
-      const response = await fetch(`${XT_BASE_URL}/v4/public/depth?symbol=${symbol}&limit=${limit}`);
-      const data = await response.json();
-      
-      if (data.rc === 0 && data.result) {
-        return {
-          bids: data.result.bids || [], // [[price, qty], ...]
-          asks: data.result.asks || [],
-          timestamp: data.result.timestamp
-        };
-      }
-      return null;
+      return await this.getClient().getDepth(symbol, limit);
     } catch (error) {
       this.log('error', `Failed to fetch order book: ${error.message}`);
       return null;
@@ -163,12 +106,8 @@ class XtLiquidityBotMonitor {
   // Get market price
   async getMarketPrice(symbol = 'gcb_usdt') {
     try {
-      const response = await fetch(`${XT_BASE_URL}/v4/public/ticker/price?symbol=${symbol}`);
-      const data = await response.json();
-      if (data.rc === 0 && data.result && data.result.length > 0) {
-        return parseFloat(data.result[0].p);
-      }
-      return null;
+      const ticker = await this.getClient().getTicker(symbol);
+      return ticker ? ticker.price : null;
     } catch (error) {
       this.log('error', `Failed to fetch market price: ${error.message}`);
       return null;
@@ -178,12 +117,7 @@ class XtLiquidityBotMonitor {
   // Get symbol info for precision
   async getSymbolInfo(symbol = 'gcb_usdt') {
     try {
-      const response = await fetch(`${XT_BASE_URL}/v4/public/symbol?symbol=${symbol}`);
-      const data = await response.json();
-      if (data.rc === 0 && data.result?.symbols?.length > 0) {
-        return data.result.symbols[0];
-      }
-      return null;
+      return await this.getClient().getSymbolInfo(symbol);
     } catch (error) {
       this.log('error', `Failed to fetch symbol info: ${error.message}`);
       return null;
@@ -194,7 +128,7 @@ class XtLiquidityBotMonitor {
     try {
       const xtUser = await this.db.collection('xt_users').findOne({ mexcUserId });
       if (!xtUser) return null;
-      return { apiKey: xtUser.apiKey, apiSecret: xtUser.apiSecret };
+      return { apiKey: xtUser.apiKey, apiSecret: decryptSecret(xtUser.apiSecret) };
     } catch (error) {
       this.log('error', `Error getting XT user credentials: ${error.message}`);
       return null;
@@ -203,20 +137,18 @@ class XtLiquidityBotMonitor {
 
   async getAccountBalance(apiKey, apiSecret) {
     try {
-      const data = await this.makeXtRequest(apiKey, apiSecret, 'GET', '/v4/balances', 'currencies=usdt,gcb');
-      
-      if (data.rc === 0 && data.result?.assets) {
-        const balanceMap = {};
-        data.result.assets.forEach(asset => {
-          balanceMap[asset.currency.toLowerCase()] = {
-            availableAmount: parseFloat(asset.availableAmount) || 0,
-            frozenAmount: parseFloat(asset.frozenAmount) || 0,
-            totalAmount: parseFloat(asset.totalAmount) || 0
-          };
-        });
-        return balanceMap;
-      }
-      return null;
+      const balances = await getCachedBalances(this.getClient(apiKey, apiSecret));
+      if (!balances) return null;
+
+      const balanceMap = {};
+      Object.entries(balances).forEach(([asset, balance]) => {
+        balanceMap[asset.toLowerCase()] = {
+          availableAmount: balance.free,
+          frozenAmount: balance.locked,
+          totalAmount: balance.total
+        };
+      });
+      return balanceMap;
     } catch (error) {
       this.log('error', `Failed to fetch account balance: ${error.message}`);
       return null;
@@ -226,18 +158,9 @@ class XtLiquidityBotMonitor {
   // Get user's open orders
   async getOpenOrders(apiKey, apiSecret, symbol = 'gcb_usdt') {
     try {
-      // XT API uses lowercase symbol format (e.g., gcb_usdt)
-      const lowerSymbol = symbol.toLowerCase();
-      const data = await this.makeXtRequest(apiKey, apiSecret, 'GET', '/v4/open-order', `symbol=${lowerSymbol}&bizType=SPOT`);
-      
-      if (data.rc === 0) {
-        const orders = data.result || [];
-        this.log('info', `📋 API returned ${orders.length} open orders for ${lowerSymbol}`);
-        return orders;
-      }
-      
-      this.log('warning', `Open orders API returned rc=${data.rc}, mc=${data.mc}`);
-      return [];
+      const orders = await this.getClient(apiKey, apiSecret).getOpenOrders(symbol);
+      this.log('info', `📋 API returned ${orders.length} open orders for ${symbol.toLowerCase()}`);
+      return orders;
     } catch (error) {
       this.log('error', `Failed to fetch open orders: ${error.message}`);
       return [];
@@ -246,122 +169,45 @@ class XtLiquidityBotMonitor {
 
   // Place a single limit order
   async placeLimitOrder(apiKey, apiSecret, symbol, side, price, quantity) {
-    try {
-      const orderBody = {
-        symbol: symbol.toLowerCase(),
-        side: side.toUpperCase(),
-        type: 'LIMIT',
-        timeInForce: 'GTC',
-        bizType: 'SPOT',
-        price: price.toString(),
-        quantity: quantity.toString()
-      };
-
-      const data = await this.makeXtRequest(apiKey, apiSecret, 'POST', '/v4/order', '', orderBody);
-
-      if (data.rc === 0 && data.result?.orderId) {
-        return { success: true, orderId: data.result.orderId };
-      } else {
-        return { success: false, error: data.mc || 'Order failed' };
-      }
-    } catch (error) {
-      return { success: false, error: error.message };
-    }
+    const result = await this.getClient(apiKey, apiSecret).placeOrder({ symbol, side, type: 'LIMIT', price, quantity });
+    return result.success ? { success: true, orderId: result.orderId } : { success: false, error: result.error };
   }
 
   // Place batch orders
   async placeBatchOrders(apiKey, apiSecret, orders) {
-    try {
-      const items = orders.map((order, index) => ({
-        symbol: order.symbol.toLowerCase(),
-        clientOrderId: `liq_${Date.now()}_${index}`,
-        side: order.side.toUpperCase(),
-        type: 'LIMIT',
-        timeInForce: 'GTC',
-        bizType: 'SPOT',
-        price: order.price,
-        quantity: order.quantity
-      }));
-
-      const batchBody = {
-        clientBatchId: `liquidity_${Date.now()}`,
-        items: items
-      };
-
-      const data = await this.makeXtRequest(apiKey, apiSecret, 'POST', '/v4/batch-order', '', batchBody);
-
-      if (data.rc === 0) {
-        return { success: true, result: data.result };
-      } else {
-        return { success: false, error: data.mc || 'Batch order failed' };
-      }
-    } catch (error) {
-      return { success: false, error: error.message };
-    }
+    return this.getClient(apiKey, apiSecret).placeBatchOrders(orders, `liquidity_${Date.now()}`);
   }
 
   // Cancel an order
   async cancelOrder(apiKey, apiSecret, orderId) {
-    try {
-      const data = await this.makeXtRequest(apiKey, apiSecret, 'DELETE', `/v4/order/${orderId}`);
-      return data.rc === 0;
-    } catch (error) {
-      this.log('error', `Failed to cancel order ${orderId}: ${error.message}`);
-      return false;
+    const result = await this.getClient(apiKey, apiSecret).cancelOrder('gcb_usdt', orderId);
+    if (!result.success && result.error) {
+      this.log('error', `Failed to cancel order ${orderId}: ${result.error}`);
     }
+    return result.success;
   }
 
   // Cancel ALL open orders for a symbol (uses DELETE /v4/open-order)
   async cancelAllOpenOrders(apiKey, apiSecret, symbol = 'gcb_usdt', side = null) {
-    try {
-      const cancelBody = {
-        bizType: 'SPOT',
-        symbol: symbol.toLowerCase()
-      };
-      
-      if (side) {
-        cancelBody.side = side.toUpperCase();
-      }
+    this.log('info', `🗑️ Cancelling all ${side || ''} open orders for ${symbol}...`);
 
-      this.log('info', `🗑️ Cancelling all ${side || ''} open orders for ${symbol}...`);
-      
-      const data = await this.makeXtRequest(apiKey, apiSecret, 'DELETE', '/v4/open-order', '', cancelBody);
-
-      if (data.rc === 0) {
-        this.log('success', `✅ Cancelled all ${side || ''} open orders for ${symbol}`);
-        return { success: true, data: data.result };
-      } else {
-        this.log('error', `Failed to cancel orders: ${data.mc}`);
-        return { success: false, error: data.mc || 'Cancel failed' };
-      }
-    } catch (error) {
-      this.log('error', `Error cancelling all orders: ${error.message}`);
-      return { success: false, error: error.message };
+    const result = await this.getClient(apiKey, apiSecret).cancelAllOrders(symbol, side);
+
+    if (result.success) {
+      this.log('success', `✅ Cancelled all ${side || ''} open orders for ${symbol}`);
+    } else {
+      this.log('error', `Failed to cancel orders: ${result.error}`);
     }
+    return result;
   }
 
   // Cancel batch orders by order IDs
   async cancelBatchOrders(apiKey, apiSecret, orderIds) {
-    try {
-      if (!orderIds || orderIds.length === 0) {
-        return { success: true, cancelled: 0 };
-      }
-
-      const cancelBody = {
-        orderIds: orderIds.map(id => id.toString())
-      };
-
-      const data = await this.makeXtRequest(apiKey, apiSecret, 'DELETE', '/v4/batch-order', '', cancelBody);
-
-      if (data.rc === 0) {
-        this.log('success', `✅ Cancelled ${orderIds.length} orders`);
-        return { success: true, cancelled: orderIds.length };
-      } else {
-        return { success: false, error: data.mc || 'Batch cancel failed' };
-      }
-    } catch (error) {
-      return { success: false, error: error.message };
+    const result = await this.getClient(apiKey, apiSecret).cancelBatchOrders(orderIds);
+    if (result.success && result.cancelled > 0) {
+      this.log('success', `✅ Cancelled ${result.cancelled} orders`);
     }
+    return result;
   }
 
   // Force immediate liquidity adjustment (bypasses cooldown, enables autoManage temporarily)
@@ -1035,7 +881,7 @@ class XtLiquidityBotMonitor {
       this.log('info', `🔍 Checking ${activeBots.length} active XT liquidity bot(s)`);
 
       for (const bot of activeBots) {
-        await this.checkLiquidityBot(bot);
+        await withBotLogContext(bot, 'xt', () => this.checkLiquidityBot(bot));
       }
     } catch (error) {
       this.log('error', 'Error checking XT liquidity bots', error.message);
@@ -1,4 +1,7 @@
 import { verifyXtToken, getXtUserCredentials } from './xt-user-routes.js';
+import { parseBotMode } from './paper-trading.js';
+import { isGlobalScope, scopeLogs } from './access-control.js';
+import { needsAutoManageApproval, registerApprovalAction, requestApproval } from './approvals.js';
 
 // Store reference to liquidity bot monitor for logs access
 let xtLiquidityBotMonitorRef = null;
@@ -7,9 +10,40 @@ export function setXtLiquidityBotMonitor(monitor) {
   xtLiquidityBotMonitorRef = monitor;
 }
 
+// Analysis depends on each bot's targets, so callers only see symbols they run bots on
+async function scopeMarketData(db, req, marketData) {
+  if (isGlobalScope(req)) return marketData;
+  const symbols = (await db.collection('xt_liquidity_bots').distinct('symbol', { mexcUserId: req.xtUser.id }))
+    .map(symbol => symbol || 'gcb_usdt');
+  return Object.fromEntries(Object.entries(marketData).filter(([symbol]) => symbols.includes(symbol)));
+}
+
+// Enabling autoManage lets the bot place orders on its own, so it is held for a second user's approval
+function requestAutoManageApproval(bot, req) {
+  return requestApproval({
+    action: 'xt-liquidity.auto-manage',
+    summary: `Enable autoManage on XT liquidity bot "${bot.name}" (${bot.symbol || 'gcb_usdt'})`,
+    target: { type: 'xt_liquidity_bot', id: bot._id.toString() },
+    payload: { botId: bot._id.toString(), mexcUserId: req.xtUser.id },
+    requestedBy: req.authUser
+  });
+}
+
 // Setup XT Liquidity Bot API routes
 export function setupXtLiquidityBotRoutes(app, db) {
 
+  registerApprovalAction('xt-liquidity.auto-manage', async ({ botId, mexcUserId }) => {
+    const { ObjectId } = await import('mongodb');
+    const result = await db.collection('xt_liquidity_bots').updateOne(
+      { _id: new ObjectId(botId), mexcUserId },
+      { $set: { autoManage: true, updatedAt: new Date() } }
+    );
+    if (result.matchedCount === 0) {
+      throw new Error('Liquidity bot no longer exists');
+    }
+    return { autoManage: true };
+  });
+
   // ============================================
   // XT Liquidity Bot Management Endpoints
   // All routes require authentication
@@ -42,6 +76,12 @@ export function setupXtLiquidityBotRoutes(app, db) {
         return res.status(401).json({ code: '-1', msg: 'XT credentials not found', data: null, needsCredentials: true });
       }
 
+      const { fields: modeFields, error: modeError } = parseBotMode(req.body);
+      if (modeError) {
+        return res.status(400).json({ code: '-1', msg: modeError, data: null });
+      }
+
+      const holdAutoManage = needsAutoManageApproval(false, autoManage);
       const newBot = {
         mexcUserId: req.xtUser.id,
         name: name,
@@ -55,7 +95,7 @@ export function setupXtLiquidityBotRoutes(app, db) {
         maxSpread: parseFloat(maxSpread) || 1,
         maxOrderGap: parseFloat(maxOrderGap) || 1,
         checkIntervalSeconds: parseInt(checkIntervalSeconds) || 30,
-        autoManage: autoManage || false,
+        autoManage: holdAutoManage ? false : (autoManage || false),
         telegramEnabled: telegramEnabled || false,
 
         // Status
@@ -77,6 +117,7 @@ export function setupXtLiquidityBotRoutes(app, db) {
         lastCheckedAt: null,
         lastMaintenanceAt: null,
 
+        ...modeFields,
         createdAt: new Date(),
         updatedAt: new Date()
       };
@@ -84,6 +125,15 @@ export function setupXtLiquidityBotRoutes(app, db) {
       const result = await db.collection('xt_liquidity_bots').insertOne(newBot);
       
       console.log(`✅ XT Liquidity Bot created: ${name} for user ${req.xtUser.id}`);
+      if (holdAutoManage) {
+        const approval = await requestAutoManageApproval({ ...newBot, _id: result.insertedId }, req);
+        return res.status(202).json({
+          code: '0',
+          msg: 'Liquidity bot created; enabling autoManage awaits approval',
+          data: { ...newBot, _id: result.insertedId, approvalRequired: true, approval }
+        });
+      }
+
       res.json({ 
         code: '0', 
         msg: 'Liquidity bot created successfully', 
@@ -133,12 +183,12 @@ export function setupXtLiquidityBotRoutes(app, db) {
   // STATIC ROUTES - Must be defined BEFORE :id routes
   // =============================================
 
-  // GET /api/xt-user/liquidity-bot/monitor-logs - Get real-time monitor logs
+  // GET /api/xt-user/liquidity-bot/monitor-logs - Get real-time monitor logs for the caller's bots (owners: ?scope=all)
   app.get('/api/xt-user/liquidity-bot/monitor-logs', verifyXtToken, async (req, res) => {
     try {
       const limit = parseInt(req.query.limit) || 50;
       if (xtLiquidityBotMonitorRef) {
-        const logs = xtLiquidityBotMonitorRef.getLogs(limit);
+        const logs = scopeLogs(req, xtLiquidityBotMonitorRef.getLogs(xtLiquidityBotMonitorRef.maxLogs), limit);
         res.json({ code: '0', msg: 'Success', data: logs });
       } else {
         res.json({ code: '0', msg: 'Success', data: [] });
@@ -154,7 +204,8 @@ export function setupXtLiquidityBotRoutes(app, db) {
     try {
       if (xtLiquidityBotMonitorRef) {
         const status = xtLiquidityBotMonitorRef.getStatus();
-        res.json({ code: '0', msg: 'Success', data: status });
+        const marketData = await scopeMarketData(db, req, status.marketData);
+        res.json({ code: '0', msg: 'Success', data: { ...status, marketData } });
       } else {
         res.json({ code: '0', msg: 'Success', data: { isRunning: false, marketData: {} } });
       }
@@ -169,8 +220,8 @@ export function setupXtLiquidityBotRoutes(app, db) {
     try {
       const symbol = req.query.symbol || 'gcb_usdt';
       if (xtLiquidityBotMonitorRef) {
-        const status = xtLiquidityBotMonitorRef.getStatus();
-        const analysis = status.marketData[symbol] || null;
+        const marketData = await scopeMarketData(db, req, xtLiquidityBotMonitorRef.getStatus().marketData);
+        const analysis = marketData[symbol] || null;
         res.json({ code: '0', msg: 'Success', data: analysis });
       } else {
         res.json({ code: '0', msg: 'Success', data: null });
@@ -445,9 +496,19 @@ export function setupXtLiquidityBotRoutes(app, db) {
       if (maxOrderGap !== undefined) updateFields.maxOrderGap = parseFloat(maxOrderGap);
       if (orderSizeUsdt !== undefined) updateFields.orderSizeUsdt = parseFloat(orderSizeUsdt);
       if (checkIntervalSeconds !== undefined) updateFields.checkIntervalSeconds = parseInt(checkIntervalSeconds);
-      if (autoManage !== undefined) updateFields.autoManage = autoManage;
       if (telegramEnabled !== undefined) updateFields.telegramEnabled = telegramEnabled;
 
+      let currentBot = null;
+      if (autoManage !== undefined) {
+        currentBot = await db.collection('xt_liquidity_bots').findOne(
+          { _id: new ObjectId(botId), mexcUserId: req.xtUser.id },
+          { projection: { name: 1, symbol: 1, autoManage: 1 } }
+        );
+        if (!currentBot || !needsAutoManageApproval(currentBot.autoManage, autoManage)) {
+          updateFields.autoManage = autoManage;
+        }
+      }
+
       const result = await db.collection('xt_liquidity_bots').updateOne(
         { _id: new ObjectId(botId), mexcUserId: req.xtUser.id },
         { $set: updateFields }
@@ -457,6 +518,15 @@ export function setupXtLiquidityBotRoutes(app, db) {
         return res.status(404).json({ code: '-1', msg: 'Bot not found', data: null });
       }
 
+      if (currentBot && updateFields.autoManage === undefined) {
+        const approval = await requestAutoManageApproval(currentBot, req);
+        return res.status(202).json({
+          code: '0',
+          msg: 'Liquidity bot updated; enabling autoManage awaits approval',
+          data: { approvalRequired: true, approval }
+        });
+      }
+
       res.json({ code: '0', msg: 'Liquidity bot updated', data: null });
     } catch (error) {
       console.error('Error updating XT liquidity bot:', error);
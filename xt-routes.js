@@ -1,6 +1,8 @@
 import 'dotenv/config';
+import { createExchangeClient } from './exchange-clients.js';
 
-const XT_BASE_URL = process.env.XT_BASE_URL || 'https://sapi.xt.com';
+// Public market data only, so no credentials are attached
+const xtClient = createExchangeClient('xt');
 
 // Setup XT public routes (no auth needed)
 export function setupXtRoutes(app) {
@@ -12,8 +14,7 @@ export function setupXtRoutes(app) {
   // GET /api/xt/ping - Test XT connectivity (using server time endpoint)
   app.get('/api/xt/ping', async (req, res) => {
     try {
-      const response = await fetch(`${XT_BASE_URL}/v4/public/time`);
-      const data = await response.json();
+      const data = await xtClient.publicRequest(`/v4/public/time`);
       if (data.rc === 0) {
         res.json({ code: '0', msg: 'XT connection successful', data: data.result });
       } else {
@@ -28,8 +29,7 @@ export function setupXtRoutes(app) {
   // GET /api/xt/time - Get XT server time
   app.get('/api/xt/time', async (req, res) => {
     try {
-      const response = await fetch(`${XT_BASE_URL}/v4/public/time`);
-      const data = await response.json();
+      const data = await xtClient.publicRequest(`/v4/public/time`);
       if (data.rc === 0) {
         res.json({ code: '0', msg: 'Success', data: data.result });
       } else {
@@ -45,8 +45,7 @@ export function setupXtRoutes(app) {
   app.get('/api/xt/ticker', async (req, res) => {
     try {
       const symbol = req.query.symbol || 'gcb_usdt';
-      const response = await fetch(`${XT_BASE_URL}/v4/public/ticker/price?symbol=${symbol}`);
-      const data = await response.json();
+      const data = await xtClient.publicRequest(`/v4/public/ticker/price?symbol=${symbol}`);
       
       if (data.rc === 0 && data.result && data.result.length > 0) {
         res.json({ 
@@ -71,8 +70,7 @@ export function setupXtRoutes(app) {
   app.get('/api/xt/ticker/24hr', async (req, res) => {
     try {
       const symbol = req.query.symbol || 'gcb_usdt';
-      const response = await fetch(`${XT_BASE_URL}/v4/public/ticker/24h?symbol=${symbol}`);
-      const data = await response.json();
+      const data = await xtClient.publicRequest(`/v4/public/ticker/24h?symbol=${symbol}`);
       
       if (data.rc === 0 && data.result && data.result.length > 0) {
         const ticker = data.result[0];
@@ -106,8 +104,7 @@ export function setupXtRoutes(app) {
     try {
       const symbol = req.query.symbol || 'gcb_usdt';
       const limit = req.query.limit || 20;
-      const response = await fetch(`${XT_BASE_URL}/v4/public/depth?symbol=${symbol}&limit=${limit}`);
-      const data = await response.json();
+      const data = await xtClient.publicRequest(`/v4/public/depth?symbol=${symbol}&limit=${limit}`);
       
       if (data.rc === 0) {
         res.json({ code: '0', msg: 'Success', data: data.result });
@@ -124,8 +121,7 @@ export function setupXtRoutes(app) {
   app.get('/api/xt/ticker/book', async (req, res) => {
     try {
       const symbol = req.query.symbol || 'gcb_usdt';
-      const response = await fetch(`${XT_BASE_URL}/v4/public/ticker/book?symbol=${symbol}`);
-      const data = await response.json();
+      const data = await xtClient.publicRequest(`/v4/public/ticker/book?symbol=${symbol}`);
       
       if (data.rc === 0 && data.result && data.result.length > 0) {
         const book = data.result[0];
@@ -154,8 +150,7 @@ export function setupXtRoutes(app) {
   app.get('/api/xt/symbol', async (req, res) => {
     try {
       const symbol = req.query.symbol || 'gcb_usdt';
-      const response = await fetch(`${XT_BASE_URL}/v4/public/symbol?symbol=${symbol}`);
-      const data = await response.json();
+      const data = await xtClient.publicRequest(`/v4/public/symbol?symbol=${symbol}`);
       
       if (data.rc === 0) {
         res.json({ code: '0', msg: 'Success', data: data.result });
@@ -175,17 +170,16 @@ export function setupXtRoutes(app) {
       const interval = req.query.interval || '1h';
       const limit = req.query.limit || 100;
       
-      let url = `${XT_BASE_URL}/v4/public/kline?symbol=${symbol}&interval=${interval}&limit=${limit}`;
+      let path = `/v4/public/kline?symbol=${symbol}&interval=${interval}&limit=${limit}`;
       
       if (req.query.startTime) {
-        url += `&startTime=${req.query.startTime}`;
+        path += `&startTime=${req.query.startTime}`;
       }
       if (req.query.endTime) {
-        url += `&endTime=${req.query.endTime}`;
+        path += `&endTime=${req.query.endTime}`;
       }
       
-      const response = await fetch(url);
-      const data = await response.json();
+      const data = await xtClient.publicRequest(path);
       
       if (data.rc === 0) {
         res.json({ code: '0', msg: 'Success', data: data.result });
@@ -201,8 +195,7 @@ export function setupXtRoutes(app) {
   // GET /api/xt/currencies - Get currency information
   app.get('/api/xt/currencies', async (req, res) => {
     try {
-      const response = await fetch(`${XT_BASE_URL}/v4/public/currencies`);
-      const data = await response.json();
+      const data = await xtClient.publicRequest(`/v4/public/currencies`);
       
       if (data.rc === 0) {
         res.json({ code: '0', msg: 'Success', data: data.result });
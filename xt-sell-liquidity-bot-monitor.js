@@ -1,7 +1,8 @@
 import xtTelegramService from './xt-telegram-service.js';
-import { generateXtSignature, buildSignatureMessage, getXtTimestamp, syncXtServerTime } from './xt-user-routes.js';
-
-const XT_BASE_URL = process.env.XT_BASE_URL || 'https://sapi.xt.com';
+import { createExchangeClient } from './exchange-clients.js';
+import { writeLog, withBotLogContext, getLogOwner } from './log-store.js';
+import { decryptSecret } from './credential-vault.js';
+import { getCachedBalances } from './balance-service.js';
 
 /**
  * XT Sell-Side Liquidity Bot Monitor
@@ -30,7 +31,8 @@ class XtSellLiquidityBotMonitor {
       timestamp: new Date().toISOString(),
       type,
       message,
-      data
+      data,
+      ...getLogOwner()
     };
     this.logs.unshift(logEntry);
     if (this.logs.length > this.maxLogs) {
@@ -38,6 +40,7 @@ class XtSellLiquidityBotMonitor {
     }
     const emoji = type === 'success' ? '✅' : type === 'error' ? '❌' : type === 'warning' ? '⚠️' : type === 'trade' ? '💱' : type === 'liquidity' ? '💧' : 'ℹ️';
     console.log(`${emoji} [XtSellLiquidityBot] ${message}`, data ? JSON.stringify(data).substring(0, 200) : '');
+    writeLog('xt-sell-liquidity', type, message, data, { exchange: 'xt' });
   }
 
   async start() {
@@ -81,77 +84,17 @@ class XtSellLiquidityBotMonitor {
     return this.logs.slice(0, limit);
   }
 
-  // Helper to make authenticated XT API requests with retry logic
-  async makeXtRequest(apiKey, apiSecret, method, path, queryParams = '', body = null, maxRetries = 3) {
-    for (let attempt = 1; attempt <= maxRetries; attempt++) {
-      try {
-        const timestamp = await getXtTimestamp();
-        
-        const headers = {
-          'validate-algorithms': 'HmacSHA256',
-          'validate-appkey': apiKey,
-          'validate-recvwindow': '5000',
-          'validate-timestamp': timestamp
-        };
-
-        const bodyJson = body ? JSON.stringify(body) : '';
-        const original = buildSignatureMessage(method, path, queryParams, bodyJson, headers);
-        const signature = generateXtSignature(apiSecret, original);
-
-        const url = queryParams ? `${XT_BASE_URL}${path}?${queryParams}` : `${XT_BASE_URL}${path}`;
-
-        const fetchOptions = {
-          method,
-          headers: {
-            'Content-Type': 'application/json',
-            'validate-algorithms': 'HmacSHA256',
-            'validate-appkey': apiKey,
-            'validate-recvwindow': '5000',
-            'validate-timestamp': timestamp,
-            'validate-signature': signature
-          }
-        };
-
-        if (body && (method === 'POST' || method === 'PUT' || method === 'DELETE')) {
-          fetchOptions.body = bodyJson;
-        }
-
-        const response = await fetch(url, fetchOptions);
-        const data = await response.json();
-        
-        // Retry on time-related auth errors
-        if ((data.mc === 'AUTH_104' || data.mc === 'AUTH_105') && attempt < maxRetries) {
-          this.log('warning', `XT API error ${data.mc}, resyncing time and retrying (attempt ${attempt}/${maxRetries})`);
-          await syncXtServerTime();
-          continue;
-        }
-        
-        return data;
-      } catch (error) {
-        if (attempt < maxRetries) {
-          this.log('warning', `XT API request error, retrying (attempt ${attempt}/${maxRetries}): ${error.message}`);
-          await syncXtServerTime();
-          continue;
-        }
-        throw error;
-      }
-    }
+  // XT client for this account (signing, time sync and retries live in exchange-clients.js)
+  getClient(apiKey = null, apiSecret = null) {
+    return createExchangeClient('xt', { apiKey, apiSecret }, {
+      onRetry: message => this.log('warning', message)
+    });
   }
 
   // Get full order book depth
   async getOrderBook(symbol = 'gcb_usdt', limit = 100) {
     try {
-      const response = await fetch(`${XT_BASE_URL}/v4/public/depth?symbol=${symbol}&limit=${limit}`);
-      const data = await response.json();
-      
-      if (data.rc === 0 && data.result) {
-        return {
-          bids: data.result.bids || [],
-          asks: data.result.asks || [],
-          timestamp: data.result.timestamp
-        };
-      }
-      return null;
+      return await this.getClient().getDepth(symbol, limit);
     } catch (error) {
       this.log('error', `Failed to fetch order book: ${error.message}`);
       return null;
@@ -161,12 +104,8 @@ class XtSellLiquidityBotMonitor {
   // Get market price
   async getMarketPrice(symbol = 'gcb_usdt') {
     try {
-      const response = await fetch(`${XT_BASE_URL}/v4/public/ticker/price?symbol=${symbol}`);
-      const data = await response.json();
-      if (data.rc === 0 && data.result && data.result.length > 0) {
-        return parseFloat(data.result[0].p);
-      }
-      return null;
+      const ticker = await this.getClient().getTicker(symbol);
+      return ticker ? ticker.price : null;
     } catch (error) {
       this.log('error', `Failed to fetch market price: ${error.message}`);
       return null;
@@ -176,12 +115,7 @@ class XtSellLiquidityBotMonitor {
   // Get symbol info for precision
   async getSymbolInfo(symbol = 'gcb_usdt') {
     try {
-      const response = await fetch(`${XT_BASE_URL}/v4/public/symbol?symbol=${symbol}`);
-      const data = await response.json();
-      if (data.rc === 0 && data.result?.symbols?.length > 0) {
-        return data.result.symbols[0];
-      }
-      return null;
+      return await this.getClient().getSymbolInfo(symbol);
     } catch (error) {
       this.log('error', `Failed to fetch symbol info: ${error.message}`);
       return null;
@@ -192,7 +126,7 @@ class XtSellLiquidityBotMonitor {
     try {
       const xtUser = await this.db.collection('xt_users').findOne({ mexcUserId });
       if (!xtUser) return null;
-      return { apiKey: xtUser.apiKey, apiSecret: xtUser.apiSecret };
+      return { apiKey: xtUser.apiKey, apiSecret: decryptSecret(xtUser.apiSecret) };
     } catch (error) {
       this.log('error', `Error getting XT user credentials: ${error.message}`);
       return null;
@@ -201,20 +135,18 @@ class XtSellLiquidityBotMonitor {
 
   async getAccountBalance(apiKey, apiSecret) {
     try {
-      const data = await this.makeXtRequest(apiKey, apiSecret, 'GET', '/v4/balances', 'currencies=usdt,gcb');
-      
-      if (data.rc === 0 && data.result?.assets) {
-        const balanceMap = {};
-        data.result.assets.forEach(asset => {
-          balanceMap[asset.currency.toLowerCase()] = {
-            availableAmount: parseFloat(asset.availableAmount) || 0,
-            frozenAmount: parseFloat(asset.frozenAmount) || 0,
-            totalAmount: parseFloat(asset.totalAmount) || 0
-          };
-        });
-        return balanceMap;
-      }
-      return null;
+      const balances = await getCachedBalances(this.getClient(apiKey, apiSecret));
+      if (!balances) return null;
+
+      const balanceMap = {};
+      Object.entries(balances).forEach(([asset, balance]) => {
+        balanceMap[asset.toLowerCase()] = {
+          availableAmount: balance.free,
+          frozenAmount: balance.locked,
+          totalAmount: balance.total
+        };
+      });
+      return balanceMap;
     } catch (error) {
       this.log('error', `Failed to fetch account balance: ${error.message}`);
       return null;
@@ -224,19 +156,10 @@ class XtSellLiquidityBotMonitor {
   // Get user's open orders (SELL only)
   async getOpenOrders(apiKey, apiSecret, symbol = 'gcb_usdt') {
     try {
-      const lowerSymbol = symbol.toLowerCase();
-      const data = await this.makeXtRequest(apiKey, apiSecret, 'GET', '/v4/open-order', `symbol=${lowerSymbol}&bizType=SPOT`);
-      
-      if (data.rc === 0) {
-        const orders = data.result || [];
-        // Filter to only SELL orders
-        const sellOrders = orders.filter(o => o.side?.toUpperCase() === 'SELL');
-        this.log('info', `📋 API returned ${sellOrders.length} SELL orders for ${lowerSymbol}`);
-        return sellOrders;
-      }
-      
-      this.log('warning', `Open orders API returned rc=${data.rc}, mc=${data.mc}`);
-      return [];
+      const orders = await this.getClient(apiKey, apiSecret).getOpenOrders(symbol);
+      const sellOrders = orders.filter(o => o.side?.toUpperCase() === 'SELL');
+      this.log('info', `📋 API returned ${sellOrders.length} SELL orders for ${symbol.toLowerCase()}`);
+      return sellOrders;
     } catch (error) {
       this.log('error', `Failed to fetch open orders: ${error.message}`);
       return [];
@@ -245,119 +168,46 @@ class XtSellLiquidityBotMonitor {
 
   // Place a single limit order
   async placeLimitOrder(apiKey, apiSecret, symbol, side, price, quantity) {
-    try {
-      const orderBody = {
-        symbol: symbol.toLowerCase(),
-        side: side.toUpperCase(),
-        type: 'LIMIT',
-        timeInForce: 'GTC',
-        bizType: 'SPOT',
-        price: price.toString(),
-        quantity: quantity.toString()
-      };
-
-      const data = await this.makeXtRequest(apiKey, apiSecret, 'POST', '/v4/order', '', orderBody);
-
-      if (data.rc === 0 && data.result?.orderId) {
-        return { success: true, orderId: data.result.orderId };
-      } else {
-        return { success: false, error: data.mc || 'Order failed' };
-      }
-    } catch (error) {
-      return { success: false, error: error.message };
-    }
+    const result = await this.getClient(apiKey, apiSecret).placeOrder({ symbol, side, type: 'LIMIT', price, quantity });
+    return result.success ? { success: true, orderId: result.orderId } : { success: false, error: result.error };
   }
 
   // Place batch orders (SELL only)
   async placeBatchOrders(apiKey, apiSecret, orders) {
-    try {
-      const items = orders.map((order, index) => ({
-        symbol: order.symbol.toLowerCase(),
-        clientOrderId: `sell_liq_${Date.now()}_${index}`,
-        side: 'SELL', // Always SELL
-        type: 'LIMIT',
-        timeInForce: 'GTC',
-        bizType: 'SPOT',
-        price: order.price,
-        quantity: order.quantity
-      }));
-
-      const batchBody = {
-        clientBatchId: `sell_liquidity_${Date.now()}`,
-        items: items
-      };
-
-      const data = await this.makeXtRequest(apiKey, apiSecret, 'POST', '/v4/batch-order', '', batchBody);
-
-      if (data.rc === 0) {
-        return { success: true, result: data.result };
-      } else {
-        return { success: false, error: data.mc || 'Batch order failed' };
-      }
-    } catch (error) {
-      return { success: false, error: error.message };
-    }
+    const sellOrders = orders.map(order => ({ ...order, side: 'SELL' }));
+    return this.getClient(apiKey, apiSecret).placeBatchOrders(sellOrders, `sell_liquidity_${Date.now()}`);
   }
 
   // Cancel an order
   async cancelOrder(apiKey, apiSecret, orderId) {
-    try {
-      const data = await this.makeXtRequest(apiKey, apiSecret, 'DELETE', `/v4/order/${orderId}`);
-      return data.rc === 0;
-    } catch (error) {
-      this.log('error', `Failed to cancel order ${orderId}: ${error.message}`);
-      return false;
+    const result = await this.getClient(apiKey, apiSecret).cancelOrder('gcb_usdt', orderId);
+    if (!result.success && result.error) {
+      this.log('error', `Failed to cancel order ${orderId}: ${result.error}`);
     }
+    return result.success;
   }
 
   // Cancel ALL SELL open orders for a symbol
   async cancelAllSellOrders(apiKey, apiSecret, symbol = 'gcb_usdt') {
-    try {
-      const cancelBody = {
-        bizType: 'SPOT',
-        symbol: symbol.toLowerCase(),
-        side: 'SELL'
-      };
+    this.log('info', `🗑️ Cancelling all SELL open orders for ${symbol}...`);
 
-      this.log('info', `🗑️ Cancelling all SELL open orders for ${symbol}...`);
-      
-      const data = await this.makeXtRequest(apiKey, apiSecret, 'DELETE', '/v4/open-order', '', cancelBody);
+    const result = await this.getClient(apiKey, apiSecret).cancelAllOrders(symbol, 'SELL');
 
-      if (data.rc === 0) {
-        this.log('success', `✅ Cancelled all SELL open orders for ${symbol}`);
-        return { success: true, data: data.result };
-      } else {
-        this.log('error', `Failed to cancel orders: ${data.mc}`);
-        return { success: false, error: data.mc || 'Cancel failed' };
-      }
-    } catch (error) {
-      this.log('error', `Error cancelling all orders: ${error.message}`);
-      return { success: false, error: error.message };
+    if (result.success) {
+      this.log('success', `✅ Cancelled all SELL open orders for ${symbol}`);
+    } else {
+      this.log('error', `Failed to cancel orders: ${result.error}`);
     }
+    return result;
   }
 
   // Cancel batch orders by order IDs
   async cancelBatchOrders(apiKey, apiSecret, orderIds) {
-    try {
-      if (!orderIds || orderIds.length === 0) {
-        return { success: true, cancelled: 0 };
-      }
-
-      const cancelBody = {
-        orderIds: orderIds.map(id => id.toString())
-      };
-
-      const data = await this.makeXtRequest(apiKey, apiSecret, 'DELETE', '/v4/batch-order', '', cancelBody);
-
-      if (data.rc === 0) {
-        this.log('success', `✅ Cancelled ${orderIds.length} orders`);
-        return { success: true, cancelled: orderIds.length };
-      } else {
-        return { success: false, error: data.mc || 'Batch cancel failed' };
-      }
-    } catch (error) {
-      return { success: false, error: error.message };
+    const result = await this.getClient(apiKey, apiSecret).cancelBatchOrders(orderIds);
+    if (result.success && result.cancelled > 0) {
+      this.log('success', `✅ Cancelled ${result.cancelled} orders`);
     }
+    return result;
   }
 
   // Force immediate sell-side liquidity adjustment
@@ -732,7 +582,7 @@ class XtSellLiquidityBotMonitor {
       this.log('info', `🔍 Checking ${activeBots.length} active XT SELL liquidity bot(s)`);
 
       for (const bot of activeBots) {
-        await this.checkSellLiquidityBot(bot);
+        await withBotLogContext(bot, 'xt', () => this.checkSellLiquidityBot(bot));
       }
     } catch (error) {
       this.log('error', 'Error checking XT sell liquidity bots', error.message);
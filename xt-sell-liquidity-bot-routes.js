@@ -1,4 +1,7 @@
 import { verifyXtToken, getXtUserCredentials } from './xt-user-routes.js';
+import { parseBotMode } from './paper-trading.js';
+import { isGlobalScope, scopeLogs } from './access-control.js';
+import { needsAutoManageApproval, registerApprovalAction, requestApproval } from './approvals.js';
 
 // Store reference to sell liquidity bot monitor for logs access
 let xtSellLiquidityBotMonitorRef = null;
@@ -7,9 +10,40 @@ export function setXtSellLiquidityBotMonitor(monitor) {
   xtSellLiquidityBotMonitorRef = monitor;
 }
 
+// Analysis depends on each bot's targets, so callers only see symbols they run bots on
+async function scopeMarketData(db, req, marketData) {
+  if (isGlobalScope(req)) return marketData;
+  const symbols = (await db.collection('xt_sell_liquidity_bots').distinct('symbol', { mexcUserId: req.xtUser.id }))
+    .map(symbol => symbol || 'gcb_usdt');
+  return Object.fromEntries(Object.entries(marketData).filter(([symbol]) => symbols.includes(symbol)));
+}
+
+// Enabling autoManage lets the bot place orders on its own, so it is held for a second user's approval
+function requestAutoManageApproval(bot, req) {
+  return requestApproval({
+    action: 'xt-sell-liquidity.auto-manage',
+    summary: `Enable autoManage on XT sell liquidity bot "${bot.name}" (${bot.symbol || 'gcb_usdt'})`,
+    target: { type: 'xt_sell_liquidity_bot', id: bot._id.toString() },
+    payload: { botId: bot._id.toString(), mexcUserId: req.xtUser.id },
+    requestedBy: req.authUser
+  });
+}
+
 // Setup XT Sell-Side Liquidity Bot API routes
 export function setupXtSellLiquidityBotRoutes(app, db) {
 
+  registerApprovalAction('xt-sell-liquidity.auto-manage', async ({ botId, mexcUserId }) => {
+    const { ObjectId } = await import('mongodb');
+    const result = await db.collection('xt_sell_liquidity_bots').updateOne(
+      { _id: new ObjectId(botId), mexcUserId },
+      { $set: { autoManage: true, updatedAt: new Date() } }
+    );
+    if (result.matchedCount === 0) {
+      throw new Error('Sell liquidity bot no longer exists');
+    }
+    return { autoManage: true };
+  });
+
   // ============================================
   // XT Sell-Side Liquidity Bot Management Endpoints
   // All routes require authentication
@@ -40,6 +74,12 @@ export function setupXtSellLiquidityBotRoutes(app, db) {
         return res.status(401).json({ code: '-1', msg: 'XT credentials not found', data: null, needsCredentials: true });
       }
 
+      const { fields: modeFields, error: modeError } = parseBotMode(req.body);
+      if (modeError) {
+        return res.status(400).json({ code: '-1', msg: modeError, data: null });
+      }
+
+      const holdAutoManage = needsAutoManageApproval(false, autoManage);
       const newBot = {
         mexcUserId: req.xtUser.id,
         name: name,
@@ -52,7 +92,7 @@ export function setupXtSellLiquidityBotRoutes(app, db) {
         minOrderCount: parseInt(minOrderCount) || 30,
         maxOrderGap: parseFloat(maxOrderGap) || 1,
         checkIntervalSeconds: parseInt(checkIntervalSeconds) || 30,
-        autoManage: autoManage || false,
+        autoManage: holdAutoManage ? false : (autoManage || false),
         telegramEnabled: telegramEnabled || false,
 
         // Status
@@ -72,6 +112,7 @@ export function setupXtSellLiquidityBotRoutes(app, db) {
         lastCheckedAt: null,
         lastMaintenanceAt: null,
 
+        ...modeFields,
         createdAt: new Date(),
         updatedAt: new Date()
       };
@@ -79,6 +120,15 @@ export function setupXtSellLiquidityBotRoutes(app, db) {
       const result = await db.collection('xt_sell_liquidity_bots').insertOne(newBot);
       
       console.log(`✅ XT Sell Liquidity Bot created: ${name} for user ${req.xtUser.id}`);
+      if (holdAutoManage) {
+        const approval = await requestAutoManageApproval({ ...newBot, _id: result.insertedId }, req);
+        return res.status(202).json({
+          code: '0',
+          msg: 'Sell liquidity bot created; enabling autoManage awaits approval',
+          data: { ...newBot, _id: result.insertedId, approvalRequired: true, approval }
+        });
+      }
+
       res.json({ 
         code: '0', 
         msg: 'Sell liquidity bot created successfully', 
@@ -127,12 +177,12 @@ export function setupXtSellLiquidityBotRoutes(app, db) {
   // STATIC ROUTES - Must be defined BEFORE :id routes
   // =============================================
 
-  // GET /api/xt-user/sell-liquidity-bot/monitor-logs - Get real-time monitor logs
+  // GET /api/xt-user/sell-liquidity-bot/monitor-logs - Get real-time monitor logs for the caller's bots (owners: ?scope=all)
   app.get('/api/xt-user/sell-liquidity-bot/monitor-logs', verifyXtToken, async (req, res) => {
     try {
       const limit = parseInt(req.query.limit) || 50;
       if (xtSellLiquidityBotMonitorRef) {
-        const logs = xtSellLiquidityBotMonitorRef.getLogs(limit);
+        const logs = scopeLogs(req, xtSellLiquidityBotMonitorRef.getLogs(xtSellLiquidityBotMonitorRef.maxLogs), limit);
         res.json({ code: '0', msg: 'Success', data: logs });
       } else {
         res.json({ code: '0', msg: 'Success', data: [] });
@@ -148,7 +198,8 @@ export function setupXtSellLiquidityBotRoutes(app, db) {
     try {
       if (xtSellLiquidityBotMonitorRef) {
         const status = xtSellLiquidityBotMonitorRef.getStatus();
-        res.json({ code: '0', msg: 'Success', data: status });
+        const marketData = await scopeMarketData(db, req, status.marketData);
+        res.json({ code: '0', msg: 'Success', data: { ...status, marketData } });
       } else {
         res.json({ code: '0', msg: 'Success', data: { isRunning: false, marketData: {} } });
       }
@@ -163,8 +214,8 @@ export function setupXtSellLiquidityBotRoutes(app, db) {
     try {
       const symbol = req.query.symbol || 'gcb_usdt';
       if (xtSellLiquidityBotMonitorRef) {
-        const status = xtSellLiquidityBotMonitorRef.getStatus();
-        const analysis = status.marketData[symbol] || null;
+        const marketData = await scopeMarketData(db, req, xtSellLiquidityBotMonitorRef.getStatus().marketData);
+        const analysis = marketData[symbol] || null;
         res.json({ code: '0', msg: 'Success', data: analysis });
       } else {
         res.json({ code: '0', msg: 'Success', data: null });
@@ -429,9 +480,19 @@ export function setupXtSellLiquidityBotRoutes(app, db) {
       if (minOrderCount !== undefined) updateFields.minOrderCount = parseInt(minOrderCount);
       if (maxOrderGap !== undefined) updateFields.maxOrderGap = parseFloat(maxOrderGap);
       if (checkIntervalSeconds !== undefined) updateFields.checkIntervalSeconds = parseInt(checkIntervalSeconds);
-      if (autoManage !== undefined) updateFields.autoManage = autoManage;
       if (telegramEnabled !== undefined) updateFields.telegramEnabled = telegramEnabled;
 
+      let currentBot = null;
+      if (autoManage !== undefined) {
+        currentBot = await db.collection('xt_sell_liquidity_bots').findOne(
+          { _id: new ObjectId(botId), mexcUserId: req.xtUser.id },
+          { projection: { name: 1, symbol: 1, autoManage: 1 } }
+        );
+        if (!currentBot || !needsAutoManageApproval(currentBot.autoManage, autoManage)) {
+          updateFields.autoManage = autoManage;
+        }
+      }
+
       const result = await db.collection('xt_sell_liquidity_bots').updateOne(
         { _id: new ObjectId(botId), mexcUserId: req.xtUser.id },
         { $set: updateFields }
@@ -441,6 +502,15 @@ export function setupXtSellLiquidityBotRoutes(app, db) {
         return res.status(404).json({ code: '-1', msg: 'Bot not found', data: null });
       }
 
+      if (currentBot && updateFields.autoManage === undefined) {
+        const approval = await requestAutoManageApproval(currentBot, req);
+        return res.status(202).json({
+          code: '0',
+          msg: 'Sell liquidity bot updated; enabling autoManage awaits approval',
+          data: { approvalRequired: true, approval }
+        });
+      }
+
       res.json({ code: '0', msg: 'Sell liquidity bot updated', data: null });
     } catch (error) {
       console.error('Error updating XT sell liquidity bot:', error);
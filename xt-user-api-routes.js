@@ -1,7 +1,8 @@
-import crypto from 'crypto';
-import { verifyXtToken, getXtUserCredentials, generateXtSignature, buildSignatureMessage, getXtTimestamp, syncXtServerTime } from './xt-user-routes.js';
-
-const XT_BASE_URL = process.env.XT_BASE_URL || 'https://sapi.xt.com';
+import { verifyXtToken, getXtUserCredentials } from './xt-user-routes.js';
+import { createExchangeClient } from './exchange-clients.js';
+import { checkOrderRisk, recordOrderRisk } from './risk-engine.js';
+import { parseBotMode } from './paper-trading.js';
+import { scopeLogs } from './access-control.js';
 
 // Store reference to bot monitor for logs access
 let xtUserBotMonitorRef = null;
@@ -10,62 +11,10 @@ export function setXtUserBotMonitor(monitor) {
   xtUserBotMonitorRef = monitor;
 }
 
-// Helper to make authenticated XT API requests with retry logic
-async function makeXtRequest(apiKey, apiSecret, method, path, queryParams = '', body = null, maxRetries = 3) {
-  for (let attempt = 1; attempt <= maxRetries; attempt++) {
-    try {
-      const timestamp = await getXtTimestamp();
-      
-      const headers = {
-        'validate-algorithms': 'HmacSHA256',
-        'validate-appkey': apiKey,
-        'validate-recvwindow': '5000',
-        'validate-timestamp': timestamp
-      };
-
-      const bodyJson = body ? JSON.stringify(body) : '';
-      const original = buildSignatureMessage(method, path, queryParams, bodyJson, headers);
-      const signature = generateXtSignature(apiSecret, original);
-
-      const url = queryParams ? `${XT_BASE_URL}${path}?${queryParams}` : `${XT_BASE_URL}${path}`;
-
-      const fetchOptions = {
-        method,
-        headers: {
-          'Content-Type': 'application/json',
-          'validate-algorithms': 'HmacSHA256',
-          'validate-appkey': apiKey,
-          'validate-recvwindow': '5000',
-          'validate-timestamp': timestamp,
-          'validate-signature': signature
-        }
-      };
-
-      if (body && (method === 'POST' || method === 'PUT' || method === 'DELETE')) {
-        fetchOptions.body = bodyJson;
-      }
-
-      const response = await fetch(url, fetchOptions);
-      const data = await response.json();
-      
-      // Retry on time-related auth errors
-      if ((data.mc === 'AUTH_104' || data.mc === 'AUTH_105') && attempt < maxRetries) {
-        console.log(`⏳ XT API error ${data.mc}, resyncing time and retrying (attempt ${attempt}/${maxRetries})`);
-        await syncXtServerTime();
-        continue;
-      }
-      
-      return data;
-    } catch (error) {
-      if (attempt < maxRetries) {
-        console.log(`⏳ XT API request error, retrying (attempt ${attempt}/${maxRetries}):`, error.message);
-        await syncXtServerTime();
-        continue;
-      }
-      throw error;
-    }
-  }
-}
+// Shared XT client options: log signing / time-sync retries
+const XT_CLIENT_OPTIONS = {
+  onRetry: message => console.log(`⏳ ${message}`)
+};
 
 // Setup User-specific XT API routes
 export function setupXtUserApiRoutes(app, db) {
@@ -83,9 +32,8 @@ export function setupXtUserApiRoutes(app, db) {
         return res.status(401).json({ code: '-1', msg: 'XT credentials not found', data: null, needsCredentials: true });
       }
 
-      const data = await makeXtRequest(
-        credentials.apiKey,
-        credentials.apiSecret,
+      const client = createExchangeClient('xt', credentials, XT_CLIENT_OPTIONS);
+      const data = await client.request(
         'GET',
         '/v4/balances',
         'currencies=usdt,gcb'
@@ -125,9 +73,8 @@ export function setupXtUserApiRoutes(app, db) {
       }
 
       const symbol = req.query.symbol || 'gcb_usdt';
-      const data = await makeXtRequest(
-        credentials.apiKey,
-        credentials.apiSecret,
+      const client = createExchangeClient('xt', credentials, XT_CLIENT_OPTIONS);
+      const data = await client.request(
         'GET',
         '/v4/open-order',
         `symbol=${symbol}&bizType=SPOT`
@@ -154,9 +101,8 @@ export function setupXtUserApiRoutes(app, db) {
 
       const symbol = req.query.symbol || 'gcb_usdt';
       const limit = req.query.limit || 50;
-      const data = await makeXtRequest(
-        credentials.apiKey,
-        credentials.apiSecret,
+      const client = createExchangeClient('xt', credentials, XT_CLIENT_OPTIONS);
+      const data = await client.request(
         'GET',
         '/v4/trade',
         `symbol=${symbol}&bizType=SPOT&limit=${limit}`
@@ -219,11 +165,16 @@ export function setupXtUserApiRoutes(app, db) {
         }
       }
 
+      const client = createExchangeClient('xt', credentials, XT_CLIENT_OPTIONS);
+      const riskOrder = { symbol, side, type, price: orderBody.price, quantity: orderBody.quantity, quoteQty: orderBody.quoteQty };
+      const riskCheck = await checkOrderRisk(client, riskOrder, { userId: req.xtUser.id });
+      if (!riskCheck.allowed) {
+        return res.status(400).json({ code: '-1', msg: `Risk check failed: ${riskCheck.reason}`, data: null });
+      }
+
       console.log(`📤 XT User Order: ${side} ${type} ${symbol} - User: ${req.xtUser.id}`);
 
-      const data = await makeXtRequest(
-        credentials.apiKey,
-        credentials.apiSecret,
+      const data = await client.request(
         'POST',
         '/v4/order',
         '',
@@ -232,6 +183,7 @@ export function setupXtUserApiRoutes(app, db) {
 
       if (data.rc === 0 && data.result?.orderId) {
         console.log(`✅ XT User Order placed: ${data.result.orderId}`);
+        await recordOrderRisk(client, riskOrder, riskCheck);
         res.json({ code: '0', msg: 'Order placed successfully', data: data.result });
       } else {
         console.log(`❌ XT User Order failed:`, data);
@@ -257,9 +209,8 @@ export function setupXtUserApiRoutes(app, db) {
         return res.status(400).json({ code: '-1', msg: 'Missing orderId', data: null });
       }
 
-      const data = await makeXtRequest(
-        credentials.apiKey,
-        credentials.apiSecret,
+      const client = createExchangeClient('xt', credentials, XT_CLIENT_OPTIONS);
+      const data = await client.request(
         'DELETE',
         `/v4/order/${orderId}`
       );
@@ -288,6 +239,11 @@ export function setupXtUserApiRoutes(app, db) {
         return res.status(400).json({ code: '-1', msg: 'Bot name is required', data: null });
       }
 
+      const { fields: modeFields, error: modeError } = parseBotMode(req.body);
+      if (modeError) {
+        return res.status(400).json({ code: '-1', msg: modeError, data: null });
+      }
+
       const newBot = {
         mexcUserId: req.xtUser.id,
         name: name,
@@ -305,6 +261,7 @@ export function setupXtUserApiRoutes(app, db) {
         lastPriceGap: null,
         lastCheckedAt: null,
         lastExecutedAt: null,
+        ...modeFields,
         createdAt: new Date(),
         updatedAt: new Date()
       };
@@ -465,13 +422,13 @@ export function setupXtUserApiRoutes(app, db) {
     }
   });
 
-  // GET /api/xt-user/bot/monitor-logs - Get real-time monitor logs
+  // GET /api/xt-user/bot/monitor-logs - Get real-time monitor logs for the caller's bots (owners: ?scope=all)
   app.get('/api/xt-user/bot/monitor-logs', verifyXtToken, async (req, res) => {
     try {
       const limit = parseInt(req.query.limit) || 50;
       
       if (xtUserBotMonitorRef) {
-        const logs = xtUserBotMonitorRef.getLogs(limit);
+        const logs = scopeLogs(req, xtUserBotMonitorRef.getLogs(xtUserBotMonitorRef.maxLogs), limit);
         res.json({ code: '0', msg: 'Success', data: logs });
       } else {
         res.json({ code: '0', msg: 'Success', data: [] });
@@ -1,8 +1,8 @@
-import crypto from 'crypto';
 import xtTelegramService from './xt-telegram-service.js';
-import { generateXtSignature, buildSignatureMessage, getXtTimestamp, syncXtServerTime } from './xt-user-routes.js';
-
-const XT_BASE_URL = process.env.XT_BASE_URL || 'https://sapi.xt.com';
+import { createExchangeClient } from './exchange-clients.js';
+import { writeLog, withBotLogContext, getLogOwner } from './log-store.js';
+import { decryptSecret } from './credential-vault.js';
+import { getCachedBalances } from './balance-service.js';
 
 class XtUserBotMonitor {
   constructor(db) {
@@ -20,7 +20,8 @@ class XtUserBotMonitor {
       timestamp: new Date().toISOString(),
       type,
       message,
-      data
+      data,
+      ...getLogOwner()
     };
     this.logs.unshift(logEntry);
     if (this.logs.length > this.maxLogs) {
@@ -28,6 +29,7 @@ class XtUserBotMonitor {
     }
     const emoji = type === 'success' ? '✅' : type === 'error' ? '❌' : type === 'warning' ? '⚠️' : type === 'trade' ? '💱' : 'ℹ️';
     console.log(`${emoji} [XtUserBot] ${message}`, data ? JSON.stringify(data) : '');
+    writeLog('xt-user', type, message, data, { exchange: 'xt' });
   }
 
   async start() {
@@ -71,71 +73,19 @@ class XtUserBotMonitor {
     return this.logs.slice(0, limit);
   }
 
-  // Helper to make authenticated XT API requests with retry logic
-  async makeXtRequest(apiKey, apiSecret, method, path, queryParams = '', body = null, maxRetries = 3) {
-    for (let attempt = 1; attempt <= maxRetries; attempt++) {
-      try {
-        const timestamp = await getXtTimestamp();
-        
-        const headers = {
-          'validate-algorithms': 'HmacSHA256',
-          'validate-appkey': apiKey,
-          'validate-recvwindow': '5000',
-          'validate-timestamp': timestamp
-        };
-
-        const bodyJson = body ? JSON.stringify(body) : '';
-        const original = buildSignatureMessage(method, path, queryParams, bodyJson, headers);
-        const signature = generateXtSignature(apiSecret, original);
-
-        const url = queryParams ? `${XT_BASE_URL}${path}?${queryParams}` : `${XT_BASE_URL}${path}`;
-
-        const fetchOptions = {
-          method,
-          headers: {
-            'Content-Type': 'application/json',
-            'validate-algorithms': 'HmacSHA256',
-            'validate-appkey': apiKey,
-            'validate-recvwindow': '5000',
-            'validate-timestamp': timestamp,
-            'validate-signature': signature
-          }
-        };
-
-        if (body && (method === 'POST' || method === 'PUT' || method === 'DELETE')) {
-          fetchOptions.body = bodyJson;
-        }
-
-        const response = await fetch(url, fetchOptions);
-        const data = await response.json();
-        
-        // Retry on time-related auth errors
-        if ((data.mc === 'AUTH_104' || data.mc === 'AUTH_105') && attempt < maxRetries) {
-          this.log('warning', `XT API error ${data.mc}, resyncing time and retrying (attempt ${attempt}/${maxRetries})`);
-          await syncXtServerTime();
-          continue;
-        }
-        
-        return data;
-      } catch (error) {
-        if (attempt < maxRetries) {
-          this.log('warning', `XT API request error, retrying (attempt ${attempt}/${maxRetries}): ${error.message}`);
-          await syncXtServerTime();
-          continue;
-        }
-        throw error;
-      }
-    }
+  // XT client for this account (signing, time sync and retries live in exchange-clients.js)
+  getClient(apiKey = null, apiSecret = null) {
+    return createExchangeClient('xt', { apiKey, apiSecret }, {
+      onRetry: message => this.log('warning', message)
+    });
   }
 
   async getMarketPrice(symbol = 'gcb_usdt') {
     try {
-      const response = await fetch(`${XT_BASE_URL}/v4/public/ticker/price?symbol=${symbol}`);
-      const data = await response.json();
-      if (data.rc === 0 && data.result && data.result.length > 0) {
-        const price = parseFloat(data.result[0].p);
-        this.marketData[symbol] = { price, updatedAt: new Date().toISOString() };
-        return price;
+      const ticker = await this.getClient().getTicker(symbol);
+      if (ticker) {
+        this.marketData[symbol] = { price: ticker.price, updatedAt: new Date().toISOString() };
+        return ticker.price;
       }
       return null;
     } catch (error) {
@@ -146,12 +96,9 @@ class XtUserBotMonitor {
 
   async getBestAskPrice(symbol = 'gcb_usdt') {
     try {
-      const response = await fetch(`${XT_BASE_URL}/v4/public/depth?symbol=${symbol}&limit=5`);
-      const data = await response.json();
-      
-      if (data.rc === 0 && data.result && data.result.asks && data.result.asks.length > 0) {
-        const bestAskPrice = parseFloat(data.result.asks[0][0]);
-        return bestAskPrice;
+      const depth = await this.getClient().getDepth(symbol, 5);
+      if (depth && depth.asks.length > 0) {
+        return depth.asks[0][0];
       }
       return null;
     } catch (error) {
@@ -170,7 +117,7 @@ class XtUserBotMonitor {
 
       return {
         apiKey: xtUser.apiKey,
-        apiSecret: xtUser.apiSecret
+        apiSecret: decryptSecret(xtUser.apiSecret)
       };
     } catch (error) {
       this.log('error', `Error getting XT user credentials: ${error.message}`);
@@ -180,20 +127,18 @@ class XtUserBotMonitor {
 
   async getAccountBalance(apiKey, apiSecret) {
     try {
-      const data = await this.makeXtRequest(apiKey, apiSecret, 'GET', '/v4/balances', 'currencies=usdt,gcb');
-      
-      if (data.rc === 0 && data.result?.assets) {
-        const balanceMap = {};
-        data.result.assets.forEach(asset => {
-          balanceMap[asset.currency.toLowerCase()] = {
-            availableAmount: asset.availableAmount,
-            frozenAmount: asset.frozenAmount,
-            totalAmount: asset.totalAmount
-          };
-        });
-        return balanceMap;
-      }
-      return null;
+      const balances = await getCachedBalances(this.getClient(apiKey, apiSecret));
+      if (!balances) return null;
+
+      const balanceMap = {};
+      Object.entries(balances).forEach(([asset, balance]) => {
+        balanceMap[asset.toLowerCase()] = {
+          availableAmount: balance.free,
+          frozenAmount: balance.locked,
+          totalAmount: balance.total
+        };
+      });
+      return balanceMap;
     } catch (error) {
       this.log('error', `Failed to fetch XT account balance: ${error.message}`);
       return null;
@@ -201,34 +146,24 @@ class XtUserBotMonitor {
   }
 
   async placeMarketBuyOrder(apiKey, apiSecret, symbol, quoteQty) {
-    try {
-      const orderBody = {
-        symbol: symbol.toLowerCase(),
-        side: 'BUY',
-        type: 'MARKET',
-        timeInForce: 'IOC',
-        bizType: 'SPOT',
+    this.log('info', `📤 XT Order: BUY MARKET ${symbol} - quoteQty: ${quoteQty} USDT`);
+
+    const result = await this.getClient(apiKey, apiSecret).placeOrder({
+      symbol,
+      side: 'BUY',
+      type: 'MARKET',
+      quoteQty
+    });
+
+    if (result.success) {
+      this.log('success', `XT Market buy order placed: ${quoteQty} USDT`, {
+        orderId: result.orderId,
         quoteQty: quoteQty
-      };
-
-      this.log('info', `📤 XT Order: BUY MARKET ${symbol} - quoteQty: ${quoteQty} USDT`);
-
-      const data = await this.makeXtRequest(apiKey, apiSecret, 'POST', '/v4/order', '', orderBody);
-
-      if (data.rc === 0 && data.result?.orderId) {
-        this.log('success', `XT Market buy order placed: ${quoteQty} USDT`, {
-          orderId: data.result.orderId,
-          quoteQty: quoteQty
-        });
-        return data.result;
-      } else {
-        this.log('error', `Failed to place XT market buy order`, data);
-        return null;
-      }
-    } catch (error) {
-      this.log('error', `Error placing XT market buy order: ${error.message}`);
-      return null;
+      });
+      return result.data;
     }
+    this.log('error', `Failed to place XT market buy order`, result.data || result.error);
+    return null;
   }
 
   async checkAllUserBots() {
@@ -248,7 +183,7 @@ class XtUserBotMonitor {
       this.log('info', `🔍 Checking ${activeBots.length} active XT user bot(s)`);
 
       for (const bot of activeBots) {
-        await this.checkBot(bot);
+        await withBotLogContext(bot, 'xt', () => this.checkBot(bot));
       }
     } catch (error) {
       this.log('error', 'Error checking XT user bots', error.message);
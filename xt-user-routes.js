@@ -1,146 +1,38 @@
-import crypto from 'crypto';
-import jwt from 'jsonwebtoken';
-import 'dotenv/config';
-
-const XT_BASE_URL = process.env.XT_BASE_URL || 'https://sapi.xt.com';
-const JWT_SECRET = process.env.JWT_SECRET || 'mexc-bot-secret-key-change-in-production';
-
-// Time sync variables
-let xtServerTimeOffset = 0;
-let lastTimeSyncAt = 0;
-const TIME_SYNC_INTERVAL = 30000; // Resync every 30 seconds
-
-// Get XT server time and calculate offset
-async function syncXtServerTime() {
-  try {
-    const localTime = Date.now();
-    const response = await fetch(`${XT_BASE_URL}/v4/public/time`);
-    const data = await response.json();
-    
-    if (data.rc === 0 && data.result?.serverTime) {
-      const serverTime = data.result.serverTime;
-      xtServerTimeOffset = serverTime - localTime;
-      lastTimeSyncAt = localTime;
-      console.log(`🕐 XT time synced. Offset: ${xtServerTimeOffset}ms`);
-      return true;
-    }
-    return false;
-  } catch (error) {
-    console.error('❌ Failed to sync XT server time:', error.message);
-    return false;
-  }
-}
-
-// Get synchronized timestamp for XT API
-async function getXtTimestamp() {
-  const now = Date.now();
-  // Resync if interval has passed
-  if (now - lastTimeSyncAt > TIME_SYNC_INTERVAL) {
-    await syncXtServerTime();
-  }
-  return (now + xtServerTimeOffset).toString();
-}
-
-// Export for use in other modules
-export { getXtTimestamp, syncXtServerTime };
-
-// Generate XT signature
-function generateXtSignature(secretKey, original) {
-  return crypto
-    .createHmac('sha256', secretKey)
-    .update(original)
-    .digest('hex');
-}
-
-// Build signature message for XT API
-function buildSignatureMessage(method, path, queryString, bodyJson, headers) {
-  // Build X part (headers)
-  const headerParts = [];
-  headerParts.push(`validate-algorithms=${headers['validate-algorithms']}`);
-  headerParts.push(`validate-appkey=${headers['validate-appkey']}`);
-  headerParts.push(`validate-recvwindow=${headers['validate-recvwindow']}`);
-  headerParts.push(`validate-timestamp=${headers['validate-timestamp']}`);
-  const X = headerParts.join('&');
-
-  // Build Y part (request data)
-  let Y = `#${method.toUpperCase()}#${path}`;
-  if (queryString) {
-    // Sort query params alphabetically by key as per XT API docs
-    const sortedQuery = queryString.split('&')
-      .map(param => param.split('='))
-      .sort((a, b) => a[0].localeCompare(b[0]))
-      .map(([k, v]) => `${k}=${v}`)
-      .join('&');
-    Y += `#${sortedQuery}`;
-  }
-  if (bodyJson) {
-    Y += `#${bodyJson}`;
-  }
-
-  return X + Y;
-}
+import { XtClient, getXtTimestamp, syncXtServerTime, generateXtSignature, buildSignatureMessage } from './exchange-clients.js';
+import { encryptSecret, decryptSecret } from './credential-vault.js';
+import { verifyAccessToken } from './sessions.js';
 
 // Validate XT credentials by making a test API call
 async function validateXtCredentials(apiKey, apiSecret) {
   // Sync time before validation
   await syncXtServerTime();
-  
-  const maxRetries = 3;
-  for (let attempt = 1; attempt <= maxRetries; attempt++) {
-    try {
-      const timestamp = await getXtTimestamp();
-      const method = 'GET';
-      const path = '/v4/balances';
-      
-      const headers = {
-        'validate-algorithms': 'HmacSHA256',
-        'validate-appkey': apiKey,
-        'validate-recvwindow': '5000',
-        'validate-timestamp': timestamp
-      };
-
-      const original = buildSignatureMessage(method, path, '', '', headers);
-      const signature = generateXtSignature(apiSecret, original);
-
-      const response = await fetch(`${XT_BASE_URL}${path}`, {
-        method: 'GET',
-        headers: {
-          'Content-Type': 'application/json',
-          'validate-algorithms': 'HmacSHA256',
-          'validate-appkey': apiKey,
-          'validate-recvwindow': '5000',
-          'validate-timestamp': timestamp,
-          'validate-signature': signature
-        }
-      });
 
-      const data = await response.json();
-      
-      if (data.rc === 0) {
-        return { valid: true, data };
-      }
-      
-      // Retry on time-related errors
-      if ((data.mc === 'AUTH_104' || data.mc === 'AUTH_105') && attempt < maxRetries) {
-        console.log(`⏳ XT auth error ${data.mc}, resyncing time and retrying (attempt ${attempt}/${maxRetries})`);
-        await syncXtServerTime();
-        continue;
-      }
-      
-      return { valid: false, error: data.mc || 'Invalid credentials' };
-    } catch (error) {
-      if (attempt < maxRetries) {
-        console.log(`⏳ XT validation error, retrying (attempt ${attempt}/${maxRetries}):`, error.message);
-        continue;
-      }
-      return { valid: false, error: error.message };
+  try {
+    const client = new XtClient({ apiKey, apiSecret }, {
+      onRetry: message => console.log(`⏳ ${message}`)
+    });
+    const data = await client.request('GET', '/v4/balances');
+
+    if (data.rc === 0) {
+      return { valid: true, data };
     }
+    return { valid: false, error: data.mc || 'Invalid credentials' };
+  } catch (error) {
+    return { valid: false, error: error.message };
   }
-  return { valid: false, error: 'Max retries exceeded' };
 }
 
-// Middleware to verify XT user token (uses same JWT as MEXC but different user collection)
-export function verifyXtToken(req, res, next) {
+// Account of the MEXC user the XT credentials are stored under (see identity.js)
+async function getMexcUserAccountId(db, mexcUserId) {
+  const { ObjectId } = await import('mongodb');
+  if (!ObjectId.isValid(mexcUserId)) return null;
+  const mexcUser = await db.collection('mexc_users').findOne({ _id: new ObjectId(mexcUserId) }, { projection: { accountId: 1 } });
+  return mexcUser?.accountId ?? null;
+}
+
+// Middleware to verify XT user token (same live account session as MEXC; XT credentials
+// are stored per MEXC user, so the account needs a linked MEXC login)
+export async function verifyXtToken(req, res, next) {
   const authHeader = req.headers.authorization;
   
   if (!authHeader || !authHeader.startsWith('Bearer ')) {
@@ -148,14 +40,23 @@ export function verifyXtToken(req, res, next) {
   }
 
   const token = authHeader.split(' ')[1];
-  
+  let decoded;
   try {
-    const decoded = jwt.verify(token, JWT_SECRET);
-    req.xtUser = decoded;
-    next();
+    decoded = await verifyAccessToken(token);
   } catch (error) {
+    console.error('Error verifying XT session:', error.message);
+    return res.status(500).json({ code: '-1', msg: 'Authentication failed', data: null });
+  }
+
+  if (!decoded) {
     return res.status(401).json({ code: '-1', msg: 'Invalid or expired token', data: null });
   }
+  if (!decoded.id) {
+    return res.status(403).json({ code: '-1', msg: 'XT credentials require a MEXC login linked to this account', data: null });
+  }
+
+  req.xtUser = decoded;
+  next();
 }
 
 // Setup XT User routes
@@ -205,7 +106,7 @@ export function setupXtUserRoutes(app, db) {
           { 
             $set: { 
               apiKey,
-              apiSecret,
+              apiSecret: encryptSecret(apiSecret),
               lastUpdatedAt: new Date(),
               updatedAt: new Date()
             } 
@@ -216,8 +117,9 @@ export function setupXtUserRoutes(app, db) {
         // Create new XT user entry
         const newXtUser = {
           mexcUserId,
+          accountId: await getMexcUserAccountId(db, mexcUserId),
           apiKey,
-          apiSecret,
+          apiSecret: encryptSecret(apiSecret),
           createdAt: new Date(),
           updatedAt: new Date(),
           lastUpdatedAt: new Date(),
@@ -314,7 +216,7 @@ export function setupXtUserRoutes(app, db) {
       }
 
       // Validate credentials against XT API
-      const validation = await validateXtCredentials(xtUser.apiKey, xtUser.apiSecret);
+      const validation = await validateXtCredentials(xtUser.apiKey, decryptSecret(xtUser.apiSecret));
 
       if (validation.valid) {
         res.json({ 
@@ -349,7 +251,7 @@ export async function getXtUserCredentials(db, mexcUserId) {
 
     return {
       apiKey: xtUser.apiKey,
-      apiSecret: xtUser.apiSecret,
+      apiSecret: decryptSecret(xtUser.apiSecret),
       xtUserId: xtUser._id.toString()
     };
   } catch (error) {
@@ -359,6 +261,7 @@ export async function getXtUserCredentials(db, mexcUserId) {
 }
 
 // Export signature helpers for use in other modules
-export { generateXtSignature, buildSignatureMessage };
+// Re-exported for modules that still import the XT signing helpers from here
+export { getXtTimestamp, syncXtServerTime, generateXtSignature, buildSignatureMessage };
 
 export default setupXtUserRoutes;